@@ -4,13 +4,50 @@
 import express from 'express';
 import cors from 'cors';
 import {
+  SEARCH_MODES,
+  DEFAULT_SEARCH_MODE,
+  parseRankingOptions,
   initDatabase,
   addCommand,
   updateCommand,
   deleteCommand,
   searchCommands,
   getCommandById,
-  listCommands,
+  listCommandsPage,
+  // Revision history
+  listCommandRevisions,
+  listRevisionsSince,
+  diffRevisions,
+  revertCommand,
+  // Trash
+  listTrash,
+  restoreFromTrash,
+  purgeTrash,
+  // Documentation import
+  stageDocumentation,
+  getStagedCommand,
+  listStagedCommands,
+  updateStagedCommand,
+  approveStagedCommands,
+  rejectStagedCommands,
+  // Related commands graph
+  RELATION_TYPES,
+  validateRelatedCommands,
+  linkCommands,
+  unlinkCommands,
+  getRelatedGraph,
+  createRunbook,
+  getRunbook,
+  listRunbooks,
+  updateRunbook,
+  deleteRunbook,
+  searchRunbooks,
+  listPrompts,
+  getPrompt,
+  createPrompt,
+  updatePrompt,
+  deletePrompt,
+  renderPrompt,
   // High priority functions
   bulkAddCommands,
   exportCommandsJSON,
@@ -27,30 +64,132 @@ import {
   getCategoryStats,
   renameCategory,
   findDuplicates,
+  getCompatibleCommands,
   validateDatabase,
-  optimizeDatabase
+  optimizeDatabase,
+  buildVectorIndex,
+  migrateEmbeddingStorage,
+  EMBEDDING_FORMATS,
+  // Argument templates and remote execution
+  renderCommand,
+  executeCommand,
+  // Change requests
+  listChangeRequests,
+  getChangeRequest,
+  approveChangeRequest,
+  rejectChangeRequest
 } from './database.js';
+import { listTargets } from './ssh-executor.js';
+import { validateArguments } from './arguments.js';
+import { describeEmbeddingProvider } from './embeddings.js';
+import { EXPORT_FORMATS, FORMAT_CONTENT_TYPES, serializeCommands, parseCommands } from './formats.js';
+import { readDocumentationFile } from './doc-importer.js';
+import { loadConfig, getConfig, describeConfig } from './config.js';
+import { LOOPBACK_HOSTS, createTokenVerifier, countActors } from './auth.js';
 
 const app = express();
-const PORT = process.env.PORT || 5679;
+
+// Command-line flags and the settings they override (see config.js)
+const API_FLAGS = {
+  '--host': 'api.host',
+  '--port': 'api.port',
+  '--db': 'database.path'
+};
+
+// Remote execution and change requests are not offered to pages on other origins
+const PROTECTED_ROUTE_REGEX = /^\/api\/(commands\/[^/]+\/execute|change-requests)(\/|$)/;
 
 // Middleware
-app.use(cors());
+const allowAnyOrigin = cors();
+app.use((req, res, next) => PROTECTED_ROUTE_REGEX.test(req.path) ? next() : allowAnyOrigin(req, res, next));
 app.use(express.json({ limit: '50mb' }));
 
 // Database instance
 let db = null;
 
+// Bearer token -> actor for the protected routes (set in main when api.auth_tokens is configured)
+let verifyToken = null;
+
+/**
+ * Identify who is making a change (X-Actor header, e.g. 'mcp'), for the revision history
+ * @param {Object} req - Express request
+ * @returns {string} Actor name
+ */
+function actorFrom(req) {
+  return req.get('X-Actor') || 'api';
+}
+
+/**
+ * Require a bearer token from api.auth_tokens on a route (execute and change
+ * requests); the token's actor is stored in req.actor. Without auth tokens the
+ * server only listens on loopback and the route is open, with no req.actor.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next handler
+ */
+function requireToken(req, res, next) {
+  if (!verifyToken) return next();
+  
+  const caller = verifyToken(req.get('Authorization'));
+  
+  if (!caller) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      status: 'error',
+      message: 'Missing or invalid bearer token'
+    });
+  }
+  
+  req.actor = caller.actor;
+  next();
+}
+
+/**
+ * Read paging, sorting and projection options from a query string
+ * @param {Object} query - req.query
+ * @returns {Object} Options for listCommandsPage
+ */
+function pageOptionsFromQuery(query) {
+  const options = {};
+  
+  if (query.limit !== undefined) options.limit = Number(query.limit);
+  if (query.offset !== undefined) options.offset = Number(query.offset);
+  if (query.cursor) options.cursor = query.cursor;
+  if (query.sort) options.sort = query.sort;
+  if (query.order) options.order = query.order;
+  if (query.fields) options.fields = query.fields.split(',').map(f => f.trim()).filter(Boolean);
+  
+  return options;
+}
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     service: 'checkpoint-commands-api',
     version: '2.0.0',
-    database: db ? 'connected' : 'not initialized'
+    database: db ? 'connected' : 'not initialized',
+    embeddings: describeEmbeddingProvider()
   });
 });
 
+// Effective configuration (secrets redacted)
+app.get('/api/config', (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      ...describeConfig()
+    });
+  } catch (error) {
+    console.error('Get config error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
 // ============================================================================
 // EXISTING ENDPOINTS (UPDATED)
 // ============================================================================
@@ -58,7 +197,16 @@ app.get('/health', (req, res) => {
 // Search commands
 app.post('/api/commands/search', async (req, res) => {
   try {
-    const { query, limit = 5, score_threshold = 0.3 } = req.body;
+    const {
+      query,
+      limit = 5,
+      score_threshold = 0.3,
+      mode = DEFAULT_SEARCH_MODE,
+      keyword_weight,
+      semantic_weight,
+      rrf_k,
+      explain = false
+    } = req.body;
     
     if (!query) {
       return res.status(400).json({ 
@@ -67,13 +215,40 @@ app.post('/api/commands/search', async (req, res) => {
       });
     }
     
-    const results = await searchCommands(db, query, limit, score_threshold);
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `mode must be one of ${SEARCH_MODES.join(', ')}`
+      });
+    }
+    
+    const ranking = parseRankingOptions({ keyword_weight, semantic_weight, rrf_k });
+    
+    if (ranking.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: ranking.message
+      });
+    }
+    
+    const results = await searchCommands(db, query, limit, score_threshold, {
+      mode,
+      keyword_weight,
+      semantic_weight,
+      rrf_k,
+      explain
+    });
+    
+    // Runbooks whose procedure as a whole matches the query
+    const runbooks = await searchRunbooks(db, query, { mode, score_threshold });
     
     res.json({
       status: 'success',
       query,
+      mode,
       results,
-      count: results.length
+      count: results.length,
+      runbooks
     });
   } catch (error) {
     console.error('Search error:', error);
@@ -97,7 +272,16 @@ app.post('/api/commands', async (req, res) => {
       });
     }
     
-    const result = await addCommand(db, commandData);
+    const result = await addCommand(db, commandData, { actor: actorFrom(req) });
+    
+    // Handle invalid argument templates
+    if (result.error && result.argument_errors) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.message,
+        argument_errors: result.argument_errors
+      });
+    }
     
     // Handle duplicate detection
     if (result.error) {
@@ -140,7 +324,29 @@ app.put('/api/commands/:id', async (req, res) => {
       });
     }
     
-    const success = await updateCommand(db, id, updates);
+    if (updates.arguments !== undefined) {
+      const argumentErrors = validateArguments(updates.arguments);
+      if (argumentErrors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid arguments',
+          argument_errors: argumentErrors
+        });
+      }
+    }
+    
+    if (updates.related_commands !== undefined) {
+      const relatedErrors = validateRelatedCommands(db, id, updates.related_commands);
+      if (relatedErrors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid related_commands',
+          related_errors: relatedErrors
+        });
+      }
+    }
+    
+    const success = await updateCommand(db, id, updates, { actor: actorFrom(req) });
     
     if (!success) {
       return res.status(404).json({
@@ -170,7 +376,7 @@ app.delete('/api/commands/:id', async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
-    const success = deleteCommand(db, id);
+    const success = deleteCommand(db, id, { actor: actorFrom(req) });
     
     if (!success) {
       return res.status(404).json({
@@ -181,7 +387,7 @@ app.delete('/api/commands/:id', async (req, res) => {
     
     res.json({
       status: 'success',
-      message: 'Command deleted successfully',
+      message: 'Command moved to trash',
       id
     });
   } catch (error) {
@@ -194,8 +400,8 @@ app.delete('/api/commands/:id', async (req, res) => {
   }
 });
 
-// Get command by ID
-app.get('/api/commands/:id', (req, res) => {
+// Get command by ID (numeric only, so /api/commands/export and /duplicates reach their handlers)
+app.get('/api/commands/:id(\\d+)', (req, res) => {
   try {
     const id = parseInt(req.params.id);
     
@@ -240,12 +446,26 @@ app.get('/api/commands', (req, res) => {
     if (req.query.keyword) filters.keyword = req.query.keyword;
     if (req.query.version) filters.version = req.query.version;
     
-    const commands = listCommands(db, filters);
+    const page = listCommandsPage(db, filters, pageOptionsFromQuery(req.query));
+    
+    if (page.error) {
+      return res.status(400).json({
+        status: 'error',
+        reason: page.reason,
+        message: page.message
+      });
+    }
     
     res.json({
       status: 'success',
-      commands,
-      count: commands.length,
+      commands: page.commands,
+      count: page.count,
+      total: page.total,
+      offset: page.offset,
+      limit: page.limit,
+      sort: page.sort,
+      order: page.order,
+      next_cursor: page.next_cursor,
       filters
     });
   } catch (error) {
@@ -274,7 +494,7 @@ app.post('/api/commands/bulk', async (req, res) => {
       });
     }
     
-    const results = await bulkAddCommands(db, commands);
+    const results = await bulkAddCommands(db, commands, { actor: actorFrom(req) });
     
     res.json({
       status: 'success',
@@ -304,12 +524,43 @@ app.get('/api/commands/export', (req, res) => {
     }
     if (req.query.version) filters.version = req.query.version;
     
-    const commands = exportCommandsJSON(db, filters);
+    const format = req.query.format || 'json';
+    
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid format '${format}' (expected one of ${EXPORT_FORMATS.join(', ')})`
+      });
+    }
+    
+    const page = exportCommandsJSON(db, filters, pageOptionsFromQuery(req.query));
+    
+    if (page.error) {
+      return res.status(400).json({
+        status: 'error',
+        reason: page.reason,
+        message: page.message
+      });
+    }
+    
+    // Text formats are sent as-is; paging information goes in headers
+    if (format !== 'json') {
+      res.set('Content-Type', `${FORMAT_CONTENT_TYPES[format]}; charset=utf-8`);
+      res.set('X-Total-Count', String(page.total));
+      if (page.next_cursor) res.set('X-Next-Cursor', page.next_cursor);
+      return res.send(serializeCommands(page.commands, format));
+    }
     
     res.json({
       status: 'success',
-      commands,
-      count: commands.length,
+      commands: page.commands,
+      count: page.count,
+      total: page.total,
+      offset: page.offset,
+      limit: page.limit,
+      sort: page.sort,
+      order: page.order,
+      next_cursor: page.next_cursor,
       filters
     });
   } catch (error) {
@@ -325,7 +576,28 @@ app.get('/api/commands/export', (req, res) => {
 // Import commands from JSON
 app.post('/api/commands/import', async (req, res) => {
   try {
-    const { commands, skip_duplicates = true } = req.body;
+    const { skip_duplicates = true, strategy, match_by, dry_run = false, format = 'json', data } = req.body;
+    let { commands } = req.body;
+    
+    // Non-JSON formats arrive as text in data
+    if (data !== undefined) {
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Invalid format '${format}' (expected one of ${EXPORT_FORMATS.join(', ')})`
+        });
+      }
+      
+      try {
+        commands = parseCommands(data, format);
+      } catch (error) {
+        return res.status(400).json({
+          status: 'error',
+          reason: 'parse_error',
+          message: `Could not parse ${format}: ${error.message}`
+        });
+      }
+    }
     
     if (!Array.isArray(commands) || commands.length === 0) {
       return res.status(400).json({
@@ -334,11 +606,24 @@ app.post('/api/commands/import', async (req, res) => {
       });
     }
     
-    const results = await importCommandsJSON(db, commands, skip_duplicates);
+    const results = await importCommandsJSON(db, commands, skip_duplicates, {
+      strategy,
+      match_by,
+      dry_run,
+      actor: actorFrom(req)
+    });
+    
+    if (results.error) {
+      return res.status(400).json({
+        status: 'error',
+        reason: results.reason,
+        message: results.message
+      });
+    }
     
     res.json({
       status: 'success',
-      message: `Import complete: ${results.added.length} added, ${results.skipped.length} skipped, ${results.errors.length} errors`,
+      message: `Import ${dry_run ? 'dry run ' : ''}complete: ${results.added.length} added, ${results.updated.length} updated, ${results.unchanged.length} unchanged, ${results.skipped.length} skipped, ${results.errors.length} errors`,
       results
     });
   } catch (error) {
@@ -373,7 +658,9 @@ app.get('/api/stats', (req, res) => {
 // Rebuild all embeddings
 app.post('/api/embeddings/rebuild', async (req, res) => {
   try {
-    const results = await rebuildAllEmbeddings(db);
+    const only_affected = Boolean(req.body && req.body.only_affected);
+    
+    const results = await rebuildAllEmbeddings(db, { only_affected });
     
     res.json({
       status: 'success',
@@ -467,7 +754,8 @@ app.post('/api/restore', async (req, res) => {
     const success = restoreBackup(db, backup_file);
     
     // Reinitialize database after restore
-    db = initDatabase('./commands.db');
+    db = initDatabase(getConfig().database.path);
+    buildVectorIndex(db);
     
     res.json({
       status: 'success',
@@ -500,6 +788,22 @@ app.post('/api/commands/search/advanced', async (req, res) => {
       });
     }
     
+    if (searchParams.search_mode && !SEARCH_MODES.includes(searchParams.search_mode)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `search_mode must be one of ${SEARCH_MODES.join(', ')}`
+      });
+    }
+    
+    const ranking = parseRankingOptions(searchParams);
+    
+    if (ranking.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: ranking.message
+      });
+    }
+    
     const results = await advancedSearch(db, searchParams);
     
     res.json({
@@ -561,7 +865,7 @@ app.get('/api/categories/:name/stats', (req, res) => {
 });
 
 // Rename category
-app.put('/api/categories/:name/rename', (req, res) => {
+app.put('/api/categories/:name/rename', async (req, res) => {
   try {
     const oldName = req.params.name;
     const { new_name } = req.body;
@@ -573,7 +877,7 @@ app.put('/api/categories/:name/rename', (req, res) => {
       });
     }
     
-    const count = renameCategory(db, oldName, new_name);
+    const count = await renameCategory(db, oldName, new_name, { actor: actorFrom(req) });
     
     res.json({
       status: 'success',
@@ -613,6 +917,51 @@ app.get('/api/commands/duplicates', (req, res) => {
   }
 });
 
+// Commands valid on a given release
+app.get('/api/commands/compatible', (req, res) => {
+  try {
+    const { version, category, mode, device } = req.query;
+    
+    if (!version) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'version is required'
+      });
+    }
+    
+    const filters = { category, mode, device };
+    if (req.query.deprecated !== undefined) filters.deprecated = req.query.deprecated === 'true';
+    if (req.query.include_unversioned !== undefined) filters.include_unversioned = req.query.include_unversioned === 'true';
+    
+    const result = getCompatibleCommands(db, version, filters);
+    
+    if (result.error) {
+      return res.status(400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      version: result.version,
+      commands: result.commands,
+      count: result.count,
+      incompatible_count: result.incompatible_count,
+      unversioned_count: result.unversioned_count,
+      unparseable: result.unparseable
+    });
+  } catch (error) {
+    console.error('Compatibility query error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
 // Validate database
 app.get('/api/maintenance/validate', (req, res) => {
   try {
@@ -651,30 +1000,1242 @@ app.post('/api/maintenance/optimize', (req, res) => {
   }
 });
 
+// Convert stored embeddings to another storage format
+app.post('/api/maintenance/migrate-embeddings', (req, res) => {
+  try {
+    const { format } = req.body;
+    
+    if (format && !EMBEDDING_FORMATS.includes(format)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `format must be one of ${EMBEDDING_FORMATS.join(', ')}`
+      });
+    }
+    
+    const results = migrateEmbeddingStorage(db, format);
+    
+    res.json({
+      status: 'success',
+      message: `Migrated ${results.converted} embeddings to ${results.format}`,
+      results
+    });
+  } catch (error) {
+    console.error('Migrate embeddings error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
 // ============================================================================
-// SERVER INITIALIZATION
+// ARGUMENT TEMPLATES
 // ============================================================================
 
-// Initialize and start server
-async function main() {
+// Render command line from an argument variant and placeholder values
+app.post('/api/commands/:id/render', (req, res) => {
   try {
-    console.log('📄 Initializing database...');
-    db = initDatabase('./commands.db');
-    console.log('✓ Database initialized successfully');
+    const id = parseInt(req.params.id);
+    const { variant, values = {}, change_request_id } = req.body;
+    
+    const result = renderCommand(db, id, variant, values, change_request_id);
+    
+    if (result.error) {
+      return res.status(result.reason === 'not_found' ? 404 : 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message,
+        value_errors: result.value_errors,
+        params: result.params
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      id: result.id,
+      variant: result.variant,
+      command_line: result.command_line,
+      requires_approval: result.command.requires_approval,
+      withheld: Boolean(result.withheld),
+      message: result.message
+    });
+  } catch (error) {
+    console.error('Render command error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// ============================================================================
+// REMOTE EXECUTION
+// ============================================================================
+
+const EXECUTE_ERROR_STATUS = {
+  not_found: 404,
+  not_executable: 403,
+  mode_mismatch: 403,
+  unknown_target: 400,
+  unknown_variant: 400,
+  invalid_values: 400,
+  justification_required: 400,
+  requester_required: 400,
+  invalid_expiry: 400,
+  not_approved: 403,
+  change_request_mismatch: 403
+};
+
+// List configured SSH targets
+app.get('/api/targets', (req, res) => {
+  try {
+    const targets = listTargets();
+    
+    res.json({
+      status: 'success',
+      targets,
+      count: targets.length
+    });
+  } catch (error) {
+    console.error('List targets error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Execute command on a target over SSH
+app.post('/api/commands/:id/execute', requireToken, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { target, variant, values, change_request_id, justification, requested_by, expires_in_hours } = req.body;
+    
+    if (!target) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'target is required'
+      });
+    }
+    
+    const result = await executeCommand(db, id, {
+      target,
+      variant,
+      values,
+      change_request_id,
+      justification,
+      // Authenticated callers request changes as their token's actor
+      requested_by: req.actor || requested_by,
+      expires_in_hours
+    });
+    
+    if (result.error) {
+      return res.status(EXECUTE_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message,
+        value_errors: result.value_errors
+      });
+    }
+    
+    if (result.pending_approval) {
+      return res.status(202).json({
+        status: 'pending_approval',
+        message: `Command requires approval: change request ${result.change_request.id} created`,
+        change_request: result.change_request
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      id: result.id,
+      target: result.target,
+      mode: result.mode,
+      command_line: result.command_line,
+      stdout: result.stdout,
+      stderr: result.stderr,
+      exit_code: result.exit_code,
+      signal: result.signal,
+      change_request_id: result.change_request_id
+    });
+  } catch (error) {
+    console.error('Execute command error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// ============================================================================
+// CHANGE REQUESTS
+// ============================================================================
+
+const REVIEW_ERROR_STATUS = {
+  not_found: 404,
+  not_pending: 409,
+  reviewer_required: 400,
+  self_review: 403
+};
+
+// List change requests
+app.get('/api/change-requests', requireToken, (req, res) => {
+  try {
+    const filters = {};
+    
+    if (req.query.status) filters.status = req.query.status;
+    if (req.query.command_id) filters.command_id = parseInt(req.query.command_id);
+    
+    const changeRequests = listChangeRequests(db, filters);
+    
+    res.json({
+      status: 'success',
+      change_requests: changeRequests,
+      count: changeRequests.length,
+      filters
+    });
+  } catch (error) {
+    console.error('List change requests error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Get change request by ID
+app.get('/api/change-requests/:id', requireToken, (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    
+    const changeRequest = getChangeRequest(db, id);
+    
+    if (!changeRequest) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Change request with ID ${id} not found`
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      change_request: changeRequest
+    });
+  } catch (error) {
+    console.error('Get change request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Approve change request
+app.post('/api/change-requests/:id/approve', requireToken, (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { comment } = req.body;
+    
+    // The reviewer is the token's actor, never a name sent in the body
+    if (!req.actor) {
+      return res.status(401).json({
+        status: 'error',
+        reason: 'authentication_required',
+        message: 'Reviewing a change request requires api.auth_tokens: the reviewer is the bearer token\'s actor'
+      });
+    }
+    
+    const result = approveChangeRequest(db, id, req.actor, comment);
+    
+    if (result.error) {
+      return res.status(REVIEW_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      message: `Change request ${id} approved`,
+      change_request: result.change_request
+    });
+  } catch (error) {
+    console.error('Approve change request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Reject change request
+app.post('/api/change-requests/:id/reject', requireToken, (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { comment } = req.body;
+    
+    // The reviewer is the token's actor, never a name sent in the body
+    if (!req.actor) {
+      return res.status(401).json({
+        status: 'error',
+        reason: 'authentication_required',
+        message: 'Reviewing a change request requires api.auth_tokens: the reviewer is the bearer token\'s actor'
+      });
+    }
+    
+    const result = rejectChangeRequest(db, id, req.actor, comment);
+    
+    if (result.error) {
+      return res.status(REVIEW_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      message: `Change request ${id} rejected`,
+      change_request: result.change_request
+    });
+  } catch (error) {
+    console.error('Reject change request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// ============================================================================
+// REVISION HISTORY
+// ============================================================================
+
+const REVISION_ERROR_STATUS = {
+  not_found: 404,
+  invalid_revision: 400,
+  duplicate: 409
+};
+
+// List revision history of a command
+app.get('/api/commands/:id/revisions', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    
+    const revisions = listCommandRevisions(db, id);
+    
+    res.json({
+      status: 'success',
+      command_id: id,
+      revisions,
+      count: revisions.length
+    });
+  } catch (error) {
+    console.error('List revisions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// List revisions of every command recorded after a given revision (change feed)
+app.get('/api/revisions', (req, res) => {
+  try {
+    const after = req.query.after === undefined ? undefined : parseInt(req.query.after);
+    
+    if (after !== undefined && !Number.isInteger(after)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'after must be a revision ID'
+      });
+    }
+    
+    const result = listRevisionsSince(db, after);
+    
+    res.json({
+      status: 'success',
+      ...result,
+      count: result.revisions.length
+    });
+  } catch (error) {
+    console.error('List revisions since error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Diff two revisions (or show what a single revision changed)
+app.get('/api/commands/:id/revisions/diff', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const from = parseInt(req.query.from);
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : undefined;
+    
+    if (!Number.isInteger(from)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'from (revision ID) is required'
+      });
+    }
+    
+    const result = diffRevisions(db, id, from, to);
+    
+    if (result.error) {
+      return res.status(REVISION_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      command_id: result.command_id,
+      from_revision: result.from_revision,
+      to_revision: result.to_revision,
+      changes: result.changes
+    });
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Revert a command to the state after a revision
+app.post('/api/commands/:id/revert', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { revision_id } = req.body;
+    
+    if (!Number.isInteger(revision_id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'revision_id is required'
+      });
+    }
+    
+    const result = await revertCommand(db, id, revision_id, { actor: actorFrom(req) });
+    
+    if (result.error) {
+      return res.status(REVISION_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      message: `Command ${id} reverted to revision ${revision_id}`,
+      revision_id: result.revision_id,
+      restored: result.restored,
+      trashed: result.trashed,
+      command: result.command
+    });
+  } catch (error) {
+    console.error('Revert command error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// ============================================================================
+// TRASH
+// ============================================================================
+
+const TRASH_ERROR_STATUS = {
+  not_found: 404,
+  duplicate: 409,
+  invalid_age: 400
+};
+
+// List commands in the trash
+app.get('/api/trash', (req, res) => {
+  try {
+    const trash = listTrash(db);
+    
+    res.json({
+      status: 'success',
+      commands: trash,
+      count: trash.length
+    });
+  } catch (error) {
+    console.error('List trash error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Restore a command from the trash
+app.post('/api/trash/:id/restore', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    
+    const result = restoreFromTrash(db, id, { actor: actorFrom(req) });
+    
+    if (result.error) {
+      return res.status(TRASH_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      message: `Command ${id} restored from trash`,
+      command: result.command
+    });
+  } catch (error) {
+    console.error('Restore from trash error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Permanently delete commands from the trash
+app.post('/api/trash/purge', (req, res) => {
+  try {
+    const { id, older_than_days } = req.body;
+    
+    const result = purgeTrash(db, { id, older_than_days, actor: actorFrom(req) });
+    
+    if (result.error) {
+      return res.status(TRASH_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      message: `Purged ${result.count} commands from the trash`,
+      purged: result.purged,
+      count: result.count
+    });
+  } catch (error) {
+    console.error('Purge trash error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// ============================================================================
+// DOCUMENTATION IMPORT (STAGING)
+// ============================================================================
+
+const STAGING_ERROR_STATUS = {
+  not_found: 404,
+  not_pending: 409,
+  empty_document: 400,
+  invalid_format: 400,
+  no_commands: 422
+};
+
+// Extract commands from a documentation file or uploaded document and stage them
+app.post('/api/import/docs', (req, res) => {
+  try {
+    const { path, content, format, source, category, version, device } = req.body;
+    let text = content;
+    let documentSource = source;
+    
+    if (path) {
+      const file = readDocumentationFile(path);
+      if (file.error) {
+        return res.status(400).json({
+          status: 'error',
+          reason: 'file_error',
+          message: file.message
+        });
+      }
+      text = file.text;
+      documentSource = source || file.source;
+    }
+    
+    if (typeof text !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Either path or content is required'
+      });
+    }
+    
+    const result = stageDocumentation(db, text, {
+      format,
+      source: documentSource,
+      category,
+      version,
+      device,
+      actor: actorFrom(req)
+    });
+    
+    if (result.error) {
+      return res.status(STAGING_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      message: `Staged ${result.count} commands for review (batch ${result.batch_id})`,
+      batch_id: result.batch_id,
+      title: result.title,
+      format: result.format,
+      staged: result.staged,
+      count: result.count
+    });
+  } catch (error) {
+    console.error('Documentation import error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// List staged commands
+app.get('/api/import/staging', (req, res) => {
+  try {
+    const { status, batch_id } = req.query;
+    const staged = listStagedCommands(db, { status, batch_id });
+    
+    res.json({
+      status: 'success',
+      staged,
+      count: staged.length
+    });
+  } catch (error) {
+    console.error('List staged commands error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Get a staged command
+app.get('/api/import/staging/:id(\\d+)', (req, res) => {
+  try {
+    const staged = getStagedCommand(db, parseInt(req.params.id));
+    
+    if (!staged) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Staged command not found'
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      staged
+    });
+  } catch (error) {
+    console.error('Get staged command error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Edit a pending staged command
+app.put('/api/import/staging/:id(\\d+)', (req, res) => {
+  try {
+    const result = updateStagedCommand(db, parseInt(req.params.id), req.body);
+    
+    if (result.error) {
+      return res.status(STAGING_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      message: 'Staged command updated',
+      staged: result.staged
+    });
+  } catch (error) {
+    console.error('Update staged command error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Insert staged commands into the database
+app.post('/api/import/staging/approve', async (req, res) => {
+  try {
+    const { ids, defaults } = req.body;
+    
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'ids must be a non-empty array'
+      });
+    }
+    
+    const result = await approveStagedCommands(db, ids, { defaults, actor: actorFrom(req) });
+    
+    res.json({
+      status: 'success',
+      message: `${result.approved.length} staged commands approved, ${result.failed.length} failed`,
+      approved: result.approved,
+      failed: result.failed
+    });
+  } catch (error) {
+    console.error('Approve staged commands error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Reject staged commands
+app.post('/api/import/staging/reject', (req, res) => {
+  try {
+    const { ids } = req.body;
+    
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'ids must be a non-empty array'
+      });
+    }
+    
+    const result = rejectStagedCommands(db, ids, { actor: actorFrom(req) });
+    
+    res.json({
+      status: 'success',
+      message: `${result.rejected.length} staged commands rejected, ${result.failed.length} failed`,
+      rejected: result.rejected,
+      failed: result.failed
+    });
+  } catch (error) {
+    console.error('Reject staged commands error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// ============================================================================
+// RELATED COMMANDS GRAPH
+// ============================================================================
+
+const RELATION_ERROR_STATUS = {
+  not_found: 404,
+  invalid_relation: 400,
+  invalid_depth: 400
+};
+
+// Neighbourhood of a command up to a depth
+app.get('/api/commands/:id(\\d+)/graph', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const options = {};
+    if (req.query.depth !== undefined) options.depth = Number(req.query.depth);
+    if (req.query.types) options.types = req.query.types.split(',').map(type => type.trim()).filter(Boolean);
+    
+    const result = getRelatedGraph(db, id, options);
+    
+    if (result.error) {
+      return res.status(RELATION_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      root_id: result.root_id,
+      depth: result.depth,
+      nodes: result.nodes,
+      edges: result.edges
+    });
+  } catch (error) {
+    console.error('Related graph error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Link two commands
+app.post('/api/commands/:id(\\d+)/relations', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { target_id, type = 'see_also' } = req.body;
+    
+    if (!Number.isInteger(target_id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'target_id must be a command ID'
+      });
+    }
+    
+    const result = linkCommands(db, id, target_id, type, { actor: actorFrom(req) });
+    
+    if (result.error) {
+      return res.status(RELATION_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      message: result.created
+        ? `Command ${id} linked to ${target_id} (${type})`
+        : `Command ${id} was already linked to ${target_id} (${type})`,
+      created: result.created,
+      relation: result.relation
+    });
+  } catch (error) {
+    console.error('Link commands error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Unlink two commands (all relation types unless ?type= is given)
+app.delete('/api/commands/:id(\\d+)/relations/:targetId(\\d+)', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const targetId = parseInt(req.params.targetId);
+    
+    const result = unlinkCommands(db, id, targetId, { type: req.query.type, actor: actorFrom(req) });
+    
+    if (result.error) {
+      return res.status(RELATION_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      message: `Command ${id} unlinked from ${targetId}`,
+      removed: result.removed
+    });
+  } catch (error) {
+    console.error('Unlink commands error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// ============================================================================
+// RUNBOOKS
+// ============================================================================
+
+const RUNBOOK_ERROR_STATUS = {
+  not_found: 404,
+  duplicate: 409,
+  invalid_runbook: 400
+};
+
+// List runbooks
+app.get('/api/runbooks', (req, res) => {
+  try {
+    const runbooks = listRunbooks(db, { category: req.query.category });
+    
+    res.json({
+      status: 'success',
+      runbooks,
+      count: runbooks.length
+    });
+  } catch (error) {
+    console.error('List runbooks error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Get runbook with its steps
+app.get('/api/runbooks/:id(\\d+)', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const runbook = getRunbook(db, id);
+    
+    if (!runbook) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Runbook with ID ${id} not found`
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      runbook
+    });
+  } catch (error) {
+    console.error('Get runbook error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Create runbook
+app.post('/api/runbooks', async (req, res) => {
+  try {
+    const result = await createRunbook(db, req.body, { actor: actorFrom(req) });
+    
+    if (result.error) {
+      return res.status(RUNBOOK_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message,
+        step_errors: result.step_errors,
+        existing_runbook_id: result.existing_runbook_id
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      message: 'Runbook created successfully',
+      runbook: result.runbook
+    });
+  } catch (error) {
+    console.error('Create runbook error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Update runbook (steps, when given, replace the existing ones)
+app.put('/api/runbooks/:id(\\d+)', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const result = await updateRunbook(db, id, req.body);
+    
+    if (result.error) {
+      return res.status(RUNBOOK_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message,
+        step_errors: result.step_errors
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      message: 'Runbook updated successfully',
+      runbook: result.runbook
+    });
+  } catch (error) {
+    console.error('Update runbook error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Delete runbook
+app.delete('/api/runbooks/:id(\\d+)', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (!deleteRunbook(db, id)) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Runbook with ID ${id} not found`
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      message: 'Runbook deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete runbook error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// ============================================================================
+// PROMPTS
+// ============================================================================
+
+const PROMPT_ERROR_STATUS = {
+  not_found: 404,
+  duplicate: 409,
+  builtin: 409,
+  invalid_prompt: 400,
+  missing_arguments: 400
+};
+
+// List prompts
+app.get('/api/prompts', (req, res) => {
+  try {
+    const prompts = listPrompts(db);
+    
+    res.json({
+      status: 'success',
+      prompts,
+      count: prompts.length
+    });
+  } catch (error) {
+    console.error('List prompts error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Get prompt definition
+app.get('/api/prompts/:name', (req, res) => {
+  try {
+    const prompt = getPrompt(db, req.params.name);
+    
+    if (!prompt) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Prompt '${req.params.name}' not found`
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      prompt
+    });
+  } catch (error) {
+    console.error('Get prompt error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Create prompt
+app.post('/api/prompts', (req, res) => {
+  try {
+    const result = createPrompt(db, req.body, { actor: actorFrom(req) });
+    
+    if (result.error) {
+      return res.status(PROMPT_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message,
+        prompt_errors: result.prompt_errors
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      message: 'Prompt created successfully',
+      prompt: result.prompt
+    });
+  } catch (error) {
+    console.error('Create prompt error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Update prompt
+app.put('/api/prompts/:name', (req, res) => {
+  try {
+    const result = updatePrompt(db, req.params.name, req.body);
+    
+    if (result.error) {
+      return res.status(PROMPT_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message,
+        prompt_errors: result.prompt_errors
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      message: 'Prompt updated successfully',
+      prompt: result.prompt
+    });
+  } catch (error) {
+    console.error('Update prompt error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Delete prompt
+app.delete('/api/prompts/:name', (req, res) => {
+  try {
+    const result = deletePrompt(db, req.params.name);
+    
+    if (result.error) {
+      return res.status(PROMPT_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      message: 'Prompt deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete prompt error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Render prompt messages with command references
+app.post('/api/prompts/:name/render', async (req, res) => {
+  try {
+    const result = await renderPrompt(db, req.params.name, req.body.arguments || {});
+    
+    if (result.error) {
+      return res.status(PROMPT_ERROR_STATUS[result.reason] || 400).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      description: result.description,
+      messages: result.messages,
+      command_ids: result.command_ids
+    });
+  } catch (error) {
+    console.error('Render prompt error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// ============================================================================
+// SERVER INITIALIZATION
+// ============================================================================
+
+// Initialize and start server
+async function main() {
+  try {
+    const config = loadConfig({ argv: process.argv.slice(2), flags: API_FLAGS });
+    console.log(`⚙️  Configuration: ${config.meta.config_file || 'defaults and environment'}`);
+    
+    // Remote execution must not be reachable anonymously from the network
+    if (!LOOPBACK_HOSTS.includes(config.api.host) && !config.api.auth_tokens) {
+      throw new Error(`api.auth_tokens (API_AUTH_TOKENS) is required to listen on ${config.api.host}; without it only ${LOOPBACK_HOSTS.join(', ')} are allowed`);
+    }
+    if (config.api.auth_tokens) {
+      verifyToken = createTokenVerifier(config.api.auth_tokens);
+    }
+    
+    console.log('📄 Initializing database...');
+    db = initDatabase(config.database.path);
+    console.log('✓ Database initialized successfully');
+    
+    const index = buildVectorIndex(db);
+    console.log(`✓ Vector index ready: ${index.commands.size} commands, ${index.variants.size} argument variants`);
+    
+    const embeddings = describeEmbeddingProvider();
+    console.log(`🧠 Embedding provider: ${embeddings.provider} (${embeddings.model})`);
     
-    app.listen(PORT, () => {
-      console.log(`🚀 Checkpoint Commands API Server running on http://localhost:${PORT}`);
-      console.log(`📊 Health check: http://localhost:${PORT}/health`);
+    app.listen(config.api.port, config.api.host, () => {
+      console.log(`🚀 Checkpoint Commands API Server running on http://${config.api.host}:${config.api.port}`);
+      console.log(`📊 Health check: http://${config.api.host}:${config.api.port}/health`);
+      console.log(`🔐 Execute and change request routes: ${verifyToken ? `bearer token (${countActors(config.api.auth_tokens)} actors)` : 'no authentication (loopback only)'}`);
       console.log(`📚 API Documentation:`);
+      console.log(`   - GET /api/config - Effective configuration (secrets redacted)`);
       console.log(`   - POST /api/commands/search - Search commands`);
       console.log(`   - POST /api/commands - Add command`);
       console.log(`   - PUT /api/commands/:id - Update command`);
-      console.log(`   - DELETE /api/commands/:id - Delete command`);
+      console.log(`   - DELETE /api/commands/:id - Move command to trash`);
       console.log(`   - GET /api/commands/:id - Get command by ID`);
-      console.log(`   - GET /api/commands - List commands (filters: category, mode, device, deprecated, regex, keyword, version)`);
+      console.log(`   - GET /api/commands - List commands (filters: category, mode, device, deprecated, regex, keyword, version; paging: limit, offset, cursor, sort, order, fields)`);
       console.log(`   - POST /api/commands/bulk - Bulk add commands`);
-      console.log(`   - GET /api/commands/export - Export to JSON`);
-      console.log(`   - POST /api/commands/import - Import from JSON`);
+      console.log(`   - GET /api/commands/export - Export (format: json, csv, yaml, markdown; paging: limit, offset, cursor, sort, order, fields)`);
+      console.log(`   - POST /api/commands/import - Import (commands array, or data text with format: json, csv, yaml, markdown)`);
       console.log(`   - GET /api/stats - Database statistics`);
       console.log(`   - POST /api/embeddings/rebuild - Rebuild all embeddings`);
       console.log(`   - POST /api/embeddings/rebuild/:id - Rebuild embedding by ID`);
@@ -686,8 +2247,44 @@ async function main() {
       console.log(`   - GET /api/categories/:name/stats - Category stats`);
       console.log(`   - PUT /api/categories/:name/rename - Rename category`);
       console.log(`   - GET /api/commands/duplicates - Find duplicates`);
+      console.log(`   - GET /api/commands/compatible?version= - Commands valid on a release`);
+      console.log(`   - GET /api/commands/:id/graph?depth=&types= - Related commands graph`);
+      console.log(`   - POST /api/commands/:id/relations - Link commands (${RELATION_TYPES.join(', ')})`);
+      console.log(`   - DELETE /api/commands/:id/relations/:targetId - Unlink commands`);
       console.log(`   - GET /api/maintenance/validate - Validate database`);
       console.log(`   - POST /api/maintenance/optimize - Optimize database`);
+      console.log(`   - POST /api/maintenance/migrate-embeddings - Convert embedding storage format`);
+      console.log(`   - POST /api/commands/:id/render - Render command line from argument template`);
+      console.log(`   - GET /api/targets - List SSH targets`);
+      console.log(`   - POST /api/commands/:id/execute - Execute command over SSH`);
+      console.log(`   - GET /api/change-requests - List change requests (filters: status, command_id)`);
+      console.log(`   - GET /api/change-requests/:id - Get change request`);
+      console.log(`   - POST /api/change-requests/:id/approve - Approve change request`);
+      console.log(`   - POST /api/change-requests/:id/reject - Reject change request`);
+      console.log(`   - GET /api/commands/:id/revisions - Revision history`);
+      console.log(`   - GET /api/commands/:id/revisions/diff?from=&to= - Diff revisions`);
+      console.log(`   - POST /api/commands/:id/revert - Revert to a revision`);
+      console.log(`   - GET /api/revisions - Revisions of every command after ?after=<revision ID>`);
+      console.log(`   - GET /api/trash - List commands in the trash`);
+      console.log(`   - POST /api/trash/:id/restore - Restore a command from the trash`);
+      console.log(`   - POST /api/trash/purge - Permanently delete trashed commands`);
+      console.log(`   - POST /api/import/docs - Stage commands from a documentation file (path) or document (content)`);
+      console.log(`   - GET /api/import/staging - List staged commands (filters: status, batch_id)`);
+      console.log(`   - GET /api/import/staging/:id - Get staged command`);
+      console.log(`   - PUT /api/import/staging/:id - Edit staged command`);
+      console.log(`   - POST /api/import/staging/approve - Insert staged commands`);
+      console.log(`   - POST /api/import/staging/reject - Reject staged commands`);
+      console.log(`   - GET /api/runbooks - List runbooks (filter: category)`);
+      console.log(`   - POST /api/runbooks - Create runbook`);
+      console.log(`   - GET /api/runbooks/:id - Get runbook with its steps`);
+      console.log(`   - PUT /api/runbooks/:id - Update runbook`);
+      console.log(`   - DELETE /api/runbooks/:id - Delete runbook`);
+      console.log(`   - GET /api/prompts - List prompts`);
+      console.log(`   - POST /api/prompts - Create prompt`);
+      console.log(`   - GET /api/prompts/:name - Get prompt`);
+      console.log(`   - PUT /api/prompts/:name - Update prompt`);
+      console.log(`   - DELETE /api/prompts/:name - Delete prompt`);
+      console.log(`   - POST /api/prompts/:name/render - Render prompt messages`);
     });
   } catch (error) {
     console.error('❌ Fatal error:', error);
@@ -0,0 +1,210 @@
+// arguments.js
+// Typed argument templates: placeholder parsing, validation and rendering
+//
+// An argument variant is {"args": "...", "description": "...", "params": [...]}.
+// Placeholders in args are written as <name> and typed by declaring them in
+// params: [{"name": "peer_ip", "type": "ip", "description": "..."}].
+// Undeclared placeholders (free-form args written before typed params existed,
+// e.g. "debug -m <module>") are treated as untyped strings.
+
+import { isIP } from 'net';
+
+export const PARAM_TYPES = ['ip', 'interface', 'integer', 'enum', 'string'];
+
+const PLACEHOLDER_REGEX = /<([A-Za-z_][A-Za-z0-9_]*)>/g;
+const INTERFACE_REGEX = /^[A-Za-z][A-Za-z0-9._:-]*$/;
+const DEFAULT_STRING_REGEX = /^[A-Za-z0-9._:\/@=-]+$/;
+
+/**
+ * Extract placeholder names from an args template
+ * @param {string} args - Args template (e.g., "tu del <peer_ip>")
+ * @returns {string[]} Placeholder names in order of appearance
+ */
+export function extractPlaceholders(args) {
+  const names = [];
+  for (const match of (args || '').matchAll(PLACEHOLDER_REGEX)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Validate the definition of a single placeholder parameter
+ * @param {Object} param - Parameter definition
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateParamDefinition(param) {
+  const problems = [];
+
+  if (!param || typeof param.name !== 'string' || !param.name) {
+    return ['parameter without a name'];
+  }
+
+  if (!PARAM_TYPES.includes(param.type)) {
+    problems.push(`parameter '${param.name}' has unknown type '${param.type}' (expected one of ${PARAM_TYPES.join(', ')})`);
+  }
+
+  if (param.type === 'enum' && (!Array.isArray(param.values) || param.values.length === 0)) {
+    problems.push(`enum parameter '${param.name}' needs a non-empty values array`);
+  }
+
+  if (param.type === 'integer') {
+    if (param.min !== undefined && !Number.isInteger(param.min)) {
+      problems.push(`integer parameter '${param.name}' has a non-integer min`);
+    }
+    if (param.max !== undefined && !Number.isInteger(param.max)) {
+      problems.push(`integer parameter '${param.name}' has a non-integer max`);
+    }
+    if (Number.isInteger(param.min) && Number.isInteger(param.max) && param.min > param.max) {
+      problems.push(`integer parameter '${param.name}' has min greater than max`);
+    }
+  }
+
+  if (param.type === 'string' && param.pattern !== undefined) {
+    try {
+      new RegExp(param.pattern);
+    } catch (error) {
+      problems.push(`string parameter '${param.name}' has an invalid pattern: ${error.message}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validate an arguments array (argument variants with typed placeholders)
+ * @param {Array} variants - Arguments array
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateArguments(variants) {
+  if (variants === undefined || variants === null) return [];
+
+  if (!Array.isArray(variants)) {
+    return ['arguments must be an array'];
+  }
+
+  const problems = [];
+
+  variants.forEach((variant, index) => {
+    const label = `arguments[${index}]`;
+
+    if (!variant || typeof variant !== 'object' || typeof variant.args !== 'string') {
+      problems.push(`${label}: 'args' must be a string`);
+      return;
+    }
+
+    const params = variant.params || [];
+
+    if (!Array.isArray(params)) {
+      problems.push(`${label}: 'params' must be an array`);
+      return;
+    }
+
+    const declared = new Set();
+    for (const param of params) {
+      for (const problem of validateParamDefinition(param)) {
+        problems.push(`${label}: ${problem}`);
+      }
+      if (param && param.name) {
+        if (declared.has(param.name)) {
+          problems.push(`${label}: parameter '${param.name}' declared twice`);
+        }
+        declared.add(param.name);
+      }
+    }
+
+    const placeholders = extractPlaceholders(variant.args);
+
+    for (const name of declared) {
+      if (!placeholders.includes(name)) {
+        problems.push(`${label}: parameter '${name}' does not appear in args`);
+      }
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Validate a value against a parameter definition
+ * @param {Object} param - Parameter definition
+ * @param {*} value - Value to check
+ * @returns {string|null} Problem description or null when valid
+ */
+export function validateParamValue(param, value) {
+  const text = String(value);
+
+  switch (param.type) {
+    case 'ip':
+      return isIP(text) ? null : `'${text}' is not a valid IP address`;
+
+    case 'interface':
+      return INTERFACE_REGEX.test(text) ? null : `'${text}' is not a valid interface name`;
+
+    case 'integer': {
+      if (!/^-?\d+$/.test(text)) return `'${text}' is not an integer`;
+      const number = parseInt(text, 10);
+      if (param.min !== undefined && number < param.min) return `${number} is below the minimum ${param.min}`;
+      if (param.max !== undefined && number > param.max) return `${number} is above the maximum ${param.max}`;
+      return null;
+    }
+
+    case 'enum':
+      return param.values.map(String).includes(text)
+        ? null
+        : `'${text}' is not one of ${param.values.join(', ')}`;
+
+    case 'string': {
+      const regex = param.pattern ? new RegExp(`^(?:${param.pattern})$`) : DEFAULT_STRING_REGEX;
+      return regex.test(text) ? null : `'${text}' does not match the allowed format`;
+    }
+
+    default:
+      return `unknown parameter type '${param.type}'`;
+  }
+}
+
+/**
+ * Render an argument variant into a full command line
+ * @param {string} command - Base command (e.g., 'vpn')
+ * @param {Object} variant - Argument variant
+ * @param {Object} values - Placeholder values keyed by parameter name
+ * @returns {Object} { command_line } or { errors }
+ */
+export function renderVariant(command, variant, values = {}) {
+  const params = variant.params || [];
+  const errors = [];
+  const rendered = {};
+
+  for (const name of extractPlaceholders(variant.args)) {
+    const param = params.find(p => p.name === name) || { name, type: 'string' };
+
+    let value = values[name];
+
+    if (value === undefined || value === null || value === '') {
+      if (param.default === undefined) {
+        errors.push(`missing value for <${name}>`);
+        continue;
+      }
+      value = param.default;
+    }
+
+    const problem = validateParamValue(param, value);
+    if (problem) {
+      errors.push(`<${name}>: ${problem}`);
+      continue;
+    }
+
+    rendered[name] = String(value);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const args = variant.args.replace(PLACEHOLDER_REGEX, (match, name) => rendered[name]);
+
+  return {
+    command_line: `${command} ${args}`.trim()
+  };
+}
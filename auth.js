@@ -0,0 +1,52 @@
+// auth.js
+// Bearer token authentication shared by the MCP HTTP transport and the REST API
+
+import { createHash, timingSafeEqual } from 'crypto';
+
+// Hosts a server may listen on without auth tokens
+export const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+/**
+ * Digest a token so every comparison works on buffers of the same length
+ * @param {string} token - Token
+ * @returns {Buffer} SHA-256 digest
+ */
+function digest(token) {
+  return createHash('sha256').update(String(token)).digest();
+}
+
+/**
+ * Create a function that resolves an Authorization header to its actor
+ *
+ * Every configured token is compared in constant time, so neither the
+ * result nor the timing depends on how much of a token matched.
+ *
+ * @param {Map<string,string>} tokens - Token -> actor (see the 'tokens' setting type in config.js)
+ * @returns {Function} (authorizationHeader) => { token, actor } or null
+ */
+export function createTokenVerifier(tokens) {
+  const entries = [...tokens].map(([token, actor]) => ({ token, actor, digest: digest(token) }));
+
+  return (header) => {
+    const [scheme, token] = (header || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return null;
+
+    const candidate = digest(token);
+    let match = null;
+
+    for (const entry of entries) {
+      if (timingSafeEqual(candidate, entry.digest) && !match) match = entry;
+    }
+
+    return match ? { token: match.token, actor: match.actor } : null;
+  };
+}
+
+/**
+ * Count the distinct actors of a token map (for startup logs)
+ * @param {Map<string,string>} tokens - Token -> actor
+ * @returns {number} Number of actors
+ */
+export function countActors(tokens) {
+  return new Set(tokens.values()).size;
+}
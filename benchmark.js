@@ -0,0 +1,77 @@
+// benchmark.js
+// Query latency of the in-memory vector index at different corpus sizes
+//
+// Usage: node benchmark.js [--sizes 1000,10000,50000] [--dimensions 768] [--queries 100] [--k 10]
+
+import { createVectorIndex } from './vector-index.js';
+
+function parseArgs(argv) {
+  const options = {
+    sizes: [1000, 10000, 50000],
+    dimensions: 768,
+    queries: 100,
+    k: 10
+  };
+  
+  for (let i = 0; i < argv.length; i += 2) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--sizes': options.sizes = value.split(',').map(n => parseInt(n)); break;
+      case '--dimensions': options.dimensions = parseInt(value); break;
+      case '--queries': options.queries = parseInt(value); break;
+      case '--k': options.k = parseInt(value); break;
+      default: throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  
+  return options;
+}
+
+function randomVector(dimensions) {
+  const vector = new Float32Array(dimensions);
+  for (let i = 0; i < dimensions; i++) vector[i] = Math.random() * 2 - 1;
+  return vector;
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function main() {
+  const { sizes, dimensions, queries, k } = parseArgs(process.argv.slice(2));
+  
+  console.log(`Vector index benchmark: ${dimensions} dims, ${queries} queries, top-${k}`);
+  console.log('');
+  console.log('  vectors | build ms |  mean ms |   p50 ms |   p95 ms |   MB');
+  console.log('  --------+----------+----------+----------+----------+------');
+  
+  for (const size of sizes) {
+    const index = createVectorIndex({ dimensions });
+    
+    const buildStart = performance.now();
+    for (let id = 1; id <= size; id++) {
+      index.upsert(id, randomVector(dimensions));
+    }
+    const buildMs = performance.now() - buildStart;
+    
+    const latencies = [];
+    for (let q = 0; q < queries; q++) {
+      const query = randomVector(dimensions);
+      const start = performance.now();
+      index.search(query, k);
+      latencies.push(performance.now() - start);
+    }
+    latencies.sort((a, b) => a - b);
+    
+    const mean = latencies.reduce((sum, v) => sum + v, 0) / latencies.length;
+    const megabytes = (size * dimensions * 4) / (1024 * 1024);
+    
+    console.log(
+      `  ${String(size).padStart(7)} | ${buildMs.toFixed(0).padStart(8)} | ${mean.toFixed(2).padStart(8)} | ` +
+      `${percentile(latencies, 0.5).toFixed(2).padStart(8)} | ${percentile(latencies, 0.95).toFixed(2).padStart(8)} | ` +
+      `${megabytes.toFixed(0).padStart(4)}`
+    );
+  }
+}
+
+main();
@@ -1,50 +1,277 @@
 // database.js
-// SQLite database operations and Ollama embeddings integration
+// SQLite database operations and embeddings integration
 
 import Database from 'better-sqlite3';
 import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, copyFileSync } from 'fs';
 import { extractKeywords } from './stopwords.js';
+import { getTarget, runRemoteCommand } from './ssh-executor.js';
+import { validateArguments, renderVariant } from './arguments.js';
+import { getEmbeddingProvider } from './embeddings.js';
+import { createVectorIndex } from './vector-index.js';
+import { createLRUCache } from './lru-cache.js';
+import { parseDocumentation } from './doc-importer.js';
+import { parseVersion, parseVersionSpec, formatVersion, versionApplies } from './versions.js';
 import { join } from 'path';
+import { createHash, randomUUID } from 'crypto';
+import { getConfig } from './config.js';
 
-const OLLAMA_HOST = "http://localhost:11434";
-const EMBEDDING_MODEL = "nomic-embed-text";
-const BACKUP_DIR = './backups';
+export const EMBEDDING_FORMATS = ['float64', 'float32', 'int8'];
+const APPROVAL_IMPACTS = ['high', 'critical'];
+const CHANGE_REQUEST_TTL_HOURS = 24;
+export const SEARCH_MODES = ['semantic', 'keyword', 'hybrid'];
+export const DEFAULT_SEARCH_MODE = 'semantic';  // hybrid is opt-in
+const RRF_K = 60;
+const SEMANTIC_CANDIDATES = 100;
+export const IMPORT_STRATEGIES = ['overwrite', 'fill_empty', 'merge_arrays', 'keep_newest'];
+// How import_commands finds the existing command: command + category, or id (only when asked)
+export const IMPORT_MATCH_MODES = ['key', 'id'];
+export const RELATION_TYPES = ['see_also', 'prerequisite', 'follow_up', 'undo'];
+const INVERSE_RELATIONS = { see_also: 'see_also', prerequisite: 'follow_up', follow_up: 'prerequisite', undo: 'undo' };
+const MAX_GRAPH_DEPTH = 5;
+
+// Sort keys accepted by listCommandsPage (ties are broken by id)
+const COMMAND_SORT_KEYS = {
+  category: ['category', 'command'],
+  command: ['command'],
+  updated_at: ['updated_at'],
+  created_at: ['created_at'],
+  impact: ["CASE impact WHEN 'low' THEN 1 WHEN 'medium' THEN 2 WHEN 'high' THEN 3 WHEN 'critical' THEN 4 ELSE 0 END"],
+  id: ['id']
+};
+export const COMMAND_SORT_FIELDS = Object.keys(COMMAND_SORT_KEYS);
+export const COMMAND_FIELDS = [
+  'id', 'command', 'description', 'arguments', 'category', 'version', 'keywords',
+  'mode', 'type', 'device', 'executable_mcp', 'impact', 'related_commands',
+  'deprecated', 'created_at', 'updated_at'
+];
+// Fields tracked by the revision history (command fields plus trash state)
+const REVISION_FIELDS = [...COMMAND_FIELDS, 'deleted_at', 'deleted_by'];
+
+// In-memory vector index per database connection (see buildVectorIndex)
+const vectorIndexes = new WeakMap();
+
+// Query embedding cache (see getQueryEmbedding), created on first use with embeddings.query_cache_size
+let queryCache = null;
+const queryCacheStats = { model: null, hits: 0, persistent_hits: 0, misses: 0 };
 
 /**
  * Initialize database and create tables
  */
-export function initDatabase(dbPath = './commands.db') {
+export function initDatabase(dbPath = getConfig().database.path) {
   const db = new Database(dbPath);
   
-  // Read and execute schema
-  const schema = readFileSync('./schema.sql', 'utf-8');
+  // Read and execute schema (next to this module, so npx works from any directory)
+  const schema = readFileSync(new URL('./schema.sql', import.meta.url), 'utf-8');
   db.exec(schema);
   
+  migrateDatabase(db, schema);
+  purgeExpiredTrash(db);
+  
   console.error('✓ Database initialized successfully');
   return db;
 }
 
 /**
- * Get embedding from Ollama
+ * Bring databases created by older versions up to the current schema
+ * @param {Database} db - Database instance
+ * @param {string} schema - Contents of schema.sql
+ */
+function migrateDatabase(db, schema) {
+  // FTS sync triggers that UPDATE/DELETE the external-content commands_fts table
+  // corrupt the index when an indexed column changes: replace them and rebuild
+  const ftsTrigger = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'trigger' AND name = 'commands_au'").get();
+  if (ftsTrigger && ftsTrigger.sql.includes('UPDATE commands_fts')) {
+    db.exec('DROP TRIGGER commands_au; DROP TRIGGER commands_ad;');
+    db.exec(schema);
+    db.exec("INSERT INTO commands_fts(commands_fts) VALUES ('rebuild')");
+    console.error('✓ Replaced FTS sync triggers and rebuilt the full-text index');
+  }
+  
+  const embeddingColumns = db.prepare('PRAGMA table_info(command_embeddings)').all().map(c => c.name);
+  
+  // Embedding metadata (model, dimensions, embedded text hash)
+  if (!embeddingColumns.includes('model')) {
+    db.exec(`
+      ALTER TABLE command_embeddings ADD COLUMN model TEXT;
+      ALTER TABLE command_embeddings ADD COLUMN dimensions INTEGER;
+      ALTER TABLE command_embeddings ADD COLUMN text_hash TEXT;
+    `);
+    
+    // Before embedding providers existed every vector came from Ollama's
+    // nomic-embed-text as float64, and was regenerated on every text change
+    const rows = db.prepare(`
+      SELECT ce.command_id, length(ce.embedding) AS bytes, cc.command, cc.description
+      FROM command_embeddings ce
+      JOIN checkpoint_commands cc ON cc.id = ce.command_id
+    `).all();
+    
+    const backfill = db.prepare(`
+      UPDATE command_embeddings SET model = ?, dimensions = ?, text_hash = ? WHERE command_id = ?
+    `);
+    
+    db.transaction(() => {
+      for (const row of rows) {
+        backfill.run('nomic-embed-text', row.bytes / 8, hashText(embeddingText(row)), row.command_id);
+      }
+    })();
+    
+    console.error(`✓ Migrated ${rows.length} embeddings to include model metadata`);
+  }
+  
+  // Embedding storage format (rows without one are float64)
+  if (!embeddingColumns.includes('format')) {
+    db.exec(`
+      ALTER TABLE command_embeddings ADD COLUMN format TEXT;
+      ALTER TABLE command_embeddings ADD COLUMN quant_scale REAL;
+      ALTER TABLE command_embeddings ADD COLUMN quant_offset REAL;
+      UPDATE command_embeddings SET format = 'float64' WHERE format IS NULL;
+    `);
+  }
+  
+  // Trash (soft delete)
+  const commandColumns = db.prepare('PRAGMA table_info(checkpoint_commands)').all().map(c => c.name);
+  if (!commandColumns.includes('deleted_at')) {
+    db.exec(`
+      ALTER TABLE checkpoint_commands ADD COLUMN deleted_at TIMESTAMP;
+      ALTER TABLE checkpoint_commands ADD COLUMN deleted_by TEXT;
+    `);
+  }
+  // (created here rather than in schema.sql, which runs before the column exists on old databases)
+  db.exec('CREATE INDEX IF NOT EXISTS idx_deleted_at ON checkpoint_commands(deleted_at)');
+  
+  // Change requests used to cascade-delete with their command: rebuild the table without the foreign key
+  const changeRequestTable = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'change_requests'").get();
+  if (changeRequestTable.sql.includes('REFERENCES checkpoint_commands')) {
+    const columns = db.prepare('PRAGMA table_info(change_requests)').all().map(c => c.name).join(', ');
+    
+    db.transaction(() => {
+      db.exec(`
+        ALTER TABLE change_requests RENAME TO change_requests_old;
+        DROP INDEX IF EXISTS idx_change_requests_status;
+      `);
+      db.exec(schema);
+      db.exec(`
+        INSERT INTO change_requests (${columns}) SELECT ${columns} FROM change_requests_old;
+        DROP TABLE change_requests_old;
+      `);
+    })();
+    
+    console.error('✓ Removed the cascading foreign key from change_requests');
+  }
+  
+  // Related commands graph
+  migrateRelatedCommands(db);
+}
+
+/**
+ * Get embedding from the configured provider (see embeddings.js)
  * @param {string} text - Text to embed
  * @returns {Promise<number[]>} Embedding vector
  */
 export async function getEmbedding(text) {
-  const response = await fetch(`${OLLAMA_HOST}/api/embeddings`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      model: EMBEDDING_MODEL,
-      prompt: text
-    })
-  });
+  return getEmbeddingProvider().embed(text);
+}
+
+/**
+ * Normalize query text into its cache key
+ * @param {string} query - User query
+ * @returns {string} Lowercased query with collapsed whitespace
+ */
+function normalizeQuery(query) {
+  return query.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the embedding of a search query, using the LRU cache and, when
+ * embeddings.query_cache_persist is enabled, the query_embedding_cache table
+ * @param {Database} db - Database instance
+ * @param {string} query - User query
+ * @returns {Promise<number[]>} Embedding vector
+ */
+async function getQueryEmbedding(db, query) {
+  const model = getEmbeddingProvider().model;
+  const persist = getConfig().embeddings.query_cache_persist;
+  
+  if (!queryCache) {
+    queryCache = createLRUCache(getConfig().embeddings.query_cache_size);
+  }
+  
+  // A different model makes every cached vector unusable
+  if (queryCacheStats.model !== model) {
+    queryCache.clear();
+    queryCacheStats.model = model;
+    if (persist) {
+      db.prepare('DELETE FROM query_embedding_cache WHERE model != ?').run(model);
+    }
+  }
   
-  if (!response.ok) {
-    throw new Error(`Ollama API error: ${response.statusText}`);
+  // Case only matters to the cache key; the provider embeds the query as written
+  const text = normalizeQuery(query);
+  const key = `${model}\u0000${text}`;
+  
+  const cached = queryCache.get(key);
+  if (cached) {
+    queryCacheStats.hits++;
+    return cached;
+  }
+  
+  if (persist) {
+    const row = db.prepare(`
+      SELECT embedding FROM query_embedding_cache WHERE model = ? AND query = ?
+    `).get(model, text);
+    
+    if (row) {
+      const embedding = blobToEmbedding(row.embedding, 'float32');
+      db.prepare(`
+        UPDATE query_embedding_cache SET hits = hits + 1, last_used_at = CURRENT_TIMESTAMP
+        WHERE model = ? AND query = ?
+      `).run(model, text);
+      queryCache.set(key, embedding);
+      queryCacheStats.persistent_hits++;
+      return embedding;
+    }
+  }
+  
+  queryCacheStats.misses++;
+  const embedding = await getEmbedding(query.replace(/\s+/g, ' ').trim());
+  queryCache.set(key, embedding);
+  
+  if (persist) {
+    db.prepare(`
+      INSERT OR REPLACE INTO query_embedding_cache (model, query, embedding)
+      VALUES (?, ?, ?)
+    `).run(model, text, embeddingToBlob(embedding, 'float32').blob);
+    
+    // Keep the table to the same size as the in-memory cache, dropping the least recently used rows
+    db.prepare(`
+      DELETE FROM query_embedding_cache WHERE rowid NOT IN (
+        SELECT rowid FROM query_embedding_cache ORDER BY last_used_at DESC, rowid DESC LIMIT ?
+      )
+    `).run(getConfig().embeddings.query_cache_size);
   }
   
-  const data = await response.json();
-  return data.embedding;
+  return embedding;
+}
+
+/**
+ * Get query embedding cache statistics
+ * @param {Database} db - Database instance
+ * @returns {Object} Cache size, hit/miss counters and persistence info
+ */
+export function getQueryCacheStats(db) {
+  const lookups = queryCacheStats.hits + queryCacheStats.persistent_hits + queryCacheStats.misses;
+  
+  return {
+    model: queryCacheStats.model,
+    size: queryCache ? queryCache.size : 0,
+    max_size: getConfig().embeddings.query_cache_size,
+    hits: queryCacheStats.hits,
+    persistent_hits: queryCacheStats.persistent_hits,
+    misses: queryCacheStats.misses,
+    hit_rate: lookups > 0 ? (queryCacheStats.hits + queryCacheStats.persistent_hits) / lookups : null,
+    persistent: getConfig().embeddings.query_cache_persist,
+    persisted_entries: db.prepare('SELECT COUNT(*) as count FROM query_embedding_cache').get().count
+  };
 }
 
 /**
@@ -73,37 +300,341 @@ export function cosineSimilarity(vecA, vecB) {
 
 /**
  * Convert embedding array to BLOB for SQLite storage
+ *
+ * float64 and float32 store raw little-endian values. int8 uses scalar
+ * quantization: each value maps to 256 levels between the vector's min
+ * (offset) and max, with scale = (max - min) / 255.
+ *
  * @param {number[]} embedding - Embedding vector
- * @returns {Buffer} Binary buffer
+ * @param {string} format - Storage format: 'float64', 'float32' or 'int8'
+ * @returns {Object} { blob, scale, offset } (scale/offset are null unless int8)
  */
-function embeddingToBlob(embedding) {
-  const buffer = Buffer.allocUnsafe(embedding.length * 8); // 8 bytes per float64
-  embedding.forEach((value, index) => {
-    buffer.writeDoubleLE(value, index * 8);
-  });
-  return buffer;
+function embeddingToBlob(embedding, format = getConfig().embeddings.storage) {
+  switch (format) {
+    case 'float64': {
+      const buffer = Buffer.allocUnsafe(embedding.length * 8); // 8 bytes per float64
+      embedding.forEach((value, index) => {
+        buffer.writeDoubleLE(value, index * 8);
+      });
+      return { blob: buffer, scale: null, offset: null };
+    }
+    
+    case 'float32': {
+      const buffer = Buffer.allocUnsafe(embedding.length * 4); // 4 bytes per float32
+      embedding.forEach((value, index) => {
+        buffer.writeFloatLE(value, index * 4);
+      });
+      return { blob: buffer, scale: null, offset: null };
+    }
+    
+    case 'int8': {
+      let min = Infinity;
+      let max = -Infinity;
+      for (const value of embedding) {
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+      const scale = max > min ? (max - min) / 255 : 1;
+      const buffer = Buffer.allocUnsafe(embedding.length); // 1 byte per value
+      embedding.forEach((value, index) => {
+        buffer.writeInt8(Math.round((value - min) / scale) - 128, index);
+      });
+      return { blob: buffer, scale, offset: min };
+    }
+    
+    default:
+      throw new Error(`Unknown embedding storage format '${format}' (expected one of ${EMBEDDING_FORMATS.join(', ')})`);
+  }
 }
 
 /**
  * Convert BLOB back to embedding array
  * @param {Buffer} blob - Binary buffer from database
+ * @param {string} format - Storage format (null for rows written before formats existed)
+ * @param {number} scale - Quantization scale (int8 only)
+ * @param {number} offset - Quantization offset (int8 only)
  * @returns {number[]} Embedding vector
  */
-function blobToEmbedding(blob) {
+function blobToEmbedding(blob, format = 'float64', scale = null, offset = null) {
   const embedding = [];
-  for (let i = 0; i < blob.length; i += 8) {
-    embedding.push(blob.readDoubleLE(i));
+  
+  switch (format || 'float64') {
+    case 'float64':
+      for (let i = 0; i < blob.length; i += 8) {
+        embedding.push(blob.readDoubleLE(i));
+      }
+      break;
+    
+    case 'float32':
+      for (let i = 0; i < blob.length; i += 4) {
+        embedding.push(blob.readFloatLE(i));
+      }
+      break;
+    
+    case 'int8':
+      for (let i = 0; i < blob.length; i++) {
+        embedding.push((blob.readInt8(i) + 128) * scale + offset);
+      }
+      break;
+    
+    default:
+      throw new Error(`Unknown embedding storage format '${format}'`);
   }
+  
   return embedding;
 }
 
+/**
+ * Text that is embedded for a command (command + description only)
+ * @param {Object} cmd - Command row with command and description
+ * @returns {string} Text to embed
+ */
+function embeddingText(cmd) {
+  return `${cmd.command} ${cmd.description || ''}`.trim();
+}
+
+/**
+ * Text that is embedded for an argument variant (full invocation + its description)
+ * @param {string} command - Base command
+ * @param {Object} variant - Argument variant
+ * @returns {string} Text to embed
+ */
+function variantEmbeddingText(command, variant) {
+  return `${command} ${variant.args || ''} ${variant.description || ''}`.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse the arguments column (JSON string) or pass an array through
+ * @param {string|Array} args - Arguments column value
+ * @returns {Array} Argument variants
+ */
+function parseArguments(args) {
+  if (Array.isArray(args)) return args;
+  try {
+    const parsed = JSON.parse(args || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Key of an argument variant in the variant vector index
+ * @param {number} commandId - Command ID
+ * @param {number} variantIndex - Position in the arguments array
+ * @returns {string} Index key
+ */
+function variantKey(commandId, variantIndex) {
+  return `${commandId}:${variantIndex}`;
+}
+
+/**
+ * SHA-256 of an embedded text, used to detect stale embeddings
+ * @param {string} text - Embedded text
+ * @returns {string} Hex digest
+ */
+function hashText(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Generate and store (insert or replace) the embedding of a command
+ * @param {Database} db - Database instance
+ * @param {number} commandId - Command ID
+ * @param {Object} cmd - Command row with command and description
+ * @returns {Promise<void>}
+ */
+async function storeEmbedding(db, commandId, cmd) {
+  const text = embeddingText(cmd);
+  const embedding = await getEmbedding(text);
+  
+  const { blob, scale, offset } = embeddingToBlob(embedding);
+  
+  db.prepare(`
+    INSERT INTO command_embeddings (
+      command_id, embedding, model, dimensions, text_hash, format, quant_scale, quant_offset
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(command_id) DO UPDATE SET
+      embedding = excluded.embedding,
+      model = excluded.model,
+      dimensions = excluded.dimensions,
+      text_hash = excluded.text_hash,
+      format = excluded.format,
+      quant_scale = excluded.quant_scale,
+      quant_offset = excluded.quant_offset
+  `).run(commandId, blob, getEmbeddingProvider().model, embedding.length, hashText(text), getConfig().embeddings.storage, scale, offset);
+  
+  const index = vectorIndexes.get(db);
+  if (index && index.model === getEmbeddingProvider().model) {
+    index.commands.upsert(commandId, embedding);
+  }
+}
+
+/**
+ * Generate and store the embeddings of a command's argument variants
+ *
+ * Variants whose text and model are unchanged keep their vector unless
+ * force is set; rows of variants that no longer exist are removed.
+ *
+ * @param {Database} db - Database instance
+ * @param {number} commandId - Command ID
+ * @param {Object} cmd - Command row with command and arguments
+ * @param {Object} options - { force }
+ * @returns {Promise<number>} Number of variants (re-)embedded
+ */
+async function storeVariantEmbeddings(db, commandId, cmd, options = {}) {
+  const model = getEmbeddingProvider().model;
+  const variants = parseArguments(cmd.arguments);
+  const index = vectorIndexes.get(db);
+  const syncIndex = index && index.model === model;
+  
+  const existing = new Map(
+    db.prepare('SELECT variant_index, model, text_hash FROM variant_embeddings WHERE command_id = ?')
+      .all(commandId)
+      .map(row => [row.variant_index, row])
+  );
+  
+  const upsert = db.prepare(`
+    INSERT INTO variant_embeddings (
+      command_id, variant_index, args, embedding, model, dimensions, text_hash, format, quant_scale, quant_offset
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(command_id, variant_index) DO UPDATE SET
+      args = excluded.args,
+      embedding = excluded.embedding,
+      model = excluded.model,
+      dimensions = excluded.dimensions,
+      text_hash = excluded.text_hash,
+      format = excluded.format,
+      quant_scale = excluded.quant_scale,
+      quant_offset = excluded.quant_offset
+  `);
+  
+  let embedded = 0;
+  
+  for (let i = 0; i < variants.length; i++) {
+    const text = variantEmbeddingText(cmd.command, variants[i]);
+    const textHash = hashText(text);
+    const row = existing.get(i);
+    
+    if (!options.force && row && row.model === model && row.text_hash === textHash) {
+      continue;
+    }
+    
+    const embedding = await getEmbedding(text);
+    const { blob, scale, offset } = embeddingToBlob(embedding);
+    upsert.run(commandId, i, variants[i].args || '', blob, model, embedding.length, textHash, getConfig().embeddings.storage, scale, offset);
+    
+    if (syncIndex) index.variants.upsert(variantKey(commandId, i), embedding);
+    embedded++;
+  }
+  
+  // Variants that were removed from the arguments array
+  db.prepare('DELETE FROM variant_embeddings WHERE command_id = ? AND variant_index >= ?').run(commandId, variants.length);
+  if (syncIndex) {
+    for (const variantIndex of existing.keys()) {
+      if (variantIndex >= variants.length) index.variants.remove(variantKey(commandId, variantIndex));
+    }
+  }
+  
+  return embedded;
+}
+
+/**
+ * Most common dimension among the stored vectors of a model
+ * @param {Database} db - Database instance
+ * @param {string} model - Embedding model
+ * @returns {number|null} Dimension or null when the model has no vectors
+ */
+function modelDimensions(db, model) {
+  const row = db.prepare(`
+    SELECT dimensions, COUNT(*) AS count FROM command_embeddings
+    WHERE model = ? GROUP BY dimensions ORDER BY count DESC LIMIT 1
+  `).get(model);
+  
+  return row ? row.dimensions : null;
+}
+
+/**
+ * Build (or rebuild) the in-memory vector indexes of a database
+ *
+ * One index holds command vectors (keyed by command ID), the other argument
+ * variant vectors (keyed by "commandId:variantIndex"). Only vectors of the
+ * active embedding model are loaded and commands in the trash are left out;
+ * the indexes are kept in sync by storeEmbedding, storeVariantEmbeddings and
+ * the trash functions (deleteCommand, restoreFromTrash).
+ *
+ * @param {Database} db - Database instance
+ * @returns {Object} { model, commands, variants } vector indexes
+ */
+export function buildVectorIndex(db) {
+  const model = getEmbeddingProvider().model;
+  const dimensions = modelDimensions(db, model);
+  const index = {
+    model,
+    commands: createVectorIndex({ model, dimensions }),
+    variants: createVectorIndex({ model, dimensions })
+  };
+  
+  const commandRows = db.prepare(`
+    SELECT command_id, embedding, format, quant_scale, quant_offset
+    FROM command_embeddings WHERE model = ? AND dimensions = ?
+      AND command_id NOT IN (SELECT id FROM checkpoint_commands WHERE deleted_at IS NOT NULL)
+  `).all(model, dimensions);
+  
+  for (const row of commandRows) {
+    index.commands.upsert(row.command_id, blobToEmbedding(row.embedding, row.format, row.quant_scale, row.quant_offset));
+  }
+  
+  const variantRows = db.prepare(`
+    SELECT command_id, variant_index, embedding, format, quant_scale, quant_offset
+    FROM variant_embeddings WHERE model = ? AND dimensions = ?
+      AND command_id NOT IN (SELECT id FROM checkpoint_commands WHERE deleted_at IS NOT NULL)
+  `).all(model, dimensions);
+  
+  for (const row of variantRows) {
+    index.variants.upsert(
+      variantKey(row.command_id, row.variant_index),
+      blobToEmbedding(row.embedding, row.format, row.quant_scale, row.quant_offset)
+    );
+  }
+  
+  vectorIndexes.set(db, index);
+  
+  const total = db.prepare(`
+    SELECT COUNT(*) as count FROM command_embeddings
+    WHERE command_id NOT IN (SELECT id FROM checkpoint_commands WHERE deleted_at IS NOT NULL)
+  `).get().count;
+  console.error(`✓ Vector index built: ${index.commands.size} command and ${index.variants.size} variant vectors (${model}, ${dimensions || '?'} dims)`);
+  if (total > index.commands.size) {
+    console.error(`⚠️  ${total - index.commands.size} embeddings from another model or dimension left out; rebuild embeddings to include them`);
+  }
+  
+  return index;
+}
+
+/**
+ * Get the vector indexes of a database, building them on first use or after a model change
+ * @param {Database} db - Database instance
+ * @returns {Object} { model, commands, variants } vector indexes
+ */
+function getVectorIndex(db) {
+  const index = vectorIndexes.get(db);
+  
+  if (!index || index.model !== getEmbeddingProvider().model) {
+    return buildVectorIndex(db);
+  }
+  
+  return index;
+}
+
 /**
  * Add a new command to database with duplicate detection
  * @param {Database} db - Database instance
  * @param {Object} commandData - Command data object
+ * @param {Object} options - { actor } recorded in the revision history
  * @returns {Promise<Object>} Result object with success/error status
  */
-export async function addCommand(db, commandData) {
+export async function addCommand(db, commandData, options = {}) {
   const {
     command,
     description,
@@ -127,15 +658,46 @@ export async function addCommand(db, commandData) {
     };
   }
   
+  // Validate argument templates
+  const argumentProblems = validateArguments(args);
+  if (argumentProblems.length > 0) {
+    return {
+      error: true,
+      message: `Invalid arguments: ${argumentProblems.join('; ')}`,
+      argument_errors: argumentProblems
+    };
+  }
+  
+  // Related commands must exist
+  const relatedProblems = validateRelatedCommands(db, null, related_commands);
+  if (relatedProblems.length > 0) {
+    return {
+      error: true,
+      message: `Invalid related_commands: ${relatedProblems.join('; ')}`
+    };
+  }
+  
   // CRITICAL: Check for duplicates (same command + category)
   const duplicateStmt = db.prepare(`
-    SELECT id, command, category, description 
+    SELECT id, command, category, description, deleted_at 
     FROM checkpoint_commands 
     WHERE command = ? AND category = ?
   `);
   
   const existingCommand = duplicateStmt.get(command, category);
   
+  if (existingCommand && existingCommand.deleted_at) {
+    return {
+      error: true,
+      message: `Command '${command}' in category '${category}' is in the trash with ID ${existingCommand.id}. Use restore_from_trash with id=${existingCommand.id} to bring it back.`,
+      existing_command_id: existingCommand.id,
+      in_trash: true,
+      command: command,
+      category: category,
+      existing_description: existingCommand.description
+    };
+  }
+  
   if (existingCommand) {
     return {
       error: true,
@@ -167,21 +729,20 @@ export async function addCommand(db, commandData) {
     device,
     executable_mcp ? 1 : 0,
     impact,
-    JSON.stringify(related_commands || [])
+    '[]'
   );
   
   const commandId = result.lastInsertRowid;
   
-  // Generate and store embedding (command + description only)
-  const textToEmbed = `${command} ${description || ''}`.trim();
-  const embedding = await getEmbedding(textToEmbed);
-  const embeddingBlob = embeddingToBlob(embedding);
+  if (related_commands && related_commands.length > 0) {
+    setRelatedCommands(db, commandId, related_commands);
+  }
   
-  const embStmt = db.prepare(`
-    INSERT INTO command_embeddings (command_id, embedding)
-    VALUES (?, ?)
-  `);
-  embStmt.run(commandId, embeddingBlob);
+  recordRevision(db, commandId, 'insert', null, commandSnapshot(db, commandId), options.actor);
+  
+  // Generate and store embeddings (command + description, then each argument variant)
+  await storeEmbedding(db, commandId, { command, description });
+  await storeVariantEmbeddings(db, commandId, { command, arguments: args || [] });
   
   console.error(`✓ Command added: ${command} (ID: ${commandId})`);
   
@@ -198,15 +759,32 @@ export async function addCommand(db, commandData) {
  * @param {Database} db - Database instance
  * @param {number} id - Command ID
  * @param {Object} updates - Fields to update
+ * @param {Object} options - { actor } recorded in the revision history
  * @returns {Promise<boolean>} Success status
  */
-export async function updateCommand(db, id, updates) {
+export async function updateCommand(db, id, updates, options = {}) {
   const fields = [];
   const values = [];
   
-  // Build dynamic UPDATE query
+  if (updates.arguments !== undefined) {
+    const argumentProblems = validateArguments(updates.arguments);
+    if (argumentProblems.length > 0) {
+      throw new Error(`Invalid arguments: ${argumentProblems.join('; ')}`);
+    }
+  }
+  
+  if (updates.related_commands !== undefined) {
+    const relatedProblems = validateRelatedCommands(db, id, updates.related_commands);
+    if (relatedProblems.length > 0) {
+      throw new Error(`Invalid related_commands: ${relatedProblems.join('; ')}`);
+    }
+  }
+  
+  // Build dynamic UPDATE query (related_commands is stored as links in command_relations)
   for (const [key, value] of Object.entries(updates)) {
-    if (key === 'arguments' || key === 'related_commands') {
+    if (key === 'related_commands') {
+      continue;
+    } else if (key === 'arguments') {
       fields.push(`${key} = ?`);
       values.push(JSON.stringify(value));
     } else if (key === 'executable_mcp') {
@@ -218,33 +796,50 @@ export async function updateCommand(db, id, updates) {
     }
   }
   
-  if (fields.length === 0) {
+  if (fields.length === 0 && updates.related_commands === undefined) {
     throw new Error('No fields to update');
   }
   
   values.push(id);
   
-  const stmt = db.prepare(`
-    UPDATE checkpoint_commands
-    SET ${fields.join(', ')}
-    WHERE id = ?
-  `);
+  const before = commandSnapshot(db, id);
+  const result = { changes: 0 };
+  
+  if (fields.length > 0) {
+    const stmt = db.prepare(`
+      UPDATE checkpoint_commands
+      SET ${fields.join(', ')}
+      WHERE id = ? AND deleted_at IS NULL
+    `);
+    result.changes = stmt.run(...values).changes;
+  } else if (before && !before.deleted_at) {
+    result.changes = 1;
+  }
+  
+  if (result.changes > 0 && updates.related_commands !== undefined) {
+    setRelatedCommands(db, id, updates.related_commands);
+  }
   
-  const result = stmt.run(...values);
+  if (result.changes > 0) {
+    recordRevision(db, id, 'update', before, commandSnapshot(db, id), options.actor);
+  }
   
-  // Regenerate embedding if command or description changed
-  if (updates.command || updates.description) {
-    const cmdStmt = db.prepare('SELECT command, description FROM checkpoint_commands WHERE id = ?');
+  // Regenerate embeddings if command, description or arguments changed
+  if (updates.command || updates.description || updates.arguments) {
+    const cmdStmt = db.prepare('SELECT command, description, arguments FROM checkpoint_commands WHERE id = ?');
     const cmd = cmdStmt.get(id);
     
-    const textToEmbed = `${cmd.command} ${cmd.description || ''}`.trim();
-    const embedding = await getEmbedding(textToEmbed);
-    const embeddingBlob = embeddingToBlob(embedding);
-    
-    const embStmt = db.prepare(`
-      UPDATE command_embeddings SET embedding = ? WHERE command_id = ?
-    `);
-    embStmt.run(embeddingBlob, id);
+    if (cmd && (updates.command || updates.description)) {
+      await storeEmbedding(db, id, cmd);
+    }
+    if (cmd) {
+      await storeVariantEmbeddings(db, id, cmd);
+    }
+  }
+  
+  // Runbook vectors include the text of their step commands
+  if (updates.command) {
+    await refreshRunbookEmbeddingsFor(db, [id]);
   }
   
   console.error(`✓ Command updated: ID ${id}`);
@@ -252,97 +847,336 @@ export async function updateCommand(db, id, updates) {
 }
 
 /**
- * Delete a command
+ * Delete a command (moves it to the trash; embeddings are kept until purged)
  * @param {Database} db - Database instance
  * @param {number} id - Command ID
+ * @param {Object} options - { actor } recorded in the revision history
  * @returns {boolean} Success status
  */
-export function deleteCommand(db, id) {
-  const stmt = db.prepare('DELETE FROM checkpoint_commands WHERE id = ?');
-  const result = stmt.run(id);
+export function deleteCommand(db, id, options = {}) {
+  const before = commandSnapshot(db, id);
+  
+  const stmt = db.prepare(`
+    UPDATE checkpoint_commands
+    SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?
+    WHERE id = ? AND deleted_at IS NULL
+  `);
+  const result = stmt.run(options.actor || null, id);
+  
+  if (result.changes > 0) {
+    recordRevision(db, id, 'trash', before, commandSnapshot(db, id), options.actor);
+    removeFromVectorIndex(db, id);
+    syncRelatedColumn(db, linkedIds(db, id));
+  }
   
-  console.error(`✓ Command deleted: ID ${id}`);
+  console.error(`✓ Command moved to trash: ID ${id}`);
   return result.changes > 0;
 }
 
 /**
- * Search commands using semantic search with keyword pre-filtering
+ * Remove a command and its argument variants from the in-memory vector index
+ * @param {Database} db - Database instance
+ * @param {number} id - Command ID
+ */
+function removeFromVectorIndex(db, id) {
+  const index = vectorIndexes.get(db);
+  if (!index) return;
+  
+  index.commands.remove(id);
+  for (const row of db.prepare('SELECT variant_index FROM variant_embeddings WHERE command_id = ?').all(id)) {
+    index.variants.remove(variantKey(id, row.variant_index));
+  }
+}
+
+/**
+ * Load the stored embeddings of a command into the in-memory vector index
+ * @param {Database} db - Database instance
+ * @param {number} id - Command ID
+ */
+function addToVectorIndex(db, id) {
+  const index = vectorIndexes.get(db);
+  if (!index) return;
+  
+  const commandRow = db.prepare(`
+    SELECT embedding, format, quant_scale, quant_offset
+    FROM command_embeddings WHERE command_id = ? AND model = ?
+  `).get(id, index.model);
+  
+  if (commandRow) {
+    index.commands.upsert(id, blobToEmbedding(commandRow.embedding, commandRow.format, commandRow.quant_scale, commandRow.quant_offset));
+  }
+  
+  const variantRows = db.prepare(`
+    SELECT variant_index, embedding, format, quant_scale, quant_offset
+    FROM variant_embeddings WHERE command_id = ? AND model = ?
+  `).all(id, index.model);
+  
+  for (const row of variantRows) {
+    index.variants.upsert(
+      variantKey(id, row.variant_index),
+      blobToEmbedding(row.embedding, row.format, row.quant_scale, row.quant_offset)
+    );
+  }
+}
+
+/**
+ * Search commands using keyword (FTS5 BM25), semantic (embeddings) or hybrid ranking
+ *
+ * In hybrid mode both rankings are computed independently and fused with
+ * weighted reciprocal rank fusion: score = sum(weight / (rrf_k + rank)),
+ * normalized so that a result ranked first by both rankers scores 1.
+ *
  * @param {Database} db - Database instance
  * @param {string} query - User query/description
  * @param {number} limit - Maximum results to return
- * @param {number} scoreThreshold - Minimum similarity score (0-1)
+ * @param {number} scoreThreshold - Minimum semantic similarity (0-1); ignored in keyword mode
+ * @param {Object} options - Ranking options
+ * @param {string} options.mode - 'semantic' (default), 'keyword' or 'hybrid'
+ * @param {number} options.keyword_weight - Weight of the BM25 ranking in hybrid mode
+ * @param {number} options.semantic_weight - Weight of the embedding ranking in hybrid mode
+ * @param {number} options.rrf_k - Reciprocal rank fusion constant
+ * @param {boolean} options.explain - Attach a score breakdown (explanation) to each result
  * @returns {Promise<Array>} Ranked commands with scores
  */
-export async function searchCommands(db, query, limit = 5, scoreThreshold = 0.3) {
+export async function searchCommands(db, query, limit = 5, scoreThreshold = 0.3, options = {}) {
+  const { mode = DEFAULT_SEARCH_MODE, explain = false } = options;
+  
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Invalid search mode '${mode}' (expected one of ${SEARCH_MODES.join(', ')})`);
+  }
+  
+  const ranking = parseRankingOptions(options);
+  
+  if (ranking.error) {
+    throw new Error(ranking.message);
+  }
+  
+  const { keyword_weight, semantic_weight, rrf_k } = ranking;
+  
   // Step 1: Extract keywords from query
   const keywords = extractKeywords(query);
   
-  console.error(`🔍 Query keywords: ${keywords.join(', ')}`);
+  console.error(`🔍 Query keywords: ${keywords.join(', ')} (mode: ${mode})`);
   
-  let candidateIds = [];
+  // Step 2: Keyword ranking using FTS5 BM25 (lower bm25() is better)
+  const keywordScores = new Map();
+  const ftsQuery = keywords.length > 0
+    ? keywords.map(k => `"${k.replace(/"/g, '""')}"`).join(' OR ')
+    : null;
   
-  // Step 2: Filter by keywords using FTS5
-  if (keywords.length > 0) {
-    const ftsQuery = keywords.join(' OR ');
+  if (ftsQuery) {
     const ftsStmt = db.prepare(`
-      SELECT rowid FROM commands_fts 
+      SELECT rowid, bm25(commands_fts) AS bm25 FROM commands_fts 
       WHERE commands_fts MATCH ?
+      ORDER BY bm25
       LIMIT 100
     `);
     
     try {
-      const ftsResults = ftsStmt.all(ftsQuery);
-      candidateIds = ftsResults.map(r => r.rowid);
+      for (const row of ftsStmt.all(ftsQuery)) {
+        keywordScores.set(row.rowid, -row.bm25);
+      }
       
-      console.error(`📋 FTS5 candidates: ${candidateIds.length} commands`);
+      console.error(`📋 FTS5 candidates: ${keywordScores.size} commands`);
     } catch (error) {
       console.error(`⚠️  FTS5 search failed: ${error.message}`);
     }
   }
   
-  // Step 3: If no FTS matches, use all commands
-  if (candidateIds.length === 0) {
-    console.error('⚠️  No FTS matches, searching all commands');
-    const allStmt = db.prepare('SELECT id FROM checkpoint_commands WHERE deprecated = 0');
-    candidateIds = allStmt.all().map(r => r.id);
-  }
-  
-  // Step 4: Generate query embedding
-  const queryEmbedding = await getEmbedding(query);
+  // Step 3: Semantic scores from the in-memory vector indexes
+  // (a command scores as its best vector: the command itself or one of its variants)
+  const semanticScores = new Map();
+  const commandVectorScores = new Map();
+  const bestVariants = new Map();
+  const fullScanIds = new Set();
+  let fullScan = false;
   
-  // Step 5: Retrieve candidate embeddings and calculate similarity
-  const embStmt = db.prepare(`
-    SELECT ce.command_id, ce.embedding, cc.command, cc.description, 
-           cc.arguments, cc.category, cc.mode, cc.type, cc.device, cc.impact
-    FROM command_embeddings ce
-    JOIN checkpoint_commands cc ON ce.command_id = cc.id
-    WHERE ce.command_id IN (${candidateIds.map(() => '?').join(',')})
-  `);
-  
-  const candidates = embStmt.all(...candidateIds);
+  const addCommandScore = (id, score) => {
+    commandVectorScores.set(id, score);
+    addSemanticScore(id, score);
+  };
+  const addSemanticScore = (id, score) => {
+    if (!semanticScores.has(id) || score > semanticScores.get(id)) semanticScores.set(id, score);
+  };
+  const addVariantScore = (key, score) => {
+    const [id, variantIndex] = key.split(':').map(Number);
+    if (!bestVariants.has(id) || score > bestVariants.get(id).score) {
+      bestVariants.set(id, { index: variantIndex, score });
+    }
+    addSemanticScore(id, score);
+  };
   
-  // Calculate similarities
-  const results = candidates.map(candidate => {
-    const embedding = blobToEmbedding(candidate.embedding);
-    const score = cosineSimilarity(queryEmbedding, embedding);
+  if (mode !== 'keyword') {
+    const queryEmbedding = await getQueryEmbedding(db, query);
+    const index = getVectorIndex(db);
     
-    return {
-      id: candidate.command_id,
+    if (index.commands.dimensions !== null && index.commands.dimensions !== queryEmbedding.length) {
+      console.error(`⚠️  Query embedding has ${queryEmbedding.length} dims but the vector index has ${index.commands.dimensions}; rebuild embeddings`);
+    }
+    
+    // Keyword candidates are always scored
+    const keywordIds = [...keywordScores.keys()];
+    for (const [id, score] of index.commands.score(queryEmbedding, keywordIds)) {
+      addCommandScore(id, score);
+    }
+    
+    if (keywordIds.length > 0) {
+      const variantKeys = db.prepare(`
+        SELECT command_id, variant_index FROM variant_embeddings
+        WHERE command_id IN (${keywordIds.map(() => '?').join(',')})
+      `).all(...keywordIds).map(row => variantKey(row.command_id, row.variant_index));
+      
+      for (const [key, score] of index.variants.score(queryEmbedding, variantKeys)) {
+        addVariantScore(key, score);
+      }
+    }
+    
+    // Hybrid mode, or semantic mode without keyword matches, also takes the index top-k
+    if (mode === 'hybrid' || keywordScores.size === 0) {
+      if (mode === 'semantic') {
+        console.error('⚠️  No FTS matches, searching all commands');
+      }
+      fullScan = true;
+      for (const hit of index.commands.search(queryEmbedding, SEMANTIC_CANDIDATES)) {
+        addCommandScore(hit.id, hit.score);
+        fullScanIds.add(hit.id);
+      }
+      for (const hit of index.variants.search(queryEmbedding, SEMANTIC_CANDIDATES)) {
+        addVariantScore(hit.id, hit.score);
+        fullScanIds.add(Number(hit.id.split(':')[0]));
+      }
+    }
+  }
+  
+  // Step 4: Retrieve candidates (deprecated commands only when matched by keyword)
+  const candidateIds = [...new Set([...keywordScores.keys(), ...semanticScores.keys()])];
+  
+  if (candidateIds.length === 0) {
+    console.error('✓ Found 0 results');
+    return [];
+  }
+  
+  const candidateStmt = db.prepare(`
+    SELECT id, command, description, arguments, category, mode, type, device, impact, deprecated, keywords
+    FROM checkpoint_commands
+    WHERE deleted_at IS NULL AND id IN (${candidateIds.map(() => '?').join(',')})
+  `);
+  
+  const candidates = candidateStmt.all(...candidateIds)
+    .filter(candidate => keywordScores.has(candidate.id) || !candidate.deprecated);
+  
+  const retainedIds = new Set(candidates.map(c => c.id));
+  for (const id of [...semanticScores.keys()]) {
+    if (!retainedIds.has(id)) semanticScores.delete(id);
+  }
+  
+  // Step 5: Combine rankings
+  const keywordRanks = rankMap(keywordScores);
+  const semanticRanks = rankMap(semanticScores);
+  const maxKeywordScore = Math.max(0, ...keywordScores.values());
+  const maxFused = (keyword_weight + semantic_weight) / (rrf_k + 1);
+  
+  const results = candidates.map(candidate => {
+    const keywordScore = keywordScores.has(candidate.id) ? keywordScores.get(candidate.id) : null;
+    const semanticScore = semanticScores.has(candidate.id) ? semanticScores.get(candidate.id) : null;
+    
+    let score;
+    if (mode === 'semantic') {
+      score = semanticScore;
+    } else if (mode === 'keyword') {
+      score = maxKeywordScore > 0 ? keywordScore / maxKeywordScore : 0;
+    } else {
+      let fused = 0;
+      if (keywordRanks.has(candidate.id)) fused += keyword_weight / (rrf_k + keywordRanks.get(candidate.id));
+      if (semanticRanks.has(candidate.id)) fused += semantic_weight / (rrf_k + semanticRanks.get(candidate.id));
+      score = maxFused > 0 ? fused / maxFused : 0;
+    }
+    
+    const args = JSON.parse(candidate.arguments || '[]');
+    const best = bestVariants.get(candidate.id);
+    const variant = best ? args[best.index] : null;
+    
+    const result = {
+      id: candidate.id,
       command: candidate.command,
       description: candidate.description,
-      arguments: JSON.parse(candidate.arguments || '[]'),
+      arguments: args,
       category: candidate.category,
       mode: candidate.mode,
       type: candidate.type,
       device: candidate.device,
       impact: candidate.impact,
-      score: score
+      requires_approval: requiresApproval(candidate),
+      score: score,
+      keyword_score: keywordScore,
+      semantic_score: semanticScore,
+      matched_variant: variant ? {
+        index: best.index,
+        args: variant.args,
+        description: variant.description,
+        invocation: `${candidate.command} ${variant.args || ''}`.trim(),
+        score: best.score
+      } : null
     };
+    
+    if (explain) {
+      const keywordRank = keywordRanks.get(candidate.id) || null;
+      const semanticRank = semanticRanks.get(candidate.id) || null;
+      const adjustments = [];
+      
+      if (mode === 'hybrid') {
+        adjustments.push({
+          type: 'rrf',
+          keyword_contribution: keywordRank ? keyword_weight / (rrf_k + keywordRank) : 0,
+          semantic_contribution: semanticRank ? semantic_weight / (rrf_k + semanticRank) : 0,
+          normalized_by: maxFused
+        });
+        if (keywordScore !== null && (semanticScore === null || semanticScore < scoreThreshold)) {
+          adjustments.push({ type: 'kept_below_threshold', reason: 'keyword match in hybrid mode' });
+        }
+      } else if (mode === 'keyword') {
+        adjustments.push({ type: 'normalized_by_max_bm25', max_keyword_score: maxKeywordScore });
+      }
+      
+      if (best && (!commandVectorScores.has(candidate.id) || best.score > commandVectorScores.get(candidate.id))) {
+        adjustments.push({ type: 'variant_vector_max', variant_index: best.index });
+      }
+      
+      if (candidate.deprecated) {
+        adjustments.push({ type: 'deprecated_included', reason: 'matched by keyword' });
+      }
+      
+      result.explanation = {
+        keywords,
+        fts_query: ftsQuery,
+        candidate_source: [
+          keywordScores.has(candidate.id) ? 'fts' : null,
+          fullScanIds.has(candidate.id) ? 'full_scan' : null
+        ].filter(Boolean).join('+'),
+        full_scan_performed: fullScan,
+        fts_matched_terms: matchedTerms(keywords, candidate),
+        bm25: keywordScore === null ? null : -keywordScore,
+        keyword_rank: keywordRank,
+        cosine: {
+          command: commandVectorScores.has(candidate.id) ? commandVectorScores.get(candidate.id) : null,
+          best_variant: best ? best.score : null
+        },
+        semantic_rank: semanticRank,
+        adjustments
+      };
+    }
+    
+    return result;
   });
   
-  // Step 6: Sort by score and filter by threshold
+  // Step 6: Filter by threshold, sort by score
+  // (keyword matches are kept in hybrid mode even below the semantic threshold)
   const ranked = results
-    .filter(r => r.score >= scoreThreshold)
+    .filter(r => {
+      if (mode === 'keyword') return r.keyword_score !== null;
+      if (mode === 'semantic') return r.semantic_score !== null && r.semantic_score >= scoreThreshold;
+      return r.keyword_score !== null || (r.semantic_score !== null && r.semantic_score >= scoreThreshold);
+    })
     .sort((a, b) => b.score - a.score)
     .slice(0, limit);
   
@@ -351,6 +1185,78 @@ export async function searchCommands(db, query, limit = 5, scoreThreshold = 0.3)
   return ranked;
 }
 
+/**
+ * Find which query keywords match each FTS-indexed field of a command
+ *
+ * Mirrors the FTS5 unicode61 tokenizer closely enough for explanations:
+ * case-insensitive, tokens split on anything that is not a letter or digit.
+ *
+ * @param {string[]} keywords - Extracted query keywords
+ * @param {Object} cmd - Command row with command, description, keywords, category
+ * @returns {Object} Matched keywords keyed by field
+ */
+function matchedTerms(keywords, cmd) {
+  const matches = {};
+  
+  for (const field of ['command', 'description', 'keywords', 'category']) {
+    const tokens = new Set((cmd[field] || '').toLowerCase().split(/[^\p{L}\p{N}]+/u));
+    const found = keywords.filter(keyword => tokens.has(keyword));
+    if (found.length > 0) matches[field] = found;
+  }
+  
+  return matches;
+}
+
+/**
+ * Coerce the hybrid ranking options to numbers
+ *
+ * Values may arrive as JSON strings ("2"); they are converted with Number so
+ * they are added, not concatenated, and anything non-finite or negative is rejected.
+ *
+ * @param {Object} options - { keyword_weight, semantic_weight, rrf_k }; missing values take their defaults
+ * @returns {Object} { error: false, keyword_weight, semantic_weight, rrf_k } or error object
+ */
+export function parseRankingOptions(options = {}) {
+  const defaults = { keyword_weight: 1, semantic_weight: 1, rrf_k: RRF_K };
+  const parsed = { error: false };
+  
+  for (const [name, fallback] of Object.entries(defaults)) {
+    const raw = options[name];
+    
+    if (raw === undefined || raw === null || raw === '') {
+      parsed[name] = fallback;
+      continue;
+    }
+    
+    const value = Number(raw);
+    
+    if (typeof raw === 'boolean' || !Number.isFinite(value) || value < 0) {
+      return {
+        error: true,
+        reason: 'invalid_ranking_option',
+        message: `${name} must be a finite number greater than or equal to 0 (got ${JSON.stringify(raw)})`
+      };
+    }
+    
+    parsed[name] = value;
+  }
+  
+  return parsed;
+}
+
+/**
+ * Convert a map of id -> score into a map of id -> rank (1 = best)
+ * @param {Map<number, number>} scores - Scores keyed by command ID
+ * @returns {Map<number, number>} Ranks keyed by command ID
+ */
+function rankMap(scores) {
+  const ranks = new Map();
+  [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([id], index) => ranks.set(id, index + 1));
+  return ranks;
+}
+
 /**
  * Get command by ID
  * @param {Database} db - Database instance
@@ -359,7 +1265,7 @@ export async function searchCommands(db, query, limit = 5, scoreThreshold = 0.3)
  */
 export function getCommandById(db, id) {
   const stmt = db.prepare(`
-    SELECT * FROM checkpoint_commands WHERE id = ?
+    SELECT ${COMMAND_FIELDS.join(', ')} FROM checkpoint_commands WHERE id = ? AND deleted_at IS NULL
   `);
   
   const cmd = stmt.get(id);
@@ -371,7 +1277,8 @@ export function getCommandById(db, id) {
     arguments: JSON.parse(cmd.arguments || '[]'),
     related_commands: JSON.parse(cmd.related_commands || '[]'),
     executable_mcp: Boolean(cmd.executable_mcp),
-    deprecated: Boolean(cmd.deprecated)
+    deprecated: Boolean(cmd.deprecated),
+    requires_approval: requiresApproval(cmd)
   };
 }
 
@@ -379,10 +1286,11 @@ export function getCommandById(db, id) {
  * List all commands with enhanced filters (regex, category, keyword, version, etc.)
  * @param {Database} db - Database instance
  * @param {Object} filters - Optional filters
+ * @param {Object} sorting - { sort, order } (defaults to category, command ascending)
  * @returns {Array} Array of commands
  */
-export function listCommands(db, filters = {}) {
-  let query = 'SELECT * FROM checkpoint_commands WHERE 1=1';
+export function listCommands(db, filters = {}, sorting = {}) {
+  let query = `SELECT ${COMMAND_FIELDS.join(', ')} FROM checkpoint_commands WHERE deleted_at IS NULL`;
   const params = [];
   
   // Category filter (exact match)
@@ -409,13 +1317,17 @@ export function listCommands(db, filters = {}) {
     params.push(filters.deprecated ? 1 : 0);
   }
   
-  // Version filter (exact match)
-  if (filters.version) {
+  // Version filter: a release ("R81.20") matches every command whose version
+  // range applies to it; anything else is compared as plain text
+  const targetVersion = filters.version ? parseVersion(filters.version) : null;
+  if (filters.version && !targetVersion) {
     query += ' AND version = ?';
     params.push(filters.version);
   }
   
-  query += ' ORDER BY category, command';
+  const direction = sorting.order === 'desc' ? 'DESC' : 'ASC';
+  const sortColumns = COMMAND_SORT_KEYS[sorting.sort || 'category'] || COMMAND_SORT_KEYS.category;
+  query += ` ORDER BY ${sortColumns.map(column => `${column} ${direction}`).join(', ')}, id ${direction}`;
   
   const stmt = db.prepare(query);
   let results = stmt.all(...params);
@@ -432,6 +1344,11 @@ export function listCommands(db, filters = {}) {
     }
   }
   
+  // Version range filter
+  if (targetVersion) {
+    results = results.filter(cmd => versionApplies(cmd.version, targetVersion) === true);
+  }
+  
   // Keyword filter (search in keywords field)
   if (filters.keyword) {
     const keywordLower = filters.keyword.toLowerCase();
@@ -450,6 +1367,101 @@ export function listCommands(db, filters = {}) {
   }));
 }
 
+/**
+ * Encode a list position as an opaque cursor
+ * @param {Object} position - { offset, sort, order }
+ * @returns {string} Cursor
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor
+ * @returns {Object|null} { offset, sort, order } or null when malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    if (!Number.isInteger(position.offset) || position.offset < 0) return null;
+    return position;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List commands one page at a time, with sorting and field projection
+ * @param {Database} db - Database instance
+ * @param {Object} filters - Filters (see listCommands)
+ * @param {Object} options - { limit, offset, cursor, sort, order, fields }
+ * @returns {Object} Page of commands with total and next_cursor, or error info
+ */
+export function listCommandsPage(db, filters = {}, options = {}) {
+  let { limit = null, offset = 0, sort = 'category', order = 'asc', fields = null } = options;
+  
+  if (options.cursor) {
+    const position = decodeCursor(options.cursor);
+    if (!position) {
+      return { error: true, reason: 'invalid_cursor', message: 'Malformed cursor' };
+    }
+    ({ offset, sort, order } = position);
+  }
+  
+  if (!COMMAND_SORT_FIELDS.includes(sort)) {
+    return {
+      error: true,
+      reason: 'invalid_sort',
+      message: `Invalid sort key '${sort}' (expected one of ${COMMAND_SORT_FIELDS.join(', ')})`
+    };
+  }
+  
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: true, reason: 'invalid_sort', message: `Invalid order '${order}' (expected asc or desc)` };
+  }
+  
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+    return { error: true, reason: 'invalid_page', message: 'limit must be a positive integer' };
+  }
+  
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: true, reason: 'invalid_page', message: 'offset must be a non-negative integer' };
+  }
+  
+  if (fields) {
+    const unknown = fields.filter(field => !COMMAND_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return {
+        error: true,
+        reason: 'invalid_fields',
+        message: `Unknown field(s): ${unknown.join(', ')} (expected any of ${COMMAND_FIELDS.join(', ')})`
+      };
+    }
+  }
+  
+  const all = listCommands(db, filters, { sort, order });
+  const page = limit === null ? all.slice(offset) : all.slice(offset, offset + limit);
+  const nextOffset = offset + page.length;
+  
+  // id is always included so a projected row can still be fetched or updated
+  const projection = fields ? ['id', ...fields.filter(field => field !== 'id')] : null;
+  
+  return {
+    error: false,
+    commands: projection
+      ? page.map(cmd => Object.fromEntries(projection.map(field => [field, cmd[field]])))
+      : page,
+    count: page.length,
+    total: all.length,
+    offset,
+    limit,
+    sort,
+    order,
+    next_cursor: nextOffset < all.length ? encodeCursor({ offset: nextOffset, sort, order }) : null
+  };
+}
+
 // ============================================================================
 // NEW FUNCTIONS - HIGH PRIORITY
 // ============================================================================
@@ -458,9 +1470,10 @@ export function listCommands(db, filters = {}) {
  * Bulk add commands from array
  * @param {Database} db - Database instance
  * @param {Array} commands - Array of command objects
+ * @param {Object} options - { actor } recorded in the revision history
  * @returns {Promise<Object>} Result with added/skipped counts
  */
-export async function bulkAddCommands(db, commands) {
+export async function bulkAddCommands(db, commands, options = {}) {
   const results = {
     added: [],
     skipped: [],
@@ -469,7 +1482,7 @@ export async function bulkAddCommands(db, commands) {
   
   for (const cmd of commands) {
     try {
-      const result = await addCommand(db, cmd);
+      const result = await addCommand(db, cmd, options);
       
       if (result.error) {
         results.skipped.push({
@@ -502,28 +1515,276 @@ export async function bulkAddCommands(db, commands) {
  * Export commands to JSON
  * @param {Database} db - Database instance
  * @param {Object} filters - Optional filters
- * @returns {Array} Array of commands
+ * @param {Object} options - Paging, sorting and projection (see listCommandsPage)
+ * @returns {Object} Page of commands, or error info
+ */
+export function exportCommandsJSON(db, filters = {}, options = {}) {
+  const page = listCommandsPage(db, filters, options);
+  if (!page.error) {
+    console.error(`✓ Exported ${page.count} of ${page.total} commands to JSON`);
+  }
+  return page;
+}
+
+// Fields an import may set on an existing command
+const IMPORT_FIELDS = [
+  'command', 'description', 'arguments', 'category', 'version', 'keywords',
+  'mode', 'type', 'device', 'executable_mcp', 'impact', 'related_commands', 'deprecated'
+];
+
+/**
+ * Parse a SQLite (UTC, no zone) or ISO 8601 timestamp
+ * @param {string} value - Timestamp
+ * @returns {number} Milliseconds since epoch, or NaN
+ */
+function parseTimestamp(value) {
+  if (!value) return NaN;
+  const text = String(value).replace(' ', 'T');
+  return Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text}Z`);
+}
+
+/**
+ * Normalize a field value for comparison and storage
+ * @param {string} field - Field name
+ * @param {*} value - Value from the database row or the import
+ * @returns {*} Normalized value
+ */
+function normalizeImportValue(field, value) {
+  if (field === 'arguments' || field === 'related_commands') return parseArguments(value);
+  if (field === 'executable_mcp' || field === 'deprecated') return Boolean(value);
+  return value === undefined ? null : value;
+}
+
+/**
+ * Whether a field value counts as empty for the fill_empty strategy
+ * @param {*} value - Normalized value
+ * @returns {boolean} True for null, '' and []
+ */
+function isEmptyValue(value) {
+  return value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Union of two arrays; argument variants are matched on args (incoming replaces existing)
+ * @param {string} field - 'arguments' or 'related_commands'
+ * @param {Array} current - Existing array
+ * @param {Array} incoming - Imported array
+ * @returns {Array} Merged array
  */
-export function exportCommandsJSON(db, filters = {}) {
-  const commands = listCommands(db, filters);
-  console.error(`✓ Exported ${commands.length} commands to JSON`);
-  return commands;
+function mergeArrays(field, current, incoming) {
+  if (field === 'related_commands') {
+    return [...new Set([...current, ...incoming])];
+  }
+  
+  const merged = [...current];
+  for (const variant of incoming) {
+    const position = merged.findIndex(v => v.args === variant.args);
+    if (position === -1) merged.push(variant);
+    else merged[position] = variant;
+  }
+  return merged;
+}
+
+/**
+ * Compute the field changes an import entry would make to an existing command
+ * @param {Object} row - Existing row
+ * @param {Object} incoming - Imported command
+ * @param {string} strategy - One of IMPORT_STRATEGIES
+ * @returns {Array} [{ field, from, to }]
+ */
+function importChanges(row, incoming, strategy) {
+  if (strategy === 'keep_newest' && !(parseTimestamp(incoming.updated_at) > parseTimestamp(row.updated_at))) {
+    return [];
+  }
+  
+  const changes = [];
+  
+  for (const field of IMPORT_FIELDS) {
+    if (incoming[field] === undefined) continue;
+    
+    const from = normalizeImportValue(field, row[field]);
+    let to = normalizeImportValue(field, incoming[field]);
+    
+    if (strategy === 'fill_empty' && !isEmptyValue(from)) continue;
+    if (strategy === 'merge_arrays' && Array.isArray(from)) to = mergeArrays(field, from, to);
+    
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+  
+  return changes;
 }
 
 /**
  * Import commands from JSON array
+ *
+ * Existing commands are matched on their natural key, command + category. An
+ * imported id is ignored unless match_by is 'id', because ids from another
+ * database point to unrelated commands; then a matching id wins and entries
+ * without one (or with an unknown one) fall back to command + category.
+ * With skipDuplicates false they are updated according to the strategy:
+ * - overwrite: imported fields replace stored ones
+ * - fill_empty: only fields that are empty in the database are set
+ * - merge_arrays: like overwrite, but arguments (by args) and related_commands are merged
+ * - keep_newest: overwrite only when the imported updated_at is newer
+ * Only rows whose command, description or arguments change are re-embedded.
+ *
  * @param {Database} db - Database instance
  * @param {Array} commands - Array of command objects
  * @param {boolean} skipDuplicates - Skip duplicates instead of updating
- * @returns {Promise<Object>} Import results
+ * @param {Object} options - { strategy, match_by, dry_run, actor }
+ * @returns {Promise<Object>} Import results (per-command field changes), or error info
  */
-export async function importCommandsJSON(db, commands, skipDuplicates = true) {
-  if (skipDuplicates) {
-    return await bulkAddCommands(db, commands);
-  } else {
-    // TODO: Implement update mode
-    throw new Error('Update mode not implemented yet');
+export async function importCommandsJSON(db, commands, skipDuplicates = true, options = {}) {
+  const { strategy = 'overwrite', match_by = 'key', dry_run = false } = options;
+  
+  if (!IMPORT_STRATEGIES.includes(strategy)) {
+    return {
+      error: true,
+      reason: 'invalid_strategy',
+      message: `Invalid strategy '${strategy}' (expected one of ${IMPORT_STRATEGIES.join(', ')})`
+    };
+  }
+  
+  if (!IMPORT_MATCH_MODES.includes(match_by)) {
+    return {
+      error: true,
+      reason: 'invalid_match_by',
+      message: `Invalid match_by '${match_by}' (expected one of ${IMPORT_MATCH_MODES.join(', ')})`
+    };
+  }
+  
+  const results = {
+    error: false,
+    dry_run,
+    strategy: skipDuplicates ? null : strategy,
+    match_by,
+    added: [],
+    updated: [],
+    unchanged: [],
+    skipped: [],
+    errors: []
+  };
+  
+  const byId = db.prepare('SELECT * FROM checkpoint_commands WHERE id = ?');
+  const byName = db.prepare('SELECT * FROM checkpoint_commands WHERE command = ? AND category = ?');
+  const pendingLinks = [];
+  
+  for (const cmd of commands) {
+    try {
+      let row = match_by === 'id' && cmd.id !== undefined ? byId.get(cmd.id) : null;
+      if (!row) row = byName.get(cmd.command, cmd.category);
+      
+      if (!row) {
+        if (dry_run) {
+          const argumentProblems = validateArguments(cmd.arguments);
+          if (!cmd.command || !cmd.category || argumentProblems.length > 0) {
+            results.skipped.push({
+              command: cmd.command,
+              category: cmd.category,
+              reason: argumentProblems.length > 0
+                ? `Invalid arguments: ${argumentProblems.join('; ')}`
+                : 'Command and category are required fields'
+            });
+          } else {
+            results.added.push({ command: cmd.command, category: cmd.category });
+          }
+          continue;
+        }
+        
+        // Related commands are linked after the loop, so they may point to commands added later
+        const { id, related_commands, ...data } = cmd;
+        const result = await addCommand(db, data, options);
+        if (result.error) {
+          results.skipped.push({ command: cmd.command, category: cmd.category, reason: result.message });
+        } else {
+          results.added.push({ id: result.id, command: result.command, category: result.category });
+          if (Array.isArray(related_commands) && related_commands.length > 0) {
+            pendingLinks.push({ id: result.id, related_commands });
+          }
+        }
+        continue;
+      }
+      
+      if (row.deleted_at) {
+        results.skipped.push({
+          id: row.id,
+          command: row.command,
+          category: row.category,
+          reason: 'Command is in the trash; restore it first'
+        });
+        continue;
+      }
+      
+      if (skipDuplicates) {
+        results.skipped.push({
+          id: row.id,
+          command: row.command,
+          category: row.category,
+          reason: 'Command already exists',
+          existing_id: row.id
+        });
+        continue;
+      }
+      
+      const changes = importChanges(row, cmd, strategy);
+      const entry = { id: row.id, command: row.command, category: row.category };
+      
+      if (changes.length === 0) {
+        results.unchanged.push(entry);
+        continue;
+      }
+      
+      const updates = Object.fromEntries(changes.map(change => [change.field, change.to]));
+      if (updates.deprecated !== undefined) updates.deprecated = updates.deprecated ? 1 : 0;
+      
+      if (updates.command !== undefined || updates.category !== undefined) {
+        const clash = byName.get(updates.command ?? row.command, updates.category ?? row.category);
+        if (clash && clash.id !== row.id) {
+          results.errors.push({ ...entry, error: `Would duplicate command ID ${clash.id}` });
+          continue;
+        }
+      }
+      
+      if (updates.arguments !== undefined) {
+        const argumentProblems = validateArguments(updates.arguments);
+        if (argumentProblems.length > 0) {
+          results.errors.push({ ...entry, error: `Invalid arguments: ${argumentProblems.join('; ')}` });
+          continue;
+        }
+      }
+      
+      const reembed = ['command', 'description', 'arguments'].some(field => updates[field] !== undefined);
+      
+      if (!dry_run) {
+        await updateCommand(db, row.id, updates, options);
+      }
+      
+      results.updated.push({ ...entry, changes, reembed });
+    } catch (error) {
+      results.errors.push({
+        command: cmd.command,
+        error: error.message
+      });
+    }
+  }
+  
+  for (const { id, related_commands } of pendingLinks) {
+    const valid = related_commands.filter(relatedId => validateRelatedCommands(db, id, [relatedId]).length === 0);
+    if (valid.length < related_commands.length) {
+      console.error(`⚠️  Command ${id}: ignored unknown related commands ${related_commands.filter(relatedId => !valid.includes(relatedId)).join(', ')}`);
+    }
+    if (valid.length > 0) {
+      const before = commandSnapshot(db, id);
+      setRelatedCommands(db, id, valid);
+      recordRevision(db, id, 'update', before, commandSnapshot(db, id), options.actor);
+    }
   }
+  
+  console.error(`✓ Import ${dry_run ? 'dry run ' : ''}complete: ${results.added.length} added, ${results.updated.length} updated, ${results.unchanged.length} unchanged, ${results.skipped.length} skipped, ${results.errors.length} errors`);
+  
+  return results;
 }
 
 /**
@@ -534,19 +1795,24 @@ export async function importCommandsJSON(db, commands, skipDuplicates = true) {
 export function getDatabaseStats(db) {
   const stats = {};
   
-  // Total commands
-  const totalStmt = db.prepare('SELECT COUNT(*) as count FROM checkpoint_commands');
+  // Total commands (excluding the trash)
+  const totalStmt = db.prepare('SELECT COUNT(*) as count FROM checkpoint_commands WHERE deleted_at IS NULL');
   stats.total_commands = totalStmt.get().count;
   
   // Active vs deprecated
-  const activeStmt = db.prepare('SELECT COUNT(*) as count FROM checkpoint_commands WHERE deprecated = 0');
+  const activeStmt = db.prepare('SELECT COUNT(*) as count FROM checkpoint_commands WHERE deprecated = 0 AND deleted_at IS NULL');
   stats.active_commands = activeStmt.get().count;
   stats.deprecated_commands = stats.total_commands - stats.active_commands;
   
+  // In the trash
+  const trashStmt = db.prepare('SELECT COUNT(*) as count FROM checkpoint_commands WHERE deleted_at IS NOT NULL');
+  stats.trashed_commands = trashStmt.get().count;
+  
   // By category
   const categoryStmt = db.prepare(`
     SELECT category, COUNT(*) as count 
     FROM checkpoint_commands 
+    WHERE deleted_at IS NULL
     GROUP BY category 
     ORDER BY count DESC
   `);
@@ -556,7 +1822,7 @@ export function getDatabaseStats(db) {
   const deviceStmt = db.prepare(`
     SELECT device, COUNT(*) as count 
     FROM checkpoint_commands 
-    WHERE device IS NOT NULL
+    WHERE device IS NOT NULL AND deleted_at IS NULL
     GROUP BY device
   `);
   stats.by_device = deviceStmt.all();
@@ -565,7 +1831,7 @@ export function getDatabaseStats(db) {
   const modeStmt = db.prepare(`
     SELECT mode, COUNT(*) as count 
     FROM checkpoint_commands 
-    WHERE mode IS NOT NULL
+    WHERE mode IS NOT NULL AND deleted_at IS NULL
     GROUP BY mode
   `);
   stats.by_mode = modeStmt.all();
@@ -574,7 +1840,7 @@ export function getDatabaseStats(db) {
   const versionStmt = db.prepare(`
     SELECT version, COUNT(*) as count 
     FROM checkpoint_commands 
-    WHERE version IS NOT NULL
+    WHERE version IS NOT NULL AND deleted_at IS NULL
     GROUP BY version
     ORDER BY count DESC
   `);
@@ -584,33 +1850,159 @@ export function getDatabaseStats(db) {
   const embStmt = db.prepare('SELECT COUNT(*) as count FROM command_embeddings');
   stats.total_embeddings = embStmt.get().count;
   
+  const variantEmbStmt = db.prepare('SELECT COUNT(*) as count FROM variant_embeddings');
+  stats.total_variant_embeddings = variantEmbStmt.get().count;
+  
+  // Embeddings by model
+  const embModelStmt = db.prepare(`
+    SELECT model, dimensions, COUNT(*) as count 
+    FROM command_embeddings 
+    GROUP BY model, dimensions
+    ORDER BY count DESC
+  `);
+  stats.embeddings_by_model = embModelStmt.all();
+  
+  // Embeddings by storage format
+  const embFormatStmt = db.prepare(`
+    SELECT format, COUNT(*) as count, SUM(length(embedding)) as bytes 
+    FROM command_embeddings 
+    GROUP BY format
+  `);
+  stats.embeddings_by_format = embFormatStmt.all();
+  stats.embedding_storage = getConfig().embeddings.storage;
+  
+  // Query embedding cache
+  stats.query_cache = getQueryCacheStats(db);
+  
   console.error(`✓ Database stats generated`);
   
   return stats;
 }
 
+/**
+ * Find commands whose embedding is missing, from another model/dimension, or stale
+ * @param {Database} db - Database instance
+ * @returns {Object} Affected commands grouped by problem
+ */
+export function findEmbeddingProblems(db) {
+  const provider = getEmbeddingProvider();
+  const rows = db.prepare(`
+    SELECT cc.id, cc.command, cc.description, ce.command_id AS embedded,
+           ce.model, ce.dimensions, ce.text_hash
+    FROM checkpoint_commands cc
+    LEFT JOIN command_embeddings ce ON cc.id = ce.command_id
+  `).all();
+  
+  // Dimension of the active model, taken from its existing vectors
+  const expectedDimensions = modelDimensions(db, provider.model);
+  
+  const problems = { missing: [], mismatched: [], stale: [] };
+  
+  for (const row of rows) {
+    const summary = { id: row.id, command: row.command };
+    
+    if (!row.embedded) {
+      problems.missing.push(summary);
+    } else if (row.model !== provider.model ||
+               (expectedDimensions !== null && row.dimensions !== expectedDimensions)) {
+      problems.mismatched.push({ ...summary, model: row.model, dimensions: row.dimensions });
+    } else if (row.text_hash !== hashText(embeddingText(row))) {
+      problems.stale.push(summary);
+    }
+  }
+  
+  // Argument variant vectors, reported per command with the affected variant indexes
+  const variantProblems = { variants_missing: [], variants_mismatched: [], variants_stale: [] };
+  const variantRows = db.prepare(`
+    SELECT command_id, variant_index, model, dimensions, text_hash FROM variant_embeddings
+  `).all();
+  const variantsByCommand = new Map();
+  for (const row of variantRows) {
+    if (!variantsByCommand.has(row.command_id)) variantsByCommand.set(row.command_id, new Map());
+    variantsByCommand.get(row.command_id).set(row.variant_index, row);
+  }
+  
+  const commandRows = db.prepare('SELECT id, command, arguments FROM checkpoint_commands').all();
+  
+  for (const cmd of commandRows) {
+    const variants = parseArguments(cmd.arguments);
+    const stored = variantsByCommand.get(cmd.id) || new Map();
+    const found = { variants_missing: [], variants_mismatched: [], variants_stale: [] };
+    
+    variants.forEach((variant, i) => {
+      const row = stored.get(i);
+      if (!row) {
+        found.variants_missing.push(i);
+      } else if (row.model !== provider.model ||
+                 (expectedDimensions !== null && row.dimensions !== expectedDimensions)) {
+        found.variants_mismatched.push(i);
+      } else if (row.text_hash !== hashText(variantEmbeddingText(cmd.command, variant))) {
+        found.variants_stale.push(i);
+      }
+    });
+    
+    // Rows left over from variants that no longer exist
+    for (const variantIndex of stored.keys()) {
+      if (variantIndex >= variants.length) found.variants_stale.push(variantIndex);
+    }
+    
+    for (const [type, indexes] of Object.entries(found)) {
+      if (indexes.length > 0) {
+        variantProblems[type].push({ id: cmd.id, command: cmd.command, variant_indexes: indexes });
+      }
+    }
+  }
+  
+  return {
+    model: provider.model,
+    dimensions: expectedDimensions,
+    ...problems,
+    ...variantProblems
+  };
+}
+
 /**
  * Rebuild all embeddings
  * @param {Database} db - Database instance
+ * @param {Object} options - Rebuild options
+ * @param {boolean} options.only_affected - Only re-embed missing, mismatched or stale rows
  * @returns {Promise<Object>} Rebuild results
  */
-export async function rebuildAllEmbeddings(db) {
-  const commands = db.prepare('SELECT id, command, description FROM checkpoint_commands').all();
+export async function rebuildAllEmbeddings(db, options = {}) {
+  // Commands in the trash are included so they can be restored without re-embedding
+  let commands = db.prepare('SELECT id, command, description, arguments, deleted_at FROM checkpoint_commands').all();
+  
+  // Which vectors to regenerate for each command (all of them unless only_affected)
+  let commandAffected = null;
+  let variantsAffected = null;
+  let variantsMismatched = null;
+  
+  if (options.only_affected) {
+    const problems = findEmbeddingProblems(db);
+    const ids = list => new Set(list.map(c => c.id));
+    commandAffected = ids([...problems.missing, ...problems.mismatched, ...problems.stale]);
+    variantsAffected = ids([...problems.variants_missing, ...problems.variants_mismatched, ...problems.variants_stale]);
+    variantsMismatched = ids(problems.variants_mismatched);
+    commands = commands.filter(cmd => commandAffected.has(cmd.id) || variantsAffected.has(cmd.id));
+    console.error(`🔧 Rebuilding ${commands.length} affected embeddings`);
+  }
   
   let success = 0;
   let failed = 0;
   
   for (const cmd of commands) {
     try {
-      const textToEmbed = `${cmd.command} ${cmd.description || ''}`.trim();
-      const embedding = await getEmbedding(textToEmbed);
-      const embeddingBlob = embeddingToBlob(embedding);
-      
-      // Delete old embedding if exists
-      db.prepare('DELETE FROM command_embeddings WHERE command_id = ?').run(cmd.id);
-      
-      // Insert new embedding
-      db.prepare('INSERT INTO command_embeddings (command_id, embedding) VALUES (?, ?)').run(cmd.id, embeddingBlob);
+      if (!commandAffected || commandAffected.has(cmd.id)) {
+        await storeEmbedding(db, cmd.id, cmd);
+      }
+      if (!variantsAffected || variantsAffected.has(cmd.id)) {
+        await storeVariantEmbeddings(db, cmd.id, cmd, {
+          force: !variantsMismatched || variantsMismatched.has(cmd.id)
+        });
+      }
+      if (cmd.deleted_at) {
+        removeFromVectorIndex(db, cmd.id);
+      }
       
       success++;
       console.error(`✓ Rebuilt embedding for ID ${cmd.id}: ${cmd.command}`);
@@ -620,12 +2012,16 @@ export async function rebuildAllEmbeddings(db) {
     }
   }
   
-  console.error(`✓ Rebuild complete: ${success} success, ${failed} failed`);
+  // Runbook vectors: all of them on a full rebuild, the affected ones otherwise
+  const runbooks = await rebuildRunbookEmbeddings(db, options.only_affected ? findRunbookEmbeddingProblems(db) : null);
+  
+  console.error(`✓ Rebuild complete: ${success} success, ${failed} failed (${runbooks.success}/${runbooks.total} runbooks)`);
   
   return {
     total: commands.length,
     success,
-    failed
+    failed,
+    runbooks
   };
 }
 
@@ -636,21 +2032,17 @@ export async function rebuildAllEmbeddings(db) {
  * @returns {Promise<boolean>} Success status
  */
 export async function rebuildEmbeddingById(db, id) {
-  const cmd = db.prepare('SELECT command, description FROM checkpoint_commands WHERE id = ?').get(id);
+  const cmd = db.prepare('SELECT command, description, arguments, deleted_at FROM checkpoint_commands WHERE id = ?').get(id);
   
   if (!cmd) {
     throw new Error(`Command with ID ${id} not found`);
   }
   
-  const textToEmbed = `${cmd.command} ${cmd.description || ''}`.trim();
-  const embedding = await getEmbedding(textToEmbed);
-  const embeddingBlob = embeddingToBlob(embedding);
-  
-  // Delete old embedding
-  db.prepare('DELETE FROM command_embeddings WHERE command_id = ?').run(id);
-  
-  // Insert new embedding
-  db.prepare('INSERT INTO command_embeddings (command_id, embedding) VALUES (?, ?)').run(id, embeddingBlob);
+  await storeEmbedding(db, id, cmd);
+  await storeVariantEmbeddings(db, id, cmd, { force: true });
+  if (cmd.deleted_at) {
+    removeFromVectorIndex(db, id);
+  }
   
   console.error(`✓ Rebuilt embedding for ID ${id}: ${cmd.command}`);
   
@@ -658,18 +2050,77 @@ export async function rebuildEmbeddingById(db, id) {
 }
 
 /**
- * Create database backup
+ * Convert stored embeddings to another storage format in place
  * @param {Database} db - Database instance
- * @returns {Object} Backup info
+ * @param {string} format - Target format: 'float64', 'float32' or 'int8'
+ * @returns {Object} Migration results with sizes before and after
  */
-export function createBackup(db) {
+export function migrateEmbeddingStorage(db, format = getConfig().embeddings.storage) {
+  if (!EMBEDDING_FORMATS.includes(format)) {
+    throw new Error(`Unknown embedding storage format '${format}' (expected one of ${EMBEDDING_FORMATS.join(', ')})`);
+  }
+  
+  // Command vectors and argument variant vectors share the storage format
+  const tables = ['command_embeddings', 'variant_embeddings'];
+  
+  let converted = 0;
+  let bytesBefore = 0;
+  let bytesAfter = 0;
+  
+  db.transaction(() => {
+    for (const table of tables) {
+      const rows = db.prepare(`
+        SELECT rowid, embedding, format, quant_scale, quant_offset
+        FROM ${table} WHERE format IS NOT ?
+      `).all(format);
+      
+      const update = db.prepare(`
+        UPDATE ${table} SET embedding = ?, format = ?, quant_scale = ?, quant_offset = ?
+        WHERE rowid = ?
+      `);
+      
+      for (const row of rows) {
+        const embedding = blobToEmbedding(row.embedding, row.format, row.quant_scale, row.quant_offset);
+        const { blob, scale, offset } = embeddingToBlob(embedding, format);
+        update.run(blob, format, scale, offset, row.rowid);
+        bytesBefore += row.embedding.length;
+        bytesAfter += blob.length;
+      }
+      
+      converted += rows.length;
+    }
+  })();
+  
+  // Vectors decoded from a lossy format differ slightly; reload them
+  if (vectorIndexes.has(db)) {
+    buildVectorIndex(db);
+  }
+  
+  console.error(`✓ Migrated ${converted} embeddings to ${format}: ${bytesBefore} → ${bytesAfter} bytes`);
+  
+  return {
+    format,
+    converted,
+    bytes_before: bytesBefore,
+    bytes_after: bytesAfter
+  };
+}
+
+/**
+ * Create database backup
+ * @param {Database} db - Database instance
+ * @returns {Object} Backup info
+ */
+export function createBackup(db) {
+  const backupDir = getConfig().database.backup_dir;
+  
   // Ensure backup directory exists
-  if (!existsSync(BACKUP_DIR)) {
-    mkdirSync(BACKUP_DIR, { recursive: true });
+  if (!existsSync(backupDir)) {
+    mkdirSync(backupDir, { recursive: true });
   }
   
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const backupFile = join(BACKUP_DIR, `commands_backup_${timestamp}.db`);
+  const backupFile = join(backupDir, `commands_backup_${timestamp}.db`);
   
   // Use SQLite backup API
   db.backup(backupFile);
@@ -687,13 +2138,15 @@ export function createBackup(db) {
  * @returns {Array} Array of backup files
  */
 export function listBackups() {
-  if (!existsSync(BACKUP_DIR)) {
+  const backupDir = getConfig().database.backup_dir;
+  
+  if (!existsSync(backupDir)) {
     return [];
   }
   
-  const files = readdirSync(BACKUP_DIR)
+  const files = readdirSync(backupDir)
     .filter(f => f.endsWith('.db'))
-    .map(f => join(BACKUP_DIR, f));
+    .map(f => join(backupDir, f));
   
   console.error(`✓ Found ${files.length} backup(s)`);
   
@@ -742,11 +2195,22 @@ export async function advancedSearch(db, searchParams) {
     version,
     impact,
     limit = 10,
-    score_threshold = 0.3
+    score_threshold = 0.3,
+    search_mode = DEFAULT_SEARCH_MODE,
+    keyword_weight,
+    semantic_weight,
+    rrf_k,
+    explain = false
   } = searchParams;
   
-  // Start with semantic search
-  let results = await searchCommands(db, query, limit * 2, score_threshold);
+  // Start with ranked search (mode is the command mode filter, search_mode the ranker)
+  let results = await searchCommands(db, query, limit * 2, score_threshold, {
+    mode: search_mode,
+    keyword_weight,
+    semantic_weight,
+    rrf_k,
+    explain
+  });
   
   // Apply additional filters
   if (category) {
@@ -762,8 +2226,12 @@ export async function advancedSearch(db, searchParams) {
   }
   
   if (version) {
-    const cmd = db.prepare('SELECT id FROM checkpoint_commands WHERE id = ? AND version = ?');
-    results = results.filter(r => cmd.get(r.id, version));
+    const targetVersion = parseVersion(version);
+    const cmd = db.prepare('SELECT version FROM checkpoint_commands WHERE id = ?');
+    results = results.filter(r => {
+      const row = cmd.get(r.id);
+      return targetVersion ? versionApplies(row.version, targetVersion) === true : row.version === version;
+    });
   }
   
   if (impact) {
@@ -775,6 +2243,58 @@ export async function advancedSearch(db, searchParams) {
   return results.slice(0, limit);
 }
 
+/**
+ * Find which commands are valid on a given gateway or management release
+ * @param {Database} db - Database instance
+ * @param {string} version - Release (e.g., "R81.20" or "R81.20 JHF Take 54")
+ * @param {Object} filters - Optional listCommands filters (category, mode, device, deprecated) and include_unversioned
+ * @returns {Object} Result object with compatible commands and counts of the rest, or error
+ */
+export function getCompatibleCommands(db, version, filters = {}) {
+  const target = parseVersion(version);
+  
+  if (!target) {
+    return {
+      error: true,
+      reason: 'invalid_version',
+      message: `'${version}' is not a Check Point release (expected e.g. R81.20 or R81.20 JHF Take 54)`
+    };
+  }
+  
+  const { include_unversioned = false, ...listFilters } = filters;
+  delete listFilters.version;
+  
+  const compatible = [];
+  const unversioned = [];
+  const unparseable = [];
+  let incompatible = 0;
+  
+  for (const cmd of listCommands(db, listFilters)) {
+    const applies = cmd.version ? versionApplies(cmd.version, target) : undefined;
+    const entry = { id: cmd.id, command: cmd.command, category: cmd.category, mode: cmd.mode, version: cmd.version };
+    
+    if (applies === true) {
+      compatible.push(entry);
+    } else if (applies === false) {
+      incompatible++;
+    } else if (applies === undefined) {
+      unversioned.push(entry);
+    } else {
+      unparseable.push(entry);
+    }
+  }
+  
+  return {
+    error: false,
+    version: formatVersion(target),
+    commands: include_unversioned ? [...compatible, ...unversioned] : compatible,
+    count: compatible.length + (include_unversioned ? unversioned.length : 0),
+    incompatible_count: incompatible,
+    unversioned_count: unversioned.length,
+    unparseable
+  };
+}
+
 /**
  * List all unique categories
  * @param {Database} db - Database instance
@@ -784,7 +2304,7 @@ export function listCategories(db) {
   const stmt = db.prepare(`
     SELECT DISTINCT category, COUNT(*) as count 
     FROM checkpoint_commands 
-    WHERE category IS NOT NULL
+    WHERE category IS NOT NULL AND deleted_at IS NULL
     GROUP BY category 
     ORDER BY category
   `);
@@ -806,16 +2326,16 @@ export function getCategoryStats(db, category) {
   const stats = {};
   
   // Total commands in category
-  const totalStmt = db.prepare('SELECT COUNT(*) as count FROM checkpoint_commands WHERE category = ?');
+  const totalStmt = db.prepare('SELECT COUNT(*) as count FROM checkpoint_commands WHERE category = ? AND deleted_at IS NULL');
   stats.total_commands = totalStmt.get(category).count;
   
   // Active vs deprecated
-  const activeStmt = db.prepare('SELECT COUNT(*) as count FROM checkpoint_commands WHERE category = ? AND deprecated = 0');
+  const activeStmt = db.prepare('SELECT COUNT(*) as count FROM checkpoint_commands WHERE category = ? AND deprecated = 0 AND deleted_at IS NULL');
   stats.active_commands = activeStmt.get(category).count;
   stats.deprecated_commands = stats.total_commands - stats.active_commands;
   
   // Commands list
-  const commandsStmt = db.prepare('SELECT command FROM checkpoint_commands WHERE category = ? ORDER BY command');
+  const commandsStmt = db.prepare('SELECT command FROM checkpoint_commands WHERE category = ? AND deleted_at IS NULL ORDER BY command');
   stats.commands = commandsStmt.all(category).map(c => c.command);
   
   console.error(`✓ Category stats for '${category}': ${stats.total_commands} commands`);
@@ -824,19 +2344,29 @@ export function getCategoryStats(db, category) {
 }
 
 /**
- * Rename a category
+ * Rename a category (records one revision per affected command)
  * @param {Database} db - Database instance
  * @param {string} oldName - Old category name
  * @param {string} newName - New category name
- * @returns {number} Number of commands updated
+ * @param {Object} options - { actor } recorded in the revision history
+ * @returns {Promise<number>} Number of commands updated
  */
-export function renameCategory(db, oldName, newName) {
-  const stmt = db.prepare('UPDATE checkpoint_commands SET category = ? WHERE category = ?');
-  const result = stmt.run(newName, oldName);
+export async function renameCategory(db, oldName, newName, options = {}) {
+  const before = db.prepare('SELECT * FROM checkpoint_commands WHERE category = ?').all(oldName);
+  const stmt = db.prepare('UPDATE checkpoint_commands SET category = ? WHERE id = ?');
   
-  console.error(`✓ Renamed category '${oldName}' to '${newName}': ${result.changes} commands updated`);
+  db.transaction(() => {
+    for (const row of before) {
+      stmt.run(newName, row.id);
+      recordRevision(db, row.id, 'rename_category', row, commandSnapshot(db, row.id), options.actor);
+    }
+  })();
   
-  return result.changes;
+  await refreshRunbookEmbeddingsFor(db, before.map(row => row.id));
+  
+  console.error(`✓ Renamed category '${oldName}' to '${newName}': ${before.length} commands updated`);
+  
+  return before.length;
 }
 
 /**
@@ -848,6 +2378,7 @@ export function findDuplicates(db) {
   const stmt = db.prepare(`
     SELECT command, category, COUNT(*) as count, GROUP_CONCAT(id) as ids
     FROM checkpoint_commands
+    WHERE deleted_at IS NULL
     GROUP BY command, category
     HAVING count > 1
     ORDER BY count DESC, category, command
@@ -907,6 +2438,38 @@ export function validateDatabase(db) {
     });
   }
   
+  // Check for embeddings from another model/dimension or of outdated text
+  const embeddingProblems = findEmbeddingProblems(db);
+  
+  if (embeddingProblems.mismatched.length > 0) {
+    issues.push({
+      type: 'mismatched_embeddings',
+      count: embeddingProblems.mismatched.length,
+      expected_model: embeddingProblems.model,
+      expected_dimensions: embeddingProblems.dimensions,
+      commands: embeddingProblems.mismatched
+    });
+  }
+  
+  if (embeddingProblems.stale.length > 0) {
+    issues.push({
+      type: 'stale_embeddings',
+      count: embeddingProblems.stale.length,
+      commands: embeddingProblems.stale
+    });
+  }
+  
+  // Same checks for argument variant vectors
+  for (const type of ['variants_missing', 'variants_mismatched', 'variants_stale']) {
+    if (embeddingProblems[type].length > 0) {
+      issues.push({
+        type: `${type.replace('variants_', '')}_variant_embeddings`,
+        count: embeddingProblems[type].length,
+        commands: embeddingProblems[type]
+      });
+    }
+  }
+  
   // Check for commands without required fields
   const noRequiredStmt = db.prepare(`
     SELECT id, command, category 
@@ -923,6 +2486,45 @@ export function validateDatabase(db) {
     });
   }
   
+  // Check argument templates
+  const argumentRows = db.prepare('SELECT id, command, arguments FROM checkpoint_commands').all();
+  const invalidArguments = [];
+  
+  for (const row of argumentRows) {
+    let problems;
+    try {
+      problems = validateArguments(JSON.parse(row.arguments || '[]'));
+    } catch (error) {
+      problems = [`arguments is not valid JSON: ${error.message}`];
+    }
+    
+    if (problems.length > 0) {
+      invalidArguments.push({ id: row.id, command: row.command, problems });
+    }
+  }
+  
+  if (invalidArguments.length > 0) {
+    issues.push({
+      type: 'invalid_arguments',
+      count: invalidArguments.length,
+      commands: invalidArguments
+    });
+  }
+  
+  // Check version fields that are not a release or range (version filters cannot match them)
+  const unparseableVersions = db.prepare(`
+    SELECT id, command, version FROM checkpoint_commands
+    WHERE version IS NOT NULL AND version != '' AND deleted_at IS NULL
+  `).all().filter(row => !parseVersionSpec(row.version));
+  
+  if (unparseableVersions.length > 0) {
+    issues.push({
+      type: 'unparseable_versions',
+      count: unparseableVersions.length,
+      commands: unparseableVersions
+    });
+  }
+  
   const isValid = issues.length === 0;
   
   console.error(isValid ? '✓ Database validation passed' : `⚠️  Database validation found ${issues.length} issue(s)`);
@@ -948,4 +2550,2448 @@ export function optimizeDatabase(db) {
   console.error('✓ Database optimized');
   
   return true;
-}
\ No newline at end of file
+}
+
+// ============================================================================
+// REMOTE EXECUTION
+// ============================================================================
+
+/**
+ * Resolve an argument variant of a command
+ * @param {Array} variants - Parsed arguments array of the command
+ * @param {number|string} variant - Variant index or exact args string
+ * @returns {Object|null} Variant object or null
+ */
+function resolveVariant(variants, variant) {
+  if (typeof variant === 'number') {
+    return variants[variant] || null;
+  }
+  
+  return variants.find(v => v.args === variant) || null;
+}
+
+/**
+ * Build the exact command line of a stored command (no approval check)
+ * @param {Database} db - Database instance
+ * @param {number} id - Command ID
+ * @param {number|string} [variant] - Argument variant index or args template string
+ * @param {Object} [values] - Placeholder values keyed by parameter name
+ * @returns {Object} Command line or error object
+ */
+function buildCommandLine(db, id, variant, values = {}) {
+  const cmd = getCommandById(db, id);
+  
+  if (!cmd) {
+    return {
+      error: true,
+      reason: 'not_found',
+      message: `Command with ID ${id} not found`
+    };
+  }
+  
+  if (variant === undefined || variant === null) {
+    return {
+      error: false,
+      id: cmd.id,
+      command: cmd,
+      variant: null,
+      command_line: cmd.command
+    };
+  }
+  
+  const selected = resolveVariant(cmd.arguments, variant);
+  
+  if (!selected) {
+    return {
+      error: true,
+      reason: 'unknown_variant',
+      message: `Argument variant '${variant}' not found for command '${cmd.command}'`
+    };
+  }
+  
+  const rendered = renderVariant(cmd.command, selected, values);
+  
+  if (rendered.errors) {
+    return {
+      error: true,
+      reason: 'invalid_values',
+      message: `Invalid values for '${cmd.command} ${selected.args}': ${rendered.errors.join('; ')}`,
+      value_errors: rendered.errors,
+      params: selected.params || []
+    };
+  }
+  
+  return {
+    error: false,
+    id: cmd.id,
+    command: cmd,
+    variant: selected,
+    command_line: rendered.command_line
+  };
+}
+
+/**
+ * Render a stored command into an exact command line
+ *
+ * Commands that require approval (see requiresApproval) are validated but
+ * their command line is withheld unless change_request_id names an approved
+ * change request for that same command line, so gated commands are never
+ * handed out ready to run.
+ *
+ * @param {Database} db - Database instance
+ * @param {number} id - Command ID
+ * @param {number|string} [variant] - Argument variant index or args template string
+ * @param {Object} [values] - Placeholder values keyed by parameter name
+ * @param {number} [change_request_id] - Approved change request for a gated command
+ * @returns {Object} Rendered command line or error object
+ */
+export function renderCommand(db, id, variant, values = {}, change_request_id = null) {
+  const rendered = buildCommandLine(db, id, variant, values);
+  
+  if (rendered.error || !requiresApproval(rendered.command)) {
+    return rendered;
+  }
+  
+  const changeRequest = change_request_id ? getChangeRequest(db, change_request_id) : null;
+  
+  if (changeRequest &&
+      changeRequest.status === 'approved' &&
+      changeRequest.command_id === rendered.id &&
+      changeRequest.command_line === rendered.command_line) {
+    return rendered;
+  }
+  
+  return {
+    ...rendered,
+    command_line: null,
+    withheld: true,
+    message: change_request_id
+      ? `Change request ${change_request_id} is not an approved request for this command line: command line withheld`
+      : `Command '${rendered.command.command}' requires approval: command line withheld until a change request is approved (use execute_command to request it)`
+  };
+}
+
+/**
+ * Execute a stored command on a configured SSH target
+ *
+ * Commands that require approval (see requiresApproval) are never run
+ * directly: without change_request_id a pending change request is created
+ * instead, and with it the request must be approved, unexpired and match
+ * the same command line and target. The request is claimed ('executing')
+ * before connecting and ends as 'executed' or 'failed', so it runs at most once.
+ *
+ * @param {Database} db - Database instance
+ * @param {number} id - Command ID
+ * @param {Object} options - Execution options
+ * @param {string} options.target - Target name from the SSH targets file
+ * @param {number|string} [options.variant] - Argument variant index or args string
+ * @param {Object} [options.values] - Placeholder values for the variant
+ * @param {number} [options.change_request_id] - Approved change request to execute
+ * @param {string} [options.justification] - Reason for the change (gated commands)
+ * @param {string} [options.requested_by] - Requester name (gated commands)
+ * @param {number} [options.expires_in_hours] - Lifetime of a new change request (default 24)
+ * @returns {Promise<Object>} Execution result, pending change request or error object
+ */
+export async function executeCommand(db, id, options = {}) {
+  const { target: targetName, variant, values, change_request_id } = options;
+  
+  const expiryError = checkExpiry(options.expires_in_hours);
+  if (expiryError) {
+    return expiryError;
+  }
+  
+  const rendered = buildCommandLine(db, id, variant, values);
+  
+  if (rendered.error) {
+    return rendered;
+  }
+  
+  const { command: cmd, command_line: commandLine } = rendered;
+  
+  if (!cmd.executable_mcp) {
+    return {
+      error: true,
+      reason: 'not_executable',
+      message: `Command '${cmd.command}' (ID ${id}) is not marked as executable_mcp`
+    };
+  }
+  
+  const target = getTarget(targetName);
+  
+  if (!target) {
+    return {
+      error: true,
+      reason: 'unknown_target',
+      message: `SSH target '${targetName}' is not configured`
+    };
+  }
+  
+  if (cmd.mode !== target.mode) {
+    return {
+      error: true,
+      reason: 'mode_mismatch',
+      message: `Command '${cmd.command}' requires ${cmd.mode || 'an unspecified'} mode but target '${target.name}' opens a ${target.mode} session`
+    };
+  }
+  
+  let changeRequest = null;
+  
+  if (requiresApproval(cmd)) {
+    if (!change_request_id) {
+      return createChangeRequest(db, {
+        command_id: cmd.id,
+        command_line: commandLine,
+        target: target.name,
+        justification: options.justification,
+        requested_by: options.requested_by,
+        expires_in_hours: options.expires_in_hours
+      });
+    }
+    
+    changeRequest = getChangeRequest(db, change_request_id);
+    
+    if (!changeRequest || changeRequest.status !== 'approved') {
+      return {
+        error: true,
+        reason: 'not_approved',
+        message: changeRequest
+          ? `Change request ${change_request_id} is ${changeRequest.status}, not approved`
+          : `Change request ${change_request_id} not found`
+      };
+    }
+    
+    if (changeRequest.command_id !== cmd.id ||
+        changeRequest.command_line !== commandLine ||
+        changeRequest.target !== target.name) {
+      return {
+        error: true,
+        reason: 'change_request_mismatch',
+        message: `Change request ${change_request_id} approves '${changeRequest.command_line}' on '${changeRequest.target}', not '${commandLine}' on '${target.name}'`
+      };
+    }
+  }
+  
+  if (changeRequest) {
+    // Claim the request before connecting so concurrent calls cannot run it twice
+    const claimed = db.prepare(`
+      UPDATE change_requests SET status = 'executing' WHERE id = ? AND status = 'approved'
+    `).run(changeRequest.id);
+    
+    if (claimed.changes !== 1) {
+      return {
+        error: true,
+        reason: 'not_approved',
+        message: `Change request ${change_request_id} is already being executed or is no longer approved`
+      };
+    }
+  }
+  
+  console.error(`▶ Executing on ${target.name} (${target.host}): ${commandLine}`);
+  
+  let result;
+  
+  try {
+    result = await runRemoteCommand(target, commandLine);
+  } catch (error) {
+    console.error(`⚠️  Execution failed on ${target.name}: ${error.message}`);
+    
+    if (changeRequest) {
+      db.prepare(`
+        UPDATE change_requests
+        SET status = 'failed', executed_at = CURRENT_TIMESTAMP, execution_result = ?
+        WHERE id = ?
+      `).run(JSON.stringify({ error: error.message }), changeRequest.id);
+    }
+    
+    throw error;
+  }
+  
+  console.error(`✓ Execution finished on ${target.name}: exit code ${result.exit_code}`);
+  
+  if (changeRequest) {
+    db.prepare(`
+      UPDATE change_requests
+      SET status = 'executed', executed_at = CURRENT_TIMESTAMP, execution_result = ?
+      WHERE id = ?
+    `).run(JSON.stringify(result), changeRequest.id);
+  }
+  
+  return {
+    error: false,
+    id: cmd.id,
+    target: target.name,
+    mode: target.mode,
+    command_line: commandLine,
+    change_request_id: changeRequest ? changeRequest.id : null,
+    ...result
+  };
+}
+
+// ============================================================================
+// CHANGE REQUESTS (APPROVAL WORKFLOW)
+// ============================================================================
+
+/**
+ * Check whether a command needs a second-person approval before it runs
+ * @param {Object} cmd - Command object
+ * @returns {boolean} True for high/critical impact or config type commands
+ */
+export function requiresApproval(cmd) {
+  return APPROVAL_IMPACTS.includes(cmd.impact) || cmd.type === 'config';
+}
+
+/**
+ * Mark pending and approved change requests past their expiry as expired
+ * @param {Database} db - Database instance
+ * @returns {number} Number of requests expired
+ */
+function expireChangeRequests(db) {
+  const result = db.prepare(`
+    UPDATE change_requests
+    SET status = 'expired'
+    WHERE status IN ('pending', 'approved') AND expires_at <= datetime('now')
+  `).run();
+  
+  return result.changes;
+}
+
+/**
+ * Convert a change request row to an API object
+ * @param {Object} row - Database row
+ * @returns {Object} Change request object
+ */
+function formatChangeRequest(row) {
+  return {
+    ...row,
+    execution_result: row.execution_result ? JSON.parse(row.execution_result) : null
+  };
+}
+
+/**
+ * Check the lifetime requested for a change request
+ * @param {*} hours - expires_in_hours (undefined or null: the default)
+ * @returns {Object|null} Error object, or null when valid
+ */
+function checkExpiry(hours) {
+  if (hours === undefined || hours === null) return null;
+  
+  if (typeof hours === 'boolean' || hours === '' || !Number.isFinite(Number(hours)) || Number(hours) <= 0) {
+    return {
+      error: true,
+      reason: 'invalid_expiry',
+      message: `expires_in_hours must be a positive number of hours, got ${JSON.stringify(hours)}`
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Create a pending change request for a gated command
+ * @param {Database} db - Database instance
+ * @param {Object} requestData - Change request data
+ * @returns {Object} Result object with the pending change request or error
+ */
+export function createChangeRequest(db, requestData) {
+  const {
+    command_id,
+    command_line,
+    target,
+    justification,
+    requested_by,
+    expires_in_hours
+  } = requestData;
+  
+  const expiryError = checkExpiry(expires_in_hours);
+  if (expiryError) {
+    return expiryError;
+  }
+  
+  if (!justification || !justification.trim()) {
+    return {
+      error: true,
+      reason: 'justification_required',
+      message: 'A justification is required to request approval for this command'
+    };
+  }
+  
+  if (!requested_by) {
+    return {
+      error: true,
+      reason: 'requester_required',
+      message: 'requested_by is required to request approval for this command'
+    };
+  }
+  
+  const result = db.prepare(`
+    INSERT INTO change_requests (
+      command_id, command_line, target, justification, requested_by, expires_at
+    ) VALUES (?, ?, ?, ?, ?, datetime('now', ?))
+  `).run(command_id, command_line, target, justification, requested_by, `+${Number(expires_in_hours ?? CHANGE_REQUEST_TTL_HOURS)} hours`);
+  
+  const changeRequest = getChangeRequest(db, result.lastInsertRowid);
+  
+  console.error(`✓ Change request ${changeRequest.id} created for '${command_line}' on ${target}`);
+  
+  return {
+    error: false,
+    pending_approval: true,
+    change_request: changeRequest
+  };
+}
+
+/**
+ * Get change request by ID
+ * @param {Database} db - Database instance
+ * @param {number} id - Change request ID
+ * @returns {Object|null} Change request object or null
+ */
+export function getChangeRequest(db, id) {
+  expireChangeRequests(db);
+  
+  const row = db.prepare('SELECT * FROM change_requests WHERE id = ?').get(id);
+  
+  return row ? formatChangeRequest(row) : null;
+}
+
+/**
+ * List change requests
+ * @param {Database} db - Database instance
+ * @param {Object} filters - Optional filters (status, command_id)
+ * @returns {Array} Array of change requests
+ */
+export function listChangeRequests(db, filters = {}) {
+  expireChangeRequests(db);
+  
+  let query = 'SELECT * FROM change_requests WHERE 1=1';
+  const params = [];
+  
+  if (filters.status) {
+    query += ' AND status = ?';
+    params.push(filters.status);
+  }
+  
+  if (filters.command_id) {
+    query += ' AND command_id = ?';
+    params.push(filters.command_id);
+  }
+  
+  query += ' ORDER BY created_at DESC, id DESC';
+  
+  return db.prepare(query).all(...params).map(formatChangeRequest);
+}
+
+/**
+ * Approve or reject a pending change request
+ * @param {Database} db - Database instance
+ * @param {number} id - Change request ID
+ * @param {string} decision - 'approved' or 'rejected'
+ * @param {string} reviewer - Reviewer name (must differ from the requester)
+ * @param {string} comment - Optional review comment
+ * @returns {Object} Result object with the updated change request or error
+ */
+function reviewChangeRequest(db, id, decision, reviewer, comment) {
+  const changeRequest = getChangeRequest(db, id);
+  
+  if (!changeRequest) {
+    return {
+      error: true,
+      reason: 'not_found',
+      message: `Change request with ID ${id} not found`
+    };
+  }
+  
+  if (changeRequest.status !== 'pending') {
+    return {
+      error: true,
+      reason: 'not_pending',
+      message: `Change request ${id} is ${changeRequest.status}, only pending requests can be reviewed`
+    };
+  }
+  
+  if (!reviewer) {
+    return {
+      error: true,
+      reason: 'reviewer_required',
+      message: 'A reviewer is required'
+    };
+  }
+  
+  if (reviewer === changeRequest.requested_by) {
+    return {
+      error: true,
+      reason: 'self_review',
+      message: `Change request ${id} must be reviewed by someone other than its requester (${changeRequest.requested_by})`
+    };
+  }
+  
+  db.prepare(`
+    UPDATE change_requests
+    SET status = ?, reviewed_by = ?, review_comment = ?, reviewed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(decision, reviewer, comment || null, id);
+  
+  console.error(`✓ Change request ${id} ${decision} by ${reviewer}`);
+  
+  return {
+    error: false,
+    change_request: getChangeRequest(db, id)
+  };
+}
+
+/**
+ * Approve a pending change request
+ * @param {Database} db - Database instance
+ * @param {number} id - Change request ID
+ * @param {string} reviewer - Approver name (must differ from the requester)
+ * @param {string} comment - Optional review comment
+ * @returns {Object} Result object with the updated change request or error
+ */
+export function approveChangeRequest(db, id, reviewer, comment) {
+  return reviewChangeRequest(db, id, 'approved', reviewer, comment);
+}
+
+/**
+ * Reject a pending change request
+ * @param {Database} db - Database instance
+ * @param {number} id - Change request ID
+ * @param {string} reviewer - Reviewer name (must differ from the requester)
+ * @param {string} comment - Optional review comment
+ * @returns {Object} Result object with the updated change request or error
+ */
+export function rejectChangeRequest(db, id, reviewer, comment) {
+  return reviewChangeRequest(db, id, 'rejected', reviewer, comment);
+}
+
+// ============================================================================
+// REVISION HISTORY
+// ============================================================================
+
+// Columns restored by revertCommand (id and timestamps are managed by the database;
+// the trash state goes through deleteCommand and restoreFromTrash)
+const REVERTABLE_FIELDS = COMMAND_FIELDS.filter(field => !['id', 'created_at', 'updated_at'].includes(field));
+
+/**
+ * Read the raw row of a command
+ * @param {Database} db - Database instance
+ * @param {number} id - Command ID
+ * @returns {Object|null} Row as stored, or null
+ */
+function commandSnapshot(db, id) {
+  return db.prepare('SELECT * FROM checkpoint_commands WHERE id = ?').get(id) || null;
+}
+
+/**
+ * Append an entry to the revision history
+ * @param {Database} db - Database instance
+ * @param {number} commandId - Command ID
+ * @param {string} action - insert, update, delete, rename_category or revert
+ * @param {Object|null} before - Row before the change
+ * @param {Object|null} after - Row after the change
+ * @param {string} actor - Who made the change
+ * @returns {number} Revision ID
+ */
+function recordRevision(db, commandId, action, before, after, actor) {
+  const result = db.prepare(`
+    INSERT INTO command_revisions (command_id, action, before_state, after_state, actor)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(
+    commandId,
+    action,
+    before ? JSON.stringify(before) : null,
+    after ? JSON.stringify(after) : null,
+    actor || null
+  );
+  
+  return result.lastInsertRowid;
+}
+
+/**
+ * Decode a stored row state into the shape returned by getCommandById
+ * @param {string|null} state - JSON row
+ * @returns {Object|null} Command state
+ */
+function parseState(state) {
+  if (!state) return null;
+  
+  const row = JSON.parse(state);
+  return {
+    ...row,
+    arguments: JSON.parse(row.arguments || '[]'),
+    related_commands: JSON.parse(row.related_commands || '[]'),
+    executable_mcp: Boolean(row.executable_mcp),
+    deprecated: Boolean(row.deprecated)
+  };
+}
+
+/**
+ * Format a revision row for API output
+ * @param {Object} row - Row from command_revisions
+ * @returns {Object} Revision with decoded states
+ */
+function formatRevision(row) {
+  return {
+    id: row.id,
+    command_id: row.command_id,
+    action: row.action,
+    actor: row.actor,
+    created_at: row.created_at,
+    before: parseState(row.before_state),
+    after: parseState(row.after_state)
+  };
+}
+
+/**
+ * Get a revision of a command
+ * @param {Database} db - Database instance
+ * @param {number} id - Command ID
+ * @param {number} revisionId - Revision ID
+ * @returns {Object|null} Revision or null
+ */
+function getRevision(db, id, revisionId) {
+  const row = db.prepare('SELECT * FROM command_revisions WHERE id = ? AND command_id = ?').get(revisionId, id);
+  return row ? formatRevision(row) : null;
+}
+
+/**
+ * List the revision history of a command (newest first)
+ * @param {Database} db - Database instance
+ * @param {number} id - Command ID
+ * @returns {Array} Array of revisions
+ */
+export function listCommandRevisions(db, id) {
+  const rows = db.prepare(`
+    SELECT * FROM command_revisions
+    WHERE command_id = ?
+    ORDER BY id DESC
+  `).all(id);
+  
+  return rows.map(formatRevision);
+}
+
+/**
+ * List the revisions recorded after a given one, across all commands (oldest first)
+ *
+ * Lets a process that does not make the changes itself (the MCP server in
+ * front of the API) find out which commands and categories changed.
+ *
+ * @param {Database} db - Database instance
+ * @param {number} [afterId] - Last revision already seen; omitted: only the latest ID is reported
+ * @param {number} [limit] - Maximum revisions returned
+ * @returns {Object} { revisions: [{ id, command_id, action, categories }], latest_revision_id, truncated }
+ */
+export function listRevisionsSince(db, afterId, limit = 500) {
+  const latest = db.prepare('SELECT MAX(id) AS id FROM command_revisions').get().id || 0;
+  
+  if (afterId === undefined || afterId === null) {
+    return { revisions: [], latest_revision_id: latest, truncated: false };
+  }
+  
+  const rows = db.prepare(`
+    SELECT id, command_id, action, before_state, after_state FROM command_revisions
+    WHERE id > ?
+    ORDER BY id
+    LIMIT ?
+  `).all(afterId, limit + 1);
+  
+  const revisions = rows.slice(0, limit).map(row => {
+    const states = [parseState(row.before_state), parseState(row.after_state)].filter(Boolean);
+    
+    return {
+      id: row.id,
+      command_id: row.command_id,
+      action: row.action,
+      categories: [...new Set(states.map(state => state.category).filter(Boolean))]
+    };
+  });
+  
+  return { revisions, latest_revision_id: latest, truncated: rows.length > limit };
+}
+
+/**
+ * Diff two revisions of a command
+ *
+ * Compares the state after `fromRevisionId` with the state after `toRevisionId`.
+ * Without `toRevisionId`, shows what the single revision `fromRevisionId` changed.
+ *
+ * @param {Database} db - Database instance
+ * @param {number} id - Command ID
+ * @param {number} fromRevisionId - First revision ID
+ * @param {number} toRevisionId - Second revision ID (optional)
+ * @returns {Object} Changed fields with old and new values, or error info
+ */
+export function diffRevisions(db, id, fromRevisionId, toRevisionId) {
+  const from = getRevision(db, id, fromRevisionId);
+  const to = toRevisionId ? getRevision(db, id, toRevisionId) : from;
+  
+  if (!from || !to) {
+    return {
+      error: true,
+      reason: 'not_found',
+      message: `Revision ${!from ? fromRevisionId : toRevisionId} not found for command ${id}`
+    };
+  }
+  
+  const oldState = (toRevisionId ? from.after : from.before) || {};
+  const newState = to.after || {};
+  const changes = [];
+  
+  for (const field of REVISION_FIELDS) {
+    const oldValue = oldState[field] === undefined ? null : oldState[field];
+    const newValue = newState[field] === undefined ? null : newState[field];
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, from: oldValue, to: newValue });
+    }
+  }
+  
+  return {
+    error: false,
+    command_id: id,
+    from_revision: from.id,
+    to_revision: to.id,
+    changes
+  };
+}
+
+/**
+ * Revert a command to the state recorded after a revision
+ *
+ * Works on purged commands too: the row is re-inserted with its original ID.
+ * The content is reverted directly; if the trash state of that revision differs
+ * from the current one, the command is then moved to or restored from the trash
+ * with deleteCommand / restoreFromTrash, which record their own revision.
+ *
+ * @param {Database} db - Database instance
+ * @param {number} id - Command ID
+ * @param {number} revisionId - Revision whose resulting state is restored
+ * @param {Object} options - { actor } recorded in the revision history
+ * @returns {Promise<Object>} Result object with the new revision ID or error
+ */
+export async function revertCommand(db, id, revisionId, options = {}) {
+  const revision = db.prepare('SELECT * FROM command_revisions WHERE id = ? AND command_id = ?').get(revisionId, id);
+  
+  if (!revision) {
+    return {
+      error: true,
+      reason: 'not_found',
+      message: `Revision ${revisionId} not found for command ${id}`
+    };
+  }
+  
+  if (!revision.after_state) {
+    return {
+      error: true,
+      reason: 'invalid_revision',
+      message: `Revision ${revisionId} records a purge; revert to an earlier revision instead`
+    };
+  }
+  
+  const target = JSON.parse(revision.after_state);
+  
+  const duplicate = db.prepare(`
+    SELECT id FROM checkpoint_commands WHERE command = ? AND category = ? AND id != ?
+  `).get(target.command, target.category, id);
+  
+  if (duplicate) {
+    return {
+      error: true,
+      reason: 'duplicate',
+      message: `Command '${target.command}' already exists in category '${target.category}' with ID ${duplicate.id}`,
+      existing_command_id: duplicate.id
+    };
+  }
+  
+  const before = commandSnapshot(db, id);
+  const values = REVERTABLE_FIELDS.map(field => target[field] === undefined ? null : target[field]);
+  
+  if (before) {
+    db.prepare(`
+      UPDATE checkpoint_commands
+      SET ${REVERTABLE_FIELDS.map(field => `${field} = ?`).join(', ')}
+      WHERE id = ?
+    `).run(...values, id);
+  } else {
+    db.prepare(`
+      INSERT INTO checkpoint_commands (id, ${REVERTABLE_FIELDS.join(', ')}, created_at)
+      VALUES (?, ${REVERTABLE_FIELDS.map(() => '?').join(', ')}, ?)
+    `).run(id, ...values, target.created_at);
+  }
+  
+  // Relink the related commands of that state that still exist
+  let relatedIds;
+  try {
+    relatedIds = JSON.parse(target.related_commands || '[]');
+  } catch (error) {
+    relatedIds = [];
+  }
+  const liveStmt = db.prepare('SELECT id FROM checkpoint_commands WHERE id = ? AND deleted_at IS NULL');
+  setRelatedCommands(db, id, relatedIds.filter(relatedId => relatedId !== id && liveStmt.get(relatedId)));
+  syncRelatedColumn(db, linkedIds(db, id));
+  
+  const after = commandSnapshot(db, id);
+  const newRevisionId = recordRevision(db, id, 'revert', before, after, options.actor);
+  
+  await storeEmbedding(db, id, after);
+  await storeVariantEmbeddings(db, id, after);
+  if (after.deleted_at) {
+    removeFromVectorIndex(db, id);
+  }
+  await refreshRunbookEmbeddingsFor(db, [id]);
+  
+  console.error(`✓ Command ${id} reverted to revision ${revisionId}`);
+  
+  // Bring the trash state in line with the revision
+  let trashed = false;
+  let restored = !before;
+  
+  if (target.deleted_at && !after.deleted_at) {
+    trashed = deleteCommand(db, id, { actor: options.actor });
+  } else if (!target.deleted_at && after.deleted_at) {
+    const restore = restoreFromTrash(db, id, { actor: options.actor });
+    if (restore.error) {
+      return {
+        ...restore,
+        message: `Command ${id} reverted to revision ${revisionId} but left in the trash: ${restore.message}`
+      };
+    }
+    restored = true;
+  }
+  
+  return {
+    error: false,
+    id,
+    reverted_to: revisionId,
+    revision_id: newRevisionId,
+    restored,
+    trashed,
+    command: trashed ? null : getCommandById(db, id)
+  };
+}
+
+// ============================================================================
+// TRASH
+// ============================================================================
+
+/**
+ * Format a trashed command row for API output
+ * @param {Object} row - Row from checkpoint_commands
+ * @returns {Object} Trash entry with the date it will be purged
+ */
+function formatTrashEntry(row) {
+  return {
+    id: row.id,
+    command: row.command,
+    description: row.description,
+    category: row.category,
+    deleted_at: row.deleted_at,
+    deleted_by: row.deleted_by,
+    purge_after: row.purge_after
+  };
+}
+
+/**
+ * Permanently delete commands from the trash (with their embeddings)
+ * @param {Database} db - Database instance
+ * @param {Array} rows - Trashed rows to delete
+ * @param {string} actor - Recorded in the revision history
+ * @returns {number[]} IDs purged
+ */
+function purgeRows(db, rows, actor) {
+  const deleteStmt = db.prepare('DELETE FROM checkpoint_commands WHERE id = ? AND deleted_at IS NOT NULL');
+  const unlinkStmt = db.prepare('DELETE FROM command_relations WHERE source_id = ? OR target_id = ?');
+  const purged = [];
+  
+  db.transaction(() => {
+    for (const row of rows) {
+      const linked = linkedIds(db, row.id);
+      if (deleteStmt.run(row.id).changes > 0) {
+        unlinkStmt.run(row.id, row.id);
+        syncRelatedColumn(db, linked);
+        recordRevision(db, row.id, 'purge', row, null, actor);
+        purged.push(row.id);
+      }
+    }
+  })();
+  
+  return purged;
+}
+
+/**
+ * Purge commands that have been in the trash longer than trash.retention_days (0 disables auto-purge)
+ * @param {Database} db - Database instance
+ * @returns {number} Number of commands purged
+ */
+function purgeExpiredTrash(db) {
+  const retentionDays = getConfig().trash.retention_days;
+  if (!(retentionDays > 0)) return 0;
+  
+  const rows = db.prepare(`
+    SELECT * FROM checkpoint_commands
+    WHERE deleted_at IS NOT NULL AND deleted_at < datetime('now', ?)
+  `).all(`-${retentionDays} days`);
+  
+  if (rows.length === 0) return 0;
+  
+  const purged = purgeRows(db, rows, 'auto-purge');
+  console.error(`✓ Auto-purged ${purged.length} commands older than ${retentionDays} days from the trash`);
+  
+  return purged.length;
+}
+
+/**
+ * List commands in the trash (most recently deleted first)
+ * @param {Database} db - Database instance
+ * @returns {Array} Trash entries
+ */
+export function listTrash(db) {
+  purgeExpiredTrash(db);
+  
+  const retentionDays = getConfig().trash.retention_days;
+  
+  const rows = db.prepare(`
+    SELECT *,
+      CASE WHEN ? > 0 THEN datetime(deleted_at, '+' || ? || ' days') END AS purge_after
+    FROM checkpoint_commands
+    WHERE deleted_at IS NOT NULL
+    ORDER BY deleted_at DESC, id DESC
+  `).all(retentionDays, retentionDays);
+  
+  return rows.map(formatTrashEntry);
+}
+
+/**
+ * Restore a command from the trash (reuses its stored embeddings)
+ * @param {Database} db - Database instance
+ * @param {number} id - Command ID
+ * @param {Object} options - { actor } recorded in the revision history
+ * @returns {Object} Result object with the restored command or error
+ */
+export function restoreFromTrash(db, id, options = {}) {
+  const before = commandSnapshot(db, id);
+  
+  if (!before || !before.deleted_at) {
+    return {
+      error: true,
+      reason: 'not_found',
+      message: `Command with ID ${id} is not in the trash`
+    };
+  }
+  
+  const duplicate = db.prepare(`
+    SELECT id FROM checkpoint_commands
+    WHERE command = ? AND category = ? AND id != ? AND deleted_at IS NULL
+  `).get(before.command, before.category, id);
+  
+  if (duplicate) {
+    return {
+      error: true,
+      reason: 'duplicate',
+      message: `Command '${before.command}' already exists in category '${before.category}' with ID ${duplicate.id}`,
+      existing_command_id: duplicate.id
+    };
+  }
+  
+  db.prepare('UPDATE checkpoint_commands SET deleted_at = NULL, deleted_by = NULL WHERE id = ?').run(id);
+  recordRevision(db, id, 'restore', before, commandSnapshot(db, id), options.actor);
+  addToVectorIndex(db, id);
+  syncRelatedColumn(db, [id, ...linkedIds(db, id)]);
+  
+  console.error(`✓ Command restored from trash: ID ${id}`);
+  
+  return {
+    error: false,
+    command: getCommandById(db, id)
+  };
+}
+
+/**
+ * Permanently delete commands from the trash
+ * @param {Database} db - Database instance
+ * @param {Object} options - { id, older_than_days, actor }; without id or older_than_days the whole trash is emptied
+ * @returns {Object} Result object with the purged IDs or error
+ */
+export function purgeTrash(db, options = {}) {
+  let query = 'SELECT * FROM checkpoint_commands WHERE deleted_at IS NOT NULL';
+  const params = [];
+  
+  if (options.id !== undefined) {
+    query += ' AND id = ?';
+    params.push(options.id);
+  }
+  
+  if (options.older_than_days !== undefined) {
+    if (!(options.older_than_days >= 0)) {
+      return {
+        error: true,
+        reason: 'invalid_age',
+        message: 'older_than_days must be a non-negative number'
+      };
+    }
+    query += " AND deleted_at < datetime('now', ?)";
+    params.push(`-${options.older_than_days} days`);
+  }
+  
+  const rows = db.prepare(query).all(...params);
+  
+  if (options.id !== undefined && rows.length === 0) {
+    return {
+      error: true,
+      reason: 'not_found',
+      message: `Command with ID ${options.id} is not in the trash`
+    };
+  }
+  
+  const purged = purgeRows(db, rows, options.actor);
+  
+  console.error(`✓ Purged ${purged.length} commands from the trash`);
+  
+  return {
+    error: false,
+    purged,
+    count: purged.length
+  };
+}
+
+// ============================================================================
+// DOCUMENTATION IMPORT (STAGING)
+// ============================================================================
+
+const STAGED_FIELDS = [
+  'command', 'description', 'arguments', 'category', 'version', 'keywords',
+  'mode', 'type', 'device', 'executable_mcp', 'impact', 'related_commands'
+];
+
+/**
+ * Problems that block or deserve attention before a staged command is approved
+ * @param {Object} data - Staged command data
+ * @returns {string[]} Problems found (empty when ready)
+ */
+function stagedProblems(data) {
+  const problems = validateArguments(data.arguments);
+  if (!data.command) problems.push('command is required');
+  if (!data.category) problems.push('category is required before approval');
+  if (!data.mode) problems.push('mode could not be inferred (no clish > or expert # prompt)');
+  return problems;
+}
+
+/**
+ * Convert a staged command row to an API object
+ * @param {Database} db - Database instance
+ * @param {Object} row - Row from staged_commands
+ * @returns {Object} Staged command with its problems and any existing match
+ */
+function formatStagedCommand(db, row) {
+  const data = JSON.parse(row.data);
+  const existing = data.command && data.category
+    ? db.prepare(`
+        SELECT id FROM checkpoint_commands
+        WHERE command = ? AND category = ? AND deleted_at IS NULL
+      `).get(data.command, data.category)
+    : null;
+  
+  return {
+    id: row.id,
+    batch_id: row.batch_id,
+    source: row.source,
+    status: row.status,
+    data,
+    problems: row.status === 'pending' ? stagedProblems(data) : [],
+    existing_command_id: existing ? existing.id : null,
+    command_id: row.command_id,
+    staged_by: row.staged_by,
+    reviewed_by: row.reviewed_by,
+    reviewed_at: row.reviewed_at,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Get a staged command by ID
+ * @param {Database} db - Database instance
+ * @param {number} id - Staged command ID
+ * @returns {Object|null} Staged command or null
+ */
+export function getStagedCommand(db, id) {
+  const row = db.prepare('SELECT * FROM staged_commands WHERE id = ?').get(id);
+  return row ? formatStagedCommand(db, row) : null;
+}
+
+/**
+ * Extract commands from a documentation page and stage them for review
+ * @param {Database} db - Database instance
+ * @param {string} text - Page contents (HTML or Markdown)
+ * @param {Object} options - { format, source, category, version, device, actor }
+ * @returns {Object} Result object with the batch ID and staged commands or error
+ */
+export function stageDocumentation(db, text, options = {}) {
+  if (!text || !text.trim()) {
+    return {
+      error: true,
+      reason: 'empty_document',
+      message: 'The document is empty'
+    };
+  }
+  
+  if (options.format !== undefined && !['html', 'markdown'].includes(options.format)) {
+    return {
+      error: true,
+      reason: 'invalid_format',
+      message: `Unknown document format '${options.format}' (expected html or markdown)`
+    };
+  }
+  
+  const parsed = parseDocumentation(text, { format: options.format, source: options.source });
+  
+  if (parsed.commands.length === 0) {
+    return {
+      error: true,
+      reason: 'no_commands',
+      message: 'No command syntax found in the document (expected a Syntax section or prompt lines such as "> show ..." or "# fw ...")'
+    };
+  }
+  
+  const batchId = randomUUID();
+  const insertStmt = db.prepare(`
+    INSERT INTO staged_commands (batch_id, source, data, staged_by)
+    VALUES (?, ?, ?, ?)
+  `);
+  const ids = [];
+  
+  db.transaction(() => {
+    for (const candidate of parsed.commands) {
+      const data = {
+        command: candidate.command,
+        description: candidate.description,
+        arguments: candidate.arguments,
+        category: options.category || null,
+        version: options.version || null,
+        mode: candidate.mode,
+        device: options.device || null
+      };
+      ids.push(insertStmt.run(batchId, candidate.source, JSON.stringify(data), options.actor || null).lastInsertRowid);
+    }
+  })();
+  
+  console.error(`✓ Staged ${ids.length} commands from ${parsed.title || options.source || 'document'} (batch ${batchId})`);
+  
+  return {
+    error: false,
+    batch_id: batchId,
+    title: parsed.title,
+    format: parsed.format,
+    count: ids.length,
+    staged: ids.map(id => getStagedCommand(db, id))
+  };
+}
+
+/**
+ * List staged commands
+ * @param {Database} db - Database instance
+ * @param {Object} filters - Optional filters (status, batch_id)
+ * @returns {Array} Staged commands (oldest first)
+ */
+export function listStagedCommands(db, filters = {}) {
+  let query = 'SELECT * FROM staged_commands WHERE 1=1';
+  const params = [];
+  
+  if (filters.status) {
+    query += ' AND status = ?';
+    params.push(filters.status);
+  }
+  
+  if (filters.batch_id) {
+    query += ' AND batch_id = ?';
+    params.push(filters.batch_id);
+  }
+  
+  query += ' ORDER BY id';
+  
+  return db.prepare(query).all(...params).map(row => formatStagedCommand(db, row));
+}
+
+/**
+ * Edit a pending staged command before approval
+ * @param {Database} db - Database instance
+ * @param {number} id - Staged command ID
+ * @param {Object} updates - Command fields to change
+ * @returns {Object} Result object with the updated staged command or error
+ */
+export function updateStagedCommand(db, id, updates) {
+  const staged = getStagedCommand(db, id);
+  
+  if (!staged) {
+    return {
+      error: true,
+      reason: 'not_found',
+      message: `Staged command with ID ${id} not found`
+    };
+  }
+  
+  if (staged.status !== 'pending') {
+    return {
+      error: true,
+      reason: 'not_pending',
+      message: `Staged command ${id} is ${staged.status}, only pending commands can be edited`
+    };
+  }
+  
+  const data = { ...staged.data };
+  for (const field of STAGED_FIELDS) {
+    if (updates[field] !== undefined) data[field] = updates[field];
+  }
+  
+  db.prepare('UPDATE staged_commands SET data = ? WHERE id = ?').run(JSON.stringify(data), id);
+  
+  return {
+    error: false,
+    staged: getStagedCommand(db, id)
+  };
+}
+
+/**
+ * Insert pending staged commands into the database
+ *
+ * Each command is added on its own: a duplicate or invalid entry stays pending
+ * and is reported in failed without blocking the others.
+ *
+ * @param {Database} db - Database instance
+ * @param {number[]} ids - Staged command IDs
+ * @param {Object} options - { defaults, actor } (defaults fill empty fields, e.g. { category })
+ * @returns {Promise<Object>} { error, approved: [{ id, command_id }], failed: [{ id, reason, message }] }
+ */
+export async function approveStagedCommands(db, ids, options = {}) {
+  const approved = [];
+  const failed = [];
+  const defaults = options.defaults || {};
+  
+  for (const id of ids) {
+    const staged = getStagedCommand(db, id);
+    
+    if (!staged) {
+      failed.push({ id, reason: 'not_found', message: `Staged command with ID ${id} not found` });
+      continue;
+    }
+    
+    if (staged.status !== 'pending') {
+      failed.push({ id, reason: 'not_pending', message: `Staged command ${id} is ${staged.status}` });
+      continue;
+    }
+    
+    const data = { ...staged.data };
+    for (const field of STAGED_FIELDS) {
+      if ((data[field] === undefined || isEmptyValue(data[field])) && defaults[field] !== undefined) data[field] = defaults[field];
+    }
+    
+    const result = await addCommand(db, data, { actor: options.actor });
+    
+    if (result.error) {
+      failed.push({
+        id,
+        reason: result.existing_command_id ? 'duplicate' : 'invalid',
+        message: result.message,
+        existing_command_id: result.existing_command_id
+      });
+      continue;
+    }
+    
+    db.prepare(`
+      UPDATE staged_commands
+      SET status = 'approved', data = ?, command_id = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(JSON.stringify(data), result.id, options.actor || null, id);
+    
+    approved.push({ id, command_id: result.id, command: data.command });
+  }
+  
+  console.error(`✓ Approved ${approved.length} staged commands (${failed.length} failed)`);
+  
+  return {
+    error: false,
+    approved,
+    failed
+  };
+}
+
+/**
+ * Reject pending staged commands (they are kept for reference, never inserted)
+ * @param {Database} db - Database instance
+ * @param {number[]} ids - Staged command IDs
+ * @param {Object} options - { actor }
+ * @returns {Object} { error, rejected: [ids], failed: [{ id, reason, message }] }
+ */
+export function rejectStagedCommands(db, ids, options = {}) {
+  const rejected = [];
+  const failed = [];
+  const rejectStmt = db.prepare(`
+    UPDATE staged_commands
+    SET status = 'rejected', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'pending'
+  `);
+  
+  for (const id of ids) {
+    if (rejectStmt.run(options.actor || null, id).changes > 0) {
+      rejected.push(id);
+      continue;
+    }
+    
+    const staged = getStagedCommand(db, id);
+    failed.push(staged
+      ? { id, reason: 'not_pending', message: `Staged command ${id} is ${staged.status}` }
+      : { id, reason: 'not_found', message: `Staged command with ID ${id} not found` });
+  }
+  
+  console.error(`✓ Rejected ${rejected.length} staged commands`);
+  
+  return {
+    error: false,
+    rejected,
+    failed
+  };
+}
+
+// ============================================================================
+// RELATED COMMANDS GRAPH
+// ============================================================================
+
+/**
+ * Recompute the related_commands column from command_relations
+ * (linked commands in the trash are left out)
+ * @param {Database} db - Database instance
+ * @param {number[]} ids - Command IDs to refresh
+ */
+function syncRelatedColumn(db, ids) {
+  const linkedStmt = db.prepare(`
+    SELECT DISTINCT r.target_id AS id
+    FROM command_relations r
+    JOIN checkpoint_commands t ON t.id = r.target_id
+    WHERE r.source_id = ? AND t.deleted_at IS NULL
+    ORDER BY r.target_id
+  `);
+  const updateStmt = db.prepare(`
+    UPDATE checkpoint_commands SET related_commands = ?
+    WHERE id = ? AND related_commands IS NOT ?
+  `);
+  
+  for (const id of new Set(ids)) {
+    const related = JSON.stringify(linkedStmt.all(id).map(row => row.id));
+    updateStmt.run(related, id, related);
+  }
+}
+
+/**
+ * IDs of every command linked to a command (any relation type, trash included)
+ * @param {Database} db - Database instance
+ * @param {number} id - Command ID
+ * @returns {number[]} Linked IDs
+ */
+function linkedIds(db, id) {
+  return db.prepare('SELECT DISTINCT target_id FROM command_relations WHERE source_id = ?')
+    .all(id)
+    .map(row => row.target_id);
+}
+
+/**
+ * Check a related_commands array before it is stored
+ * @param {Database} db - Database instance
+ * @param {number|null} id - Command being edited (null for a new command)
+ * @param {Array} ids - Related command IDs
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateRelatedCommands(db, id, ids) {
+  if (ids === undefined || ids === null) return [];
+  if (!Array.isArray(ids)) return ['related_commands must be an array of command IDs'];
+  
+  const existsStmt = db.prepare('SELECT id FROM checkpoint_commands WHERE id = ? AND deleted_at IS NULL');
+  const problems = [];
+  
+  for (const relatedId of ids) {
+    if (!Number.isInteger(relatedId)) {
+      problems.push(`'${relatedId}' is not a command ID`);
+    } else if (relatedId === id) {
+      problems.push(`a command cannot be related to itself (${relatedId})`);
+    } else if (!existsStmt.get(relatedId)) {
+      problems.push(`related command ${relatedId} does not exist`);
+    }
+  }
+  
+  return problems;
+}
+
+/**
+ * Make the set of commands linked to a command equal to ids
+ *
+ * Links to IDs no longer listed are removed (in both directions); new IDs are
+ * linked as see_also. Existing links keep their type.
+ *
+ * @param {Database} db - Database instance
+ * @param {number} id - Command ID
+ * @param {number[]} ids - Related command IDs (already validated)
+ * @returns {boolean} True when any link changed
+ */
+function setRelatedCommands(db, id, ids) {
+  const current = linkedIds(db, id);
+  const wanted = new Set(ids);
+  const removed = current.filter(relatedId => !wanted.has(relatedId));
+  const added = [...wanted].filter(relatedId => !current.includes(relatedId));
+  
+  const unlinkStmt = db.prepare(`
+    DELETE FROM command_relations
+    WHERE (source_id = ? AND target_id = ?) OR (source_id = ? AND target_id = ?)
+  `);
+  const linkStmt = db.prepare(`
+    INSERT OR IGNORE INTO command_relations (source_id, target_id, relation_type) VALUES (?, ?, ?)
+  `);
+  
+  db.transaction(() => {
+    for (const relatedId of removed) {
+      unlinkStmt.run(id, relatedId, relatedId, id);
+    }
+    for (const relatedId of added) {
+      linkStmt.run(id, relatedId, 'see_also');
+      linkStmt.run(relatedId, id, 'see_also');
+    }
+    syncRelatedColumn(db, [id, ...removed, ...added]);
+  })();
+  
+  return removed.length > 0 || added.length > 0;
+}
+
+/**
+ * Move related_commands arrays written before command_relations existed into the table
+ * @param {Database} db - Database instance
+ */
+function migrateRelatedCommands(db) {
+  if (db.prepare('SELECT 1 FROM command_relations LIMIT 1').get()) return;
+  
+  const rows = db.prepare(`
+    SELECT id, related_commands FROM checkpoint_commands
+    WHERE related_commands IS NOT NULL AND related_commands NOT IN ('', '[]')
+  `).all();
+  if (rows.length === 0) return;
+  
+  const existing = new Set(db.prepare('SELECT id FROM checkpoint_commands').all().map(row => row.id));
+  const linkStmt = db.prepare(`
+    INSERT OR IGNORE INTO command_relations (source_id, target_id, relation_type) VALUES (?, ?, 'see_also')
+  `);
+  let dropped = 0;
+  
+  db.transaction(() => {
+    for (const row of rows) {
+      let ids;
+      try {
+        ids = JSON.parse(row.related_commands);
+      } catch (error) {
+        ids = [];
+      }
+      
+      for (const relatedId of Array.isArray(ids) ? ids : []) {
+        if (relatedId === row.id || !existing.has(relatedId)) {
+          dropped++;
+          continue;
+        }
+        linkStmt.run(row.id, relatedId);
+        linkStmt.run(relatedId, row.id);
+      }
+    }
+    syncRelatedColumn(db, [...existing]);
+  })();
+  
+  console.error(`✓ Migrated related_commands of ${rows.length} commands to command_relations${dropped > 0 ? ` (${dropped} dangling references dropped)` : ''}`);
+}
+
+/**
+ * Link two commands with a typed relation (the inverse edge is added too)
+ * @param {Database} db - Database instance
+ * @param {number} sourceId - Command ID
+ * @param {number} targetId - Related command ID
+ * @param {string} type - see_also, prerequisite (target must run before source), follow_up or undo
+ * @param {Object} options - { actor } recorded in the revision history of the source
+ * @returns {Object} Result object with the relation or error
+ */
+export function linkCommands(db, sourceId, targetId, type = 'see_also', options = {}) {
+  if (!RELATION_TYPES.includes(type)) {
+    return {
+      error: true,
+      reason: 'invalid_relation',
+      message: `Invalid relation type '${type}' (expected one of ${RELATION_TYPES.join(', ')})`
+    };
+  }
+  
+  if (sourceId === targetId) {
+    return {
+      error: true,
+      reason: 'invalid_relation',
+      message: 'A command cannot be related to itself'
+    };
+  }
+  
+  const existsStmt = db.prepare('SELECT id FROM checkpoint_commands WHERE id = ? AND deleted_at IS NULL');
+  for (const id of [sourceId, targetId]) {
+    if (!existsStmt.get(id)) {
+      return {
+        error: true,
+        reason: 'not_found',
+        message: `Command with ID ${id} not found`
+      };
+    }
+  }
+  
+  const inverse = INVERSE_RELATIONS[type];
+  const linkStmt = db.prepare(`
+    INSERT OR IGNORE INTO command_relations (source_id, target_id, relation_type) VALUES (?, ?, ?)
+  `);
+  const before = commandSnapshot(db, sourceId);
+  let created = false;
+  
+  db.transaction(() => {
+    created = linkStmt.run(sourceId, targetId, type).changes > 0;
+    linkStmt.run(targetId, sourceId, inverse);
+    syncRelatedColumn(db, [sourceId, targetId]);
+  })();
+  
+  if (created) {
+    recordRevision(db, sourceId, 'update', before, commandSnapshot(db, sourceId), options.actor);
+    console.error(`✓ Linked command ${sourceId} -[${type}]-> ${targetId}`);
+  }
+  
+  return {
+    error: false,
+    created,
+    relation: { source_id: sourceId, target_id: targetId, type, inverse }
+  };
+}
+
+/**
+ * Remove the relations between two commands (both directions)
+ * @param {Database} db - Database instance
+ * @param {number} sourceId - Command ID
+ * @param {number} targetId - Related command ID
+ * @param {Object} options - { type (only this relation type), actor }
+ * @returns {Object} Result object with the number of relations removed or error
+ */
+export function unlinkCommands(db, sourceId, targetId, options = {}) {
+  const { type } = options;
+  
+  if (type !== undefined && !RELATION_TYPES.includes(type)) {
+    return {
+      error: true,
+      reason: 'invalid_relation',
+      message: `Invalid relation type '${type}' (expected one of ${RELATION_TYPES.join(', ')})`
+    };
+  }
+  
+  const before = commandSnapshot(db, sourceId);
+  const unlinkStmt = type === undefined
+    ? db.prepare('DELETE FROM command_relations WHERE source_id = ? AND target_id = ?')
+    : db.prepare('DELETE FROM command_relations WHERE source_id = ? AND target_id = ? AND relation_type = ?');
+  let removed = 0;
+  
+  db.transaction(() => {
+    if (type === undefined) {
+      removed = unlinkStmt.run(sourceId, targetId).changes;
+      unlinkStmt.run(targetId, sourceId);
+    } else {
+      removed = unlinkStmt.run(sourceId, targetId, type).changes;
+      unlinkStmt.run(targetId, sourceId, INVERSE_RELATIONS[type]);
+    }
+    syncRelatedColumn(db, [sourceId, targetId]);
+  })();
+  
+  if (removed === 0) {
+    return {
+      error: true,
+      reason: 'not_found',
+      message: `No ${type ? `${type} ` : ''}relation from command ${sourceId} to ${targetId}`
+    };
+  }
+  
+  recordRevision(db, sourceId, 'update', before, commandSnapshot(db, sourceId), options.actor);
+  console.error(`✓ Unlinked command ${sourceId} from ${targetId}`);
+  
+  return {
+    error: false,
+    removed
+  };
+}
+
+/**
+ * Walk the relations of a command breadth-first
+ *
+ * Each relation is listed once, from the side that reads naturally:
+ * "A prerequisite B" (B runs before A) rather than its follow_up inverse.
+ *
+ * @param {Database} db - Database instance
+ * @param {number} id - Command ID
+ * @param {Object} options - { depth (1-MAX_GRAPH_DEPTH, default 1), types (relation types to follow) }
+ * @returns {Object} Result object with nodes (and their distance) and edges, or error
+ */
+export function getRelatedGraph(db, id, options = {}) {
+  const { depth = 1, types = RELATION_TYPES } = options;
+  
+  if (!Number.isInteger(depth) || depth < 1 || depth > MAX_GRAPH_DEPTH) {
+    return {
+      error: true,
+      reason: 'invalid_depth',
+      message: `depth must be an integer between 1 and ${MAX_GRAPH_DEPTH}`
+    };
+  }
+  
+  const unknownTypes = types.filter(type => !RELATION_TYPES.includes(type));
+  if (unknownTypes.length > 0) {
+    return {
+      error: true,
+      reason: 'invalid_relation',
+      message: `Invalid relation type(s): ${unknownTypes.join(', ')} (expected any of ${RELATION_TYPES.join(', ')})`
+    };
+  }
+  
+  const nodeStmt = db.prepare(`
+    SELECT id, command, description, category, mode, impact
+    FROM checkpoint_commands WHERE id = ? AND deleted_at IS NULL
+  `);
+  const root = nodeStmt.get(id);
+  
+  if (!root) {
+    return {
+      error: true,
+      reason: 'not_found',
+      message: `Command with ID ${id} not found`
+    };
+  }
+  
+  const edgeStmt = db.prepare(`
+    SELECT r.target_id, r.relation_type
+    FROM command_relations r
+    JOIN checkpoint_commands t ON t.id = r.target_id
+    WHERE r.source_id = ? AND t.deleted_at IS NULL
+    ORDER BY r.target_id, r.relation_type
+  `);
+  
+  const nodes = new Map([[id, { ...root, distance: 0 }]]);
+  const edges = new Map();
+  let frontier = [id];
+  
+  for (let distance = 1; distance <= depth && frontier.length > 0; distance++) {
+    const next = [];
+    
+    for (const sourceId of frontier) {
+      for (const edge of edgeStmt.all(sourceId)) {
+        if (!types.includes(edge.relation_type)) continue;
+        
+        // Store each relation once: follow_up as its prerequisite inverse, symmetric ones low ID first
+        let [from, to, type] = [sourceId, edge.target_id, edge.relation_type];
+        if (type === 'follow_up') [from, to, type] = [to, from, 'prerequisite'];
+        if (INVERSE_RELATIONS[type] === type && from > to) [from, to] = [to, from];
+        edges.set(`${from}:${to}:${type}`, { source_id: from, target_id: to, type });
+        
+        if (!nodes.has(edge.target_id)) {
+          nodes.set(edge.target_id, { ...nodeStmt.get(edge.target_id), distance });
+          next.push(edge.target_id);
+        }
+      }
+    }
+    
+    frontier = next;
+  }
+  
+  return {
+    error: false,
+    root_id: id,
+    depth,
+    nodes: [...nodes.values()],
+    edges: [...edges.values()]
+  };
+}
+
+// ============================================================================
+// RUNBOOKS
+// ============================================================================
+
+const RUNBOOK_FIELDS = ['name', 'description', 'category', 'keywords'];
+
+/**
+ * Check and normalize the steps of a runbook
+ *
+ * A step's variant may be given as an index or args string (as in renderCommand);
+ * it is stored as the args string so reordering the command's arguments keeps it.
+ *
+ * @param {Database} db - Database instance
+ * @param {Array} steps - [{ command_id, variant, notes, expected_outcome }]
+ * @returns {Object} { steps, problems }
+ */
+function normalizeRunbookSteps(db, steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return { steps: [], problems: ['steps must be a non-empty array'] };
+  }
+  
+  const commandStmt = db.prepare('SELECT id, arguments FROM checkpoint_commands WHERE id = ? AND deleted_at IS NULL');
+  const normalized = [];
+  const problems = [];
+  
+  steps.forEach((step, index) => {
+    const label = `steps[${index}]`;
+    const cmd = step && Number.isInteger(step.command_id) ? commandStmt.get(step.command_id) : null;
+    
+    if (!cmd) {
+      problems.push(`${label}: command ${step && step.command_id} does not exist`);
+      return;
+    }
+    
+    let variantArgs = null;
+    if (step.variant !== undefined && step.variant !== null) {
+      const variant = resolveVariant(parseArguments(cmd.arguments), step.variant);
+      if (!variant) {
+        problems.push(`${label}: command ${cmd.id} has no argument variant ${JSON.stringify(step.variant)}`);
+        return;
+      }
+      variantArgs = variant.args;
+    }
+    
+    normalized.push({
+      command_id: cmd.id,
+      variant_args: variantArgs,
+      notes: step.notes || null,
+      expected_outcome: step.expected_outcome || null
+    });
+  });
+  
+  return { steps: normalized, problems };
+}
+
+/**
+ * Text embedded for a runbook (name, description and the commands it runs)
+ * @param {Database} db - Database instance
+ * @param {number} id - Runbook ID
+ * @returns {string} Embedding text
+ */
+function runbookEmbeddingText(db, id) {
+  const runbook = db.prepare('SELECT name, description, keywords FROM runbooks WHERE id = ?').get(id);
+  const steps = db.prepare(`
+    SELECT cc.command, rs.variant_args, rs.notes
+    FROM runbook_steps rs
+    LEFT JOIN checkpoint_commands cc ON cc.id = rs.command_id
+    WHERE rs.runbook_id = ?
+    ORDER BY rs.position
+  `).all(id);
+  
+  const stepText = steps
+    .map(step => [step.command, step.variant_args, step.notes].filter(Boolean).join(' '))
+    .join('; ');
+  
+  return [runbook.name, runbook.description, runbook.keywords, stepText].filter(Boolean).join('. ');
+}
+
+/**
+ * Generate and store (insert or replace) the embedding of a runbook
+ * @param {Database} db - Database instance
+ * @param {number} id - Runbook ID
+ * @returns {Promise<void>}
+ */
+async function storeRunbookEmbedding(db, id) {
+  const text = runbookEmbeddingText(db, id);
+  const embedding = await getEmbedding(text);
+  const { blob, scale, offset } = embeddingToBlob(embedding);
+  
+  db.prepare(`
+    INSERT INTO runbook_embeddings (
+      runbook_id, embedding, model, dimensions, text_hash, format, quant_scale, quant_offset
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(runbook_id) DO UPDATE SET
+      embedding = excluded.embedding,
+      model = excluded.model,
+      dimensions = excluded.dimensions,
+      text_hash = excluded.text_hash,
+      format = excluded.format,
+      quant_scale = excluded.quant_scale,
+      quant_offset = excluded.quant_offset
+  `).run(id, blob, getEmbeddingProvider().model, embedding.length, hashText(text), getConfig().embeddings.storage, scale, offset);
+}
+
+/**
+ * Replace the steps of a runbook
+ * @param {Database} db - Database instance
+ * @param {number} id - Runbook ID
+ * @param {Array} steps - Normalized steps
+ */
+function writeRunbookSteps(db, id, steps) {
+  const insertStmt = db.prepare(`
+    INSERT INTO runbook_steps (runbook_id, position, command_id, variant_args, notes, expected_outcome)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  
+  db.prepare('DELETE FROM runbook_steps WHERE runbook_id = ?').run(id);
+  steps.forEach((step, index) => {
+    insertStmt.run(id, index + 1, step.command_id, step.variant_args, step.notes, step.expected_outcome);
+  });
+}
+
+/**
+ * Get a runbook with its steps resolved against the stored commands
+ *
+ * Steps whose command is in the trash or purged, or whose variant no longer
+ * exists, are kept and flagged as unavailable.
+ *
+ * @param {Database} db - Database instance
+ * @param {number} id - Runbook ID
+ * @returns {Object|null} Runbook or null
+ */
+export function getRunbook(db, id) {
+  const runbook = db.prepare('SELECT * FROM runbooks WHERE id = ?').get(id);
+  if (!runbook) return null;
+  
+  const steps = db.prepare(`
+    SELECT rs.*, cc.command, cc.description, cc.arguments, cc.mode, cc.impact, cc.type, cc.deleted_at
+    FROM runbook_steps rs
+    LEFT JOIN checkpoint_commands cc ON cc.id = rs.command_id
+    WHERE rs.runbook_id = ?
+    ORDER BY rs.position
+  `).all(id);
+  
+  return {
+    ...runbook,
+    steps: steps.map(step => {
+      const available = Boolean(step.command) && !step.deleted_at;
+      const variant = step.variant_args === null
+        ? null
+        : parseArguments(step.arguments).find(v => v.args === step.variant_args) || null;
+      
+      return {
+        position: step.position,
+        command_id: step.command_id,
+        command: step.command || null,
+        description: step.description || null,
+        mode: step.mode || null,
+        variant_args: step.variant_args,
+        variant_description: variant ? variant.description || null : null,
+        invocation: step.command ? `${step.command} ${step.variant_args || ''}`.trim() : null,
+        requires_approval: available ? requiresApproval(step) : false,
+        notes: step.notes,
+        expected_outcome: step.expected_outcome,
+        available: available && (step.variant_args === null || variant !== null)
+      };
+    })
+  };
+}
+
+/**
+ * List runbooks
+ * @param {Database} db - Database instance
+ * @param {Object} filters - Optional filters (category)
+ * @returns {Array} Runbooks with their step count
+ */
+export function listRunbooks(db, filters = {}) {
+  let query = `
+    SELECT r.*, (SELECT COUNT(*) FROM runbook_steps rs WHERE rs.runbook_id = r.id) AS step_count
+    FROM runbooks r WHERE 1=1
+  `;
+  const params = [];
+  
+  if (filters.category) {
+    query += ' AND r.category = ?';
+    params.push(filters.category);
+  }
+  
+  query += ' ORDER BY r.name';
+  
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Create a runbook
+ * @param {Database} db - Database instance
+ * @param {Object} data - { name, description, category, keywords, steps }
+ * @param {Object} options - { actor } stored as created_by
+ * @returns {Promise<Object>} Result object with the runbook or error
+ */
+export async function createRunbook(db, data, options = {}) {
+  if (!data.name || !data.name.trim()) {
+    return {
+      error: true,
+      reason: 'invalid_runbook',
+      message: 'name is required'
+    };
+  }
+  
+  const existing = db.prepare('SELECT id FROM runbooks WHERE name = ?').get(data.name);
+  if (existing) {
+    return {
+      error: true,
+      reason: 'duplicate',
+      message: `Runbook '${data.name}' already exists with ID ${existing.id}. Use update_runbook with id=${existing.id} to modify it.`,
+      existing_runbook_id: existing.id
+    };
+  }
+  
+  const { steps, problems } = normalizeRunbookSteps(db, data.steps);
+  if (problems.length > 0) {
+    return {
+      error: true,
+      reason: 'invalid_runbook',
+      message: `Invalid steps: ${problems.join('; ')}`,
+      step_errors: problems
+    };
+  }
+  
+  let id;
+  db.transaction(() => {
+    id = db.prepare(`
+      INSERT INTO runbooks (name, description, category, keywords, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(data.name, data.description || null, data.category || null, data.keywords || null, options.actor || null).lastInsertRowid;
+    writeRunbookSteps(db, id, steps);
+  })();
+  
+  await storeRunbookEmbedding(db, id);
+  
+  console.error(`✓ Runbook created: ${data.name} (ID: ${id}, ${steps.length} steps)`);
+  
+  return {
+    error: false,
+    runbook: getRunbook(db, id)
+  };
+}
+
+/**
+ * Update a runbook (steps, when given, replace the existing ones)
+ * @param {Database} db - Database instance
+ * @param {number} id - Runbook ID
+ * @param {Object} updates - Fields to update (name, description, category, keywords, steps)
+ * @returns {Promise<Object>} Result object with the runbook or error
+ */
+export async function updateRunbook(db, id, updates) {
+  const runbook = db.prepare('SELECT * FROM runbooks WHERE id = ?').get(id);
+  
+  if (!runbook) {
+    return {
+      error: true,
+      reason: 'not_found',
+      message: `Runbook with ID ${id} not found`
+    };
+  }
+  
+  if (updates.name !== undefined && updates.name !== runbook.name) {
+    const existing = db.prepare('SELECT id FROM runbooks WHERE name = ?').get(updates.name);
+    if (!updates.name || existing) {
+      return {
+        error: true,
+        reason: existing ? 'duplicate' : 'invalid_runbook',
+        message: existing ? `Runbook '${updates.name}' already exists with ID ${existing.id}` : 'name cannot be empty'
+      };
+    }
+  }
+  
+  let steps = null;
+  if (updates.steps !== undefined) {
+    const normalized = normalizeRunbookSteps(db, updates.steps);
+    if (normalized.problems.length > 0) {
+      return {
+        error: true,
+        reason: 'invalid_runbook',
+        message: `Invalid steps: ${normalized.problems.join('; ')}`,
+        step_errors: normalized.problems
+      };
+    }
+    steps = normalized.steps;
+  }
+  
+  const fields = RUNBOOK_FIELDS.filter(field => updates[field] !== undefined);
+  
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE runbooks
+      SET ${[...fields.map(field => `${field} = ?`), 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+      WHERE id = ?
+    `).run(...fields.map(field => updates[field]), id);
+    
+    if (steps) {
+      writeRunbookSteps(db, id, steps);
+    }
+  })();
+  
+  const stored = db.prepare('SELECT text_hash FROM runbook_embeddings WHERE runbook_id = ?').get(id);
+  if (!stored || stored.text_hash !== hashText(runbookEmbeddingText(db, id))) {
+    await storeRunbookEmbedding(db, id);
+  }
+  
+  console.error(`✓ Runbook updated: ID ${id}`);
+  
+  return {
+    error: false,
+    runbook: getRunbook(db, id)
+  };
+}
+
+/**
+ * Delete a runbook with its steps and embedding
+ * @param {Database} db - Database instance
+ * @param {number} id - Runbook ID
+ * @returns {boolean} Success status
+ */
+export function deleteRunbook(db, id) {
+  let deleted = false;
+  
+  db.transaction(() => {
+    db.prepare('DELETE FROM runbook_steps WHERE runbook_id = ?').run(id);
+    db.prepare('DELETE FROM runbook_embeddings WHERE runbook_id = ?').run(id);
+    deleted = db.prepare('DELETE FROM runbooks WHERE id = ?').run(id).changes > 0;
+  })();
+  
+  if (deleted) console.error(`✓ Runbook deleted: ID ${id}`);
+  return deleted;
+}
+
+/**
+ * Find runbooks that match a query describing a whole procedure
+ *
+ * Runbooks are few, so their vectors are scanned directly instead of going
+ * through the in-memory index. In keyword mode the share of query keywords
+ * found in the runbook's name, description and keywords is used instead.
+ *
+ * @param {Database} db - Database instance
+ * @param {string} query - User query
+ * @param {Object} options - { limit, score_threshold, mode }
+ * @returns {Promise<Array>} Matching runbooks with score, best first
+ */
+export async function searchRunbooks(db, query, options = {}) {
+  const { limit = 3, mode = DEFAULT_SEARCH_MODE } = options;
+  const threshold = Math.max(options.score_threshold ?? 0, getConfig().search.runbook_score_threshold);
+  const runbooks = listRunbooks(db);
+  if (runbooks.length === 0) return [];
+  
+  const scores = new Map();
+  
+  if (mode === 'keyword') {
+    const keywords = extractKeywords(query);
+    if (keywords.length === 0) return [];
+    
+    for (const runbook of runbooks) {
+      const words = new Set(
+        [runbook.name, runbook.description, runbook.keywords].filter(Boolean).join(' ').toLowerCase().split(/[^\p{L}\p{N}]+/u)
+      );
+      scores.set(runbook.id, keywords.filter(keyword => words.has(keyword.toLowerCase())).length / keywords.length);
+    }
+  } else {
+    const queryEmbedding = await getQueryEmbedding(db, query);
+    const rows = db.prepare(`
+      SELECT runbook_id, embedding, format, quant_scale, quant_offset
+      FROM runbook_embeddings WHERE model = ? AND dimensions = ?
+    `).all(getEmbeddingProvider().model, queryEmbedding.length);
+    
+    for (const row of rows) {
+      const embedding = blobToEmbedding(row.embedding, row.format, row.quant_scale, row.quant_offset);
+      scores.set(row.runbook_id, cosineSimilarity(queryEmbedding, embedding));
+    }
+  }
+  
+  return runbooks
+    .filter(runbook => scores.has(runbook.id) && scores.get(runbook.id) >= threshold)
+    .map(runbook => ({
+      id: runbook.id,
+      name: runbook.name,
+      description: runbook.description,
+      category: runbook.category,
+      step_count: runbook.step_count,
+      score: scores.get(runbook.id)
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Regenerate the embeddings of runbooks
+ * @param {Database} db - Database instance
+ * @param {Array<number>|null} ids - Runbook IDs (null: every runbook)
+ * @returns {Promise<Object>} { total, success, failed }
+ */
+async function rebuildRunbookEmbeddings(db, ids = null) {
+  ids = ids || db.prepare('SELECT id FROM runbooks').all().map(row => row.id);
+  let success = 0;
+  let failed = 0;
+  
+  for (const id of ids) {
+    try {
+      await storeRunbookEmbedding(db, id);
+      success++;
+    } catch (error) {
+      failed++;
+      console.error(`✗ Failed to rebuild embedding for runbook ${id}: ${error.message}`);
+    }
+  }
+  
+  return { total: ids.length, success, failed };
+}
+
+/**
+ * Find runbooks whose embedding is missing, from another model or stale
+ * @param {Database} db - Database instance
+ * @returns {Array<number>} Runbook IDs
+ */
+function findRunbookEmbeddingProblems(db) {
+  const provider = getEmbeddingProvider();
+  const expectedDimensions = modelDimensions(db, provider.model);
+  const rows = db.prepare(`
+    SELECT r.id, re.runbook_id AS embedded, re.model, re.dimensions, re.text_hash
+    FROM runbooks r
+    LEFT JOIN runbook_embeddings re ON re.runbook_id = r.id
+  `).all();
+  
+  return rows
+    .filter(row => !row.embedded ||
+                   row.model !== provider.model ||
+                   (expectedDimensions !== null && row.dimensions !== expectedDimensions) ||
+                   row.text_hash !== hashText(runbookEmbeddingText(db, row.id)))
+    .map(row => row.id);
+}
+
+/**
+ * Re-embed the runbooks whose steps run any of the given commands, if their text changed
+ * @param {Database} db - Database instance
+ * @param {Array<number>} commandIds - Command IDs
+ * @returns {Promise<number>} Number of runbooks re-embedded
+ */
+async function refreshRunbookEmbeddingsFor(db, commandIds) {
+  if (commandIds.length === 0) return 0;
+  
+  const runbookIds = db.prepare(`
+    SELECT DISTINCT runbook_id FROM runbook_steps
+    WHERE command_id IN (${commandIds.map(() => '?').join(', ')})
+  `).all(...commandIds).map(row => row.runbook_id);
+  const storedStmt = db.prepare('SELECT text_hash FROM runbook_embeddings WHERE runbook_id = ?');
+  let refreshed = 0;
+  
+  for (const runbookId of runbookIds) {
+    const stored = storedStmt.get(runbookId);
+    if (!stored || stored.text_hash !== hashText(runbookEmbeddingText(db, runbookId))) {
+      await storeRunbookEmbedding(db, runbookId);
+      refreshed++;
+    }
+  }
+  
+  return refreshed;
+}
+
+// ============================================================================
+// PROMPTS
+// ============================================================================
+
+const PROMPT_FIELDS = ['description', 'arguments', 'template', 'searches', 'category', 'command_limit'];
+const PROMPT_NAME_REGEX = /^[a-z][a-z0-9_]*$/;
+const PROMPT_PLACEHOLDER_REGEX = /\{\{\s*([a-z][a-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Parse the JSON columns of a prompt row
+ * @param {Object} row - prompts row
+ * @returns {Object} Prompt
+ */
+function formatPrompt(row) {
+  return {
+    ...row,
+    arguments: JSON.parse(row.arguments || '[]'),
+    searches: JSON.parse(row.searches || '[]'),
+    builtin: Boolean(row.builtin)
+  };
+}
+
+/**
+ * Check a prompt definition
+ *
+ * Every {{placeholder}} in the template and searches must be a declared argument.
+ *
+ * @param {Object} prompt - Prompt fields (name, arguments, template, searches, command_limit)
+ * @returns {string[]} Problems (empty when valid)
+ */
+function promptProblems(prompt) {
+  const problems = [];
+  
+  if (!PROMPT_NAME_REGEX.test(prompt.name || '')) {
+    problems.push('name must be lowercase letters, digits and underscores (e.g., troubleshoot_vpn)');
+  }
+  
+  if (!prompt.template || typeof prompt.template !== 'string') {
+    problems.push('template is required');
+  }
+  
+  if (!Array.isArray(prompt.arguments)) {
+    problems.push('arguments must be an array');
+  } else {
+    prompt.arguments.forEach((arg, index) => {
+      if (!arg || !PROMPT_NAME_REGEX.test(arg.name || '')) {
+        problems.push(`arguments[${index}]: name must be lowercase letters, digits and underscores`);
+      }
+    });
+  }
+  
+  if (!Array.isArray(prompt.searches) || prompt.searches.some(search => typeof search !== 'string')) {
+    problems.push('searches must be an array of strings');
+  }
+  
+  if (prompt.command_limit !== undefined && (!Number.isInteger(prompt.command_limit) || prompt.command_limit < 1)) {
+    problems.push('command_limit must be a positive integer');
+  }
+  
+  if (problems.length === 0) {
+    const declared = new Set(prompt.arguments.map(arg => arg.name));
+    const used = [prompt.template, ...prompt.searches]
+      .flatMap(text => [...text.matchAll(PROMPT_PLACEHOLDER_REGEX)].map(match => match[1]));
+    
+    for (const name of new Set(used)) {
+      if (!declared.has(name)) problems.push(`{{${name}}} is not a declared argument`);
+    }
+  }
+  
+  return problems;
+}
+
+/**
+ * Get a prompt by name
+ * @param {Database} db - Database instance
+ * @param {string} name - Prompt name
+ * @returns {Object|null} Prompt or null
+ */
+export function getPrompt(db, name) {
+  const row = db.prepare('SELECT * FROM prompts WHERE name = ?').get(name);
+  return row ? formatPrompt(row) : null;
+}
+
+/**
+ * List prompts
+ * @param {Database} db - Database instance
+ * @returns {Array} Prompts
+ */
+export function listPrompts(db) {
+  return db.prepare('SELECT * FROM prompts ORDER BY name').all().map(formatPrompt);
+}
+
+/**
+ * Create a prompt
+ * @param {Database} db - Database instance
+ * @param {Object} data - { name, description, arguments, template, searches, category, command_limit }
+ * @param {Object} options - { actor } stored as created_by
+ * @returns {Object} Result object with the prompt or error
+ */
+export function createPrompt(db, data, options = {}) {
+  const prompt = { arguments: [], searches: [], ...data };
+  const problems = promptProblems(prompt);
+  
+  if (problems.length > 0) {
+    return {
+      error: true,
+      reason: 'invalid_prompt',
+      message: `Invalid prompt: ${problems.join('; ')}`,
+      prompt_errors: problems
+    };
+  }
+  
+  if (getPrompt(db, prompt.name)) {
+    return {
+      error: true,
+      reason: 'duplicate',
+      message: `Prompt '${prompt.name}' already exists. Use update_prompt to modify it.`
+    };
+  }
+  
+  db.prepare(`
+    INSERT INTO prompts (name, description, arguments, template, searches, category, command_limit, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    prompt.name,
+    prompt.description || null,
+    JSON.stringify(prompt.arguments),
+    prompt.template,
+    JSON.stringify(prompt.searches),
+    prompt.category || null,
+    prompt.command_limit || 8,
+    options.actor || null
+  );
+  
+  console.error(`✓ Prompt created: ${prompt.name}`);
+  
+  return {
+    error: false,
+    prompt: getPrompt(db, prompt.name)
+  };
+}
+
+/**
+ * Update a prompt (the name cannot change)
+ * @param {Database} db - Database instance
+ * @param {string} name - Prompt name
+ * @param {Object} updates - Fields to update
+ * @returns {Object} Result object with the prompt or error
+ */
+export function updatePrompt(db, name, updates) {
+  const existing = getPrompt(db, name);
+  
+  if (!existing) {
+    return {
+      error: true,
+      reason: 'not_found',
+      message: `Prompt '${name}' not found`
+    };
+  }
+  
+  const fields = PROMPT_FIELDS.filter(field => updates[field] !== undefined);
+  const prompt = { ...existing, ...Object.fromEntries(fields.map(field => [field, updates[field]])) };
+  const problems = promptProblems(prompt);
+  
+  if (problems.length > 0) {
+    return {
+      error: true,
+      reason: 'invalid_prompt',
+      message: `Invalid prompt: ${problems.join('; ')}`,
+      prompt_errors: problems
+    };
+  }
+  
+  const value = field => ['arguments', 'searches'].includes(field) ? JSON.stringify(prompt[field]) : prompt[field];
+  
+  db.prepare(`
+    UPDATE prompts
+    SET ${[...fields.map(field => `${field} = ?`), 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+    WHERE name = ?
+  `).run(...fields.map(value), name);
+  
+  console.error(`✓ Prompt updated: ${name}`);
+  
+  return {
+    error: false,
+    prompt: getPrompt(db, name)
+  };
+}
+
+/**
+ * Delete a prompt (built-in prompts can only be edited)
+ * @param {Database} db - Database instance
+ * @param {string} name - Prompt name
+ * @returns {Object} Result object
+ */
+export function deletePrompt(db, name) {
+  const existing = getPrompt(db, name);
+  
+  if (!existing) {
+    return {
+      error: true,
+      reason: 'not_found',
+      message: `Prompt '${name}' not found`
+    };
+  }
+  
+  if (existing.builtin) {
+    return {
+      error: true,
+      reason: 'builtin',
+      message: `Prompt '${name}' ships with the server and cannot be deleted; use update_prompt to change it`
+    };
+  }
+  
+  db.prepare('DELETE FROM prompts WHERE name = ?').run(name);
+  console.error(`✓ Prompt deleted: ${name}`);
+  
+  return { error: false };
+}
+
+/**
+ * Format a command as a reference for a prompt message
+ * @param {Object} cmd - Command (as returned by getCommandById)
+ * @returns {string} Markdown list item
+ */
+function commandReference(cmd) {
+  const details = [cmd.mode, cmd.version, cmd.impact ? `impact: ${cmd.impact}` : null].filter(Boolean);
+  const lines = [`- [#${cmd.id}] \`${cmd.command}\`${details.length > 0 ? ` (${details.join(', ')})` : ''}: ${cmd.description}`];
+  
+  for (const variant of cmd.arguments) {
+    lines.push(`  - \`${`${cmd.command} ${variant.args || ''}`.trim()}\`${variant.description ? `: ${variant.description}` : ''}`);
+  }
+  
+  if (cmd.requires_approval) {
+    lines.push('  - ⚠️ Changes the gateway state: confirm with the user before running it');
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Render a prompt with its arguments into MCP prompt messages
+ *
+ * Each search query is run through advancedSearch; the matching commands (minus
+ * those whose version field excludes the version argument, when one is given)
+ * are appended to the instructions as references.
+ *
+ * @param {Database} db - Database instance
+ * @param {string} name - Prompt name
+ * @param {Object} args - Argument values keyed by name
+ * @returns {Promise<Object>} { description, messages, command_ids } or error
+ */
+export async function renderPrompt(db, name, args = {}) {
+  const prompt = getPrompt(db, name);
+  
+  if (!prompt) {
+    return {
+      error: true,
+      reason: 'not_found',
+      message: `Prompt '${name}' not found`
+    };
+  }
+  
+  const values = {};
+  const missing = [];
+  
+  for (const arg of prompt.arguments) {
+    const value = args[arg.name] !== undefined && args[arg.name] !== '' ? String(args[arg.name]) : arg.default;
+    if (value === undefined && arg.required) missing.push(arg.name);
+    values[arg.name] = value === undefined ? '' : String(value);
+  }
+  
+  if (missing.length > 0) {
+    return {
+      error: true,
+      reason: 'missing_arguments',
+      message: `Missing required arguments: ${missing.join(', ')}`
+    };
+  }
+  
+  const fill = text => text.replace(PROMPT_PLACEHOLDER_REGEX, (match, arg) => values[arg] ?? '');
+  const targetVersion = values.version ? parseVersion(values.version) : null;
+  const commands = [];
+  
+  // Commands for another version are dropped before they take a slot of command_limit,
+  // so with a version the search returns every candidate rather than command_limit
+  for (const search of prompt.searches) {
+    if (commands.length >= prompt.command_limit) break;
+    
+    const results = await advancedSearch(db, {
+      query: fill(search),
+      category: prompt.category || undefined,
+      limit: targetVersion ? SEMANTIC_CANDIDATES : prompt.command_limit
+    });
+    
+    for (const result of results) {
+      if (commands.length >= prompt.command_limit) break;
+      if (commands.some(cmd => cmd.id === result.id)) continue;
+      
+      const cmd = getCommandById(db, result.id);
+      if (cmd && !(targetVersion && versionApplies(cmd.version, targetVersion) === false)) {
+        commands.push(cmd);
+      }
+    }
+  }
+  
+  const references = commands.length > 0
+    ? commands.map(commandReference).join('\n')
+    : 'No matching commands are stored in the knowledge base yet; say so when suggesting commands from general knowledge.';
+  
+  return {
+    error: false,
+    description: prompt.description,
+    messages: [
+      {
+        role: 'user',
+        content: {
+          type: 'text',
+          text: `${fill(prompt.template)}\n\n## Commands from the knowledge base\n\n${references}`
+        }
+      }
+    ],
+    command_ids: commands.map(cmd => cmd.id)
+  };
+}
@@ -0,0 +1,417 @@
+// doc-importer.js
+// Extract commands from saved Check Point CLI reference guides and SK articles (HTML or Markdown)
+//
+// A command section is a heading followed by a "Syntax" block. Its description,
+// its syntax lines (one argument variant each) and its parameter table become a
+// candidate command. The prompt in front of a syntax line sets the mode:
+// "HostName> ..." is clish, "[Expert@HostName:0]# ..." is expert.
+
+import { readFileSync, existsSync } from 'fs';
+import { resolve, relative, extname, isAbsolute, basename } from 'path';
+import { getConfig } from './config.js';
+
+export const DOC_FORMATS = ['html', 'markdown'];
+
+const CLISH_PROMPT = /^\s*(?:[\w.-]+)?>\s*(\S.*)$/;
+const EXPERT_PROMPT = /^\s*(?:\[Expert@[^\]]*\]|[\w@:~\/.-]*)#\s*(\S.*)$/;
+const PART_LABELS = {
+  description: /^(description|overview|purpose)$/i,
+  syntax: /^(syntax|usage|command syntax)$/i,
+  parameters: /^(parameters?|options|arguments|parameters and options)$/i,
+  examples: /^(examples?|sample output|output|notes?|related (commands|topics|solutions))$/i
+};
+
+// ============================================================================
+// HTML NORMALIZATION
+// ============================================================================
+
+/**
+ * Decode the HTML entities found in documentation pages
+ * @param {string} text - HTML text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return named[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Strip tags from an HTML fragment
+ * @param {string} html - HTML fragment
+ * @returns {string} Plain text
+ */
+function stripTags(html) {
+  return decodeEntities(html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '')).replace(/[ \t]+/g, ' ');
+}
+
+/**
+ * Convert an HTML page to the Markdown subset understood by parseMarkdownSections
+ * (headings, fenced code blocks, pipe tables and paragraphs)
+ * @param {string} html - HTML page
+ * @returns {string} Markdown text
+ */
+export function htmlToMarkdown(html) {
+  const blocks = [];
+  const keep = text => `\n\u0000${blocks.push(text) - 1}\u0000\n`;
+
+  let text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|nav|footer)\b[\s\S]*?<\/\1>/gi, '');
+
+  // Preformatted blocks keep their line breaks
+  text = text.replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (match, inner) => {
+    const code = decodeEntities(inner.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, ''));
+    return keep(['```', code.replace(/^\n+|\n+$/g, ''), '```'].join('\n'));
+  });
+
+  // Tables become pipe tables (first row is the header)
+  text = text.replace(/<table\b[^>]*>([\s\S]*?)<\/table>/gi, (match, inner) => {
+    const rows = [...inner.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)].map(row =>
+      [...row[1].matchAll(/<t[hd]\b[^>]*>([\s\S]*?)<\/t[hd]>/gi)].map(cell =>
+        stripTags(cell[1]).trim().replace(/\n+/g, '<br>').replace(/\|/g, '\\|')
+      )
+    ).filter(cells => cells.length > 0);
+
+    if (rows.length === 0) return '\n';
+
+    const lines = rows.map(cells => `| ${cells.join(' | ')} |`);
+    lines.splice(1, 0, `|${rows[0].map(() => '---').join('|')}|`);
+    return keep(lines.join('\n'));
+  });
+
+  text = text
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) =>
+      `\n${'#'.repeat(parseInt(level, 10))} ${stripTags(inner).replace(/\s+/g, ' ').trim()}\n`)
+    .replace(/<code\b[^>]*>([\s\S]*?)<\/code>/gi, (match, inner) => `\`${stripTags(inner)}\``)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/?(p|div|ul|ol|section|article|dl|dt|dd|blockquote)\b[^>]*>/gi, '\n');
+
+  text = stripTags(text);
+
+  return text
+    .replace(/\u0000(\d+)\u0000/g, (match, n) => blocks[parseInt(n, 10)])
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+// ============================================================================
+// MARKDOWN SECTIONS
+// ============================================================================
+
+/**
+ * Split a Markdown document into heading sections with their parts
+ *
+ * Subheadings and bold labels named like Description, Syntax, Parameters or
+ * Example belong to the enclosing section instead of starting a new one.
+ *
+ * @param {string} markdown - Markdown text
+ * @returns {Object} { title, sections: [{ heading, description, syntax, code, tables }] }
+ */
+function parseMarkdownSections(markdown) {
+  const sections = [];
+  let title = null;
+  let section = null;
+  let part = 'description';
+  let fence = null;
+  let table = null;
+
+  const newSection = heading => {
+    section = { heading, description: [], syntax: [], code: [], tables: [] };
+    sections.push(section);
+    part = 'description';
+  };
+
+  const partOf = label => {
+    const clean = label.replace(/[*_:`]/g, '').trim();
+    return Object.keys(PART_LABELS).find(key => PART_LABELS[key].test(clean)) || null;
+  };
+
+  for (const line of markdown.split(/\r?\n/)) {
+    if (fence !== null) {
+      if (/^\s*(```|~~~)/.test(line)) {
+        fence = null;
+      } else if (section) {
+        (part === 'syntax' ? section.syntax : section.code).push(line);
+      }
+      continue;
+    }
+
+    if (/^\s*(```|~~~)/.test(line)) {
+      fence = line.trim().slice(0, 3);
+      table = null;
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    if (heading) {
+      table = null;
+      const text = heading[2].replace(/`/g, '').trim();
+      const label = partOf(text);
+      if (label && (section || title !== null)) {
+        if (!section) newSection(title);
+        part = label;
+      } else if (heading[1].length === 1 && title === null) {
+        title = text;
+      } else {
+        newSection(text);
+      }
+      continue;
+    }
+
+    // Single-command pages put the command in the title heading
+    if (!section) {
+      if (title === null || !line.trim()) continue;
+      newSection(title);
+    }
+
+    if (/^\s*\|/.test(line)) {
+      const cells = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim().replace(/\\\|/g, '|').replace(/<br\s*\/?>/g, ' ').replace(/`/g, ''));
+      if (cells.every(cell => /^:?-{3,}:?$/.test(cell))) continue;
+      if (!table) {
+        table = { part, rows: [] };
+        section.tables.push(table);
+      }
+      table.rows.push(cells);
+      continue;
+    }
+    table = null;
+
+    // Bold or colon labels on their own line ("**Syntax**", "Syntax:")
+    const label = /^\s*(\*\*|__)?[A-Za-z ]+(\*\*|__)?:?\s*$/.test(line) ? partOf(line) : null;
+    if (label) {
+      part = label;
+      continue;
+    }
+
+    // Indented code
+    if (/^( {4}|\t)\S/.test(line)) {
+      (part === 'syntax' ? section.syntax : section.code).push(line.trim());
+      continue;
+    }
+
+    if (part === 'description' && line.trim()) {
+      section.description.push(line.trim());
+    } else if (part === 'syntax' && line.trim()) {
+      section.syntax.push(line.replace(/`/g, '').trim());
+    }
+  }
+
+  return { title, sections };
+}
+
+// ============================================================================
+// COMMAND EXTRACTION
+// ============================================================================
+
+/**
+ * Identify the mode and command text of a syntax line from its prompt
+ * @param {string} line - Syntax line
+ * @returns {Object} { mode, text } (mode is null without a prompt)
+ */
+function splitPrompt(line) {
+  const expert = line.match(EXPERT_PROMPT);
+  if (expert && /#/.test(line.slice(0, line.length - expert[1].length))) {
+    return { mode: 'expert', text: expert[1].trim() };
+  }
+
+  const clish = line.match(CLISH_PROMPT);
+  if (clish && !line.trim().startsWith('<')) {
+    return { mode: 'clish', text: clish[1].trim() };
+  }
+
+  return { mode: null, text: line.trim() };
+}
+
+/**
+ * Split a syntax line into the command and its arguments
+ *
+ * The command is the executable name only; subcommands go into the arguments so
+ * that "cphaprob state" and "cphaprob" become variants of one command:
+ * "cphaprob state [-a]" -> "cphaprob" + "state [-a]".
+ *
+ * @param {string} text - Syntax line without prompt
+ * @returns {Object} { command, args }
+ */
+function splitSyntax(text) {
+  const [command, ...args] = text.split(/\s+/);
+  return {
+    command,
+    args: args.join(' ')
+  };
+}
+
+/**
+ * Turn a documentation placeholder into a parameter name ("<IP Address>" -> ip_address)
+ * @param {string} label - Placeholder text without brackets
+ * @returns {string} Identifier
+ */
+function placeholderName(label) {
+  const name = label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return /^[a-z_]/.test(name) ? name : `p_${name}`;
+}
+
+/**
+ * Guess the parameter type of a placeholder from its name and description
+ * @param {string} name - Parameter name
+ * @param {string} description - Parameter description
+ * @returns {string} One of the arguments.js PARAM_TYPES
+ */
+function inferParamType(name, description = '') {
+  const text = `${name} ${description}`.toLowerCase();
+  if (/\binterface\b|if_name|ifname/.test(text)) return 'interface';
+  if (/\bip\b|ip address|ipv4|ipv6|address of/.test(text.replace(/_/g, ' '))) return 'ip';
+  if (/\b(number|num|count|seconds|timeout|port|size|length|id)\b/.test(name.replace(/_/g, ' '))) return 'integer';
+  return 'string';
+}
+
+/**
+ * Build an argument variant from syntax arguments and the section's parameter rows
+ * @param {string} args - Arguments as written in the documentation
+ * @param {Array} paramRows - [[parameter, description], ...]
+ * @returns {Object} Argument variant
+ */
+function buildVariant(args, paramRows) {
+  const params = [];
+  const notes = [];
+
+  const rowFor = label => paramRows.find(([parameter]) => {
+    const clean = parameter.replace(/[<>]/g, '').trim().toLowerCase();
+    const wanted = label.toLowerCase();
+    return clean === wanted
+      || parameter.trim().toLowerCase().startsWith(wanted)
+      || parameter.toLowerCase().includes(`<${wanted}>`);
+  });
+
+  const rendered = args.replace(/<([^<>]+)>/g, (match, label) => {
+    const name = placeholderName(label);
+    if (!params.some(p => p.name === name)) {
+      const row = rowFor(label);
+      const param = { name, type: inferParamType(name, row ? row[1] : '') };
+      if (row && row[1]) param.description = row[1];
+      params.push(param);
+    }
+    return `<${name}>`;
+  });
+
+  for (const flag of args.match(/(?:^|[\s\[{|])(-{1,2}[A-Za-z][\w-]*)/g) || []) {
+    const option = flag.replace(/^[\s\[{|]/, '');
+    const row = rowFor(option);
+    if (row && row[1] && !notes.includes(`${option}: ${row[1]}`)) notes.push(`${option}: ${row[1]}`);
+  }
+
+  const variant = { args: rendered };
+  if (notes.length > 0) variant.description = notes.join('; ');
+  if (params.length > 0) variant.params = params;
+  return variant;
+}
+
+/**
+ * Extract candidate commands from a documentation page
+ * @param {string} text - Page contents
+ * @param {Object} options - { format: 'html' | 'markdown', source }
+ * @returns {Object} { title, format, commands: [{ command, description, mode, arguments, source }] }
+ */
+export function parseDocumentation(text, options = {}) {
+  const format = options.format || detectFormat(text, options.source);
+  const markdown = format === 'html' ? htmlToMarkdown(text) : text;
+  const { title, sections } = parseMarkdownSections(markdown);
+  const candidates = new Map();
+
+  for (const section of sections) {
+    // Without an explicit Syntax block, fall back to prompt lines in other code
+    let syntaxLines = section.syntax.filter(line => line.trim());
+    if (syntaxLines.length === 0) {
+      syntaxLines = section.code.filter(line => splitPrompt(line).mode !== null).slice(0, 1);
+    }
+    if (syntaxLines.length === 0) continue;
+
+    const paramRows = section.tables
+      .filter(table => table.part === 'parameters' || /param|option|argument/i.test(table.rows[0][0] || ''))
+      .flatMap(table => table.rows.slice(1))
+      .filter(row => row.length >= 2);
+
+    for (const line of syntaxLines) {
+      const { mode, text: syntax } = splitPrompt(line);
+      const { command, args } = splitSyntax(syntax);
+      const key = `${mode}|${command}`;
+
+      const sectionDescription = section.description.join(' ') || section.heading;
+
+      if (!candidates.has(key)) {
+        candidates.set(key, {
+          command,
+          description: sectionDescription,
+          mode,
+          arguments: [],
+          source: options.source || title || null
+        });
+      }
+
+      const candidate = candidates.get(key);
+      const variant = buildVariant(args, paramRows);
+      // Subcommands documented in their own section keep that section's description
+      if (!variant.description && sectionDescription !== candidate.description) {
+        variant.description = sectionDescription;
+      }
+      if (!candidate.arguments.some(v => v.args === variant.args)) {
+        candidate.arguments.push(variant);
+      }
+    }
+  }
+
+  const commands = [...candidates.values()].map(candidate => {
+    if (candidate.arguments.length === 1 && candidate.arguments[0].args === '') {
+      candidate.arguments = [];
+    }
+    return candidate;
+  });
+
+  return { title, format, commands };
+}
+
+/**
+ * Guess the format of a document from its file name or contents
+ * @param {string} text - Document contents
+ * @param {string} fileName - Optional file name
+ * @returns {string} 'html' or 'markdown'
+ */
+export function detectFormat(text, fileName) {
+  const extension = fileName ? extname(fileName).toLowerCase() : '';
+  if (['.html', '.htm', '.xhtml'].includes(extension)) return 'html';
+  if (['.md', '.markdown'].includes(extension)) return 'markdown';
+  return /<(html|body|h[1-6]|p|pre|table)\b/i.test(text) ? 'html' : 'markdown';
+}
+
+/**
+ * Read a documentation file from the documentation directory (docs.import_dir)
+ * @param {string} filePath - Path relative to the documentation directory (or absolute inside it)
+ * @returns {Object} { text, source } or { error, message }
+ */
+export function readDocumentationFile(filePath) {
+  const root = getConfig().docs.import_dir;
+  const fullPath = isAbsolute(filePath) ? resolve(filePath) : resolve(root, filePath);
+  const inside = relative(root, fullPath);
+
+  if (inside.startsWith('..') || isAbsolute(inside)) {
+    return { error: true, message: `Path must be inside the documentation directory (${root})` };
+  }
+
+  if (!existsSync(fullPath)) {
+    return { error: true, message: `File not found: ${filePath}` };
+  }
+
+  return {
+    text: readFileSync(fullPath, 'utf-8'),
+    source: basename(fullPath)
+  };
+}
@@ -0,0 +1,188 @@
+// embeddings.js
+// Embedding providers: Ollama, OpenAI-compatible endpoints and an offline hashing embedder
+
+import { getConfig, redactUrl } from './config.js';
+
+export const EMBEDDING_PROVIDERS = ['ollama', 'openai', 'hash'];
+
+/**
+ * Ollama provider (POST /api/embeddings)
+ * @param {Object} config - { host, model }
+ * @returns {Object} Provider
+ */
+export function createOllamaProvider(config = {}) {
+  const host = config.host || 'http://localhost:11434';
+  const model = config.model || 'nomic-embed-text';
+
+  return {
+    name: 'ollama',
+    model,
+    endpoint: host,
+    async embed(text) {
+      const response = await fetch(`${host}/api/embeddings`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          model,
+          prompt: text
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Ollama API error: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return data.embedding;
+    }
+  };
+}
+
+/**
+ * OpenAI-compatible provider (POST /v1/embeddings), e.g. llama.cpp server or vLLM
+ * @param {Object} config - { base_url, model, api_key, dimensions }
+ * @returns {Object} Provider
+ */
+export function createOpenAIProvider(config = {}) {
+  const baseUrl = (config.base_url || 'http://localhost:8080').replace(/\/+$/, '');
+  const model = config.model || 'nomic-embed-text';
+
+  return {
+    name: 'openai',
+    model,
+    endpoint: baseUrl,
+    async embed(text) {
+      const headers = { "Content-Type": "application/json" };
+      if (config.api_key) {
+        headers.Authorization = `Bearer ${config.api_key}`;
+      }
+
+      const body = { model, input: text };
+      if (config.dimensions) {
+        body.dimensions = config.dimensions;
+      }
+
+      const response = await fetch(`${baseUrl}/v1/embeddings`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Embeddings API error: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return data.data[0].embedding;
+    }
+  };
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} str - Input string
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Offline hashing provider (feature hashing of words and character trigrams)
+ *
+ * Deterministic and dependency-free, intended for tests and air-gapped installs.
+ * Similarity reflects shared vocabulary only, not meaning.
+ *
+ * @param {Object} config - { dimensions }
+ * @returns {Object} Provider
+ */
+export function createHashProvider(config = {}) {
+  const dimensions = config.dimensions || 384;
+
+  return {
+    name: 'hash',
+    model: `hash-${dimensions}`,
+    endpoint: null,
+    async embed(text) {
+      const vector = new Array(dimensions).fill(0);
+      const words = text.toLowerCase().split(/[^\p{L}\p{N}_-]+/u).filter(Boolean);
+
+      const addFeature = (feature, weight) => {
+        const hash = fnv1a(feature);
+        const sign = (hash & 0x80000000) ? -1 : 1;
+        vector[hash % dimensions] += sign * weight;
+      };
+
+      for (const word of words) {
+        addFeature(`w:${word}`, 1);
+        const padded = `#${word}#`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+          addFeature(`t:${padded.slice(i, i + 3)}`, 0.5);
+        }
+      }
+
+      const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+      return norm > 0 ? vector.map(v => v / norm) : vector;
+    }
+  };
+}
+
+/**
+ * Create an embedding provider from configuration
+ * @param {Object} config - Provider configuration ({ provider, ...settings })
+ * @returns {Object} Provider
+ */
+export function createEmbeddingProvider(config = {}) {
+  switch (config.provider || 'ollama') {
+    case 'ollama':
+      return createOllamaProvider(config);
+    case 'openai':
+      return createOpenAIProvider(config);
+    case 'hash':
+      return createHashProvider(config);
+    default:
+      throw new Error(`Unknown embedding provider '${config.provider}' (expected one of ${EMBEDDING_PROVIDERS.join(', ')})`);
+  }
+}
+
+let activeProvider = null;
+
+/**
+ * Get the active embedding provider (created from the embeddings settings on first use)
+ * @returns {Object} Provider
+ */
+export function getEmbeddingProvider() {
+  if (!activeProvider) {
+    activeProvider = createEmbeddingProvider(getConfig().embeddings);
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active embedding provider
+ * @param {Object} config - Provider configuration ({ provider, ...settings })
+ * @returns {Object} The new provider
+ */
+export function configureEmbeddingProvider(config) {
+  activeProvider = createEmbeddingProvider(config);
+  console.error(`✓ Embedding provider: ${activeProvider.name} (${activeProvider.model})`);
+  return activeProvider;
+}
+
+/**
+ * Describe the active embedding provider (without credentials)
+ * @returns {Object} Provider name, model and endpoint
+ */
+export function describeEmbeddingProvider() {
+  const provider = getEmbeddingProvider();
+  return {
+    provider: provider.name,
+    model: provider.model,
+    endpoint: redactUrl(provider.endpoint)
+  };
+}
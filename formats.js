@@ -0,0 +1,507 @@
+// formats.js
+// Command import/export formats: JSON, CSV, YAML and Markdown
+//
+// Nested fields are flattened the same way in every text format that needs it:
+// - related_commands: IDs joined with ';' (e.g. "3;5;12")
+// - arguments (CSV): one group of columns per variant, arguments.<n>.args,
+//   arguments.<n>.description and arguments.<n>.params (params as JSON)
+// - arguments (Markdown): a table with Args, Description and Params columns
+//
+// An empty CSV cell or Markdown field value clears its field (null, [] for
+// related_commands, false for booleans), so importing with an update strategy
+// can empty a field (fill_empty never does). Empty id, command and category
+// cells are ignored, and columns left out of the file keep their stored value.
+// In CSV, a row with empty arguments.* cells clears the arguments.
+
+import YAML from 'yaml';
+
+export const EXPORT_FORMATS = ['json', 'csv', 'yaml', 'markdown'];
+
+export const FORMAT_CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  yaml: 'application/yaml',
+  markdown: 'text/markdown'
+};
+
+// Column order for CSV and the Markdown field table
+const FIELD_ORDER = [
+  'id', 'command', 'description', 'category', 'version', 'keywords', 'mode', 'type',
+  'device', 'executable_mcp', 'impact', 'related_commands', 'deprecated', 'created_at', 'updated_at'
+];
+const INTEGER_FIELDS = ['id'];
+const BOOLEAN_FIELDS = ['executable_mcp', 'deprecated'];
+// Fields an empty cell never clears (the identity of the command)
+const KEY_FIELDS = ['id', 'command', 'category'];
+const ARGUMENT_COLUMN_REGEX = /^arguments\.(\d+)\.(args|description|params)$/;
+
+/**
+ * Fields present in a list of commands, in FIELD_ORDER (unknown fields last)
+ * @param {Array} commands - Commands
+ * @returns {string[]} Field names
+ */
+function presentFields(commands) {
+  const present = new Set(commands.flatMap(cmd => Object.keys(cmd)));
+  const known = FIELD_ORDER.filter(field => present.has(field));
+  const others = [...present].filter(field => !FIELD_ORDER.includes(field) && field !== 'arguments');
+  return [...known, ...others];
+}
+
+/**
+ * Flatten a scalar or related_commands value to text
+ * @param {string} field - Field name
+ * @param {*} value - Value
+ * @returns {string} Text ('' for null)
+ */
+function flattenValue(field, value) {
+  if (value === null || value === undefined) return '';
+  if (field === 'related_commands') return value.join(';');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Rebuild a typed value from text
+ * @param {string} field - Field name
+ * @param {string} text - Text (undefined when the row has no such cell)
+ * @returns {*} Value; an empty cell is the cleared value, or undefined for KEY_FIELDS
+ */
+function unflattenValue(field, text) {
+  if (text === undefined) return undefined;
+  if (text === '') {
+    if (KEY_FIELDS.includes(field)) return undefined;
+    if (field === 'related_commands') return [];
+    return BOOLEAN_FIELDS.includes(field) ? false : null;
+  }
+  if (field === 'related_commands') {
+    return text.split(';').map(id => id.trim()).filter(Boolean).map(id => parseInt(id, 10));
+  }
+  if (INTEGER_FIELDS.includes(field)) return parseInt(text, 10);
+  if (BOOLEAN_FIELDS.includes(field)) return ['true', '1', 'yes'].includes(text.trim().toLowerCase());
+  return text;
+}
+
+// ============================================================================
+// CSV (RFC 4180)
+// ============================================================================
+
+// Cells a spreadsheet would evaluate as a formula (args such as "-a if" included),
+// also matched after earlier escape quotes so that the escaping round-trips
+const FORMULA_CELL_REGEX = /^'*[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV cell when needed
+ *
+ * Cells starting with =, +, -, @, tab or carriage return get a leading ' so
+ * spreadsheets show them as text instead of running them as formulas;
+ * fromCSV removes it again.
+ *
+ * @param {string} text - Cell text
+ * @returns {string} CSV cell
+ */
+function csvCell(text) {
+  const safe = FORMULA_CELL_REGEX.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * Remove the formula escape added by csvCell
+ * @param {string} text - Cell text as read
+ * @returns {string} Original text
+ */
+function unescapeCSVCell(text) {
+  return text !== undefined && text.startsWith("'") && FORMULA_CELL_REGEX.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Serialize commands to CSV
+ * @param {Array} commands - Commands
+ * @returns {string} CSV text with a header row
+ */
+function toCSV(commands) {
+  const fields = presentFields(commands);
+  const variantCount = Math.max(0, ...commands.map(cmd => (cmd.arguments || []).length));
+  const withParams = new Set();
+
+  for (const cmd of commands) {
+    (cmd.arguments || []).forEach((variant, i) => {
+      if (variant.params && variant.params.length > 0) withParams.add(i);
+    });
+  }
+
+  const header = [...fields];
+  for (let i = 0; i < variantCount; i++) {
+    header.push(`arguments.${i}.args`, `arguments.${i}.description`);
+    if (withParams.has(i)) header.push(`arguments.${i}.params`);
+  }
+
+  const rows = commands.map(cmd => {
+    const cells = fields.map(field => flattenValue(field, cmd[field]));
+    const variants = cmd.arguments || [];
+    for (let i = 0; i < variantCount; i++) {
+      const variant = variants[i];
+      cells.push(variant ? variant.args || '' : '', variant ? variant.description || '' : '');
+      if (withParams.has(i)) {
+        cells.push(variant && variant.params && variant.params.length > 0 ? JSON.stringify(variant.params) : '');
+      }
+    }
+    return cells.map(csvCell).join(',');
+  });
+
+  return [header.map(csvCell).join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Split CSV text into rows of cells
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows
+ */
+function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+/**
+ * Parse commands from CSV (header row required)
+ * @param {string} text - CSV text
+ * @returns {Array} Commands
+ */
+function fromCSV(text) {
+  const [header, ...rows] = parseCSVRows(text.replace(/^\uFEFF/, ''));
+
+  if (!header) return [];
+
+  return rows.map((cells, rowIndex) => {
+    const cmd = {};
+    const variants = [];
+
+    header.forEach((column, i) => {
+      const name = column.trim();
+      const value = unescapeCSVCell(cells[i]);
+      const argumentColumn = name.match(ARGUMENT_COLUMN_REGEX);
+
+      if (argumentColumn) {
+        if (value === undefined || value === '') return;
+        const position = parseInt(argumentColumn[1], 10);
+        variants[position] = variants[position] || {};
+        if (argumentColumn[2] === 'params') {
+          try {
+            variants[position].params = JSON.parse(value);
+          } catch (error) {
+            throw new Error(`Row ${rowIndex + 2}: ${name} is not valid JSON`);
+          }
+        } else {
+          variants[position][argumentColumn[2]] = value;
+        }
+        return;
+      }
+
+      const parsed = unflattenValue(name, value);
+      if (parsed !== undefined) cmd[name] = parsed;
+    });
+
+    const present = variants.filter(Boolean);
+    if (present.length > 0 || header.some(column => ARGUMENT_COLUMN_REGEX.test(column.trim()))) {
+      cmd.arguments = present.map(variant => ({ args: '', ...variant }));
+    }
+
+    return cmd;
+  });
+}
+
+// ============================================================================
+// YAML
+// ============================================================================
+
+/**
+ * Serialize commands to YAML (a sequence of mappings)
+ * @param {Array} commands - Commands
+ * @returns {string} YAML text
+ */
+function toYAML(commands) {
+  return YAML.stringify(commands);
+}
+
+/**
+ * Parse commands from YAML (a sequence, or a mapping with a commands key)
+ * @param {string} text - YAML text
+ * @returns {Array} Commands
+ */
+function fromYAML(text) {
+  const data = YAML.parse(text);
+  const commands = Array.isArray(data) ? data : data && data.commands;
+
+  if (!Array.isArray(commands)) {
+    throw new Error('YAML must be a list of commands or a mapping with a commands list');
+  }
+
+  return commands;
+}
+
+// ============================================================================
+// MARKDOWN
+// ============================================================================
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} Escaped text
+ */
+function markdownCell(text) {
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Wrap text in a code span (empty text stays empty)
+ * @param {string} text - Text
+ * @returns {string} Code span
+ */
+function codeSpan(text) {
+  if (!text) return '';
+  const fence = text.includes('`') ? '``' : '`';
+  return `${fence}${fence === '``' ? ' ' : ''}${text}${fence === '``' ? ' ' : ''}${fence}`;
+}
+
+/**
+ * Remove a code span wrapper, if any
+ * @param {string} text - Cell text
+ * @returns {string} Inner text
+ */
+function stripCodeSpan(text) {
+  const match = text.match(/^(`+)\s?([\s\S]*?)\s?\1$/);
+  return match ? match[2] : text;
+}
+
+/**
+ * Serialize commands to Markdown, grouped by category
+ *
+ * Each command is a "### `command`" section with its description, a Field/Value
+ * table and, when it has argument variants, an Args/Description/Params table.
+ *
+ * @param {Array} commands - Commands
+ * @returns {string} Markdown text
+ */
+function toMarkdown(commands) {
+  const lines = ['# Checkpoint commands', ''];
+  const fields = presentFields(commands).filter(field => !['command', 'description', 'category'].includes(field));
+  let category;
+
+  for (const cmd of commands) {
+    if (cmd.category !== undefined && cmd.category !== category) {
+      category = cmd.category;
+      lines.push(`## ${category || 'uncategorized'}`, '');
+    }
+
+    lines.push(`### ${codeSpan(cmd.command || `#${cmd.id}`)}`, '');
+
+    if (cmd.description) {
+      lines.push(cmd.description, '');
+    }
+
+    const rows = fields
+      .map(field => [field, flattenValue(field, cmd[field])])
+      .filter(([, value]) => value !== '');
+
+    if (rows.length > 0) {
+      lines.push('| Field | Value |', '|-------|-------|');
+      for (const [field, value] of rows) {
+        lines.push(`| ${field} | ${markdownCell(value)} |`);
+      }
+      lines.push('');
+    }
+
+    if (cmd.arguments && cmd.arguments.length > 0) {
+      lines.push('| Args | Description | Params |', '|------|-------------|--------|');
+      for (const variant of cmd.arguments) {
+        const params = variant.params && variant.params.length > 0 ? codeSpan(JSON.stringify(variant.params)) : '';
+        lines.push(`| ${markdownCell(codeSpan(variant.args || ''))} | ${markdownCell(variant.description || '')} | ${markdownCell(params)} |`);
+      }
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Split a Markdown table row into cells (honoring \| escapes)
+ * @param {string} line - Table row
+ * @returns {string[]} Unescaped cell texts
+ */
+function markdownRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|').replace(/<br\s*\/?>/g, '\n'));
+}
+
+/**
+ * Parse commands from Markdown written by toMarkdown
+ * @param {string} text - Markdown text
+ * @returns {Array} Commands
+ */
+function fromMarkdown(text) {
+  const commands = [];
+  let category;
+  let cmd = null;
+  let description = [];
+  let table = null;
+
+  const finishDescription = () => {
+    if (cmd && description.length > 0 && cmd.description === undefined) {
+      const joined = description.join('\n').trim();
+      if (joined) cmd.description = joined;
+    }
+    description = [];
+  };
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trimEnd();
+
+    if (line.startsWith('### ')) {
+      finishDescription();
+      cmd = { command: stripCodeSpan(line.slice(4).trim()) };
+      if (category !== undefined) cmd.category = category;
+      commands.push(cmd);
+      table = null;
+      continue;
+    }
+
+    if (line.startsWith('## ')) {
+      finishDescription();
+      category = line.slice(3).trim();
+      cmd = null;
+      table = null;
+      continue;
+    }
+
+    if (line.startsWith('# ') || !cmd) continue;
+
+    if (line.trim().startsWith('|')) {
+      finishDescription();
+      const cells = markdownRow(line);
+
+      if (table === null) {
+        table = cells[0].toLowerCase() === 'args' ? 'arguments' : 'fields';
+      } else if (cells.every(cell => /^:?-+:?$/.test(cell))) {
+        continue;
+      } else if (table === 'fields') {
+        const value = unflattenValue(cells[0], cells[1]);
+        if (value !== undefined) cmd[cells[0]] = value;
+      } else {
+        const variant = { args: stripCodeSpan(cells[0] || '') };
+        if (cells[1]) variant.description = cells[1];
+        if (cells[2]) {
+          try {
+            variant.params = JSON.parse(stripCodeSpan(cells[2]));
+          } catch (error) {
+            throw new Error(`Invalid params JSON for '${cmd.command}': ${cells[2]}`);
+          }
+        }
+        cmd.arguments = cmd.arguments || [];
+        cmd.arguments.push(variant);
+      }
+      continue;
+    }
+
+    table = null;
+    if (cmd.description === undefined && !cmd.arguments) {
+      description.push(line);
+    }
+  }
+
+  finishDescription();
+
+  return commands;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Serialize commands in an export format
+ * @param {Array} commands - Commands (as returned by listCommands)
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {string} Serialized text
+ */
+export function serializeCommands(commands, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(commands, null, 2);
+    case 'csv':
+      return toCSV(commands);
+    case 'yaml':
+      return toYAML(commands);
+    case 'markdown':
+      return toMarkdown(commands);
+    default:
+      throw new Error(`Unknown format '${format}' (expected one of ${EXPORT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Parse commands from an import format
+ * @param {string} text - Serialized text
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Array} Commands ready for importCommandsJSON
+ */
+export function parseCommands(text, format) {
+  switch (format) {
+    case 'json': {
+      const data = JSON.parse(text);
+      return Array.isArray(data) ? data : data.commands;
+    }
+    case 'csv':
+      return fromCSV(text);
+    case 'yaml':
+      return fromYAML(text);
+    case 'markdown':
+      return fromMarkdown(text);
+    default:
+      throw new Error(`Unknown format '${format}' (expected one of ${EXPORT_FORMATS.join(', ')})`);
+  }
+}
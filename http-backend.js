@@ -0,0 +1,178 @@
+// http-backend.js
+// MCP server backend that forwards every operation to api-server.js over HTTP
+//
+// Both backends (see local-backend.js) expose the same methods: each one
+// resolves with the JSON body the REST API answers with and rejects with an
+// Error carrying the API's error message.
+
+import { redactUrl } from './config.js';
+
+/**
+ * Build an endpoint with a query string, skipping empty values
+ * @param {string} endpoint - Path (e.g., '/api/commands')
+ * @param {Object} query - Query values; arrays are sent comma-separated
+ * @returns {string} Endpoint with query string
+ */
+function withQuery(endpoint, query = {}) {
+  const params = new URLSearchParams();
+
+  for (const [key, value] of Object.entries(query)) {
+    if (value === undefined || value === null || value === '') continue;
+    if (Array.isArray(value)) {
+      if (value.length > 0) params.append(key, value.join(','));
+    } else {
+      params.append(key, value);
+    }
+  }
+
+  const queryString = params.toString();
+  return queryString ? `${endpoint}?${queryString}` : endpoint;
+}
+
+/**
+ * Create a backend that talks to a running api-server.js
+ * @param {string} baseUrl - API base URL (e.g., http://localhost:5679)
+ * @param {string|Function} actor - Sent as X-Actor, recorded in the revision history; a
+ *   function is called on every request (e.g. to send the actor of the current MCP session)
+ * @param {string|Function} [token] - Bearer token for the routes protected by api.auth_tokens;
+ *   a function is called on every request, like actor
+ * @returns {Object} Backend
+ */
+export function createHttpBackend(baseUrl, actor, token = null) {
+  const actorName = typeof actor === 'function' ? actor : () => actor;
+  const bearerToken = typeof token === 'function' ? token : () => token;
+
+  // Headers sent with every request
+  function requestHeaders() {
+    const headers = { 'X-Actor': actorName() };
+    const currentToken = bearerToken();
+    if (currentToken) headers.Authorization = `Bearer ${currentToken}`;
+    return headers;
+  }
+
+  async function apiRequest(endpoint, method = 'GET', body = null) {
+    const options = {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...requestHeaders()
+      }
+    };
+
+    if (body) {
+      options.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(`${baseUrl}${endpoint}`, options);
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `API error: ${response.statusText}`);
+    }
+
+    return await response.json();
+  }
+
+  // Endpoints that answer with plain text (e.g. CSV exports)
+  async function apiRequestText(endpoint) {
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      headers: requestHeaders()
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || `API error: ${response.statusText}`);
+    }
+
+    return {
+      text: await response.text(),
+      total: parseInt(response.headers.get('X-Total-Count')),
+      next_cursor: response.headers.get('X-Next-Cursor')
+    };
+  }
+
+  return {
+    description: `HTTP API at ${redactUrl(baseUrl)}`,
+    database_path: null,  // the API server's own, see GET /api/config
+
+    // Commands
+    searchCommands: (params) => apiRequest('/api/commands/search', 'POST', params),
+    addCommand: (data) => apiRequest('/api/commands', 'POST', data),
+    updateCommand: (id, updates) => apiRequest(`/api/commands/${id}`, 'PUT', updates),
+    deleteCommand: (id) => apiRequest(`/api/commands/${id}`, 'DELETE'),
+    getCommand: (id) => apiRequest(`/api/commands/${id}`, 'GET'),
+    listCommands: (query) => apiRequest(withQuery('/api/commands', query), 'GET'),
+    bulkAddCommands: (commands) => apiRequest('/api/commands/bulk', 'POST', { commands }),
+
+    // Text formats resolve with { text, total, next_cursor }
+    exportCommands: (query) => query.format && query.format !== 'json'
+      ? apiRequestText(withQuery('/api/commands/export', query))
+      : apiRequest(withQuery('/api/commands/export', query), 'GET'),
+
+    importCommands: (params) => apiRequest('/api/commands/import', 'POST', params),
+    advancedSearch: (params) => apiRequest('/api/commands/search/advanced', 'POST', params),
+    findDuplicates: () => apiRequest('/api/commands/duplicates', 'GET'),
+    getCompatibleCommands: (query) => apiRequest(withQuery('/api/commands/compatible', query), 'GET'),
+
+    // Database maintenance
+    getStats: () => apiRequest('/api/stats', 'GET'),
+    rebuildAllEmbeddings: (options) => apiRequest('/api/embeddings/rebuild', 'POST', options),
+    rebuildEmbedding: (id) => apiRequest(`/api/embeddings/rebuild/${id}`, 'POST'),
+    createBackup: () => apiRequest('/api/backup', 'POST'),
+    listBackups: () => apiRequest('/api/backups', 'GET'),
+    restoreBackup: (backupFile) => apiRequest('/api/restore', 'POST', { backup_file: backupFile }),
+    validateDatabase: () => apiRequest('/api/maintenance/validate', 'GET'),
+    optimizeDatabase: () => apiRequest('/api/maintenance/optimize', 'POST'),
+    migrateEmbeddingStorage: (format) => apiRequest('/api/maintenance/migrate-embeddings', 'POST', { format }),
+
+    // Categories
+    listCategories: () => apiRequest('/api/categories', 'GET'),
+    getCategoryStats: (name) => apiRequest(`/api/categories/${name}/stats`, 'GET'),
+    renameCategory: (oldName, newName) => apiRequest(`/api/categories/${oldName}/rename`, 'PUT', { new_name: newName }),
+
+    // Execution and change requests
+    renderCommand: (id, params) => apiRequest(`/api/commands/${id}/render`, 'POST', params),
+    listTargets: () => apiRequest('/api/targets', 'GET'),
+    executeCommand: (id, params) => apiRequest(`/api/commands/${id}/execute`, 'POST', params),
+    listChangeRequests: (query) => apiRequest(withQuery('/api/change-requests', query), 'GET'),
+    getChangeRequest: (id) => apiRequest(`/api/change-requests/${id}`, 'GET'),
+    // The API takes the reviewer from the bearer token sent with the request
+    approveChangeRequest: (id, review) => apiRequest(`/api/change-requests/${id}/approve`, 'POST', review),
+    rejectChangeRequest: (id, review) => apiRequest(`/api/change-requests/${id}/reject`, 'POST', review),
+
+    // Revision history and trash
+    listCommandRevisions: (id) => apiRequest(`/api/commands/${id}/revisions`, 'GET'),
+    listRevisionsSince: (after) => apiRequest(withQuery('/api/revisions', { after }), 'GET'),
+    diffCommandRevisions: (id, from, to) => apiRequest(withQuery(`/api/commands/${id}/revisions/diff`, { from, to }), 'GET'),
+    revertCommand: (id, revisionId) => apiRequest(`/api/commands/${id}/revert`, 'POST', { revision_id: revisionId }),
+    listTrash: () => apiRequest('/api/trash', 'GET'),
+    restoreFromTrash: (id) => apiRequest(`/api/trash/${id}/restore`, 'POST'),
+    purgeTrash: (params) => apiRequest('/api/trash/purge', 'POST', params),
+
+    // Documentation import
+    importDocumentation: (params) => apiRequest('/api/import/docs', 'POST', params),
+    listStagedCommands: (query) => apiRequest(withQuery('/api/import/staging', query), 'GET'),
+    updateStagedCommand: (id, updates) => apiRequest(`/api/import/staging/${id}`, 'PUT', updates),
+    approveStagedCommands: (ids, defaults) => apiRequest('/api/import/staging/approve', 'POST', { ids, defaults }),
+    rejectStagedCommands: (ids) => apiRequest('/api/import/staging/reject', 'POST', { ids }),
+
+    // Related commands graph
+    linkCommands: (id, targetId, type) => apiRequest(`/api/commands/${id}/relations`, 'POST', { target_id: targetId, type }),
+    unlinkCommands: (id, targetId, type) => apiRequest(withQuery(`/api/commands/${id}/relations/${targetId}`, { type }), 'DELETE'),
+    getRelatedGraph: (id, query) => apiRequest(withQuery(`/api/commands/${id}/graph`, query), 'GET'),
+
+    // Runbooks
+    createRunbook: (data) => apiRequest('/api/runbooks', 'POST', data),
+    getRunbook: (id) => apiRequest(`/api/runbooks/${id}`, 'GET'),
+    listRunbooks: (query) => apiRequest(withQuery('/api/runbooks', query), 'GET'),
+    updateRunbook: (id, updates) => apiRequest(`/api/runbooks/${id}`, 'PUT', updates),
+    deleteRunbook: (id) => apiRequest(`/api/runbooks/${id}`, 'DELETE'),
+
+    // Prompts
+    listPrompts: () => apiRequest('/api/prompts', 'GET'),
+    createPrompt: (data) => apiRequest('/api/prompts', 'POST', data),
+    updatePrompt: (name, updates) => apiRequest(`/api/prompts/${encodeURIComponent(name)}`, 'PUT', updates),
+    deletePrompt: (name) => apiRequest(`/api/prompts/${encodeURIComponent(name)}`, 'DELETE'),
+    renderPrompt: (name, args) => apiRequest(`/api/prompts/${encodeURIComponent(name)}/render`, 'POST', { arguments: args })
+  };
+}
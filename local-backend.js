@@ -0,0 +1,775 @@
+// local-backend.js
+// MCP server backend that opens the SQLite database in-process (embedded mode)
+//
+// Exposes the same methods as http-backend.js and answers with the same JSON
+// bodies as the matching api-server.js routes, so the tools behave the same
+// whether or not the API is running. Failures reject with an Error carrying
+// the message the API would have sent.
+
+import {
+  SEARCH_MODES,
+  DEFAULT_SEARCH_MODE,
+  parseRankingOptions,
+  EMBEDDING_FORMATS,
+  initDatabase,
+  buildVectorIndex,
+  searchCommands,
+  searchRunbooks,
+  addCommand,
+  updateCommand,
+  deleteCommand,
+  getCommandById,
+  listCommandsPage,
+  bulkAddCommands,
+  exportCommandsJSON,
+  importCommandsJSON,
+  advancedSearch,
+  findDuplicates,
+  getCompatibleCommands,
+  getDatabaseStats,
+  rebuildAllEmbeddings,
+  rebuildEmbeddingById,
+  createBackup,
+  listBackups,
+  restoreBackup,
+  validateDatabase,
+  optimizeDatabase,
+  migrateEmbeddingStorage,
+  listCategories,
+  getCategoryStats,
+  renameCategory,
+  renderCommand,
+  executeCommand,
+  listChangeRequests,
+  getChangeRequest,
+  approveChangeRequest,
+  rejectChangeRequest,
+  listCommandRevisions,
+  listRevisionsSince,
+  diffRevisions,
+  revertCommand,
+  listTrash,
+  restoreFromTrash,
+  purgeTrash,
+  stageDocumentation,
+  listStagedCommands,
+  updateStagedCommand,
+  approveStagedCommands,
+  rejectStagedCommands,
+  validateRelatedCommands,
+  linkCommands,
+  unlinkCommands,
+  getRelatedGraph,
+  createRunbook,
+  getRunbook,
+  listRunbooks,
+  updateRunbook,
+  deleteRunbook,
+  listPrompts,
+  createPrompt,
+  updatePrompt,
+  deletePrompt,
+  renderPrompt
+} from './database.js';
+import { listTargets } from './ssh-executor.js';
+import { validateArguments } from './arguments.js';
+import { EXPORT_FORMATS, serializeCommands, parseCommands } from './formats.js';
+import { readDocumentationFile } from './doc-importer.js';
+
+/**
+ * Reject an operation the way the API does (its error message, as an Error)
+ * @param {string} message - Error message
+ */
+function fail(message) {
+  throw new Error(message);
+}
+
+/**
+ * Reject when a database function returned an error object
+ * @param {Object} result - Result of a database function
+ * @returns {Object} The result, when it is not an error
+ */
+function check(result) {
+  if (result.error) fail(result.message);
+  return result;
+}
+
+/**
+ * Split filters and paging options the way the list and export routes read their query string
+ * @param {Object} query - Filters (category, mode, device, deprecated, regex, keyword, version) and paging options
+ * @returns {Object} { filters, page }
+ */
+function listOptions(query) {
+  const filters = {};
+  const page = {};
+
+  for (const field of ['category', 'mode', 'device', 'regex', 'keyword', 'version']) {
+    if (query[field]) filters[field] = query[field];
+  }
+  if (query.deprecated !== undefined) filters.deprecated = query.deprecated === true || query.deprecated === 'true';
+
+  if (query.limit !== undefined) page.limit = Number(query.limit);
+  if (query.offset !== undefined) page.offset = Number(query.offset);
+  if (query.cursor) page.cursor = query.cursor;
+  if (query.sort) page.sort = query.sort;
+  if (query.order) page.order = query.order;
+  if (Array.isArray(query.fields) && query.fields.length > 0) page.fields = query.fields;
+
+  return { filters, page };
+}
+
+/**
+ * Create a backend that works on a SQLite database file directly
+ * @param {string} dbPath - Database file (created if missing)
+ * @param {string|Function} actor - Recorded in the revision history; a function is
+ *   called on every change (e.g. to record the actor of the current MCP session)
+ * @param {Function} [reviewer] - Authenticated actor allowed to review change requests
+ *   (undefined when the caller is not authenticated)
+ * @returns {Object} Backend
+ */
+export function createLocalBackend(dbPath, actor, reviewer = () => undefined) {
+  const actorName = typeof actor === 'function' ? actor : () => actor;
+
+  // Reviewer of a change request: always the authenticated caller, never a name it sends
+  const reviewerName = () => {
+    const name = reviewer();
+    if (!name) fail('Reviewing a change request requires an authenticated session (mcp.auth_tokens): the reviewer is the bearer token\'s actor');
+    return name;
+  };
+  let db = initDatabase(dbPath);
+
+  const index = buildVectorIndex(db);
+  console.error(`✓ Vector index ready: ${index.commands.size} commands, ${index.variants.size} argument variants`);
+
+  return {
+    description: `embedded database ${dbPath}`,
+    database_path: dbPath,
+
+    // ========== COMMANDS ==========
+
+    async searchCommands(params) {
+      const { query, limit = 5, score_threshold = 0.3, mode = DEFAULT_SEARCH_MODE, keyword_weight, semantic_weight, rrf_k, explain = false } = params;
+
+      if (!query) fail('Query parameter is required');
+      if (!SEARCH_MODES.includes(mode)) fail(`mode must be one of ${SEARCH_MODES.join(', ')}`);
+      const ranking = parseRankingOptions({ keyword_weight, semantic_weight, rrf_k });
+      if (ranking.error) fail(ranking.message);
+
+      const results = await searchCommands(db, query, limit, score_threshold, {
+        mode,
+        keyword_weight,
+        semantic_weight,
+        rrf_k,
+        explain
+      });
+      const runbooks = await searchRunbooks(db, query, { mode, score_threshold });
+
+      return { status: 'success', query, mode, results, count: results.length, runbooks };
+    },
+
+    async addCommand(data) {
+      if (!data.command || !data.description) fail('command and description are required');
+
+      const result = check(await addCommand(db, data, { actor: actorName() }));
+
+      return {
+        status: 'success',
+        message: 'Command added successfully',
+        id: result.id,
+        command: result.command,
+        category: result.category
+      };
+    },
+
+    async updateCommand(id, updates) {
+      if (Object.keys(updates).length === 0) fail('No fields to update');
+      if (updates.arguments !== undefined && validateArguments(updates.arguments).length > 0) fail('Invalid arguments');
+      if (updates.related_commands !== undefined && validateRelatedCommands(db, id, updates.related_commands).length > 0) {
+        fail('Invalid related_commands');
+      }
+
+      if (!(await updateCommand(db, id, updates, { actor: actorName() }))) fail(`Command with ID ${id} not found`);
+
+      return {
+        status: 'success',
+        message: 'Command updated successfully',
+        id,
+        updated_fields: Object.keys(updates)
+      };
+    },
+
+    async deleteCommand(id) {
+      if (!deleteCommand(db, id, { actor: actorName() })) fail(`Command with ID ${id} not found`);
+
+      return { status: 'success', message: 'Command moved to trash', id };
+    },
+
+    async getCommand(id) {
+      const command = getCommandById(db, id);
+      if (!command) fail(`Command with ID ${id} not found`);
+
+      return { status: 'success', command };
+    },
+
+    async listCommands(query) {
+      const { filters, page: pageOptions } = listOptions(query);
+      const page = check(listCommandsPage(db, filters, pageOptions));
+
+      return {
+        status: 'success',
+        commands: page.commands,
+        count: page.count,
+        total: page.total,
+        offset: page.offset,
+        limit: page.limit,
+        sort: page.sort,
+        order: page.order,
+        next_cursor: page.next_cursor,
+        filters
+      };
+    },
+
+    async bulkAddCommands(commands) {
+      if (!Array.isArray(commands) || commands.length === 0) fail('commands must be a non-empty array');
+
+      const results = await bulkAddCommands(db, commands, { actor: actorName() });
+
+      return {
+        status: 'success',
+        message: `Bulk add complete: ${results.added.length} added, ${results.skipped.length} skipped, ${results.errors.length} errors`,
+        results
+      };
+    },
+
+    // Text formats resolve with { text, total, next_cursor }
+    async exportCommands(query) {
+      const format = query.format || 'json';
+      if (!EXPORT_FORMATS.includes(format)) fail(`Invalid format '${format}' (expected one of ${EXPORT_FORMATS.join(', ')})`);
+
+      const { filters, page: pageOptions } = listOptions(query);
+      delete filters.regex;
+      delete filters.keyword;
+
+      const page = check(exportCommandsJSON(db, filters, pageOptions));
+
+      if (format !== 'json') {
+        return {
+          text: serializeCommands(page.commands, format),
+          total: page.total,
+          next_cursor: page.next_cursor
+        };
+      }
+
+      return {
+        status: 'success',
+        commands: page.commands,
+        count: page.count,
+        total: page.total,
+        offset: page.offset,
+        limit: page.limit,
+        sort: page.sort,
+        order: page.order,
+        next_cursor: page.next_cursor,
+        filters
+      };
+    },
+
+    async importCommands(params) {
+      const { skip_duplicates = true, strategy, match_by, dry_run = false, format = 'json', data } = params;
+      let { commands } = params;
+
+      if (data !== undefined) {
+        if (!EXPORT_FORMATS.includes(format)) fail(`Invalid format '${format}' (expected one of ${EXPORT_FORMATS.join(', ')})`);
+
+        try {
+          commands = parseCommands(data, format);
+        } catch (error) {
+          fail(`Could not parse ${format}: ${error.message}`);
+        }
+      }
+
+      if (!Array.isArray(commands) || commands.length === 0) fail('commands must be a non-empty array');
+
+      const results = check(await importCommandsJSON(db, commands, skip_duplicates, { strategy, match_by, dry_run, actor: actorName() }));
+
+      return {
+        status: 'success',
+        message: `Import ${dry_run ? 'dry run ' : ''}complete: ${results.added.length} added, ${results.updated.length} updated, ${results.unchanged.length} unchanged, ${results.skipped.length} skipped, ${results.errors.length} errors`,
+        results
+      };
+    },
+
+    async advancedSearch(params) {
+      if (!params.query) fail('query parameter is required');
+      if (params.search_mode && !SEARCH_MODES.includes(params.search_mode)) {
+        fail(`search_mode must be one of ${SEARCH_MODES.join(', ')}`);
+      }
+      const ranking = parseRankingOptions(params);
+      if (ranking.error) fail(ranking.message);
+
+      const results = await advancedSearch(db, params);
+
+      return { status: 'success', results, count: results.length, search_params: params };
+    },
+
+    async findDuplicates() {
+      const duplicates = findDuplicates(db);
+
+      return {
+        status: 'success',
+        duplicates,
+        count: duplicates.length,
+        total_duplicate_commands: duplicates.reduce((sum, d) => sum + d.count, 0)
+      };
+    },
+
+    async getCompatibleCommands(query) {
+      const { version, category, mode, device } = query;
+      if (!version) fail('version is required');
+
+      const filters = { category, mode, device };
+      if (query.deprecated !== undefined) filters.deprecated = query.deprecated === true || query.deprecated === 'true';
+      if (query.include_unversioned !== undefined) {
+        filters.include_unversioned = query.include_unversioned === true || query.include_unversioned === 'true';
+      }
+
+      const result = check(getCompatibleCommands(db, version, filters));
+
+      return {
+        status: 'success',
+        version: result.version,
+        commands: result.commands,
+        count: result.count,
+        incompatible_count: result.incompatible_count,
+        unversioned_count: result.unversioned_count,
+        unparseable: result.unparseable
+      };
+    },
+
+    // ========== DATABASE MAINTENANCE ==========
+
+    async getStats() {
+      return { status: 'success', stats: getDatabaseStats(db) };
+    },
+
+    async rebuildAllEmbeddings(options = {}) {
+      const results = await rebuildAllEmbeddings(db, { only_affected: Boolean(options.only_affected) });
+
+      return {
+        status: 'success',
+        message: `Rebuild complete: ${results.success} success, ${results.failed} failed`,
+        results
+      };
+    },
+
+    async rebuildEmbedding(id) {
+      await rebuildEmbeddingById(db, id);
+
+      return { status: 'success', message: `Embedding rebuilt for command ID ${id}`, id };
+    },
+
+    async createBackup() {
+      return { status: 'success', message: 'Backup created successfully', backup: createBackup(db) };
+    },
+
+    async listBackups() {
+      const backups = listBackups();
+
+      return { status: 'success', backups, count: backups.length };
+    },
+
+    async restoreBackup(backupFile) {
+      if (!backupFile) fail('backup_file is required');
+
+      restoreBackup(db, backupFile);
+
+      // The restore closed the database: reopen it
+      db = initDatabase(dbPath);
+      buildVectorIndex(db);
+
+      return { status: 'success', message: 'Database restored successfully', backup_file: backupFile };
+    },
+
+    async validateDatabase() {
+      return { status: 'success', validation: validateDatabase(db) };
+    },
+
+    async optimizeDatabase() {
+      optimizeDatabase(db);
+
+      return { status: 'success', message: 'Database optimized successfully' };
+    },
+
+    async migrateEmbeddingStorage(format) {
+      if (format && !EMBEDDING_FORMATS.includes(format)) fail(`format must be one of ${EMBEDDING_FORMATS.join(', ')}`);
+
+      const results = migrateEmbeddingStorage(db, format);
+
+      return {
+        status: 'success',
+        message: `Migrated ${results.converted} embeddings to ${results.format}`,
+        results
+      };
+    },
+
+    // ========== CATEGORIES ==========
+
+    async listCategories() {
+      const categories = listCategories(db);
+
+      return { status: 'success', categories, count: categories.length };
+    },
+
+    async getCategoryStats(name) {
+      return { status: 'success', category: name, stats: getCategoryStats(db, name) };
+    },
+
+    async renameCategory(oldName, newName) {
+      if (!newName) fail('new_name is required');
+
+      const count = await renameCategory(db, oldName, newName, { actor: actorName() });
+
+      return {
+        status: 'success',
+        message: `Category renamed from '${oldName}' to '${newName}'`,
+        old_name: oldName,
+        new_name: newName,
+        commands_updated: count
+      };
+    },
+
+    // ========== EXECUTION AND CHANGE REQUESTS ==========
+
+    async renderCommand(id, { variant, values = {}, change_request_id }) {
+      const result = check(renderCommand(db, id, variant, values, change_request_id));
+
+      return {
+        status: 'success',
+        id: result.id,
+        variant: result.variant,
+        command_line: result.command_line,
+        requires_approval: result.command.requires_approval,
+        withheld: Boolean(result.withheld),
+        message: result.message
+      };
+    },
+
+    async listTargets() {
+      const targets = listTargets();
+
+      return { status: 'success', targets, count: targets.length };
+    },
+
+    async executeCommand(id, params) {
+      const { target, variant, values, change_request_id, justification, requested_by, expires_in_hours } = params;
+      if (!target) fail('target is required');
+
+      const result = check(await executeCommand(db, id, {
+        target,
+        variant,
+        values,
+        change_request_id,
+        justification,
+        requested_by,
+        expires_in_hours
+      }));
+
+      if (result.pending_approval) {
+        return {
+          status: 'pending_approval',
+          message: `Command requires approval: change request ${result.change_request.id} created`,
+          change_request: result.change_request
+        };
+      }
+
+      return {
+        status: 'success',
+        id: result.id,
+        target: result.target,
+        mode: result.mode,
+        command_line: result.command_line,
+        stdout: result.stdout,
+        stderr: result.stderr,
+        exit_code: result.exit_code,
+        signal: result.signal,
+        change_request_id: result.change_request_id
+      };
+    },
+
+    async listChangeRequests(query = {}) {
+      const filters = {};
+      if (query.status) filters.status = query.status;
+      if (query.command_id) filters.command_id = parseInt(query.command_id);
+
+      const changeRequests = listChangeRequests(db, filters);
+
+      return { status: 'success', change_requests: changeRequests, count: changeRequests.length, filters };
+    },
+
+    async getChangeRequest(id) {
+      const changeRequest = getChangeRequest(db, id);
+      if (!changeRequest) fail(`Change request with ID ${id} not found`);
+
+      return { status: 'success', change_request: changeRequest };
+    },
+
+    async approveChangeRequest(id, { comment } = {}) {
+      const result = check(approveChangeRequest(db, id, reviewerName(), comment));
+
+      return { status: 'success', message: `Change request ${id} approved`, change_request: result.change_request };
+    },
+
+    async rejectChangeRequest(id, { comment } = {}) {
+      const result = check(rejectChangeRequest(db, id, reviewerName(), comment));
+
+      return { status: 'success', message: `Change request ${id} rejected`, change_request: result.change_request };
+    },
+
+    // ========== REVISION HISTORY AND TRASH ==========
+
+    async listCommandRevisions(id) {
+      const revisions = listCommandRevisions(db, id);
+
+      return { status: 'success', command_id: id, revisions, count: revisions.length };
+    },
+
+    async listRevisionsSince(after) {
+      const result = listRevisionsSince(db, after);
+
+      return { status: 'success', ...result, count: result.revisions.length };
+    },
+
+    async diffCommandRevisions(id, from, to) {
+      if (!Number.isInteger(from)) fail('from (revision ID) is required');
+
+      const result = check(diffRevisions(db, id, from, to));
+
+      return {
+        status: 'success',
+        command_id: result.command_id,
+        from_revision: result.from_revision,
+        to_revision: result.to_revision,
+        changes: result.changes
+      };
+    },
+
+    async revertCommand(id, revisionId) {
+      if (!Number.isInteger(revisionId)) fail('revision_id is required');
+
+      const result = check(await revertCommand(db, id, revisionId, { actor: actorName() }));
+
+      return {
+        status: 'success',
+        message: `Command ${id} reverted to revision ${revisionId}`,
+        revision_id: result.revision_id,
+        restored: result.restored,
+        trashed: result.trashed,
+        command: result.command
+      };
+    },
+
+    async listTrash() {
+      const trash = listTrash(db);
+
+      return { status: 'success', commands: trash, count: trash.length };
+    },
+
+    async restoreFromTrash(id) {
+      const result = check(restoreFromTrash(db, id, { actor: actorName() }));
+
+      return { status: 'success', message: `Command ${id} restored from trash`, command: result.command };
+    },
+
+    async purgeTrash({ id, older_than_days }) {
+      const result = check(purgeTrash(db, { id, older_than_days, actor: actorName() }));
+
+      return {
+        status: 'success',
+        message: `Purged ${result.count} commands from the trash`,
+        purged: result.purged,
+        count: result.count
+      };
+    },
+
+    // ========== DOCUMENTATION IMPORT ==========
+
+    async importDocumentation({ path, content, format, source, category, version, device }) {
+      let text = content;
+      let documentSource = source;
+
+      if (path) {
+        const file = check(readDocumentationFile(path));
+        text = file.text;
+        documentSource = source || file.source;
+      }
+
+      if (typeof text !== 'string') fail('Either path or content is required');
+
+      const result = check(stageDocumentation(db, text, {
+        format,
+        source: documentSource,
+        category,
+        version,
+        device,
+        actor: actorName()
+      }));
+
+      return {
+        status: 'success',
+        message: `Staged ${result.count} commands for review (batch ${result.batch_id})`,
+        batch_id: result.batch_id,
+        title: result.title,
+        format: result.format,
+        staged: result.staged,
+        count: result.count
+      };
+    },
+
+    async listStagedCommands(query = {}) {
+      const staged = listStagedCommands(db, { status: query.status, batch_id: query.batch_id });
+
+      return { status: 'success', staged, count: staged.length };
+    },
+
+    async updateStagedCommand(id, updates) {
+      const result = check(updateStagedCommand(db, id, updates));
+
+      return { status: 'success', message: 'Staged command updated', staged: result.staged };
+    },
+
+    async approveStagedCommands(ids, defaults) {
+      if (!Array.isArray(ids) || ids.length === 0) fail('ids must be a non-empty array');
+
+      const result = await approveStagedCommands(db, ids, { defaults, actor: actorName() });
+
+      return {
+        status: 'success',
+        message: `${result.approved.length} staged commands approved, ${result.failed.length} failed`,
+        approved: result.approved,
+        failed: result.failed
+      };
+    },
+
+    async rejectStagedCommands(ids) {
+      if (!Array.isArray(ids) || ids.length === 0) fail('ids must be a non-empty array');
+
+      const result = rejectStagedCommands(db, ids, { actor: actorName() });
+
+      return {
+        status: 'success',
+        message: `${result.rejected.length} staged commands rejected, ${result.failed.length} failed`,
+        rejected: result.rejected,
+        failed: result.failed
+      };
+    },
+
+    // ========== RELATED COMMANDS GRAPH ==========
+
+    async linkCommands(id, targetId, type = 'see_also') {
+      if (!Number.isInteger(targetId)) fail('target_id must be a command ID');
+
+      const result = check(linkCommands(db, id, targetId, type, { actor: actorName() }));
+
+      return {
+        status: 'success',
+        message: result.created
+          ? `Command ${id} linked to ${targetId} (${type})`
+          : `Command ${id} was already linked to ${targetId} (${type})`,
+        created: result.created,
+        relation: result.relation
+      };
+    },
+
+    async unlinkCommands(id, targetId, type) {
+      const result = check(unlinkCommands(db, id, targetId, { type, actor: actorName() }));
+
+      return { status: 'success', message: `Command ${id} unlinked from ${targetId}`, removed: result.removed };
+    },
+
+    async getRelatedGraph(id, query = {}) {
+      const options = {};
+      if (query.depth !== undefined) options.depth = Number(query.depth);
+      if (Array.isArray(query.types) && query.types.length > 0) options.types = query.types;
+
+      const result = check(getRelatedGraph(db, id, options));
+
+      return {
+        status: 'success',
+        root_id: result.root_id,
+        depth: result.depth,
+        nodes: result.nodes,
+        edges: result.edges
+      };
+    },
+
+    // ========== RUNBOOKS ==========
+
+    async createRunbook(data) {
+      const result = check(await createRunbook(db, data, { actor: actorName() }));
+
+      return { status: 'success', message: 'Runbook created successfully', runbook: result.runbook };
+    },
+
+    async getRunbook(id) {
+      const runbook = getRunbook(db, id);
+      if (!runbook) fail(`Runbook with ID ${id} not found`);
+
+      return { status: 'success', runbook };
+    },
+
+    async listRunbooks(query = {}) {
+      const runbooks = listRunbooks(db, { category: query.category });
+
+      return { status: 'success', runbooks, count: runbooks.length };
+    },
+
+    async updateRunbook(id, updates) {
+      const result = check(await updateRunbook(db, id, updates));
+
+      return { status: 'success', message: 'Runbook updated successfully', runbook: result.runbook };
+    },
+
+    async deleteRunbook(id) {
+      if (!deleteRunbook(db, id)) fail(`Runbook with ID ${id} not found`);
+
+      return { status: 'success', message: 'Runbook deleted successfully' };
+    },
+
+    // ========== PROMPTS ==========
+
+    async listPrompts() {
+      const prompts = listPrompts(db);
+
+      return { status: 'success', prompts, count: prompts.length };
+    },
+
+    async createPrompt(data) {
+      const result = check(createPrompt(db, data, { actor: actorName() }));
+
+      return { status: 'success', message: 'Prompt created successfully', prompt: result.prompt };
+    },
+
+    async updatePrompt(name, updates) {
+      const result = check(updatePrompt(db, name, updates));
+
+      return { status: 'success', message: 'Prompt updated successfully', prompt: result.prompt };
+    },
+
+    async deletePrompt(name) {
+      check(deletePrompt(db, name));
+
+      return { status: 'success', message: 'Prompt deleted successfully' };
+    },
+
+    async renderPrompt(name, args = {}) {
+      const result = check(await renderPrompt(db, name, args));
+
+      return {
+        status: 'success',
+        description: result.description,
+        messages: result.messages,
+        command_ids: result.command_ids
+      };
+    }
+  };
+}
@@ -0,0 +1,45 @@
+// lru-cache.js
+// Minimal least-recently-used cache on top of Map insertion order
+
+/**
+ * Create an LRU cache
+ * @param {number} maxSize - Maximum number of entries
+ * @returns {Object} Cache with get/set/delete/clear and size
+ */
+export function createLRUCache(maxSize = 500) {
+  const entries = new Map();
+
+  return {
+    maxSize,
+
+    get size() {
+      return entries.size;
+    },
+
+    get(key) {
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      // Re-insert to mark as most recently used
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+
+    set(key, value) {
+      if (entries.has(key)) {
+        entries.delete(key);
+      } else if (entries.size >= maxSize) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, value);
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    }
+  };
+}
@@ -5,7 +5,7 @@ CREATE TABLE IF NOT EXISTS checkpoint_commands (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   command TEXT NOT NULL,
   description TEXT,
-  arguments TEXT,  -- JSON array: [{"args": "state", "description": "Shows cluster state"}]
+  arguments TEXT,  -- JSON array: [{"args": "tu del <peer_ip>", "description": "...", "params": [{"name": "peer_ip", "type": "ip"}]}]
   category TEXT,
   version TEXT,
   keywords TEXT,
@@ -14,8 +14,10 @@ CREATE TABLE IF NOT EXISTS checkpoint_commands (
   device TEXT,  -- firewall, management
   executable_mcp BOOLEAN DEFAULT 0,
   impact TEXT,  -- low, medium, high, critical
-  related_commands TEXT,  -- JSON array of IDs: [1, 5, 12]
+  related_commands TEXT,  -- JSON array of IDs: [1, 5, 12] (maintained from command_relations)
   deprecated BOOLEAN DEFAULT 0,
+  deleted_at TIMESTAMP,  -- set while the command is in the trash
+  deleted_by TEXT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -24,9 +26,151 @@ CREATE TABLE IF NOT EXISTS checkpoint_commands (
 CREATE TABLE IF NOT EXISTS command_embeddings (
   command_id INTEGER PRIMARY KEY,
   embedding BLOB NOT NULL,
+  model TEXT,  -- embedding model that produced the vector
+  dimensions INTEGER,
+  text_hash TEXT,  -- SHA-256 of the embedded text (command + description)
+  format TEXT,  -- float64, float32, int8
+  quant_scale REAL,  -- int8 only: value = (q + 128) * quant_scale + quant_offset
+  quant_offset REAL,
   FOREIGN KEY (command_id) REFERENCES checkpoint_commands(id) ON DELETE CASCADE
 );
 
+-- Argument variant embeddings (one per entry of checkpoint_commands.arguments)
+CREATE TABLE IF NOT EXISTS variant_embeddings (
+  command_id INTEGER NOT NULL,
+  variant_index INTEGER NOT NULL,  -- position in the arguments array
+  args TEXT,
+  embedding BLOB NOT NULL,
+  model TEXT,
+  dimensions INTEGER,
+  text_hash TEXT,  -- SHA-256 of "command args description"
+  format TEXT,
+  quant_scale REAL,
+  quant_offset REAL,
+  PRIMARY KEY (command_id, variant_index),
+  FOREIGN KEY (command_id) REFERENCES checkpoint_commands(id) ON DELETE CASCADE
+);
+
+-- Query embedding cache (used when QUERY_CACHE_PERSIST=true)
+CREATE TABLE IF NOT EXISTS query_embedding_cache (
+  model TEXT NOT NULL,
+  query TEXT NOT NULL,  -- normalized query text
+  embedding BLOB NOT NULL,  -- float32
+  hits INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (model, query)
+);
+
+-- Change requests (approval workflow for high/critical impact and config commands)
+CREATE TABLE IF NOT EXISTS change_requests (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  command_id INTEGER NOT NULL,  -- no foreign key: the approval audit trail outlives purged commands
+  command_line TEXT NOT NULL,
+  target TEXT NOT NULL,
+  justification TEXT NOT NULL,
+  requested_by TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',  -- pending, approved, rejected, executing, executed, failed, expired
+  reviewed_by TEXT,
+  review_comment TEXT,
+  reviewed_at TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  executed_at TIMESTAMP,
+  execution_result TEXT,  -- JSON: {"stdout": "...", "stderr": "...", "exit_code": 0}
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Command revision history (full before/after state of every change)
+CREATE TABLE IF NOT EXISTS command_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  command_id INTEGER NOT NULL,  -- no foreign key: history outlives deleted commands
+  action TEXT NOT NULL,  -- insert, update, trash, restore, purge, rename_category, revert
+  before_state TEXT,  -- JSON row before the change (NULL on insert)
+  after_state TEXT,  -- JSON row after the change (NULL on purge)
+  actor TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Typed links between commands; every edge is stored in both directions
+-- (A prerequisite B is paired with B follow_up A, see_also and undo are symmetric).
+-- checkpoint_commands.related_commands mirrors the linked IDs that are not in the trash.
+CREATE TABLE IF NOT EXISTS command_relations (
+  source_id INTEGER NOT NULL,
+  target_id INTEGER NOT NULL,
+  relation_type TEXT NOT NULL,  -- see_also, prerequisite, follow_up, undo
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (source_id, target_id, relation_type),
+  FOREIGN KEY (source_id) REFERENCES checkpoint_commands(id) ON DELETE CASCADE,
+  FOREIGN KEY (target_id) REFERENCES checkpoint_commands(id) ON DELETE CASCADE
+);
+
+-- Runbooks: named procedures made of stored commands
+CREATE TABLE IF NOT EXISTS runbooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  description TEXT,
+  category TEXT,
+  keywords TEXT,
+  created_by TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Ordered steps of a runbook
+CREATE TABLE IF NOT EXISTS runbook_steps (
+  runbook_id INTEGER NOT NULL,
+  position INTEGER NOT NULL,  -- 1-based order within the runbook
+  command_id INTEGER NOT NULL,  -- no foreign key: steps survive trashed or purged commands
+  variant_args TEXT,  -- args of the chosen argument variant (NULL runs the bare command)
+  notes TEXT,
+  expected_outcome TEXT,
+  PRIMARY KEY (runbook_id, position),
+  FOREIGN KEY (runbook_id) REFERENCES runbooks(id) ON DELETE CASCADE
+);
+
+-- Runbook embeddings (name, description and step commands) for search
+CREATE TABLE IF NOT EXISTS runbook_embeddings (
+  runbook_id INTEGER PRIMARY KEY,
+  embedding BLOB NOT NULL,
+  model TEXT,
+  dimensions INTEGER,
+  text_hash TEXT,
+  format TEXT,
+  quant_scale REAL,
+  quant_offset REAL,
+  FOREIGN KEY (runbook_id) REFERENCES runbooks(id) ON DELETE CASCADE
+);
+
+-- Commands extracted from documentation files, waiting for review before insertion
+CREATE TABLE IF NOT EXISTS staged_commands (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  batch_id TEXT NOT NULL,  -- one batch per imported document
+  source TEXT,  -- file name or document title
+  data TEXT NOT NULL,  -- JSON command as it will be inserted (editable while pending)
+  status TEXT NOT NULL DEFAULT 'pending',  -- pending, approved, rejected
+  command_id INTEGER,  -- command created on approval
+  staged_by TEXT,
+  reviewed_by TEXT,
+  reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Parameterized MCP prompts; template and searches use {{argument}} placeholders
+CREATE TABLE IF NOT EXISTS prompts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  description TEXT,
+  arguments TEXT DEFAULT '[]',  -- JSON: [{ name, description, required, default }]
+  template TEXT NOT NULL,  -- instructions sent to the assistant
+  searches TEXT DEFAULT '[]',  -- JSON: queries whose matching commands are embedded as references
+  category TEXT,  -- only embed commands of this category
+  command_limit INTEGER DEFAULT 8,
+  builtin INTEGER DEFAULT 0,  -- shipped with the server: can be edited but not deleted
+  created_by TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Full-Text Search virtual table (for keyword filtering)
 CREATE VIRTUAL TABLE IF NOT EXISTS commands_fts USING fts5(
   command,
@@ -43,6 +187,11 @@ CREATE INDEX IF NOT EXISTS idx_mode ON checkpoint_commands(mode);
 CREATE INDEX IF NOT EXISTS idx_device ON checkpoint_commands(device);
 CREATE INDEX IF NOT EXISTS idx_executable_mcp ON checkpoint_commands(executable_mcp);
 CREATE INDEX IF NOT EXISTS idx_deprecated ON checkpoint_commands(deprecated);
+CREATE INDEX IF NOT EXISTS idx_change_requests_status ON change_requests(status);
+CREATE INDEX IF NOT EXISTS idx_command_revisions_command ON command_revisions(command_id);
+CREATE INDEX IF NOT EXISTS idx_staged_commands_status ON staged_commands(status, batch_id);
+CREATE INDEX IF NOT EXISTS idx_command_relations_target ON command_relations(target_id);
+CREATE INDEX IF NOT EXISTS idx_runbook_steps_command ON runbook_steps(command_id);
 
 -- Trigger to keep FTS5 table in sync with main table
 CREATE TRIGGER IF NOT EXISTS commands_ai AFTER INSERT ON checkpoint_commands BEGIN
@@ -50,20 +199,64 @@ CREATE TRIGGER IF NOT EXISTS commands_ai AFTER INSERT ON checkpoint_commands BEG
   VALUES (new.id, new.command, new.description, new.keywords, new.category);
 END;
 
+-- (commands_fts is an external-content table: old rows are removed with the
+-- special 'delete' command and their previous values, never with DELETE/UPDATE)
 CREATE TRIGGER IF NOT EXISTS commands_ad AFTER DELETE ON checkpoint_commands BEGIN
-  DELETE FROM commands_fts WHERE rowid = old.id;
+  INSERT INTO commands_fts(commands_fts, rowid, command, description, keywords, category)
+  VALUES ('delete', old.id, old.command, old.description, old.keywords, old.category);
 END;
 
-CREATE TRIGGER IF NOT EXISTS commands_au AFTER UPDATE ON checkpoint_commands BEGIN
-  UPDATE commands_fts 
-  SET command = new.command,
-      description = new.description,
-      keywords = new.keywords,
-      category = new.category
-  WHERE rowid = new.id;
+CREATE TRIGGER IF NOT EXISTS commands_au AFTER UPDATE OF command, description, keywords, category ON checkpoint_commands BEGIN
+  INSERT INTO commands_fts(commands_fts, rowid, command, description, keywords, category)
+  VALUES ('delete', old.id, old.command, old.description, old.keywords, old.category);
+  INSERT INTO commands_fts(rowid, command, description, keywords, category)
+  VALUES (new.id, new.command, new.description, new.keywords, new.category);
 END;
 
 -- Trigger to update updated_at timestamp
 CREATE TRIGGER IF NOT EXISTS update_timestamp AFTER UPDATE ON checkpoint_commands BEGIN
   UPDATE checkpoint_commands SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
 END;
+
+-- Built-in prompts (inserted once; later edits are kept)
+INSERT OR IGNORE INTO prompts (name, description, arguments, template, searches, builtin) VALUES (
+  'troubleshoot_vpn',
+  'Diagnose a site-to-site VPN tunnel that is down',
+  '[{"name": "peer_ip", "description": "IP address of the VPN peer", "required": true}, {"name": "version", "description": "Gateway release (e.g., R81.20)", "required": true}]',
+  'The site-to-site VPN tunnel to peer {{peer_ip}} is down on a Check Point gateway running {{version}}. Diagnose it step by step:
+1. Confirm the tunnel state and whether IKE (phase 1) and IPsec (phase 2) SAs exist for {{peer_ip}}.
+2. Check the encryption domain, the VPN community and the IKE/IPsec proposals on both sides.
+3. If the SAs are stale, reset them for this peer only.
+4. If the cause is still unclear, collect IKE and VPN debugs and explain how to read them.
+Prefer the commands listed below, give the exact command line for each step and the mode it runs in (clish or expert), and warn before any command that changes state.',
+  '["VPN tunnel status IKE IPsec SA {{peer_ip}}", "delete reset VPN SA peer", "VPN IKE debug"]',
+  1
+);
+
+INSERT OR IGNORE INTO prompts (name, description, arguments, template, searches, builtin) VALUES (
+  'cluster_health_check',
+  'Check the health of a ClusterXL cluster',
+  '[{"name": "version", "description": "Cluster release (e.g., R81.20)", "required": true}]',
+  'Run a ClusterXL health check on a Check Point cluster running {{version}}:
+1. State of every member (Active, Standby, Down) and the reason for any problem.
+2. Critical devices (pnotes) and the interfaces monitored by the cluster.
+3. Sync status and statistics between the members.
+4. Recent failovers and their cause.
+Prefer the commands listed below, give the exact command line for each check and the mode it runs in, and describe what a healthy output looks like. Do not suggest failovers or other state-changing commands unless asked.',
+  '["cluster member state", "cluster critical devices pnotes interfaces", "cluster sync statistics", "cluster failover history"]',
+  1
+);
+
+INSERT OR IGNORE INTO prompts (name, description, arguments, template, searches, builtin) VALUES (
+  'investigate_dropped_traffic',
+  'Find out why a gateway drops a connection',
+  '[{"name": "source_ip", "description": "Source IP address", "required": true}, {"name": "destination_ip", "description": "Destination IP address", "required": true}, {"name": "port", "description": "Destination port", "required": false, "default": "any"}, {"name": "version", "description": "Gateway release (e.g., R81.20)", "required": true}]',
+  'Traffic from {{source_ip}} to {{destination_ip}} (port {{port}}) is dropped by a Check Point gateway running {{version}}. Investigate:
+1. Find which rule or blade drops it (logs, kernel drop debug).
+2. Follow the packet through the inspection chain for this connection only.
+3. Check routing, anti-spoofing and NAT for both addresses.
+4. Check SecureXL acceleration only if the packet path points to it.
+Prefer the commands listed below, filter every debug or capture to these addresses so it is safe on a production gateway, and say how to stop it.',
+  '["show dropped packets kernel debug", "packet capture inspection chain {{source_ip}}", "routing table anti-spoofing NAT", "SecureXL acceleration status"]',
+  1
+);
@@ -2,64 +2,178 @@
 
 // server.js
 // MCP Server for Checkpoint commands database
-// Provides tools for Claude to interact with the commands database via HTTP API
+// Provides tools for Claude to interact with the commands database, either via
+// the HTTP API (http-backend.js) or in-process (local-backend.js, --db)
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { createMcpExpressApp } from "@modelcontextprotocol/sdk/server/express.js";
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode,
+  isInitializeRequest,
 } from "@modelcontextprotocol/sdk/types.js";
+import { randomUUID } from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import { serializeCommands } from "./formats.js";
+import { loadConfig, describeConfig } from "./config.js";
+import { LOOPBACK_HOSTS, createTokenVerifier, countActors } from "./auth.js";
+import { createHttpBackend } from "./http-backend.js";
+import { createLocalBackend } from "./local-backend.js";
 
-const API_BASE_URL = "http://localhost:5679";
-
-// Helper function to make API requests
-async function apiRequest(endpoint, method = "GET", body = null) {
-  const options = {
-    method,
-    headers: {
-      "Content-Type": "application/json",
+// Argument variant with typed <placeholder> parameters (see arguments.js)
+const ARGUMENT_VARIANT_SCHEMA = {
+  type: "object",
+  properties: {
+    args: {
+      type: "string",
+      description: "Arguments template; placeholders are written as <name> (e.g., 'tu del <peer_ip>')",
     },
-  };
+    description: { type: "string" },
+    params: {
+      type: "array",
+      description: "Declaration of every <placeholder> used in args",
+      items: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          type: { type: "string", enum: ["ip", "interface", "integer", "enum", "string"] },
+          description: { type: "string" },
+          min: { type: "number", description: "Minimum value (integer)" },
+          max: { type: "number", description: "Maximum value (integer)" },
+          values: { type: "array", items: { type: "string" }, description: "Allowed values (enum)" },
+          pattern: { type: "string", description: "Regex the value must match (string)" },
+          default: { description: "Value used when none is given" },
+        },
+        required: ["name", "type"],
+      },
+    },
+  },
+  required: ["args"],
+};
 
-  if (body) {
-    options.body = JSON.stringify(body);
-  }
+// Paging, sorting and projection options shared by list_commands and export_commands
+const PAGE_SCHEMA_PROPERTIES = {
+  limit: {
+    type: "number",
+    description: "Maximum number of commands to return",
+  },
+  offset: {
+    type: "number",
+    description: "Number of commands to skip",
+  },
+  cursor: {
+    type: "string",
+    description: "next_cursor from a previous call (overrides offset, sort and order)",
+  },
+  sort: {
+    type: "string",
+    enum: ["category", "command", "updated_at", "created_at", "impact", "id"],
+    description: "Sort key (default: category, then command)",
+  },
+  order: {
+    type: "string",
+    enum: ["asc", "desc"],
+    description: "Sort order (default: asc)",
+  },
+  fields: {
+    type: "array",
+    items: { type: "string" },
+    description: "Only return these fields (id is always included), e.g. ['command', 'description']",
+  },
+};
 
-  const response = await fetch(`${API_BASE_URL}${endpoint}`, options);
-  
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.message || `API error: ${response.statusText}`);
-  }
+// list_commands returns at most this many commands unless a limit is given
+const DEFAULT_LIST_LIMIT = 50;
 
-  return await response.json();
-}
+// Where tool calls go: the HTTP API or the database itself (set in main)
+let backend = null;
 
-// Create server instance
-const server = new Server(
-  {
-    name: "command-bd-mcp",
-    version: "2.0.0",
-  },
-  {
-    capabilities: {
-      tools: {},
+// Connected MCP sessions: { server, subscriptions } (one in stdio mode, one per client over HTTP)
+const sessions = new Set();
+
+// Caller of the tool call being handled: { actor, token } of the bearer token over HTTP (unset: mcp.actor)
+const callActor = new AsyncLocalStorage();
+
+/**
+ * Create a server instance for one MCP session
+ *
+ * Every transport connection needs its own Server; they share the handlers
+ * below and differ only in their resource subscriptions.
+ *
+ * @returns {Server} Server with every handler registered
+ */
+function createServer() {
+  const server = new Server(
+    {
+      name: "command-bd-mcp",
+      version: "2.0.0",
     },
-  }
-);
+    {
+      capabilities: {
+        tools: {},
+        resources: {
+          subscribe: true,
+          listChanged: true,
+        },
+        prompts: {
+          listChanged: true,
+        },
+      },
+    }
+  );
+
+  // URIs this client subscribed to with resources/subscribe
+  const session = { server, subscriptions: new Set() };
+
+  server.setRequestHandler(ListToolsRequestSchema, listTools);
+  server.setRequestHandler(CallToolRequestSchema, (request, extra) =>
+    callActor.run(extra.authInfo && { actor: extra.authInfo.clientId, token: extra.authInfo.token }, () => callTool(request))
+  );
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, listResourceTemplates);
+  server.setRequestHandler(ListResourcesRequestSchema, listResources);
+  server.setRequestHandler(ReadResourceRequestSchema, readResource);
+  server.setRequestHandler(ListPromptsRequestSchema, listPrompts);
+  server.setRequestHandler(GetPromptRequestSchema, getPrompt);
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    session.subscriptions.add(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    session.subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  server.onclose = () => sessions.delete(session);
+  sessions.add(session);
+
+  return server;
+}
 
 // ============================================================================
 // TOOL DEFINITIONS
 // ============================================================================
 
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+async function listTools() {
   return {
     tools: [
       // ========== EXISTING TOOLS (UPDATED) ==========
       {
         name: "search_commands",
-        description: "Search for Checkpoint commands using semantic search. Provide a natural language description of what you want to do (e.g., 'check cluster status', 'configure firewall rules'). The system will find the most relevant commands.",
+        description: "Search for Checkpoint commands. Provide a natural language description of what you want to do (e.g., 'check cluster status', 'configure firewall rules') or a literal command name. Results are ranked by semantic (embedding) similarity by default; mode 'hybrid' fuses it with the keyword (BM25) ranking. Each result reports score, keyword_score, semantic_score and the best matching argument variant (matched_variant). When the query describes a whole procedure, matching runbooks are returned in runbooks (fetch their steps with get_runbook).",
         inputSchema: {
           type: "object",
           properties: {
@@ -74,9 +188,30 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             score_threshold: {
               type: "number",
-              description: "Minimum similarity score (0-1) to include results",
+              description: "Minimum semantic similarity (0-1) to include results; keyword matches are kept in hybrid mode",
               default: 0.3,
             },
+            mode: {
+              type: "string",
+              enum: ["semantic", "keyword", "hybrid"],
+              description: "Ranking mode: semantic (embeddings, default), keyword (FTS5 BM25) or hybrid (both fused with reciprocal rank fusion, opt-in)",
+              default: "semantic",
+            },
+            keyword_weight: {
+              type: "number",
+              description: "Weight of the keyword ranking in hybrid mode",
+              default: 1,
+            },
+            semantic_weight: {
+              type: "number",
+              description: "Weight of the semantic ranking in hybrid mode",
+              default: 1,
+            },
+            explain: {
+              type: "boolean",
+              description: "Attach a score breakdown to each result: extracted keywords, candidate source (FTS or full scan), FTS terms matched per field, raw cosine scores, ranks and adjustments",
+              default: false,
+            },
           },
           required: ["query"],
         },
@@ -97,14 +232,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             arguments: {
               type: "array",
-              description: "Array of argument variants with descriptions",
-              items: {
-                type: "object",
-                properties: {
-                  args: { type: "string" },
-                  description: { type: "string" },
-                },
-              },
+              description: "Array of argument variants with descriptions and typed placeholders",
+              items: ARGUMENT_VARIANT_SCHEMA,
             },
             category: {
               type: "string",
@@ -145,7 +274,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             related_commands: {
               type: "array",
-              description: "Array of related command IDs",
+              description: "IDs of existing commands to link as see_also (use link_commands for typed relations)",
               items: { type: "number" },
             },
           },
@@ -166,13 +295,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             description: { type: "string" },
             arguments: {
               type: "array",
-              items: {
-                type: "object",
-                properties: {
-                  args: { type: "string" },
-                  description: { type: "string" },
-                },
-              },
+              items: ARGUMENT_VARIANT_SCHEMA,
             },
             category: { type: "string" },
             version: { type: "string" },
@@ -184,6 +307,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             impact: { type: "string", enum: ["low", "medium", "high", "critical"] },
             related_commands: {
               type: "array",
+              description: "Complete list of linked command IDs: missing IDs are unlinked, new ones linked as see_also",
               items: { type: "number" },
             },
             deprecated: { type: "boolean" },
@@ -193,7 +317,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "delete_command",
-        description: "Delete a command from the database. This will also remove associated embeddings.",
+        description: "Move a command to the trash. Trashed commands are hidden from search and listings and can be brought back with restore_from_trash until they are purged.",
         inputSchema: {
           type: "object",
           properties: {
@@ -221,7 +345,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "list_commands",
-        description: "List all commands with optional filters (category, mode, device, deprecated status, regex, keyword, version)",
+        description: `List commands with optional filters (category, mode, device, deprecated status, regex, keyword, version). Results are paginated (${DEFAULT_LIST_LIMIT} per page by default); pass next_cursor back as cursor to get the next page, and use fields to keep responses small.`,
         inputSchema: {
           type: "object",
           properties: {
@@ -253,8 +377,9 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             version: {
               type: "string",
-              description: "Filter by Checkpoint version (e.g., 'R80+', 'R81.20')",
+              description: "Release the command must apply to (e.g., 'R81.20'); matches version ranges such as 'R80+' or 'R80.10-R81'. Other text is compared exactly.",
             },
+            ...PAGE_SCHEMA_PROPERTIES,
           },
         },
       },
@@ -294,21 +419,28 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "export_commands",
-        description: "Export commands to JSON format. Supports filtering by category, mode, device, deprecated status, and version.",
+        description: "Export commands as JSON, CSV, YAML or Markdown. Supports filtering by category, mode, device, deprecated status, and version, plus paging, sorting and field projection.",
         inputSchema: {
           type: "object",
           properties: {
+            format: {
+              type: "string",
+              enum: ["json", "csv", "yaml", "markdown"],
+              description: "Output format; CSV, YAML and Markdown are returned as text",
+              default: "json",
+            },
             category: { type: "string" },
             mode: { type: "string" },
             device: { type: "string" },
             deprecated: { type: "boolean" },
             version: { type: "string" },
+            ...PAGE_SCHEMA_PROPERTIES,
           },
         },
       },
       {
         name: "import_commands",
-        description: "Import commands from JSON array. Duplicates will be skipped by default.",
+        description: "Import commands from JSON array. Existing commands are matched on command + category; imported ids are ignored unless match_by is id (ids from another database point to unrelated commands). Duplicates are skipped by default; with skip_duplicates false they are updated using the chosen strategy. Use dry_run to see exactly which fields would change.",
         inputSchema: {
           type: "object",
           properties: {
@@ -316,13 +448,38 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "array",
               description: "Array of command objects to import",
             },
+            format: {
+              type: "string",
+              enum: ["json", "csv", "yaml", "markdown"],
+              description: "Format of data (as produced by export_commands)",
+            },
+            data: {
+              type: "string",
+              description: "Commands as CSV, YAML, Markdown or JSON text (use instead of commands)",
+            },
             skip_duplicates: {
               type: "boolean",
               description: "Skip duplicates instead of updating them",
               default: true,
             },
+            strategy: {
+              type: "string",
+              enum: ["overwrite", "fill_empty", "merge_arrays", "keep_newest"],
+              description: "How to update existing commands: overwrite fields, fill only empty fields, merge arguments/related_commands arrays (other fields overwritten), or overwrite only when the imported updated_at is newer",
+              default: "overwrite",
+            },
+            match_by: {
+              type: "string",
+              enum: ["key", "id"],
+              description: "How to find existing commands: key (command + category) or id (imported id first, then command + category; only for exports of this same database)",
+              default: "key",
+            },
+            dry_run: {
+              type: "boolean",
+              description: "Report what would be added and which fields would change per command, without writing",
+              default: false,
+            },
           },
-          required: ["commands"],
         },
       },
       {
@@ -335,15 +492,21 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "rebuild_all_embeddings",
-        description: "Rebuild embeddings for all commands in the database. This is useful after bulk updates or database migrations. WARNING: This process may take several minutes.",
+        description: "Rebuild embeddings (command and argument variant vectors) for all commands in the database. This is useful after bulk updates, database migrations or a change of embedding model. WARNING: This process may take several minutes.",
         inputSchema: {
           type: "object",
-          properties: {},
+          properties: {
+            only_affected: {
+              type: "boolean",
+              description: "Only re-embed commands and runbooks whose embedding is missing, from another model/dimension, or stale (text changed)",
+              default: false,
+            },
+          },
         },
       },
       {
         name: "rebuild_embedding",
-        description: "Rebuild embedding for a specific command by ID. Useful when command or description has been updated.",
+        description: "Rebuild the embeddings (command and argument variants) for a specific command by ID. Useful when command, description or arguments have been updated.",
         inputSchema: {
           type: "object",
           properties: {
@@ -389,7 +552,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       // ========== NEW TOOLS - MEDIUM PRIORITY ==========
       {
         name: "advanced_search",
-        description: "Perform advanced search with multiple filters combined (semantic search + category + device + mode + version + impact).",
+        description: "Perform advanced search with multiple filters combined (ranked search + category + device + mode + version + impact). The ranker is chosen with search_mode (semantic by default; this is the 'mode' ranking option of search_commands, renamed here because mode already filters by clish/expert).",
         inputSchema: {
           type: "object",
           properties: {
@@ -400,7 +563,10 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             category: { type: "string" },
             device: { type: "string" },
             mode: { type: "string" },
-            version: { type: "string" },
+            version: {
+              type: "string",
+              description: "Release the command must apply to (e.g., 'R81.20')",
+            },
             impact: { type: "string" },
             limit: {
               type: "number",
@@ -410,6 +576,27 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "number",
               default: 0.3,
             },
+            search_mode: {
+              type: "string",
+              enum: ["semantic", "keyword", "hybrid"],
+              description: "Ranking mode: semantic (embeddings, default), keyword (FTS5 BM25) or hybrid (both fused with reciprocal rank fusion, opt-in)",
+              default: "semantic",
+            },
+            keyword_weight: {
+              type: "number",
+              description: "Weight of the keyword ranking in hybrid mode",
+              default: 1,
+            },
+            semantic_weight: {
+              type: "number",
+              description: "Weight of the semantic ranking in hybrid mode",
+              default: 1,
+            },
+            explain: {
+              type: "boolean",
+              description: "Attach a score breakdown to each result: extracted keywords, candidate source (FTS or full scan), FTS terms matched per field, raw cosine scores, ranks and adjustments",
+              default: false,
+            },
           },
           required: ["query"],
         },
@@ -464,7 +651,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "validate_database",
-        description: "Validate database integrity. Checks for: commands without embeddings, orphaned embeddings, and missing required fields.",
+        description: "Validate database integrity. Checks for: commands or argument variants without embeddings, orphaned embeddings, embeddings from another model or of outdated text, missing required fields, invalid argument templates, and version fields that are not a Check Point release or range.",
         inputSchema: {
           type: "object",
           properties: {},
@@ -478,183 +665,1347 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {},
         },
       },
-    ],
-  };
-});
-
-// ============================================================================
-// TOOL IMPLEMENTATIONS
-// ============================================================================
-
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  try {
-    switch (name) {
-      // ========== EXISTING TOOLS (UPDATED) ==========
-      
-      case "search_commands": {
-        const result = await apiRequest("/api/commands/search", "POST", {
-          query: args.query,
-          limit: args.limit || 5,
-          score_threshold: args.score_threshold || 0.3,
-        });
-        
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(result, null, 2),
+      {
+        name: "migrate_embedding_storage",
+        description: "Convert all stored embeddings to another storage format in place (float64: 8 bytes/dim, float32: 4 bytes/dim, int8: 1 byte/dim with scalar quantization). Run optimize_database afterwards to reclaim disk space.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            format: {
+              type: "string",
+              enum: ["float64", "float32", "int8"],
+              description: "Target storage format (defaults to the configured embeddings.storage)",
             },
-          ],
-        };
-      }
-
-      case "add_command": {
-        try {
-          const result = await apiRequest("/api/commands", "POST", args);
-          
-          return {
-            content: [
-              {
-                type: "text",
-                text: JSON.stringify(result, null, 2),
-              },
-            ],
-          };
-        } catch (error) {
-          // Handle duplicate error specially
-          if (error.message.includes("already exists")) {
-            return {
-              content: [
-                {
-                  type: "text",
-                  text: JSON.stringify({
-                    status: "error",
-                    error: true,
-                    message: error.message,
-                    suggestion: "Use update_command tool to modify the existing command"
-                  }, null, 2),
-                },
-              ],
-              isError: true,
-            };
-          }
-          throw error;
-        }
-      }
+          },
+        },
+      },
+      {
+        name: "get_config",
+        description: "Show the MCP server's effective configuration (database paths, API URL, transport, embedding provider and model, thresholds) with secrets redacted, the config file in use and where each setting came from (default, config file, environment variable or flag). database_in_use is the database file opened in embedded mode (mcp.db_path); database.path only applies to api-server.js, so in HTTP mode database_in_use is null and GET /api/config on the API server reports its path.",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
 
-      case "update_command": {
-        const { id, ...updates } = args;
-        const result = await apiRequest(`/api/commands/${id}`, "PUT", updates);
-        
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(result, null, 2),
+      // ========== EXECUTION TOOLS ==========
+      {
+        name: "render_command",
+        description: "Render the exact command line for a command's argument variant, validating placeholder values (IP, interface, integer range, enum). Use this instead of filling in <placeholders> by hand. For commands that require approval (high/critical impact or config) the values are validated but command_line is withheld (null) unless change_request_id names an approved change request for that command line.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "number",
+              description: "Command ID",
             },
-          ],
-        };
-      }
-
-      case "delete_command": {
-        const result = await apiRequest(`/api/commands/${args.id}`, "DELETE");
-        
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(result, null, 2),
+            variant: {
+              type: ["number", "string"],
+              description: "Argument variant: index in the command's arguments array or its exact 'args' template. Omit for the base command.",
             },
-          ],
-        };
-      }
-
-      case "get_command": {
-        const result = await apiRequest(`/api/commands/${args.id}`, "GET");
-        
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(result, null, 2),
+            values: {
+              type: "object",
+              description: "Placeholder values keyed by parameter name (e.g., {\"peer_ip\": \"10.1.1.1\"})",
             },
-          ],
-        };
-      }
-
-      case "list_commands": {
-        const params = new URLSearchParams();
-        
-        if (args.category) params.append("category", args.category);
-        if (args.mode) params.append("mode", args.mode);
-        if (args.device) params.append("device", args.device);
-        if (args.deprecated !== undefined) params.append("deprecated", args.deprecated);
-        if (args.regex) params.append("regex", args.regex);
-        if (args.keyword) params.append("keyword", args.keyword);
-        if (args.version) params.append("version", args.version);
-        
-        const queryString = params.toString();
-        const endpoint = queryString ? `/api/commands?${queryString}` : "/api/commands";
-        
-        const result = await apiRequest(endpoint, "GET");
-        
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(result, null, 2),
+            change_request_id: {
+              type: "number",
+              description: "ID of an approved change request (required to get the command line of gated commands)",
             },
-          ],
-        };
-      }
-
-      // ========== NEW TOOLS - HIGH PRIORITY ==========
-
-      case "bulk_add_commands": {
-        const result = await apiRequest("/api/commands/bulk", "POST", {
-          commands: args.commands,
-        });
-        
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(result, null, 2),
+          },
+          required: ["id"],
+        },
+      },
+      {
+        name: "list_targets",
+        description: "List the SSH targets (gateways) configured for remote execution, with their session mode (clish or expert).",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "execute_command",
+        description: "Execute a stored command on a configured target over SSH and return stdout, stderr and exit code. Only commands marked executable_mcp whose mode matches the target session (clish/expert) can be executed. Commands with high/critical impact or of type config are not run directly: the first call creates a pending change request (justification and requested_by required) that another person must approve (approve_change_request from an authenticated session, or the HTTP API with their own token); call again with change_request_id once approved.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "number",
+              description: "Command ID to execute",
             },
-          ],
-        };
-      }
-
-      case "export_commands": {
-        const params = new URLSearchParams();
-        
-        if (args.category) params.append("category", args.category);
-        if (args.mode) params.append("mode", args.mode);
-        if (args.device) params.append("device", args.device);
-        if (args.deprecated !== undefined) params.append("deprecated", args.deprecated);
-        if (args.version) params.append("version", args.version);
-        
-        const queryString = params.toString();
-        const endpoint = queryString ? `/api/commands/export?${queryString}` : "/api/commands/export";
-        
-        const result = await apiRequest(endpoint, "GET");
-        
-        return {
-          content: [
-            {
-              type: "text",
+            target: {
+              type: "string",
+              description: "Target name (see list_targets)",
+            },
+            variant: {
+              type: ["number", "string"],
+              description: "Argument variant to use: index in the command's arguments array or its exact 'args' string. Omit to run the base command.",
+            },
+            values: {
+              type: "object",
+              description: "Placeholder values for the variant, keyed by parameter name",
+            },
+            change_request_id: {
+              type: "number",
+              description: "ID of an approved change request (required to run gated commands)",
+            },
+            justification: {
+              type: "string",
+              description: "Why the change is needed (required when a change request is created)",
+            },
+            requested_by: {
+              type: "string",
+              description: "Name of the person requesting the change (required when a change request is created; over authenticated HTTP the session's actor is used instead)",
+            },
+            expires_in_hours: {
+              type: "number",
+              description: "Hours until the change request expires (positive)",
+              exclusiveMinimum: 0,
+              default: 24,
+            },
+          },
+          required: ["id", "target"],
+        },
+      },
+
+      // ========== CHANGE REQUEST TOOLS ==========
+      {
+        name: "list_change_requests",
+        description: "List change requests created for gated (high/critical impact or config) commands, optionally filtered by status.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            status: {
+              type: "string",
+              enum: ["pending", "approved", "rejected", "executing", "executed", "failed", "expired"],
+              description: "Filter by status",
+            },
+            command_id: {
+              type: "number",
+              description: "Filter by command ID",
+            },
+          },
+        },
+      },
+      {
+        name: "get_change_request",
+        description: "Get a change request by ID, including its review and execution result.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "number",
+              description: "Change request ID",
+            },
+          },
+          required: ["id"],
+        },
+      },
+      {
+        name: "approve_change_request",
+        description: "Approve a pending change request. The approver is the actor of this session's bearer token (HTTP transport with mcp.auth_tokens) and must be a different person than the requester; unauthenticated sessions (stdio, loopback without tokens) cannot approve.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "number",
+              description: "Change request ID",
+            },
+            comment: {
+              type: "string",
+              description: "Optional review comment",
+            },
+          },
+          required: ["id"],
+        },
+      },
+      {
+        name: "reject_change_request",
+        description: "Reject a pending change request. The reviewer is the actor of this session's bearer token and must be a different person than the requester; unauthenticated sessions cannot reject.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "number",
+              description: "Change request ID",
+            },
+            comment: {
+              type: "string",
+              description: "Reason for rejection",
+            },
+          },
+          required: ["id"],
+        },
+      },
+
+      // ========== REVISION HISTORY TOOLS ==========
+      {
+        name: "list_command_revisions",
+        description: "List the revision history of a command (newest first): every insert, update, delete, category rename and revert, with full before/after state, timestamp and actor. Also works for deleted commands.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "number",
+              description: "Command ID",
+            },
+          },
+          required: ["id"],
+        },
+      },
+      {
+        name: "diff_command_revisions",
+        description: "Show the fields that differ between the states after two revisions of a command. With only from_revision, shows what that single revision changed.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "number",
+              description: "Command ID",
+            },
+            from_revision: {
+              type: "number",
+              description: "First revision ID",
+            },
+            to_revision: {
+              type: "number",
+              description: "Second revision ID (optional)",
+            },
+          },
+          required: ["id", "from_revision"],
+        },
+      },
+      {
+        name: "revert_command",
+        description: "Restore a command to the state it had after a given revision. Also restores deleted commands. The revert itself is recorded as a new revision; if the revision's trash state differs, the command is then moved to or restored from the trash (recorded as a separate trash/restore revision).",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "number",
+              description: "Command ID",
+            },
+            revision_id: {
+              type: "number",
+              description: "Revision whose resulting state should be restored",
+            },
+          },
+          required: ["id", "revision_id"],
+        },
+      },
+
+      // ========== TRASH TOOLS ==========
+      {
+        name: "list_trash",
+        description: "List commands in the trash, with who deleted them, when, and when they will be purged automatically.",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "restore_from_trash",
+        description: "Restore a command from the trash. Its stored embeddings are reused.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "number",
+              description: "Command ID",
+            },
+          },
+          required: ["id"],
+        },
+      },
+      {
+        name: "purge_trash",
+        description: "Permanently delete commands from the trash, including their embeddings. Without id or older_than_days the whole trash is emptied.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "number",
+              description: "Only purge this command",
+            },
+            older_than_days: {
+              type: "number",
+              description: "Only purge commands deleted more than this many days ago",
+            },
+          },
+        },
+      },
+      {
+        name: "import_documentation",
+        description: "Extract commands from a saved Check Point CLI reference guide or SK article (HTML or Markdown) and stage them for review. Syntax lines become argument variants, parameter tables become typed params, and the prompt sets the mode (> clish, # expert). Nothing is inserted until approve_staged_commands.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            path: {
+              type: "string",
+              description: "File path inside the API server's documentation directory (DOCS_IMPORT_DIR)",
+            },
+            content: {
+              type: "string",
+              description: "Document body, when no path is given",
+            },
+            format: {
+              type: "string",
+              enum: ["html", "markdown"],
+              description: "Document format (detected from the file extension or content when omitted)",
+            },
+            source: {
+              type: "string",
+              description: "Source label stored with the staged commands (defaults to the file name or document title)",
+            },
+            category: {
+              type: "string",
+              description: "Category for every extracted command (can also be set on approval)",
+            },
+            version: {
+              type: "string",
+              description: "Version for every extracted command (e.g., R81.20)",
+            },
+            device: {
+              type: "string",
+              enum: ["firewall", "management"],
+            },
+          },
+        },
+      },
+      {
+        name: "list_staged_commands",
+        description: "List commands staged from documentation imports with their extracted data, problems to fix before approval and any existing command they duplicate.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            status: {
+              type: "string",
+              enum: ["pending", "approved", "rejected"],
+              description: "Filter by status",
+            },
+            batch_id: {
+              type: "string",
+              description: "Filter by import batch",
+            },
+          },
+        },
+      },
+      {
+        name: "update_staged_command",
+        description: "Edit a pending staged command before approving it. Only specified fields are changed.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "number",
+              description: "Staged command ID",
+            },
+            command: { type: "string" },
+            description: { type: "string" },
+            arguments: {
+              type: "array",
+              items: ARGUMENT_VARIANT_SCHEMA,
+            },
+            category: { type: "string" },
+            version: { type: "string" },
+            keywords: { type: "string" },
+            mode: { type: "string", enum: ["clish", "expert"] },
+            type: { type: "string", enum: ["config", "query"] },
+            device: { type: "string", enum: ["firewall", "management"] },
+            executable_mcp: { type: "boolean" },
+            impact: { type: "string", enum: ["low", "medium", "high", "critical"] },
+          },
+          required: ["id"],
+        },
+      },
+      {
+        name: "approve_staged_commands",
+        description: "Insert pending staged commands into the database. Duplicates and invalid entries stay pending and are reported as failed.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ids: {
+              type: "array",
+              items: { type: "number" },
+              description: "Staged command IDs",
+            },
+            defaults: {
+              type: "object",
+              description: "Values for fields left empty by the extraction, e.g. {\"category\": \"gaia\", \"type\": \"query\"}",
+            },
+          },
+          required: ["ids"],
+        },
+      },
+      {
+        name: "reject_staged_commands",
+        description: "Reject pending staged commands so they are never inserted.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ids: {
+              type: "array",
+              items: { type: "number" },
+              description: "Staged command IDs",
+            },
+          },
+          required: ["ids"],
+        },
+      },
+      {
+        name: "check_version_compatibility",
+        description: "List the commands valid on a given gateway or management release. Version fields such as 'R80+', 'R80.10-R81', '<R81' or 'R81.20' are matched as ranges; commands without a version are counted separately.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            version: {
+              type: "string",
+              description: "Release to check (e.g., 'R81.20' or 'R81.20 JHF Take 54')",
+            },
+            category: { type: "string" },
+            mode: { type: "string", enum: ["clish", "expert"] },
+            device: { type: "string", enum: ["firewall", "management"] },
+            deprecated: { type: "boolean" },
+            include_unversioned: {
+              type: "boolean",
+              default: false,
+              description: "Also list commands that have no version",
+            },
+          },
+          required: ["version"],
+        },
+      },
+      {
+        name: "link_commands",
+        description: "Link two commands with a typed relation. The inverse edge is kept automatically: see_also and undo are symmetric, 'A prerequisite B' (B must run before A) is paired with 'B follow_up A'.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "number",
+              description: "Command ID",
+            },
+            target_id: {
+              type: "number",
+              description: "Related command ID",
+            },
+            type: {
+              type: "string",
+              enum: ["see_also", "prerequisite", "follow_up", "undo"],
+              default: "see_also",
+              description: "What target_id is to id",
+            },
+          },
+          required: ["id", "target_id"],
+        },
+      },
+      {
+        name: "unlink_commands",
+        description: "Remove the relation between two commands in both directions (all relation types unless type is given).",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "number",
+              description: "Command ID",
+            },
+            target_id: {
+              type: "number",
+              description: "Related command ID",
+            },
+            type: {
+              type: "string",
+              enum: ["see_also", "prerequisite", "follow_up", "undo"],
+            },
+          },
+          required: ["id", "target_id"],
+        },
+      },
+      {
+        name: "get_related_graph",
+        description: "Get the neighbourhood of a command in the related-commands graph: nodes with their distance from the command and typed edges, up to the chosen depth. Commands in the trash are left out.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "number",
+              description: "Command ID",
+            },
+            depth: {
+              type: "number",
+              default: 1,
+              description: "How many hops to follow (1-5)",
+            },
+            types: {
+              type: "array",
+              items: { type: "string", enum: ["see_also", "prerequisite", "follow_up", "undo"] },
+              description: "Only follow these relation types (default: all)",
+            },
+          },
+          required: ["id"],
+        },
+      },
+      {
+        name: "create_runbook",
+        description: "Create a runbook: a named, ordered procedure made of stored commands. Each step references a command ID, optionally one of its argument variants, with notes and the expected outcome. Runbooks are embedded so search_commands can return them for queries describing the whole procedure.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            name: {
+              type: "string",
+              description: "Unique runbook name (e.g., 'Cluster failover check')",
+            },
+            description: {
+              type: "string",
+              description: "What the procedure achieves and when to use it",
+            },
+            category: {
+              type: "string",
+              description: "Category (e.g., 'ClusterXL', 'Troubleshooting')",
+            },
+            keywords: {
+              type: "string",
+              description: "Comma-separated keywords",
+            },
+            steps: {
+              type: "array",
+              description: "Ordered steps",
+              items: {
+                type: "object",
+                properties: {
+                  command_id: { type: "number", description: "Stored command ID" },
+                  variant: {
+                    type: ["number", "string"],
+                    description: "Argument variant of the command: index or exact args string (omit to run the bare command)",
+                  },
+                  notes: { type: "string", description: "What this step is for" },
+                  expected_outcome: { type: "string", description: "What the output should show" },
+                },
+                required: ["command_id"],
+              },
+            },
+          },
+          required: ["name", "steps"],
+        },
+      },
+      {
+        name: "get_runbook",
+        description: "Get a runbook with its ordered steps resolved against the stored commands: command, chosen variant, invocation, notes, expected outcome and whether it requires approval. Steps whose command was deleted or whose variant no longer exists are flagged with available: false.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "number",
+              description: "Runbook ID",
+            },
+          },
+          required: ["id"],
+        },
+      },
+      {
+        name: "list_runbooks",
+        description: "List runbooks with their step count",
+        inputSchema: {
+          type: "object",
+          properties: {
+            category: {
+              type: "string",
+              description: "Filter by category",
+            },
+          },
+        },
+      },
+      {
+        name: "update_runbook",
+        description: "Update a runbook. Only the fields given are changed; steps, when given, replace all existing steps.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "number",
+              description: "Runbook ID",
+            },
+            name: { type: "string" },
+            description: { type: "string" },
+            category: { type: "string" },
+            keywords: { type: "string" },
+            steps: {
+              type: "array",
+              description: "New ordered steps",
+              items: {
+                type: "object",
+                properties: {
+                  command_id: { type: "number", description: "Stored command ID" },
+                  variant: {
+                    type: ["number", "string"],
+                    description: "Argument variant of the command: index or exact args string (omit to run the bare command)",
+                  },
+                  notes: { type: "string", description: "What this step is for" },
+                  expected_outcome: { type: "string", description: "What the output should show" },
+                },
+                required: ["command_id"],
+              },
+            },
+          },
+          required: ["id"],
+        },
+      },
+      {
+        name: "delete_runbook",
+        description: "Delete a runbook. The commands it references are not affected.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "number",
+              description: "Runbook ID",
+            },
+          },
+          required: ["id"],
+        },
+      },
+      {
+        name: "create_prompt",
+        description: "Create an MCP prompt stored in the database. When a client uses the prompt, the template is filled with the arguments and the commands found by its searches are appended as references. An argument named version also drops commands that do not apply to that release.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            name: {
+              type: "string",
+              description: "Prompt name: lowercase letters, digits and underscores (e.g., troubleshoot_vpn)",
+            },
+            description: {
+              type: "string",
+              description: "What the prompt is for (shown in the client's prompt list)",
+            },
+            arguments: {
+              type: "array",
+              description: "Prompt arguments, used as {{name}} in the template and searches",
+              items: {
+                type: "object",
+                properties: {
+                  name: { type: "string", description: "Lowercase identifier (e.g., peer_ip)" },
+                  description: { type: "string" },
+                  required: { type: "boolean" },
+                  default: { type: "string", description: "Value used when the argument is not given" },
+                },
+                required: ["name"],
+              },
+            },
+            template: {
+              type: "string",
+              description: "Instructions sent to the assistant, with {{argument}} placeholders",
+            },
+            searches: {
+              type: "array",
+              items: { type: "string" },
+              description: "Search queries (with placeholders) whose matching commands are embedded as references",
+            },
+            category: {
+              type: "string",
+              description: "Only embed commands of this category",
+            },
+            command_limit: {
+              type: "number",
+              default: 8,
+              description: "Maximum number of embedded commands",
+            },
+          },
+          required: ["name", "template"],
+        },
+      },
+      {
+        name: "update_prompt",
+        description: "Update a stored MCP prompt. Only the fields given are changed; built-in prompts can be edited too.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            name: {
+              type: "string",
+              description: "Prompt name",
+            },
+            description: {
+              type: "string",
+              description: "What the prompt is for (shown in the client's prompt list)",
+            },
+            arguments: {
+              type: "array",
+              description: "Prompt arguments, used as {{name}} in the template and searches",
+              items: {
+                type: "object",
+                properties: {
+                  name: { type: "string", description: "Lowercase identifier (e.g., peer_ip)" },
+                  description: { type: "string" },
+                  required: { type: "boolean" },
+                  default: { type: "string", description: "Value used when the argument is not given" },
+                },
+                required: ["name"],
+              },
+            },
+            template: {
+              type: "string",
+              description: "Instructions sent to the assistant, with {{argument}} placeholders",
+            },
+            searches: {
+              type: "array",
+              items: { type: "string" },
+              description: "Search queries (with placeholders) whose matching commands are embedded as references",
+            },
+            category: {
+              type: "string",
+              description: "Only embed commands of this category",
+            },
+            command_limit: {
+              type: "number",
+              default: 8,
+              description: "Maximum number of embedded commands",
+            },
+          },
+          required: ["name"],
+        },
+      },
+      {
+        name: "delete_prompt",
+        description: "Delete a stored MCP prompt. Built-in prompts cannot be deleted.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            name: {
+              type: "string",
+              description: "Prompt name",
+            },
+          },
+          required: ["name"],
+        },
+      },
+    ],
+  };
+}
+
+// ============================================================================
+// TOOL IMPLEMENTATIONS
+// ============================================================================
+
+async function callTool(request) {
+  const { name, arguments: args } = request.params;
+
+  try {
+    switch (name) {
+      // ========== EXISTING TOOLS (UPDATED) ==========
+      
+      case "search_commands": {
+        const result = await backend.searchCommands({
+          query: args.query,
+          limit: args.limit || 5,
+          score_threshold: args.score_threshold || 0.3,
+          mode: args.mode || "semantic",
+          keyword_weight: args.keyword_weight,
+          semantic_weight: args.semantic_weight,
+          explain: args.explain === true,
+        });
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "add_command": {
+        try {
+          const result = await backend.addCommand(args);
+          await notifyCommandsChanged();
+          
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(result, null, 2),
+              },
+            ],
+          };
+        } catch (error) {
+          // Handle duplicate error specially
+          if (error.message.includes("already exists")) {
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: JSON.stringify({
+                    status: "error",
+                    error: true,
+                    message: error.message,
+                    suggestion: "Use update_command tool to modify the existing command"
+                  }, null, 2),
+                },
+              ],
+              isError: true,
+            };
+          }
+          throw error;
+        }
+      }
+
+      case "update_command": {
+        const { id, ...updates } = args;
+        const before = await commandResourceUris(id);
+        const result = await backend.updateCommand(id, updates);
+        await notifyResourcesUpdated([...before, ...(await commandResourceUris(id))]);
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "delete_command": {
+        const before = await commandResourceUris(args.id);
+        const result = await backend.deleteCommand(args.id);
+        await notifyResourcesUpdated(before);
+        await notifyResourceListChanged();
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "get_command": {
+        const result = await backend.getCommand(args.id);
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "list_commands": {
+        const result = await backend.listCommands({ limit: DEFAULT_LIST_LIMIT, ...args });
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      // ========== NEW TOOLS - HIGH PRIORITY ==========
+
+      case "bulk_add_commands": {
+        const result = await backend.bulkAddCommands(args.commands);
+        await notifyCommandsChanged();
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "export_commands": {
+        const result = await backend.exportCommands(args);
+        
+        // Text formats resolve with { text, total, next_cursor }
+        if (args.format && args.format !== "json") {
+          const exported = result;
+          const content = [{ type: "text", text: exported.text }];
+          
+          if (exported.next_cursor) {
+            content.push({
+              type: "text",
+              text: `Total: ${exported.total} commands. More available with cursor: ${exported.next_cursor}`,
+            });
+          }
+          
+          return { content };
+        }
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "import_commands": {
+        const result = await backend.importCommands({
+          commands: args.commands,
+          format: args.format,
+          data: args.data,
+          skip_duplicates: args.skip_duplicates !== false,
+          strategy: args.strategy,
+          match_by: args.match_by,
+          dry_run: args.dry_run === true,
+        });
+        if (args.dry_run !== true) {
+          await notifyCommandsChanged();
+        }
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "get_database_stats": {
+        const result = await backend.getStats();
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "rebuild_all_embeddings": {
+        const result = await backend.rebuildAllEmbeddings({
+          only_affected: args.only_affected === true,
+        });
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "rebuild_embedding": {
+        const result = await backend.rebuildEmbedding(args.id);
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "create_backup": {
+        const result = await backend.createBackup();
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "list_backups": {
+        const result = await backend.listBackups();
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "restore_backup": {
+        const result = await backend.restoreBackup(args.backup_file);
+        await notifyCommandsChanged({ all: true });
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      // ========== NEW TOOLS - MEDIUM PRIORITY ==========
+
+      case "advanced_search": {
+        const result = await backend.advancedSearch({
+          query: args.query,
+          category: args.category,
+          device: args.device,
+          mode: args.mode,
+          version: args.version,
+          impact: args.impact,
+          limit: args.limit || 10,
+          score_threshold: args.score_threshold || 0.3,
+          search_mode: args.search_mode || "semantic",
+          keyword_weight: args.keyword_weight,
+          semantic_weight: args.semantic_weight,
+          explain: args.explain === true,
+        });
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "list_categories": {
+        const result = await backend.listCategories();
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "get_category_stats": {
+        const result = await backend.getCategoryStats(args.category);
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "rename_category": {
+        const result = await backend.renameCategory(args.old_name, args.new_name);
+        await notifyCommandsChanged();
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "find_duplicates": {
+        const result = await backend.findDuplicates();
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "validate_database": {
+        const result = await backend.validateDatabase();
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "optimize_database": {
+        const result = await backend.optimizeDatabase();
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "migrate_embedding_storage": {
+        const result = await backend.migrateEmbeddingStorage(args.format);
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "get_config": {
+        const result = {
+          status: "success",
+          backend: backend.description,
+          // database.path only applies to api-server.js; embedded mode uses mcp.db_path
+          database_in_use: backend.database_path,
+          ...describeConfig(),
+        };
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      // ========== EXECUTION TOOLS ==========
+
+      case "render_command": {
+        const result = await backend.renderCommand(args.id, {
+          variant: args.variant,
+          values: args.values || {},
+          change_request_id: args.change_request_id,
+        });
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "list_targets": {
+        const result = await backend.listTargets();
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "execute_command": {
+        const result = await backend.executeCommand(args.id, {
+          target: args.target,
+          variant: args.variant,
+          values: args.values,
+          change_request_id: args.change_request_id,
+          justification: args.justification,
+          // Authenticated sessions request changes as their own actor
+          requested_by: callActor.getStore()?.actor || args.requested_by,
+          expires_in_hours: args.expires_in_hours,
+        });
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      // ========== CHANGE REQUEST TOOLS ==========
+
+      case "list_change_requests": {
+        const result = await backend.listChangeRequests({
+          status: args.status,
+          command_id: args.command_id,
+        });
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "get_change_request": {
+        const result = await backend.getChangeRequest(args.id);
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "approve_change_request": {
+        const result = await backend.approveChangeRequest(args.id, { comment: args.comment });
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "reject_change_request": {
+        const result = await backend.rejectChangeRequest(args.id, { comment: args.comment });
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      // ========== REVISION HISTORY TOOLS ==========
+
+      case "list_command_revisions": {
+        const result = await backend.listCommandRevisions(args.id);
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "diff_command_revisions": {
+        const result = await backend.diffCommandRevisions(args.id, args.from_revision, args.to_revision);
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "revert_command": {
+        const before = await commandResourceUris(args.id);
+        const result = await backend.revertCommand(args.id, args.revision_id);
+        await notifyResourcesUpdated([...before, ...(await commandResourceUris(args.id))]);
+        await notifyResourceListChanged();
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      // ========== TRASH TOOLS ==========
+
+      case "list_trash": {
+        const result = await backend.listTrash();
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "restore_from_trash": {
+        const result = await backend.restoreFromTrash(args.id);
+        await notifyResourcesUpdated(await commandResourceUris(args.id));
+        await notifyResourceListChanged();
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "purge_trash": {
+        const result = await backend.purgeTrash({
+          id: args.id,
+          older_than_days: args.older_than_days,
+        });
+        await notifyCommandsChanged();
+        
+        return {
+          content: [
+            {
+              type: "text",
               text: JSON.stringify(result, null, 2),
             },
           ],
         };
       }
 
-      case "import_commands": {
-        const result = await apiRequest("/api/commands/import", "POST", {
-          commands: args.commands,
-          skip_duplicates: args.skip_duplicates !== false,
+      case "import_documentation": {
+        const result = await backend.importDocumentation({
+          path: args.path,
+          content: args.content,
+          format: args.format,
+          source: args.source,
+          category: args.category,
+          version: args.version,
+          device: args.device,
         });
         
         return {
@@ -667,8 +2018,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "get_database_stats": {
-        const result = await apiRequest("/api/stats", "GET");
+      case "list_staged_commands": {
+        const result = await backend.listStagedCommands({
+          status: args.status,
+          batch_id: args.batch_id,
+        });
         
         return {
           content: [
@@ -680,8 +2034,9 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "rebuild_all_embeddings": {
-        const result = await apiRequest("/api/embeddings/rebuild", "POST");
+      case "update_staged_command": {
+        const { id, ...updates } = args;
+        const result = await backend.updateStagedCommand(id, updates);
         
         return {
           content: [
@@ -693,8 +2048,9 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "rebuild_embedding": {
-        const result = await apiRequest(`/api/embeddings/rebuild/${args.id}`, "POST");
+      case "approve_staged_commands": {
+        const result = await backend.approveStagedCommands(args.ids, args.defaults);
+        await notifyCommandsChanged();
         
         return {
           content: [
@@ -706,8 +2062,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "create_backup": {
-        const result = await apiRequest("/api/backup", "POST");
+      case "reject_staged_commands": {
+        const result = await backend.rejectStagedCommands(args.ids);
         
         return {
           content: [
@@ -719,8 +2075,15 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "list_backups": {
-        const result = await apiRequest("/api/backups", "GET");
+      case "check_version_compatibility": {
+        const result = await backend.getCompatibleCommands({
+          version: args.version,
+          category: args.category,
+          mode: args.mode,
+          device: args.device,
+          deprecated: args.deprecated,
+          include_unversioned: args.include_unversioned,
+        });
         
         return {
           content: [
@@ -732,10 +2095,9 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "restore_backup": {
-        const result = await apiRequest("/api/restore", "POST", {
-          backup_file: args.backup_file,
-        });
+      case "link_commands": {
+        const result = await backend.linkCommands(args.id, args.target_id, args.type);
+        await notifyResourcesUpdated([commandUri(args.id), commandUri(args.target_id)]);
         
         return {
           content: [
@@ -747,18 +2109,24 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      // ========== NEW TOOLS - MEDIUM PRIORITY ==========
+      case "unlink_commands": {
+        const result = await backend.unlinkCommands(args.id, args.target_id, args.type);
+        await notifyResourcesUpdated([commandUri(args.id), commandUri(args.target_id)]);
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
 
-      case "advanced_search": {
-        const result = await apiRequest("/api/commands/search/advanced", "POST", {
-          query: args.query,
-          category: args.category,
-          device: args.device,
-          mode: args.mode,
-          version: args.version,
-          impact: args.impact,
-          limit: args.limit || 10,
-          score_threshold: args.score_threshold || 0.3,
+      case "get_related_graph": {
+        const result = await backend.getRelatedGraph(args.id, {
+          depth: args.depth,
+          types: args.types,
         });
         
         return {
@@ -771,8 +2139,9 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "list_categories": {
-        const result = await apiRequest("/api/categories", "GET");
+      case "create_runbook": {
+        const result = await backend.createRunbook(args);
+        await notifyResourceListChanged();
         
         return {
           content: [
@@ -784,8 +2153,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "get_category_stats": {
-        const result = await apiRequest(`/api/categories/${args.category}/stats`, "GET");
+      case "get_runbook": {
+        const result = await backend.getRunbook(args.id);
         
         return {
           content: [
@@ -797,10 +2166,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "rename_category": {
-        const result = await apiRequest(`/api/categories/${args.old_name}/rename`, "PUT", {
-          new_name: args.new_name,
-        });
+      case "list_runbooks": {
+        const result = await backend.listRunbooks({ category: args.category });
         
         return {
           content: [
@@ -812,8 +2179,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "find_duplicates": {
-        const result = await apiRequest("/api/commands/duplicates", "GET");
+      case "update_runbook": {
+        const { id, ...updates } = args;
+        const result = await backend.updateRunbook(id, updates);
+        await notifyResourcesUpdated([runbookUri(id)]);
         
         return {
           content: [
@@ -825,8 +2194,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "validate_database": {
-        const result = await apiRequest("/api/maintenance/validate", "GET");
+      case "delete_runbook": {
+        const result = await backend.deleteRunbook(args.id);
+        await notifyResourcesUpdated([runbookUri(args.id)]);
+        await notifyResourceListChanged();
         
         return {
           content: [
@@ -838,8 +2209,38 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case "optimize_database": {
-        const result = await apiRequest("/api/maintenance/optimize", "POST");
+      case "create_prompt": {
+        const result = await backend.createPrompt(args);
+        await notifyPromptListChanged();
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "update_prompt": {
+        const { name: promptName, ...updates } = args;
+        const result = await backend.updatePrompt(promptName, updates);
+        await notifyPromptListChanged();
+        
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "delete_prompt": {
+        const result = await backend.deletePrompt(args.name);
+        await notifyPromptListChanged();
         
         return {
           content: [
@@ -868,20 +2269,569 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       isError: true,
     };
   }
-});
+}
+
+// ============================================================================
+// RESOURCES
+// ============================================================================
+
+const STATS_URI = "checkpoint://stats";
+
+// Resources returned per resources/list page
+const RESOURCE_PAGE_SIZE = 100;
+
+// JSON-RPC error code MCP uses for unknown resources
+const RESOURCE_NOT_FOUND = -32002;
+
+function commandUri(id) {
+  return `checkpoint://command/${id}`;
+}
+
+function categoryUri(name) {
+  return `checkpoint://category/${encodeURIComponent(name)}`;
+}
+
+function runbookUri(id) {
+  return `checkpoint://runbook/${id}`;
+}
+
+/**
+ * Resources affected by a change to a command: the command, its category and the stats
+ * @param {number} id - Command ID
+ * @returns {Promise<string[]>} URIs (none without subscribers; no category once the command is trashed)
+ */
+async function commandResourceUris(id) {
+  if (![...sessions].some((session) => session.subscriptions.size > 0)) return [];
+
+  const uris = [commandUri(id), STATS_URI];
+
+  try {
+    const { command } = await backend.getCommand(id);
+    if (command.category) uris.push(categoryUri(command.category));
+  } catch (error) {
+    // Trashed or purged: only the command and the stats
+  }
+
+  return uris;
+}
+
+/**
+ * Send notifications/resources/updated to every session subscribed to the given URIs
+ * @param {string[]} uris - Changed resources
+ */
+async function notifyResourcesUpdated(uris) {
+  for (const session of sessions) {
+    for (const uri of new Set(uris)) {
+      if (session.subscriptions.has(uri)) {
+        await session.server.sendResourceUpdated({ uri });
+      }
+    }
+  }
+}
+
+/**
+ * Send notifications/resources/list_changed to every session
+ */
+async function notifyResourceListChanged() {
+  for (const session of sessions) {
+    await session.server.sendResourceListChanged();
+  }
+}
+
+/**
+ * Notify a change that can touch many commands at once (adds, imports, renames, purges)
+ *
+ * The resource list changes, and so may the stats and any category, so every
+ * subscribed stats and category resource is notified.
+ *
+ * @param {Object} options - { all }: notify every subscribed resource (after a backup restore)
+ */
+async function notifyCommandsChanged({ all = false } = {}) {
+  for (const session of sessions) {
+    await session.server.sendResourceListChanged();
+    for (const uri of session.subscriptions) {
+      if (all || uri === STATS_URI || uri.startsWith("checkpoint://category/")) {
+        await session.server.sendResourceUpdated({ uri });
+      }
+    }
+  }
+}
+
+/**
+ * Notify changes made by other processes (the REST API, another MCP server)
+ *
+ * Polls the revision history: every command revision recorded since the last
+ * poll notifies that command, its categories and the stats. Changes this server
+ * made itself are notified again, which is harmless (clients just re-read).
+ * Runbook changes have no revisions and are only notified when made here.
+ *
+ * @param {number} seconds - Poll interval (0 disables polling)
+ */
+function startChangePolling(seconds) {
+  if (!seconds) return;
+
+  let lastRevisionId = null;
+  let lastError = null;
+
+  const timer = setInterval(async () => {
+    if (sessions.size === 0) return;
+
+    try {
+      const { revisions, latest_revision_id, truncated } = await backend.listRevisionsSince(lastRevisionId ?? undefined);
+      const first = lastRevisionId === null;
+      lastRevisionId = latest_revision_id;
+      lastError = null;
+
+      if (first || (revisions.length === 0 && !truncated)) return;
+
+      if (truncated) {
+        await notifyCommandsChanged({ all: true });
+        return;
+      }
+
+      const uris = [STATS_URI];
+      for (const revision of revisions) {
+        uris.push(commandUri(revision.command_id), ...revision.categories.map(categoryUri));
+      }
+      await notifyResourcesUpdated(uris);
+
+      if (revisions.some((revision) => revision.action !== "update")) {
+        await notifyResourceListChanged();
+      }
+    } catch (error) {
+      if (error.message !== lastError) {
+        console.error(`⚠️  Could not poll for changes: ${error.message}`);
+        lastError = error.message;
+      }
+    }
+  }, seconds * 1000);
+
+  timer.unref();
+}
+
+/**
+ * Send notifications/prompts/list_changed to every session
+ */
+async function notifyPromptListChanged() {
+  for (const session of sessions) {
+    await session.server.sendPromptListChanged();
+  }
+}
+
+/**
+ * Encode and decode resources/list cursors (an offset into the full listing)
+ */
+function encodeCursor(offset) {
+  return Buffer.from(String(offset)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  const offset = Number(Buffer.from(cursor, "base64url").toString());
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid cursor: ${cursor}`);
+  }
+  return offset;
+}
+
+async function listResourceTemplates() {
+  return {
+    resourceTemplates: [
+      {
+        uriTemplate: "checkpoint://command/{id}",
+        name: "command",
+        description: "Reference card of a stored command: description, metadata and argument variants",
+        mimeType: "text/markdown",
+      },
+      {
+        uriTemplate: "checkpoint://category/{name}",
+        name: "category",
+        description: "Reference cards of every command in a category",
+        mimeType: "text/markdown",
+      },
+      {
+        uriTemplate: "checkpoint://runbook/{id}",
+        name: "runbook",
+        description: "Runbook with its ordered steps",
+        mimeType: "application/json",
+      },
+    ],
+  };
+}
+
+// The listing is the stats, then categories, runbooks and commands (by ID),
+// paged with an offset cursor so large databases are not sent in one response
+async function listResources(request) {
+  const offset = request.params?.cursor ? decodeCursor(request.params.cursor) : 0;
+
+  const { categories } = await backend.listCategories();
+  const { runbooks } = await backend.listRunbooks();
+
+  const fixed = [
+    {
+      uri: STATS_URI,
+      name: "Database statistics",
+      description: "Command counts by category, mode and impact",
+      mimeType: "application/json",
+    },
+    ...categories.map((category) => ({
+      uri: categoryUri(category.category),
+      name: `Category: ${category.category}`,
+      description: `${category.count} commands`,
+      mimeType: "text/markdown",
+    })),
+    ...runbooks.map((runbook) => ({
+      uri: runbookUri(runbook.id),
+      name: `Runbook: ${runbook.name}`,
+      description: runbook.description || `${runbook.step_count} steps`,
+      mimeType: "application/json",
+    })),
+  ];
+
+  const resources = fixed.slice(offset, offset + RESOURCE_PAGE_SIZE);
+  const commandOffset = Math.max(offset - fixed.length, 0);
+  const commandLimit = RESOURCE_PAGE_SIZE - resources.length;
+
+  // A page filled by the fixed entries always points at the commands that may follow
+  let hasMore = true;
+
+  if (commandLimit > 0) {
+    const page = await backend.listCommands({
+      limit: commandLimit,
+      offset: commandOffset,
+      sort: "id",
+      fields: ["command", "description", "category"],
+    });
+
+    hasMore = commandOffset + page.commands.length < page.total;
+    resources.push(...page.commands.map((cmd) => ({
+      uri: commandUri(cmd.id),
+      name: cmd.command,
+      description: cmd.description,
+      mimeType: "text/markdown",
+    })));
+  }
+
+  return {
+    resources,
+    ...(hasMore ? { nextCursor: encodeCursor(offset + resources.length) } : {}),
+  };
+}
+
+async function readResource(request) {
+  const { uri } = request.params;
+  const match = uri.match(/^checkpoint:\/\/(command|category|runbook)\/(.+)$/);
+
+  try {
+    if (uri === STATS_URI) {
+      const { stats } = await backend.getStats();
+      return {
+        contents: [{ uri, mimeType: "application/json", text: JSON.stringify(stats, null, 2) }],
+      };
+    }
+
+    if (match && match[1] === "command" && /^\d+$/.test(match[2])) {
+      const { command } = await backend.getCommand(parseInt(match[2]));
+      return {
+        contents: [{ uri, mimeType: "text/markdown", text: serializeCommands([command], "markdown") }],
+      };
+    }
+
+    if (match && match[1] === "category") {
+      const category = decodeURIComponent(match[2]);
+      const { commands } = await backend.listCommands({ category });
+      if (commands.length > 0) {
+        return {
+          contents: [{ uri, mimeType: "text/markdown", text: serializeCommands(commands, "markdown") }],
+        };
+      }
+    }
+
+    if (match && match[1] === "runbook" && /^\d+$/.test(match[2])) {
+      const { runbook } = await backend.getRunbook(parseInt(match[2]));
+      return {
+        contents: [{ uri, mimeType: "application/json", text: JSON.stringify(runbook, null, 2) }],
+      };
+    }
+  } catch (error) {
+    if (!error.message.includes("not found")) throw error;
+  }
+
+  throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+}
+
+// ============================================================================
+// PROMPTS
+// ============================================================================
+
+// Prompts live in the database (see create_prompt), so teams can add their own
+async function listPrompts() {
+  const { prompts } = await backend.listPrompts();
+
+  return {
+    prompts: prompts.map((prompt) => ({
+      name: prompt.name,
+      description: prompt.description || undefined,
+      arguments: prompt.arguments.map((arg) => ({
+        name: arg.name,
+        description: arg.description,
+        required: arg.required === true,
+      })),
+    })),
+  };
+}
+
+async function getPrompt(request) {
+  const { name, arguments: args = {} } = request.params;
+
+  try {
+    const result = await backend.renderPrompt(name, args);
+
+    return {
+      description: result.description || undefined,
+      messages: result.messages,
+    };
+  } catch (error) {
+    if (error.message.includes("not found") || error.message.includes("Missing required")) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+    throw error;
+  }
+}
 
 // ============================================================================
 // START SERVER
 // ============================================================================
 
+// Command-line flags and the settings they override (see config.js)
+//
+// Usage: node server.js [--config config.json] [--transport stdio|http] [--host 127.0.0.1]
+//                       [--port 5680] [--db ./commands.db | --api http://localhost:5679]
+const MCP_FLAGS = {
+  "--transport": "mcp.transport",
+  "--host": "mcp.host",
+  "--port": "mcp.port",
+  "--db": "mcp.db_path",
+  "--api": "mcp.api_url",
+};
+
+/**
+ * Serve MCP over HTTP: Streamable HTTP on /mcp and the legacy SSE transport
+ * on /sse + /messages, one server instance per session
+ * @param {Object} options - The mcp settings ({ host, port, session_idle_minutes })
+ */
+function startHttpServer({ host, port, session_idle_minutes, auth_tokens, actor }) {
+  // Tools such as execute_command and restore_backup must not be reachable
+  // anonymously from the network: off loopback every request needs a token
+  if (!LOOPBACK_HOSTS.includes(host) && !auth_tokens) {
+    throw new Error(`mcp.auth_tokens (MCP_AUTH_TOKENS) is required to listen on ${host}; without it only ${LOOPBACK_HOSTS.join(", ")} are allowed`);
+  }
+
+  // Localhost binds get DNS rebinding protection
+  const app = createMcpExpressApp({ host });
+
+  // Open sessions by ID: { transport, actor, lastSeen, streams }
+  const httpSessions = new Map();
+
+  const jsonRpcError = (res, status, message) => {
+    res.status(status).json({
+      jsonrpc: "2.0",
+      error: { code: -32000, message },
+      id: null,
+    });
+  };
+
+  const badRequest = (res, message) => jsonRpcError(res, 400, message);
+
+  const internalError = (res, error) => {
+    console.error("MCP request error:", error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        jsonrpc: "2.0",
+        error: { code: ErrorCode.InternalError, message: error.message },
+        id: null,
+      });
+    }
+  };
+
+  // Bearer token -> actor; the transports pass req.auth to the handlers as authInfo
+  if (auth_tokens) {
+    const verifyToken = createTokenVerifier(auth_tokens);
+
+    app.use((req, res, next) => {
+      const caller = verifyToken(req.headers.authorization);
+
+      if (!caller) {
+        res.set("WWW-Authenticate", "Bearer");
+        return jsonRpcError(res, 401, "Missing or invalid bearer token");
+      }
+
+      req.auth = { token: caller.token, clientId: caller.actor, scopes: [] };
+      next();
+    });
+  }
+
+  // Look up a session, refusing requests authenticated as somebody else
+  const findSession = (req, res, sessionId, transportClass) => {
+    const session = sessionId ? httpSessions.get(sessionId) : null;
+
+    if (!session || !(session.transport instanceof transportClass)) {
+      badRequest(res, sessionId ? `Unknown or expired session: ${sessionId}` : "Missing mcp-session-id header");
+      return null;
+    }
+
+    if (session.actor !== req.auth?.clientId) {
+      jsonRpcError(res, 403, `Session ${sessionId} belongs to another actor`);
+      return null;
+    }
+
+    session.lastSeen = Date.now();
+    return session;
+  };
+
+  // Long-lived notification streams count as activity while open
+  const trackStream = (session, res) => {
+    session.streams++;
+    res.on("close", () => {
+      session.streams--;
+      session.lastSeen = Date.now();
+    });
+  };
+
+  // Streamable HTTP: POST carries requests; the first one (initialize) opens a session
+  app.post("/mcp", async (req, res) => {
+    try {
+      const sessionId = req.headers["mcp-session-id"];
+
+      if (sessionId) {
+        const session = findSession(req, res, sessionId, StreamableHTTPServerTransport);
+        if (session) await session.transport.handleRequest(req, res, req.body);
+        return;
+      }
+
+      if (!isInitializeRequest(req.body)) {
+        return badRequest(res, "Missing mcp-session-id header");
+      }
+
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          httpSessions.set(id, { transport, actor: req.auth?.clientId, lastSeen: Date.now(), streams: 0 });
+          console.error(`✓ MCP session opened: ${id} (streamable HTTP${req.auth ? `, actor ${req.auth.clientId}` : ""})`);
+        },
+      });
+
+      transport.onclose = () => {
+        if (transport.sessionId && httpSessions.delete(transport.sessionId)) {
+          console.error(`✓ MCP session closed: ${transport.sessionId}`);
+        }
+      };
+
+      await createServer().connect(transport);
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      internalError(res, error);
+    }
+  });
+
+  // Streamable HTTP: GET opens the notification stream, DELETE ends the session
+  const handleSessionRequest = async (req, res) => {
+    try {
+      const session = findSession(req, res, req.headers["mcp-session-id"], StreamableHTTPServerTransport);
+      if (!session) return;
+
+      if (req.method === "GET") trackStream(session, res);
+      await session.transport.handleRequest(req, res);
+    } catch (error) {
+      internalError(res, error);
+    }
+  };
+
+  app.get("/mcp", handleSessionRequest);
+  app.delete("/mcp", handleSessionRequest);
+
+  // Legacy SSE (protocol 2024-11-05): GET /sse opens the stream, POST /messages sends requests
+  app.get("/sse", async (req, res) => {
+    try {
+      const transport = new SSEServerTransport("/messages", res);
+      const session = { transport, actor: req.auth?.clientId, lastSeen: Date.now(), streams: 0 };
+      httpSessions.set(transport.sessionId, session);
+      trackStream(session, res);
+      console.error(`✓ MCP session opened: ${transport.sessionId} (SSE${req.auth ? `, actor ${req.auth.clientId}` : ""})`);
+
+      res.on("close", () => {
+        httpSessions.delete(transport.sessionId);
+        console.error(`✓ MCP session closed: ${transport.sessionId}`);
+      });
+
+      await createServer().connect(transport);
+    } catch (error) {
+      internalError(res, error);
+    }
+  });
+
+  app.post("/messages", async (req, res) => {
+    try {
+      const session = findSession(req, res, req.query.sessionId, SSEServerTransport);
+      if (!session) return;
+
+      await session.transport.handlePostMessage(req, res, req.body);
+    } catch (error) {
+      internalError(res, error);
+    }
+  });
+
+  // Close sessions whose client went away without ending them (an open stream keeps a session alive)
+  setInterval(() => {
+    const cutoff = Date.now() - session_idle_minutes * 60 * 1000;
+    for (const [id, session] of httpSessions) {
+      if (session.streams === 0 && session.lastSeen < cutoff) {
+        console.error(`⚠️ Closing idle MCP session: ${id}`);
+        httpSessions.delete(id);
+        session.transport.close();
+      }
+    }
+  }, 60 * 1000).unref();
+
+  app.listen(port, host, () => {
+    console.error(`Checkpoint Commands MCP Server v2.0.0 running on http://${host}:${port}`);
+    console.error(`   - Streamable HTTP: http://${host}:${port}/mcp`);
+    console.error(`   - Legacy SSE: http://${host}:${port}/sse`);
+    console.error(`   - Authentication: ${auth_tokens ? `bearer token (${countActors(auth_tokens)} actors)` : `none (loopback only; changes recorded as ${actor})`}`);
+  });
+}
+
 async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error("Checkpoint Commands MCP Server v2.0.0 running on stdio");
-  console.error("Available tools: 23 (6 existing + 9 high priority + 8 medium priority)");
+  const config = loadConfig({ argv: process.argv.slice(2), flags: MCP_FLAGS });
+  const options = config.mcp;
+
+  // Embedded mode (--db) needs no api-server.js; the actor is recorded in the revision history
+  const actor = () => callActor.getStore()?.actor || options.actor;
+  // The API checks the caller's own token (or mcp.api_token) on execute and change request routes
+  const token = () => callActor.getStore()?.token || options.api_token;
+  // Only a bearer token identifies a reviewer: unauthenticated sessions cannot approve
+  const reviewer = () => callActor.getStore()?.actor;
+  backend = options.db_path
+    ? createLocalBackend(options.db_path, actor, reviewer)
+    : createHttpBackend(options.api_url, actor, token);
+
+  if (options.transport === "http") {
+    startHttpServer(options);
+  } else {
+    const transport = new StdioServerTransport();
+    await createServer().connect(transport);
+    console.error("Checkpoint Commands MCP Server v2.0.0 running on stdio");
+  }
+
+  startChangePolling(options.change_poll_seconds);
+
+  console.error(`Configuration: ${config.meta.config_file || "defaults and environment"}`);
+  console.error(`Backend: ${backend.description}`);
+  console.error("Prompts: stored in the database (list with prompts/list)");
+  console.error("Resources: checkpoint://command/{id}, checkpoint://category/{name}, checkpoint://runbook/{id}, checkpoint://stats");
+  console.error(`Available tools: ${(await listTools()).tools.length}`);
 }
 
 main().catch((error) => {
   console.error("Fatal error:", error);
   process.exit(1);
-});
\ No newline at end of file
+});
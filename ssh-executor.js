@@ -0,0 +1,130 @@
+// ssh-executor.js
+// Remote execution of stored commands on Checkpoint gateways over SSH
+
+import { Client } from 'ssh2';
+import { readFileSync, existsSync } from 'fs';
+import { getConfig } from './config.js';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Load SSH target definitions from the targets file
+ *
+ * The file is a JSON object keyed by target name:
+ * { "gw1": { "host": "10.0.0.1", "port": 22, "username": "admin",
+ *            "private_key_path": "~/.ssh/id_rsa", "mode": "clish" } }
+ *
+ * @returns {Object} Targets keyed by name
+ */
+export function loadTargets() {
+  const targetsFile = getConfig().ssh.targets_file;
+
+  if (!existsSync(targetsFile)) {
+    return {};
+  }
+
+  return JSON.parse(readFileSync(targetsFile, 'utf-8'));
+}
+
+/**
+ * List configured targets without credentials
+ * @returns {Array} Array of target descriptions
+ */
+export function listTargets() {
+  const targets = loadTargets();
+
+  return Object.entries(targets).map(([name, target]) => ({
+    name,
+    host: target.host,
+    port: target.port || 22,
+    username: target.username,
+    mode: target.mode || 'clish'
+  }));
+}
+
+/**
+ * Get a single target definition by name
+ * @param {string} name - Target name
+ * @returns {Object|null} Target definition or null
+ */
+export function getTarget(name) {
+  const targets = loadTargets();
+  const target = targets[name];
+
+  if (!target) return null;
+
+  return {
+    name,
+    ...target,
+    port: target.port || 22,
+    mode: target.mode || 'clish'
+  };
+}
+
+/**
+ * Run a command line on a target over SSH
+ * @param {Object} target - Target definition (from getTarget)
+ * @param {string} commandLine - Full command line to run
+ * @returns {Promise<Object>} stdout, stderr, exit code and signal
+ */
+export function runRemoteCommand(target, commandLine) {
+  const timeoutMs = target.timeout_ms || DEFAULT_TIMEOUT_MS;
+
+  const connectOptions = {
+    host: target.host,
+    port: target.port,
+    username: target.username,
+    readyTimeout: timeoutMs
+  };
+
+  if (target.private_key_path) {
+    const keyPath = target.private_key_path.replace(/^~(?=\/)/, process.env.HOME || '');
+    connectOptions.privateKey = readFileSync(keyPath);
+    if (target.passphrase) connectOptions.passphrase = target.passphrase;
+  }
+
+  if (target.password) {
+    connectOptions.password = target.password;
+  }
+
+  return new Promise((resolve, reject) => {
+    const conn = new Client();
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+
+    const finish = (err, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      conn.end();
+      if (err) reject(err);
+      else resolve(result);
+    };
+
+    const timer = setTimeout(() => {
+      finish(new Error(`SSH command timed out after ${timeoutMs}ms on ${target.name}`));
+    }, timeoutMs);
+
+    conn.on('ready', () => {
+      conn.exec(commandLine, (err, stream) => {
+        if (err) return finish(err);
+
+        stream.on('data', data => { stdout += data.toString(); });
+        stream.stderr.on('data', data => { stderr += data.toString(); });
+        stream.on('close', (code, signal) => {
+          finish(null, {
+            stdout,
+            stderr,
+            exit_code: code === undefined ? null : code,
+            signal: signal || null
+          });
+        });
+      });
+    });
+
+    conn.on('error', err => finish(err));
+
+    conn.connect(connectOptions);
+  });
+}
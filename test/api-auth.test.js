@@ -0,0 +1,179 @@
+// test/api-auth.test.js
+// Binding and bearer token authentication of the REST API's execute and change request routes
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const API_SERVER = fileURLToPath(new URL('../api-server.js', import.meta.url));
+const ALICE_TOKEN = 'alice-token-0123456789';
+const BOB_TOKEN = 'bob-token-0123456789ab';
+
+const dir = mkdtempSync(join(tmpdir(), 'command-db-api-'));
+let child;
+let baseUrl;
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>} Port
+ */
+function freePort() {
+  return new Promise(resolve => {
+    const probe = createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start api-server.js and wait until it listens (or exits)
+ * @param {string[]} args - Command-line flags
+ * @param {Object} env - Extra environment variables
+ * @returns {Promise<Object>} { child } once listening, or { code, output } if it exited
+ */
+function startApi(args, env) {
+  const server = spawn(process.execPath, [API_SERVER, ...args], {
+    env: { ...process.env, EMBEDDING_PROVIDER: 'hash', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`api-server.js did not start:\n${output}`)), 20000);
+    const collect = data => {
+      output += data.toString();
+      if (output.includes('API Server running on')) {
+        clearTimeout(timer);
+        resolve({ child: server });
+      }
+    };
+    server.stdout.on('data', collect);
+    server.stderr.on('data', collect);
+    server.on('exit', code => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+before(async () => {
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  // Nothing listens on port 1: approved requests never reach a gateway
+  writeFileSync(join(dir, 'ssh-targets.json'), JSON.stringify({
+    gw1: { host: '127.0.0.1', port: 1, username: 'admin', password: 'secret', mode: 'expert' }
+  }));
+
+  ({ child } = await startApi(['--port', String(port), '--db', join(dir, 'commands.db')], {
+    API_AUTH_TOKENS: `alice:${ALICE_TOKEN},bob:${BOB_TOKEN}`,
+    SSH_TARGETS_FILE: join(dir, 'ssh-targets.json')
+  }));
+  assert.ok(child, 'api-server.js exited on startup');
+});
+
+after(() => {
+  child?.kill();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('refuses to listen off loopback without auth tokens', async () => {
+  const port = await freePort();
+  const result = await startApi(['--host', '0.0.0.0', '--port', String(port), '--db', join(dir, 'open.db')], {
+    API_AUTH_TOKENS: ''
+  });
+
+  if (result.child) result.child.kill();
+  assert.equal(result.code, 1);
+  assert.match(result.output, /api\.auth_tokens/);
+});
+
+test('execute and change request routes need a configured bearer token', async () => {
+  const routes = [
+    ['POST', '/api/commands/1/execute'],
+    ['GET', '/api/change-requests'],
+    ['GET', '/api/change-requests/1'],
+    ['POST', '/api/change-requests/1/approve'],
+    ['POST', '/api/change-requests/1/reject']
+  ];
+
+  for (const [method, path] of routes) {
+    for (const token of [null, 'constructor', '__proto__', 'not-a-configured-token']) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) headers.Authorization = `Bearer ${token}`;
+
+      const response = await fetch(`${baseUrl}${path}`, { method, headers, body: method === 'POST' ? '{}' : undefined });
+      assert.equal(response.status, 401, `${method} ${path} with ${token}`);
+    }
+  }
+
+  const listed = await fetch(`${baseUrl}/api/change-requests`, { headers: { Authorization: `Bearer ${ALICE_TOKEN}` } });
+  assert.equal(listed.status, 200);
+});
+
+test('only the other routes answer cross-origin requests', async () => {
+  const origin = { Origin: 'https://example.com' };
+
+  const health = await fetch(`${baseUrl}/health`, { headers: origin });
+  assert.equal(health.headers.get('access-control-allow-origin'), '*');
+
+  const preflight = await fetch(`${baseUrl}/api/commands/1/execute`, {
+    method: 'OPTIONS',
+    headers: { ...origin, 'Access-Control-Request-Method': 'POST' }
+  });
+  assert.equal(preflight.headers.get('access-control-allow-origin'), null);
+});
+
+/**
+ * Call the API with a bearer token
+ * @param {string} path - Route
+ * @param {string} token - Bearer token
+ * @param {Object} body - JSON body (POST)
+ * @returns {Promise<Object>} { status, body }
+ */
+async function post(path, token, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('the requester and reviewer of a change request are the token actors', async () => {
+  const added = await post('/api/commands', ALICE_TOKEN, {
+    command: 'cpstop',
+    description: 'Stop all Check Point services',
+    category: 'Services',
+    mode: 'expert',
+    impact: 'critical',
+    executable_mcp: true
+  });
+  const commandId = added.body.id;
+
+  const requested = await post(`/api/commands/${commandId}/execute`, ALICE_TOKEN, {
+    target: 'gw1',
+    justification: 'Upgrade',
+    requested_by: 'mallory'
+  });
+  assert.equal(requested.status, 202);
+  assert.equal(requested.body.change_request.requested_by, 'alice');
+
+  const id = requested.body.change_request.id;
+
+  // A name in the body does not make the requester somebody else
+  const selfApproval = await post(`/api/change-requests/${id}/approve`, ALICE_TOKEN, { reviewed_by: 'bob' });
+  assert.equal(selfApproval.status, 403);
+  assert.equal(selfApproval.body.reason, 'self_review');
+
+  const approved = await post(`/api/change-requests/${id}/approve`, BOB_TOKEN, { reviewed_by: 'mallory', comment: 'OK' });
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.change_request.status, 'approved');
+  assert.equal(approved.body.change_request.reviewed_by, 'bob');
+});
@@ -0,0 +1,289 @@
+// test/approval.test.js
+// Approval gate for high/critical impact and config commands (change requests)
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dir = mkdtempSync(join(tmpdir(), 'command-db-approval-'));
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.SSH_TARGETS_FILE = join(dir, 'ssh-targets.json');
+
+// Nothing listens on port 1: every connection is refused
+writeFileSync(process.env.SSH_TARGETS_FILE, JSON.stringify({
+  gw1: { host: '127.0.0.1', port: 1, username: 'admin', password: 'secret', mode: 'expert', timeout_ms: 5000 },
+  gw2: { host: '127.0.0.1', port: 1, username: 'admin', password: 'secret', mode: 'expert', timeout_ms: 5000 }
+}));
+
+const { default: Database } = await import('better-sqlite3');
+const {
+  initDatabase, addCommand, deleteCommand, purgeTrash, executeCommand, renderCommand,
+  approveChangeRequest, rejectChangeRequest, getChangeRequest, requiresApproval
+} = await import('../database.js');
+const { createLocalBackend } = await import('../local-backend.js');
+
+let db;
+let gatedId;
+let readOnlyId;
+
+before(async () => {
+  db = initDatabase(join(dir, 'commands.db'));
+
+  gatedId = (await addCommand(db, {
+    command: 'cpstop',
+    description: 'Stop all Check Point services',
+    category: 'Services',
+    mode: 'expert',
+    type: 'action',
+    impact: 'high',
+    executable_mcp: true
+  })).id;
+
+  readOnlyId = (await addCommand(db, {
+    command: 'cpstat',
+    description: 'Show the status of a Check Point product',
+    category: 'Monitoring',
+    arguments: [{ args: '<product>', params: [{ name: 'product', type: 'enum', values: ['fw', 'os'] }] }],
+    mode: 'expert',
+    type: 'monitoring',
+    impact: 'low',
+    executable_mcp: true
+  })).id;
+});
+
+after(() => {
+  db.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Create a change request for the gated command and approve it
+ * @returns {Promise<number>} Change request ID
+ */
+async function approvedRequest() {
+  const pending = await executeCommand(db, gatedId, {
+    target: 'gw1',
+    justification: 'Maintenance window',
+    requested_by: 'alice'
+  });
+  const approved = approveChangeRequest(db, pending.change_request.id, 'bob');
+  assert.equal(approved.error, false);
+  return pending.change_request.id;
+}
+
+test('high/critical impact and config commands require approval', () => {
+  assert.equal(requiresApproval({ impact: 'high' }), true);
+  assert.equal(requiresApproval({ impact: 'critical' }), true);
+  assert.equal(requiresApproval({ impact: 'low', type: 'config' }), true);
+  assert.equal(requiresApproval({ impact: 'medium', type: 'monitoring' }), false);
+});
+
+test('executing a gated command creates a pending change request instead', async () => {
+  const result = await executeCommand(db, gatedId, {
+    target: 'gw1',
+    justification: 'Restart after policy corruption',
+    requested_by: 'alice'
+  });
+
+  assert.equal(result.error, false);
+  assert.equal(result.pending_approval, true);
+  assert.equal(result.change_request.status, 'pending');
+  assert.equal(result.change_request.command_line, 'cpstop');
+  assert.equal(result.change_request.target, 'gw1');
+  assert.equal(result.change_request.requested_by, 'alice');
+});
+
+test('a change request needs a justification and a requester', async () => {
+  const noJustification = await executeCommand(db, gatedId, { target: 'gw1', requested_by: 'alice' });
+  assert.equal(noJustification.reason, 'justification_required');
+
+  const noRequester = await executeCommand(db, gatedId, { target: 'gw1', justification: 'Maintenance window' });
+  assert.equal(noRequester.reason, 'requester_required');
+});
+
+test('a change request needs a positive lifetime', async () => {
+  for (const expires_in_hours of ['soon', 0, -1, Infinity, true, '']) {
+    const result = await executeCommand(db, gatedId, {
+      target: 'gw1',
+      justification: 'Maintenance window',
+      requested_by: 'alice',
+      expires_in_hours
+    });
+    assert.equal(result.reason, 'invalid_expiry', String(expires_in_hours));
+  }
+
+  const result = await executeCommand(db, gatedId, {
+    target: 'gw1',
+    justification: 'Maintenance window',
+    requested_by: 'alice',
+    expires_in_hours: '2'
+  });
+  assert.equal(result.change_request.status, 'pending');
+  assert.ok(result.change_request.expires_at);
+});
+
+test('the requester cannot review their own change request', async () => {
+  const pending = await executeCommand(db, gatedId, {
+    target: 'gw1',
+    justification: 'Maintenance window',
+    requested_by: 'alice'
+  });
+  const id = pending.change_request.id;
+
+  assert.equal(approveChangeRequest(db, id, 'alice').reason, 'self_review');
+  assert.equal(rejectChangeRequest(db, id, 'alice').reason, 'self_review');
+  assert.equal(approveChangeRequest(db, id).reason, 'reviewer_required');
+  assert.equal(getChangeRequest(db, id).status, 'pending');
+
+  assert.equal(rejectChangeRequest(db, id, 'bob', 'Not during business hours').change_request.status, 'rejected');
+  assert.equal(approveChangeRequest(db, id, 'bob').reason, 'not_pending');
+});
+
+test('an unapproved or unknown change request cannot be executed', async () => {
+  const pending = await executeCommand(db, gatedId, {
+    target: 'gw1',
+    justification: 'Maintenance window',
+    requested_by: 'alice'
+  });
+
+  const notApproved = await executeCommand(db, gatedId, { target: 'gw1', change_request_id: pending.change_request.id });
+  assert.equal(notApproved.reason, 'not_approved');
+
+  const unknown = await executeCommand(db, gatedId, { target: 'gw1', change_request_id: 9999 });
+  assert.equal(unknown.reason, 'not_approved');
+});
+
+test('an approved change request only covers the target it was approved for', async () => {
+  const id = await approvedRequest();
+
+  const otherTarget = await executeCommand(db, gatedId, { target: 'gw2', change_request_id: id });
+  assert.equal(otherTarget.reason, 'change_request_mismatch');
+  assert.equal(getChangeRequest(db, id).status, 'approved');
+});
+
+test('render_command withholds gated command lines until a matching request is approved', async () => {
+  const withheld = renderCommand(db, gatedId);
+  assert.equal(withheld.command_line, null);
+  assert.equal(withheld.withheld, true);
+
+  const readOnly = renderCommand(db, readOnlyId, 0, { product: 'fw' });
+  assert.equal(readOnly.command_line, 'cpstat fw');
+  assert.equal(readOnly.withheld, undefined);
+
+  const id = await approvedRequest();
+  assert.equal(renderCommand(db, gatedId, undefined, {}, id).command_line, 'cpstop');
+});
+
+test('an approved change request is claimed once, even by concurrent calls', async () => {
+  const id = await approvedRequest();
+
+  const [first, second] = await Promise.allSettled([
+    executeCommand(db, gatedId, { target: 'gw1', change_request_id: id }),
+    executeCommand(db, gatedId, { target: 'gw1', change_request_id: id })
+  ]);
+
+  // One call claims the request and fails to connect; the other finds it already claimed
+  const outcomes = [first, second];
+  assert.equal(outcomes.filter(outcome => outcome.status === 'rejected').length, 1);
+  const refused = outcomes.find(outcome => outcome.status === 'fulfilled').value;
+  assert.equal(refused.reason, 'not_approved');
+
+  const changeRequest = getChangeRequest(db, id);
+  assert.equal(changeRequest.status, 'failed');
+  assert.ok(changeRequest.execution_result.error);
+
+  const retry = await executeCommand(db, gatedId, { target: 'gw1', change_request_id: id });
+  assert.equal(retry.reason, 'not_approved');
+});
+
+test('the MCP review tools take the reviewer from the authenticated session', async () => {
+  const pending = await executeCommand(db, gatedId, {
+    target: 'gw1',
+    justification: 'Maintenance window',
+    requested_by: 'alice'
+  });
+  const id = pending.change_request.id;
+
+  let sessionActor;
+  const backend = createLocalBackend(join(dir, 'commands.db'), 'mcp', () => sessionActor);
+
+  await assert.rejects(backend.approveChangeRequest(id, {}), /authenticated session/);
+
+  sessionActor = 'alice';
+  await assert.rejects(backend.approveChangeRequest(id, { comment: 'LGTM' }), /someone other than its requester/);
+
+  sessionActor = 'bob';
+  const approved = await backend.approveChangeRequest(id, { comment: 'LGTM' });
+  assert.equal(approved.change_request.status, 'approved');
+  assert.equal(approved.change_request.reviewed_by, 'bob');
+});
+
+test('change requests outlive their command when it is purged from the trash', async () => {
+  const { id: commandId } = await addCommand(db, {
+    command: 'cpstart',
+    description: 'Start all Check Point services',
+    category: 'Services',
+    mode: 'expert',
+    impact: 'high',
+    executable_mcp: true
+  });
+  const pending = await executeCommand(db, commandId, {
+    target: 'gw1',
+    justification: 'Maintenance window',
+    requested_by: 'alice'
+  });
+
+  // better-sqlite3 enforces foreign keys, so a cascade would delete the request here
+  assert.equal(db.pragma('foreign_keys', { simple: true }), 1);
+  deleteCommand(db, commandId, { actor: 'alice' });
+  assert.deepEqual(purgeTrash(db, { id: commandId, actor: 'alice' }).purged, [commandId]);
+
+  const changeRequest = getChangeRequest(db, pending.change_request.id);
+  assert.equal(changeRequest.command_id, commandId);
+  assert.equal(changeRequest.justification, 'Maintenance window');
+});
+
+test('databases with the cascading change request table are migrated without losing requests', () => {
+  const path = join(dir, 'old.db');
+  const old = new Database(path);
+  // The old table references checkpoint_commands before it exists
+  old.pragma('foreign_keys = OFF');
+  old.exec(`
+    CREATE TABLE change_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      command_id INTEGER NOT NULL,
+      command_line TEXT NOT NULL,
+      target TEXT NOT NULL,
+      justification TEXT NOT NULL,
+      requested_by TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      reviewed_by TEXT,
+      review_comment TEXT,
+      reviewed_at TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      executed_at TIMESTAMP,
+      execution_result TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (command_id) REFERENCES checkpoint_commands(id) ON DELETE CASCADE
+    );
+    INSERT INTO change_requests (command_id, command_line, target, justification, requested_by, status, expires_at)
+    VALUES (7, 'cpstop', 'gw1', 'Upgrade', 'alice', 'executed', datetime('now', '+1 hours'));
+  `);
+  old.close();
+
+  const migrated = initDatabase(path);
+  try {
+    const table = migrated.prepare("SELECT sql FROM sqlite_master WHERE name = 'change_requests'").get();
+    assert.doesNotMatch(table.sql, /REFERENCES/);
+    assert.equal(migrated.prepare("SELECT COUNT(*) AS count FROM sqlite_master WHERE name = 'idx_change_requests_status'").get().count, 1);
+
+    const row = migrated.prepare('SELECT * FROM change_requests').get();
+    assert.equal(row.id, 1);
+    assert.equal(row.command_line, 'cpstop');
+    assert.equal(row.status, 'executed');
+  } finally {
+    migrated.close();
+  }
+});
@@ -0,0 +1,84 @@
+// test/arguments.test.js
+// Argument variant validation and rendering (arguments.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateArguments, validateParamValue, renderVariant } from '../arguments.js';
+
+test('accepts well-formed variants', () => {
+  assert.deepEqual(validateArguments([
+    { args: 'tunnel_util', description: 'Interactive tunnel utility' },
+    {
+      args: '-s <peer_ip> -p <port>',
+      params: [
+        { name: 'peer_ip', type: 'ip' },
+        { name: 'port', type: 'integer', min: 1, max: 65535 }
+      ]
+    }
+  ]), []);
+  assert.deepEqual(validateArguments(undefined), []);
+});
+
+test('reports malformed variants and parameter definitions', () => {
+  assert.deepEqual(validateArguments('stat'), ['arguments must be an array']);
+  assert.deepEqual(validateArguments([{ params: [] }]), ["arguments[0]: 'args' must be a string"]);
+
+  const problems = validateArguments([{
+    args: '-i <iface>',
+    params: [
+      { name: 'iface', type: 'interface' },
+      { name: 'iface', type: 'interface' },
+      { name: 'count', type: 'integer' }
+    ]
+  }]);
+  assert.ok(problems.includes("arguments[0]: parameter 'iface' declared twice"));
+  assert.ok(problems.includes("arguments[0]: parameter 'count' does not appear in args"));
+
+  assert.ok(validateArguments([{ args: '<x>', params: [{ name: 'x', type: 'string', pattern: '(' }] }])[0]
+    .includes('invalid pattern'));
+});
+
+test('placeholders without a declared parameter are valid strings', () => {
+  assert.deepEqual(validateArguments([{ args: '-s <peer_ip>' }]), []);
+
+  assert.deepEqual(renderVariant('vpn', { args: 'tu -s <peer_ip>' }, { peer_ip: '10.0.0.1' }), {
+    command_line: 'vpn tu -s 10.0.0.1'
+  });
+
+  // They still get the default safe string check
+  const rendered = renderVariant('vpn', { args: 'tu -s <peer_ip>' }, { peer_ip: '10.0.0.1; reboot' });
+  assert.equal(rendered.command_line, undefined);
+  assert.equal(rendered.errors.length, 1);
+});
+
+test('validates values by parameter type', () => {
+  assert.equal(validateParamValue({ type: 'ip' }, '192.168.1.1'), null);
+  assert.ok(validateParamValue({ type: 'ip' }, '300.1.1.1'));
+  assert.equal(validateParamValue({ type: 'interface' }, 'eth1.100'), null);
+  assert.ok(validateParamValue({ type: 'interface' }, 'eth1; ls'));
+  assert.equal(validateParamValue({ type: 'integer', min: 1, max: 10 }, '5'), null);
+  assert.ok(validateParamValue({ type: 'integer', min: 1, max: 10 }, '11'));
+  assert.ok(validateParamValue({ type: 'integer' }, '1.5'));
+  assert.equal(validateParamValue({ type: 'enum', values: ['on', 'off'] }, 'on'), null);
+  assert.ok(validateParamValue({ type: 'enum', values: ['on', 'off'] }, 'maybe'));
+  assert.equal(validateParamValue({ type: 'string', pattern: '[a-z]+' }, 'abc'), null);
+  assert.ok(validateParamValue({ type: 'string', pattern: '[a-z]+' }, 'abc1'));
+});
+
+test('renders defaults and reports every invalid value', () => {
+  const variant = {
+    args: 'debug -m <module> -t <level>',
+    params: [
+      { name: 'module', type: 'enum', values: ['fw', 'vpn'] },
+      { name: 'level', type: 'integer', min: 0, max: 5, default: 1 }
+    ]
+  };
+
+  assert.deepEqual(renderVariant('fw ctl', variant, { module: 'vpn' }), {
+    command_line: 'fw ctl debug -m vpn -t 1'
+  });
+
+  const rendered = renderVariant('fw ctl', variant, { level: 9 });
+  assert.equal(rendered.errors.length, 2);
+  assert.ok(rendered.errors.includes('missing value for <module>'));
+});
@@ -0,0 +1,111 @@
+// test/formats.test.js
+// CSV export/import: formula escaping, round trips and empty cells
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dir = mkdtempSync(join(tmpdir(), 'command-db-formats-'));
+process.env.EMBEDDING_PROVIDER = 'hash';
+
+const { serializeCommands, parseCommands } = await import('../formats.js');
+const { initDatabase, addCommand, getCommandById, importCommandsJSON } = await import('../database.js');
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const COMMANDS = [
+  {
+    id: 1,
+    command: 'fw',
+    description: 'Firewall control, "quoted", with commas\nand a second line',
+    category: 'Firewall',
+    keywords: '=HYPERLINK("http://example.com")',
+    executable_mcp: true,
+    related_commands: [2, 3],
+    arguments: [
+      { args: '-a if', description: 'Interfaces' },
+      { args: 'ctl conntab -t <limit>', params: [{ name: 'limit', type: 'integer', min: 1 }] }
+    ]
+  },
+  {
+    id: 2,
+    command: '@cpstat',
+    description: "'+already quoted",
+    category: 'Monitoring',
+    executable_mcp: false,
+    related_commands: []
+  }
+];
+
+test('cells that would run as spreadsheet formulas are exported as text', () => {
+  const csv = serializeCommands(COMMANDS, 'csv');
+
+  assert.ok(csv.includes(`"'=HYPERLINK(""http://example.com"")"`));
+  assert.ok(csv.includes("'-a if"));
+  assert.ok(csv.includes("'@cpstat"));
+  assert.ok(csv.includes("''+already quoted"));
+  for (const line of csv.split('\n')) {
+    for (const cell of line.split(',')) {
+      assert.doesNotMatch(cell, /^[=+\-@]/, cell);
+    }
+  }
+});
+
+test('CSV round-trips quotes, newlines, formula escapes, arguments and related commands', () => {
+  const parsed = parseCommands(serializeCommands(COMMANDS, 'csv'), 'csv');
+
+  assert.deepEqual(parsed[0], {
+    ...COMMANDS[0],
+    arguments: [
+      { args: '-a if', description: 'Interfaces' },
+      COMMANDS[0].arguments[1]
+    ]
+  });
+  assert.equal(parsed[1].command, '@cpstat');
+  assert.equal(parsed[1].description, "'+already quoted");
+  assert.deepEqual(parsed[1].arguments, []);
+  assert.equal(parsed[1].keywords, null);
+});
+
+test('empty cells clear fields on update, except the command key', async () => {
+  const db = initDatabase(join(dir, 'commands.db'));
+
+  try {
+    const { id } = await addCommand(db, {
+      command: 'cpstat',
+      description: 'Show the status of a Check Point product',
+      category: 'Monitoring',
+      version: 'R81',
+      keywords: 'status',
+      executable_mcp: true,
+      arguments: [{ args: 'fw' }]
+    });
+
+    const csv = [
+      'id,command,description,category,version,keywords,executable_mcp,arguments.0.args',
+      ',cpstat,Show product status,Monitoring,,,,'
+    ].join('\n');
+    const commands = parseCommands(csv, 'csv');
+
+    const filled = await importCommandsJSON(db, commands, false, { strategy: 'fill_empty' });
+    assert.equal(filled.unchanged.length, 1);
+
+    const results = await importCommandsJSON(db, commands, false, { strategy: 'overwrite' });
+    assert.equal(results.updated[0].id, id);
+
+    const command = getCommandById(db, id);
+    assert.equal(command.command, 'cpstat');
+    assert.equal(command.category, 'Monitoring');
+    assert.equal(command.description, 'Show product status');
+    assert.equal(command.version, null);
+    assert.equal(command.keywords, null);
+    assert.equal(Boolean(command.executable_mcp), false);
+    assert.deepEqual(command.arguments, []);
+  } finally {
+    db.close();
+  }
+});
@@ -0,0 +1,125 @@
+// test/http-transport.test.js
+// Bearer token authentication of the MCP HTTP transport (server.js --transport http)
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { createTokenVerifier } from '../auth.js';
+
+const SERVER = fileURLToPath(new URL('../server.js', import.meta.url));
+const ALICE_TOKEN = 'alice-token-0123456789';
+const BOB_TOKEN = 'bob-token-0123456789ab';
+
+const dir = mkdtempSync(join(tmpdir(), 'command-db-http-'));
+let child;
+let baseUrl;
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>} Port
+ */
+function freePort() {
+  return new Promise(resolve => {
+    const probe = createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Send an MCP initialize request
+ * @param {string|null} token - Bearer token (null: no Authorization header)
+ * @returns {Promise<Response>} Response
+ */
+function initialize(token) {
+  const headers = { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+  if (token !== null) headers.Authorization = `Bearer ${token}`;
+
+  return fetch(`${baseUrl}/mcp`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+    })
+  });
+}
+
+before(async () => {
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  child = spawn(process.execPath, [SERVER, '--transport', 'http', '--host', '0.0.0.0', '--port', String(port), '--db', join(dir, 'commands.db')], {
+    env: {
+      ...process.env,
+      EMBEDDING_PROVIDER: 'hash',
+      MCP_CHANGE_POLL_SECONDS: '0',
+      MCP_AUTH_TOKENS: `alice:${ALICE_TOKEN},bob:${BOB_TOKEN}`
+    },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 20000);
+    child.stderr.on('data', data => {
+      output += data.toString();
+      if (output.includes('running on http')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on('exit', code => reject(new Error(`server exited with code ${code}:\n${output}`)));
+  });
+});
+
+after(() => {
+  child.kill();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('the token verifier only accepts configured tokens', () => {
+  const verify = createTokenVerifier(new Map([[ALICE_TOKEN, 'alice']]));
+
+  assert.deepEqual(verify(`Bearer ${ALICE_TOKEN}`), { token: ALICE_TOKEN, actor: 'alice' });
+  for (const header of ['Bearer constructor', 'Bearer toString', 'Bearer __proto__', 'Bearer hasOwnProperty',
+    `Bearer ${ALICE_TOKEN}x`, `Basic ${ALICE_TOKEN}`, 'Bearer', '', undefined]) {
+    assert.equal(verify(header), null, String(header));
+  }
+});
+
+test('rejects requests without a valid bearer token', async () => {
+  for (const token of [null, 'constructor', 'toString', '__proto__', 'not-a-configured-token']) {
+    const response = await initialize(token);
+    assert.equal(response.status, 401, String(token));
+    assert.equal(response.headers.get('www-authenticate'), 'Bearer');
+  }
+});
+
+test('opens a session for a valid token and keeps it to that actor', async () => {
+  const response = await initialize(ALICE_TOKEN);
+  assert.equal(response.status, 200);
+  const sessionId = response.headers.get('mcp-session-id');
+  assert.ok(sessionId);
+  await response.body?.cancel();
+
+  const hijack = await fetch(`${baseUrl}/mcp`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      Authorization: `Bearer ${BOB_TOKEN}`,
+      'mcp-session-id': sessionId
+    },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' })
+  });
+  assert.equal(hijack.status, 403);
+});
@@ -0,0 +1,110 @@
+// test/import.test.js
+// import_commands: matching existing commands and update strategies
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dir = mkdtempSync(join(tmpdir(), 'command-db-import-'));
+process.env.EMBEDDING_PROVIDER = 'hash';
+
+const { initDatabase, addCommand, getCommandById, importCommandsJSON } = await import('../database.js');
+
+let db;
+let cpstatId;
+let fwId;
+
+before(async () => {
+  db = initDatabase(join(dir, 'commands.db'));
+
+  cpstatId = (await addCommand(db, {
+    command: 'cpstat',
+    description: 'Show the status of a Check Point product',
+    category: 'Monitoring',
+    keywords: 'status',
+    mode: 'expert'
+  })).id;
+
+  fwId = (await addCommand(db, {
+    command: 'fw stat',
+    description: 'Show the installed policy',
+    category: 'Firewall',
+    arguments: [{ args: '-l' }],
+    mode: 'expert'
+  })).id;
+});
+
+after(() => {
+  db.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('an id from another database does not overwrite an unrelated command', async () => {
+  const results = await importCommandsJSON(db, [
+    { id: cpstatId, command: 'cphaprob', description: 'Cluster state', category: 'Cluster', mode: 'expert' }
+  ], false, { actor: 'alice' });
+
+  assert.equal(results.match_by, 'key');
+  assert.equal(results.added.length, 1);
+  assert.equal(results.updated.length, 0);
+  assert.notEqual(results.added[0].id, cpstatId);
+  assert.equal(getCommandById(db, cpstatId).command, 'cpstat');
+});
+
+test('a command with another id is matched on command and category', async () => {
+  const results = await importCommandsJSON(db, [
+    { id: 9999, command: 'cpstat', description: 'Show product status', category: 'Monitoring' }
+  ], false, { actor: 'alice' });
+
+  assert.equal(results.updated.length, 1);
+  assert.equal(results.updated[0].id, cpstatId);
+  assert.equal(getCommandById(db, cpstatId).description, 'Show product status');
+});
+
+test('match_by id matches on the imported id when asked', async () => {
+  const results = await importCommandsJSON(db, [
+    { id: cpstatId, command: 'cpstat', description: 'Show the status of a Check Point product', category: 'Status' }
+  ], false, { match_by: 'id', actor: 'alice' });
+
+  assert.equal(results.updated.length, 1);
+  assert.equal(getCommandById(db, cpstatId).category, 'Status');
+
+  const invalid = await importCommandsJSON(db, [], false, { match_by: 'name' });
+  assert.equal(invalid.reason, 'invalid_match_by');
+});
+
+test('fill_empty only sets empty fields and merge_arrays keeps stored arguments', async () => {
+  const filled = await importCommandsJSON(db, [
+    { command: 'fw stat', category: 'Firewall', description: 'Replaced', keywords: 'policy' }
+  ], false, { strategy: 'fill_empty', actor: 'alice' });
+
+  assert.deepEqual(filled.updated[0].changes.map(change => change.field), ['keywords']);
+  assert.equal(getCommandById(db, fwId).description, 'Show the installed policy');
+
+  await importCommandsJSON(db, [
+    { command: 'fw stat', category: 'Firewall', arguments: [{ args: '-s' }] }
+  ], false, { strategy: 'merge_arrays', actor: 'alice' });
+
+  assert.deepEqual(getCommandById(db, fwId).arguments.map(variant => variant.args), ['-l', '-s']);
+});
+
+test('keep_newest ignores older imports and dry_run writes nothing', async () => {
+  const older = await importCommandsJSON(db, [
+    { command: 'fw stat', category: 'Firewall', description: 'Old', updated_at: '2000-01-01 00:00:00' }
+  ], false, { strategy: 'keep_newest', actor: 'alice' });
+  assert.equal(older.unchanged.length, 1);
+
+  const preview = await importCommandsJSON(db, [
+    { command: 'fw stat', category: 'Firewall', description: 'Preview' },
+    { command: 'cpview', category: 'Monitoring', description: 'Interactive statistics' }
+  ], false, { dry_run: true, actor: 'alice' });
+
+  assert.equal(preview.updated.length, 1);
+  assert.equal(preview.added.length, 1);
+  assert.equal(getCommandById(db, fwId).description, 'Show the installed policy');
+
+  const skipped = await importCommandsJSON(db, [{ command: 'fw stat', category: 'Firewall', description: 'Skipped' }]);
+  assert.equal(skipped.skipped[0].existing_id, fwId);
+});
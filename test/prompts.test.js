@@ -0,0 +1,99 @@
+// test/prompts.test.js
+// MCP prompts: definitions, built-in protection and rendering with version filtering
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dir = mkdtempSync(join(tmpdir(), 'command-db-prompts-'));
+process.env.EMBEDDING_PROVIDER = 'hash';
+
+const {
+  initDatabase, addCommand, createPrompt, getPrompt, listPrompts, updatePrompt, deletePrompt, renderPrompt
+} = await import('../database.js');
+
+let db;
+const ids = {};
+
+before(async () => {
+  db = initDatabase(join(dir, 'commands.db'));
+
+  const commands = [
+    ['vpn tu tlist', 'VPN tunnel list', 'R80.40'],
+    ['vpn tu', 'VPN tunnel utility', 'R81+'],
+    ['vpn debug ikeon', 'VPN tunnel IKE debug', null]
+  ];
+
+  for (const [command, description, version] of commands) {
+    ids[command] = (await addCommand(db, { command, description, category: 'VPN', version, keywords: 'vpn tunnel', mode: 'expert' })).id;
+  }
+
+  const created = createPrompt(db, {
+    name: 'vpn_tunnel',
+    description: 'Check a VPN tunnel',
+    arguments: [{ name: 'peer', required: true }, { name: 'version' }],
+    template: 'Check the VPN tunnel to {{peer}} on {{version}}.',
+    searches: ['VPN tunnel'],
+    category: 'VPN',
+    command_limit: 2
+  }, { actor: 'alice' });
+  assert.equal(created.error, false);
+});
+
+after(() => {
+  db.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('prompt definitions are validated', () => {
+  const invalid = createPrompt(db, {
+    name: 'Bad Name',
+    arguments: [{ name: 'peer' }],
+    template: 'Check {{peer}} and {{gateway}}',
+    command_limit: 0
+  });
+  assert.equal(invalid.reason, 'invalid_prompt');
+  assert.equal(invalid.prompt_errors.length, 2);
+
+  const undeclared = createPrompt(db, { name: 'ok_name', template: 'Check {{gateway}}' });
+  assert.deepEqual(undeclared.prompt_errors, ['{{gateway}} is not a declared argument']);
+
+  assert.equal(createPrompt(db, { name: 'vpn_tunnel', template: 'x' }).reason, 'duplicate');
+  assert.equal(getPrompt(db, 'vpn_tunnel').created_by, 'alice');
+});
+
+test('built-in prompts can be edited but not deleted', () => {
+  const builtin = listPrompts(db).find(prompt => prompt.builtin);
+  assert.ok(builtin);
+
+  assert.equal(deletePrompt(db, builtin.name).reason, 'builtin');
+  assert.equal(updatePrompt(db, builtin.name, { description: 'Edited' }).prompt.description, 'Edited');
+  assert.equal(updatePrompt(db, builtin.name, { template: '{{nope}}' }).reason, 'invalid_prompt');
+  assert.equal(updatePrompt(db, 'missing', { description: 'x' }).reason, 'not_found');
+});
+
+test('rendering fills placeholders and requires required arguments', async () => {
+  assert.equal((await renderPrompt(db, 'vpn_tunnel', {})).reason, 'missing_arguments');
+  assert.equal((await renderPrompt(db, 'missing')).reason, 'not_found');
+
+  const rendered = await renderPrompt(db, 'vpn_tunnel', { peer: '203.0.113.7' });
+  assert.match(rendered.messages[0].content.text, /^Check the VPN tunnel to 203\.0\.113\.7 on \.\n/);
+  assert.equal(rendered.command_ids.length, 2);
+});
+
+test('commands for another version are left out without taking a slot', async () => {
+  const r81 = await renderPrompt(db, 'vpn_tunnel', { peer: '203.0.113.7', version: 'R81.20' });
+  assert.deepEqual(r81.command_ids.sort(), [ids['vpn tu'], ids['vpn debug ikeon']].sort());
+
+  const r80 = await renderPrompt(db, 'vpn_tunnel', { peer: '203.0.113.7', version: 'R80.40' });
+  assert.ok(!r80.command_ids.includes(ids['vpn tu']));
+  assert.equal(r80.command_ids.length, 2);
+});
+
+test('user prompts can be deleted', () => {
+  createPrompt(db, { name: 'scratch', template: 'Scratch' });
+  assert.equal(deletePrompt(db, 'scratch').error, false);
+  assert.equal(getPrompt(db, 'scratch'), null);
+});
@@ -0,0 +1,94 @@
+// test/ranking.test.js
+// Hybrid ranking: FTS5 BM25 fused with vector similarity by weighted reciprocal rank fusion
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dir = mkdtempSync(join(tmpdir(), 'command-db-ranking-'));
+process.env.EMBEDDING_PROVIDER = 'hash';
+
+const { initDatabase, addCommand, updateCommand, searchCommands, parseRankingOptions } = await import('../database.js');
+
+let db;
+const ids = {};
+
+before(async () => {
+  db = initDatabase(join(dir, 'commands.db'));
+
+  const commands = [
+    ['cphaprob', 'Show cluster member state and failover status', 'Cluster', 'cluster failover'],
+    ['cpstat', 'Show status of Check Point products', 'Monitoring', 'status'],
+    ['fw ctl', 'Show the kernel connections table', 'Firewall', 'connections kernel'],
+    ['fw unloadlocal', 'Unload the security policy (cluster failover test)', 'Firewall', 'policy']
+  ];
+
+  for (const [command, description, category, keywords] of commands) {
+    ids[command] = (await addCommand(db, { command, description, category, keywords, mode: 'expert' })).id;
+  }
+});
+
+after(() => {
+  db.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('ranking options are coerced to numbers and must be finite and non-negative', () => {
+  assert.deepEqual(parseRankingOptions({ keyword_weight: '2', semantic_weight: 0, rrf_k: '' }),
+    { error: false, keyword_weight: 2, semantic_weight: 0, rrf_k: 60 });
+
+  for (const keyword_weight of [true, -1, 'abc', Infinity]) {
+    assert.equal(parseRankingOptions({ keyword_weight }).reason, 'invalid_ranking_option', String(keyword_weight));
+  }
+});
+
+test('hybrid scores are fused from both ranks and normalized to at most 1', async () => {
+  const results = await searchCommands(db, 'cluster failover state', 10, 0, { mode: 'hybrid', explain: true });
+
+  assert.equal(results[0].id, ids.cphaprob);
+  for (const result of results) {
+    const [rrf] = result.explanation.adjustments.filter(adjustment => adjustment.type === 'rrf');
+    assert.ok(result.score > 0 && result.score <= 1);
+    assert.ok(Math.abs(result.score * rrf.normalized_by - rrf.keyword_contribution - rrf.semantic_contribution) < 1e-12);
+  }
+  for (let i = 1; i < results.length; i++) {
+    assert.ok(results[i - 1].score >= results[i].score);
+  }
+});
+
+test('hybrid mode keeps keyword matches below the semantic threshold', async () => {
+  const semantic = await searchCommands(db, 'failover', 10, 0.99, { mode: 'semantic' });
+  const hybrid = await searchCommands(db, 'failover', 10, 0.99, { mode: 'hybrid', explain: true });
+
+  assert.deepEqual(semantic, []);
+  assert.deepEqual(hybrid.map(result => result.id).sort(), [ids.cphaprob, ids['fw unloadlocal']].sort());
+  assert.ok(hybrid.every(result => result.explanation.adjustments.some(adjustment => adjustment.type === 'kept_below_threshold')));
+});
+
+test('weights decide which ranking wins', async () => {
+  const keywordOnly = await searchCommands(db, 'kernel connections cluster', 10, 0, { mode: 'hybrid', semantic_weight: 0 });
+  const keyword = await searchCommands(db, 'kernel connections cluster', 10, 0, { mode: 'keyword' });
+
+  assert.deepEqual(
+    keywordOnly.filter(result => result.keyword_score !== null).map(result => result.id),
+    keyword.map(result => result.id)
+  );
+  assert.equal(keyword[0].score, 1);
+  assert.ok(keyword.every(result => result.keyword_score !== null));
+
+  await assert.rejects(searchCommands(db, 'cluster', 5, 0, { mode: 'fuzzy' }), /Invalid search mode/);
+  await assert.rejects(searchCommands(db, 'cluster', 5, 0, { mode: 'hybrid', rrf_k: -1 }), /rrf_k/);
+});
+
+test('deprecated commands are only returned when matched by keyword', async () => {
+  await updateCommand(db, ids.cpstat, { deprecated: 1 });
+
+  const byKeyword = await searchCommands(db, 'status', 10, 0, { mode: 'hybrid' });
+  assert.ok(byKeyword.some(result => result.id === ids.cpstat));
+
+  const bySimilarity = await searchCommands(db, 'zzz qqq', 10, -1, { mode: 'semantic' });
+  assert.ok(bySimilarity.length > 0);
+  assert.ok(!bySimilarity.some(result => result.id === ids.cpstat));
+});
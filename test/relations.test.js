@@ -0,0 +1,139 @@
+// test/relations.test.js
+// Related commands graph: typed links, the related_commands mirror, traversal and purging
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dir = mkdtempSync(join(tmpdir(), 'command-db-relations-'));
+process.env.EMBEDDING_PROVIDER = 'hash';
+
+const {
+  initDatabase, addCommand, updateCommand, deleteCommand, purgeTrash, getCommandById,
+  linkCommands, unlinkCommands, getRelatedGraph
+} = await import('../database.js');
+
+let db;
+
+/**
+ * Add a command in the Testing category
+ * @param {string} command - Command text
+ * @returns {Promise<number>} Command ID
+ */
+async function add(command) {
+  return (await addCommand(db, { command, description: `${command} description`, category: 'Testing', mode: 'expert' })).id;
+}
+
+/**
+ * Stored relation rows of a command
+ * @param {number} id - Command ID
+ * @returns {string[]} "source:target:type" entries
+ */
+function relations(id) {
+  return db.prepare('SELECT * FROM command_relations WHERE source_id = ? OR target_id = ? ORDER BY source_id, target_id')
+    .all(id, id)
+    .map(row => `${row.source_id}:${row.target_id}:${row.relation_type}`);
+}
+
+before(() => {
+  db = initDatabase(join(dir, 'commands.db'));
+});
+
+after(() => {
+  db.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('a typed link stores its inverse and mirrors both related_commands', async () => {
+  const cpstop = await add('cpstop');
+  const cpstart = await add('cpstart');
+
+  const linked = linkCommands(db, cpstart, cpstop, 'prerequisite');
+  assert.equal(linked.created, true);
+  assert.equal(linked.relation.inverse, 'follow_up');
+  assert.deepEqual(relations(cpstart).sort(), [`${cpstart}:${cpstop}:prerequisite`, `${cpstop}:${cpstart}:follow_up`].sort());
+  assert.deepEqual(getCommandById(db, cpstart).related_commands, [cpstop]);
+  assert.deepEqual(getCommandById(db, cpstop).related_commands, [cpstart]);
+
+  assert.equal(linkCommands(db, cpstart, cpstop, 'prerequisite').created, false);
+
+  const unlinked = unlinkCommands(db, cpstop, cpstart);
+  assert.equal(unlinked.removed, 1);
+  assert.deepEqual(relations(cpstart), []);
+  assert.deepEqual(getCommandById(db, cpstop).related_commands, []);
+  assert.equal(unlinkCommands(db, cpstop, cpstart).reason, 'not_found');
+});
+
+test('links to itself, to unknown or trashed commands and of unknown types are refused', async () => {
+  const fw = await add('fw stat');
+  const trashed = await add('fw unloadlocal');
+  deleteCommand(db, trashed);
+
+  assert.equal(linkCommands(db, fw, fw).reason, 'invalid_relation');
+  assert.equal(linkCommands(db, fw, 9999).reason, 'not_found');
+  assert.equal(linkCommands(db, fw, trashed).reason, 'not_found');
+  assert.equal(linkCommands(db, fw, trashed, 'depends_on').reason, 'invalid_relation');
+  await assert.rejects(updateCommand(db, fw, { related_commands: [trashed] }), /does not exist/);
+  assert.deepEqual(relations(fw), []);
+});
+
+test('setting related_commands links and unlinks both directions', async () => {
+  const a = await add('cphaprob state');
+  const b = await add('cphaprob list');
+  const c = await add('cphaprob syncstat');
+
+  await updateCommand(db, a, { related_commands: [b, c] });
+  assert.deepEqual(getCommandById(db, b).related_commands, [a]);
+  assert.deepEqual(getCommandById(db, c).related_commands, [a]);
+
+  await updateCommand(db, a, { related_commands: [c] });
+  assert.deepEqual(getCommandById(db, a).related_commands, [c]);
+  assert.deepEqual(getCommandById(db, b).related_commands, []);
+});
+
+test('the graph lists each relation once, up to the requested depth', async () => {
+  const backup = await add('backup');
+  const upgrade = await add('upgrade');
+  const verify = await add('verify');
+  const rollback = await add('rollback');
+
+  linkCommands(db, upgrade, backup, 'prerequisite');
+  linkCommands(db, upgrade, verify, 'follow_up');
+  linkCommands(db, rollback, upgrade, 'undo');
+
+  const near = getRelatedGraph(db, backup);
+  assert.deepEqual(near.nodes.map(node => [node.id, node.distance]), [[backup, 0], [upgrade, 1]]);
+  assert.deepEqual(near.edges, [{ source_id: upgrade, target_id: backup, type: 'prerequisite' }]);
+
+  const far = getRelatedGraph(db, backup, { depth: 2 });
+  assert.deepEqual(far.nodes.map(node => node.id).sort(), [backup, upgrade, verify, rollback].sort());
+  // The follow_up link is reported as its prerequisite inverse, the symmetric undo low ID first
+  assert.deepEqual(far.edges.map(edge => `${edge.source_id}:${edge.target_id}:${edge.type}`).sort(), [
+    `${upgrade}:${backup}:prerequisite`,
+    `${verify}:${upgrade}:prerequisite`,
+    `${upgrade}:${rollback}:undo`
+  ].sort());
+
+  const undoOnly = getRelatedGraph(db, upgrade, { types: ['undo'] });
+  assert.deepEqual(undoOnly.nodes.map(node => node.id), [upgrade, rollback]);
+
+  assert.equal(getRelatedGraph(db, backup, { depth: 6 }).reason, 'invalid_depth');
+  assert.equal(getRelatedGraph(db, backup, { types: ['depends_on'] }).reason, 'invalid_relation');
+
+  deleteCommand(db, rollback);
+  assert.ok(!getRelatedGraph(db, upgrade).nodes.some(node => node.id === rollback));
+});
+
+test('purging a command removes its relations from the commands it was linked to', async () => {
+  const kept = await add('cpinfo');
+  const purged = await add('cpinfo -y all');
+  linkCommands(db, kept, purged, 'see_also');
+
+  deleteCommand(db, purged);
+  assert.deepEqual(purgeTrash(db, { id: purged }).purged, [purged]);
+
+  assert.deepEqual(relations(purged), []);
+  assert.deepEqual(getCommandById(db, kept).related_commands, []);
+});
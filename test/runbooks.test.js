@@ -0,0 +1,145 @@
+// test/runbooks.test.js
+// Runbooks: step validation, CRUD, availability of steps and re-embedding
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dir = mkdtempSync(join(tmpdir(), 'command-db-runbooks-'));
+process.env.EMBEDDING_PROVIDER = 'hash';
+
+const {
+  initDatabase, addCommand, updateCommand, deleteCommand,
+  createRunbook, getRunbook, listRunbooks, updateRunbook, deleteRunbook, searchRunbooks
+} = await import('../database.js');
+
+let db;
+let cphaprobId;
+let fwId;
+
+/**
+ * Stored embedding text hash of a runbook
+ * @param {number} id - Runbook ID
+ * @returns {string|undefined} Hash
+ */
+function embeddingHash(id) {
+  return db.prepare('SELECT text_hash FROM runbook_embeddings WHERE runbook_id = ?').get(id)?.text_hash;
+}
+
+before(async () => {
+  db = initDatabase(join(dir, 'commands.db'));
+
+  cphaprobId = (await addCommand(db, {
+    command: 'cphaprob',
+    description: 'Cluster state',
+    category: 'Cluster',
+    arguments: [{ args: 'state' }, { args: '-a if', description: 'Cluster interfaces' }],
+    mode: 'expert'
+  })).id;
+
+  fwId = (await addCommand(db, {
+    command: 'fw ctl',
+    description: 'Kernel tables',
+    category: 'Firewall',
+    arguments: [{ args: 'pstat' }],
+    mode: 'expert'
+  })).id;
+});
+
+after(() => {
+  db.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('steps must reference existing commands and variants', async () => {
+  assert.equal((await createRunbook(db, { name: '', steps: [] })).reason, 'invalid_runbook');
+
+  const invalid = await createRunbook(db, {
+    name: 'Broken',
+    steps: [{ command_id: 9999 }, { command_id: cphaprobId, variant: 5 }, { command_id: fwId, variant: 'nope' }]
+  });
+  assert.equal(invalid.reason, 'invalid_runbook');
+  assert.equal(invalid.step_errors.length, 3);
+  assert.deepEqual(listRunbooks(db), []);
+});
+
+test('a runbook stores variants by args and lists its steps in order', async () => {
+  const created = await createRunbook(db, {
+    name: 'Cluster failover check',
+    description: 'Check cluster members before a failover',
+    category: 'Cluster',
+    steps: [
+      { command_id: cphaprobId, variant: 1, expected_outcome: 'All interfaces up' },
+      { command_id: fwId, variant: 'pstat' }
+    ]
+  }, { actor: 'alice' });
+
+  assert.equal(created.error, false);
+  const { runbook } = created;
+  assert.equal(runbook.created_by, 'alice');
+  assert.deepEqual(runbook.steps.map(step => [step.position, step.invocation, step.available]), [
+    [1, 'cphaprob -a if', true],
+    [2, 'fw ctl pstat', true]
+  ]);
+  assert.equal(runbook.steps[0].variant_description, 'Cluster interfaces');
+  assert.ok(embeddingHash(runbook.id));
+
+  assert.equal((await createRunbook(db, { name: 'Cluster failover check', steps: [{ command_id: fwId }] })).reason, 'duplicate');
+  assert.equal(listRunbooks(db)[0].step_count, 2);
+});
+
+test('changes to the embedded text re-embed the runbook, other changes do not', async () => {
+  const { runbook } = await createRunbook(db, { name: 'Policy check', steps: [{ command_id: fwId }] });
+  const original = embeddingHash(runbook.id);
+
+  await updateRunbook(db, runbook.id, { category: 'Firewall' });
+  assert.equal(embeddingHash(runbook.id), original);
+
+  const updated = await updateRunbook(db, runbook.id, { steps: [{ command_id: cphaprobId, variant: 'state' }, { command_id: fwId }] });
+  assert.deepEqual(updated.runbook.steps.map(step => step.invocation), ['cphaprob state', 'fw ctl']);
+  const withSteps = embeddingHash(runbook.id);
+  assert.notEqual(withSteps, original);
+
+  await updateCommand(db, fwId, { command: 'fw ctl2' });
+  assert.notEqual(embeddingHash(runbook.id), withSteps);
+  await updateCommand(db, fwId, { command: 'fw ctl' });
+
+  assert.equal((await updateRunbook(db, runbook.id, { name: 'Cluster failover check' })).reason, 'duplicate');
+  assert.equal((await updateRunbook(db, 9999, { name: 'x' })).reason, 'not_found');
+});
+
+test('steps whose command is trashed or whose variant is gone are flagged unavailable', async () => {
+  const { id: tempId } = await addCommand(db, {
+    command: 'cpview',
+    description: 'Statistics',
+    category: 'Monitoring',
+    arguments: [{ args: '-t' }],
+    mode: 'expert'
+  });
+  const { runbook } = await createRunbook(db, {
+    name: 'Statistics snapshot',
+    steps: [{ command_id: tempId, variant: '-t' }, { command_id: cphaprobId, variant: 'state' }]
+  });
+
+  await updateCommand(db, cphaprobId, { arguments: [{ args: '-a if' }] });
+  deleteCommand(db, tempId);
+
+  const steps = getRunbook(db, runbook.id).steps;
+  assert.deepEqual(steps.map(step => step.available), [false, false]);
+  assert.equal(steps[0].command, 'cpview');
+});
+
+test('runbooks are found by keyword and deleted with their steps and embedding', async () => {
+  const found = await searchRunbooks(db, 'cluster failover', { mode: 'keyword' });
+  assert.equal(found[0].name, 'Cluster failover check');
+  assert.equal(found[0].score, 1);
+
+  const id = found[0].id;
+  assert.equal(deleteRunbook(db, id), true);
+  assert.equal(getRunbook(db, id), null);
+  assert.equal(embeddingHash(id), undefined);
+  assert.equal(db.prepare('SELECT COUNT(*) AS count FROM runbook_steps WHERE runbook_id = ?').get(id).count, 0);
+  assert.equal(deleteRunbook(db, id), false);
+});
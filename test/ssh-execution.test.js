@@ -0,0 +1,192 @@
+// test/ssh-execution.test.js
+// Remote execution against a mock SSH server (ssh2 Server on a random local port)
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync } from 'crypto';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import ssh2 from 'ssh2';
+
+const dir = mkdtempSync(join(tmpdir(), 'command-db-ssh-'));
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.SSH_TARGETS_FILE = join(dir, 'ssh-targets.json');
+
+const {
+  initDatabase, addCommand, executeCommand, approveChangeRequest, getChangeRequest
+} = await import('../database.js');
+
+// Command lines received by the mock server, in order
+const received = [];
+let server;
+let db;
+
+/**
+ * Start an SSH server that accepts admin/secret and answers every exec
+ * with "ran: <command>" (exit code 3 for commands containing "fail")
+ * @returns {Promise<number>} Listening port
+ */
+function startMockServer() {
+  const { privateKey } = generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+    publicKeyEncoding: { type: 'pkcs1', format: 'pem' }
+  });
+
+  server = new ssh2.Server({ hostKeys: [privateKey] }, client => {
+    client.on('authentication', ctx => {
+      if (ctx.method === 'password' && ctx.username === 'admin' && ctx.password === 'secret') {
+        ctx.accept();
+      } else {
+        ctx.reject(['password']);
+      }
+    });
+
+    client.on('ready', () => {
+      client.on('session', accept => {
+        const session = accept();
+        session.on('exec', (acceptExec, reject, info) => {
+          const stream = acceptExec();
+          received.push(info.command);
+          stream.write(`ran: ${info.command}\n`);
+          if (info.command.includes('fail')) stream.stderr.write('simulated failure\n');
+          stream.exit(info.command.includes('fail') ? 3 : 0);
+          stream.end();
+        });
+      });
+    });
+
+    client.on('error', () => {});
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+  });
+}
+
+before(async () => {
+  const port = await startMockServer();
+
+  writeFileSync(process.env.SSH_TARGETS_FILE, JSON.stringify({
+    gw1: { host: '127.0.0.1', port, username: 'admin', password: 'secret', mode: 'expert', timeout_ms: 10000 },
+    gw1_clish: { host: '127.0.0.1', port, username: 'admin', password: 'secret', mode: 'clish', timeout_ms: 10000 },
+    gw1_badpass: { host: '127.0.0.1', port, username: 'admin', password: 'wrong', mode: 'expert', timeout_ms: 10000 }
+  }));
+
+  db = initDatabase(join(dir, 'commands.db'));
+});
+
+after(async () => {
+  db.close();
+  await new Promise(resolve => server.close(resolve));
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('runs a rendered command line on the target and returns its output', async () => {
+  const { id } = await addCommand(db, {
+    command: 'fw ctl',
+    description: 'Show the connections table summary',
+    category: 'Firewall',
+    arguments: [{ args: 'conntab -t <limit>', params: [{ name: 'limit', type: 'integer', min: 1, max: 100 }] }],
+    mode: 'expert',
+    type: 'monitoring',
+    impact: 'low',
+    executable_mcp: true
+  });
+
+  const result = await executeCommand(db, id, { target: 'gw1', variant: 0, values: { limit: 10 } });
+
+  assert.equal(result.error, false);
+  assert.equal(result.command_line, 'fw ctl conntab -t 10');
+  assert.equal(result.stdout, 'ran: fw ctl conntab -t 10\n');
+  assert.equal(result.exit_code, 0);
+  assert.equal(result.change_request_id, null);
+  assert.equal(received.at(-1), 'fw ctl conntab -t 10');
+});
+
+test('reports the exit code and stderr of a failing command', async () => {
+  const { id } = await addCommand(db, {
+    command: 'fail_check',
+    description: 'Always fails',
+    category: 'Testing',
+    mode: 'expert',
+    impact: 'low',
+    executable_mcp: true
+  });
+
+  const result = await executeCommand(db, id, { target: 'gw1' });
+
+  assert.equal(result.exit_code, 3);
+  assert.equal(result.stderr, 'simulated failure\n');
+});
+
+test('refuses invalid values, non-executable commands, unknown targets and mode mismatches before connecting', async () => {
+  const { id } = await addCommand(db, {
+    command: 'cpstat',
+    description: 'Show product status',
+    category: 'Monitoring',
+    arguments: [{ args: '<product>', params: [{ name: 'product', type: 'enum', values: ['fw', 'os'] }] }],
+    mode: 'expert',
+    impact: 'low',
+    executable_mcp: true
+  });
+  const { id: manualId } = await addCommand(db, {
+    command: 'cpconfig',
+    description: 'Interactive configuration',
+    category: 'Setup',
+    mode: 'expert',
+    impact: 'low'
+  });
+  const before = received.length;
+
+  assert.ok((await executeCommand(db, id, { target: 'gw1', variant: 0, values: { product: 'fw; reboot' } })).error);
+  assert.equal((await executeCommand(db, manualId, { target: 'gw1' })).reason, 'not_executable');
+  assert.equal((await executeCommand(db, id, { target: 'gw9', variant: 0, values: { product: 'fw' } })).reason, 'unknown_target');
+  assert.equal((await executeCommand(db, id, { target: 'gw1_clish', variant: 0, values: { product: 'fw' } })).reason, 'mode_mismatch');
+  assert.equal(received.length, before);
+});
+
+test('rejects with the SSH error when authentication fails', async () => {
+  const { id } = await addCommand(db, {
+    command: 'cphaprob',
+    description: 'Cluster state',
+    category: 'Cluster',
+    arguments: [{ args: 'state' }],
+    mode: 'expert',
+    impact: 'low',
+    executable_mcp: true
+  });
+
+  await assert.rejects(executeCommand(db, id, { target: 'gw1_badpass', variant: 0 }));
+});
+
+test('runs an approved change request once and records the result', async () => {
+  const { id } = await addCommand(db, {
+    command: 'cpstop',
+    description: 'Stop all Check Point services',
+    category: 'Services',
+    mode: 'expert',
+    impact: 'critical',
+    executable_mcp: true
+  });
+
+  const pending = await executeCommand(db, id, { target: 'gw1', justification: 'Upgrade', requested_by: 'alice' });
+  assert.equal(pending.pending_approval, true);
+  assert.notEqual(received.at(-1), 'cpstop');
+
+  const changeRequestId = pending.change_request.id;
+  approveChangeRequest(db, changeRequestId, 'bob');
+
+  const result = await executeCommand(db, id, { target: 'gw1', change_request_id: changeRequestId });
+  assert.equal(result.stdout, 'ran: cpstop\n');
+  assert.equal(result.change_request_id, changeRequestId);
+
+  const changeRequest = getChangeRequest(db, changeRequestId);
+  assert.equal(changeRequest.status, 'executed');
+  assert.equal(changeRequest.execution_result.exit_code, 0);
+
+  const again = await executeCommand(db, id, { target: 'gw1', change_request_id: changeRequestId });
+  assert.equal(again.reason, 'not_approved');
+  assert.equal(received.filter(line => line === 'cpstop').length, 1);
+});
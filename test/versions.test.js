@@ -0,0 +1,53 @@
+// test/versions.test.js
+// Check Point release parsing and version-range matching
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVersion, formatVersion, compareVersions, versionApplies } from '../versions.js';
+
+test('releases are parsed in their usual spellings', () => {
+  assert.deepEqual(parseVersion('R81.20'), { major: 81, minor: 20, take: null, precision: 2 });
+  assert.deepEqual(parseVersion('R80.1'), { major: 80, minor: 10, take: null, precision: 2 });
+  assert.deepEqual(parseVersion('R82'), { major: 82, minor: null, take: null, precision: 1 });
+  assert.deepEqual(parseVersion('r81.20_JHF_T54'), { major: 81, minor: 20, take: 54, precision: 3 });
+  assert.deepEqual(parseVersion('R81 JHF Take 3'), { major: 81, minor: 0, take: 3, precision: 3 });
+  assert.equal(parseVersion('81.20'), null);
+  assert.equal(parseVersion(undefined), null);
+
+  assert.equal(formatVersion(parseVersion('R81.20_JHF_T54')), 'R81.20 JHF Take 54');
+  assert.equal(formatVersion(parseVersion('R80.1')), 'R80.10');
+});
+
+test('releases compare by major, minor and take', () => {
+  assert.ok(compareVersions('R77.30', 'R80.10') < 0);
+  assert.ok(compareVersions('R81.20 JHF Take 54', 'R81.20') > 0);
+  assert.equal(compareVersions('R81', 'R81.00'), 0);
+  assert.equal(compareVersions('R81', 'latest'), null);
+});
+
+test('open ranges, closed ranges and comparisons', () => {
+  assert.equal(versionApplies('R80+', 'R81.20'), true);
+  assert.equal(versionApplies('R80 and above', 'R77.30'), false);
+  assert.equal(versionApplies('>=R80.40', 'R80.40'), true);
+  assert.equal(versionApplies('>R80.40', 'R80.40 JHF Take 10'), false);
+  assert.equal(versionApplies('>R80.40 JHF Take 10', 'R80.40 JHF Take 11'), true);
+  assert.equal(versionApplies('<R81', 'R80.40'), true);
+  assert.equal(versionApplies('<R81', 'R81 JHF Take 3'), false);
+  assert.equal(versionApplies('<=R81', 'R81 JHF Take 3'), true);
+});
+
+test('a release without a take covers all of its takes, but not the next release', () => {
+  assert.equal(versionApplies('R81.20', 'R81.20 JHF Take 54'), true);
+  assert.equal(versionApplies('R80.40-R81.20', 'R81.20 JHF Take 54'), true);
+  assert.equal(versionApplies('R80.10-R81', 'R81 JHF Take 3'), true);
+  assert.equal(versionApplies('R80.10-R81', 'R81.10'), false);
+  assert.equal(versionApplies('R80.10 to R81', 'R80.10'), true);
+});
+
+test('lists match when any term matches, and unparseable input gives null', () => {
+  assert.equal(versionApplies('R77.30, R80.40+', 'R77.30'), true);
+  assert.equal(versionApplies('R77.30; R80.40+', 'R80.20'), false);
+  assert.equal(versionApplies('R77.30, soon', 'R77.30'), null);
+  assert.equal(versionApplies('R80+', 'latest'), null);
+  assert.equal(versionApplies('', 'R81'), null);
+});
@@ -0,0 +1,153 @@
+// vector-index.js
+// In-memory flat vector index: L2-normalized Float32Array rows, cosine similarity as dot product
+
+const INITIAL_CAPACITY = 1024;
+
+/**
+ * Normalize a vector into a Float32Array of unit length
+ * @param {number[]|Float32Array} vector - Input vector
+ * @returns {Float32Array} Normalized copy
+ */
+function normalize(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+  }
+  return out;
+}
+
+/**
+ * Create an empty vector index
+ * @param {Object} options - { model, dimensions }
+ * @returns {Object} Vector index
+ */
+export function createVectorIndex({ model = null, dimensions = null } = {}) {
+  let capacity = 0;
+  let matrix = new Float32Array(0);
+  const ids = [];
+  const positions = new Map();
+
+  const ensureCapacity = (rows) => {
+    if (rows <= capacity) return;
+    capacity = Math.max(rows, capacity * 2, INITIAL_CAPACITY);
+    const grown = new Float32Array(capacity * index.dimensions);
+    grown.set(matrix);
+    matrix = grown;
+  };
+
+  const dot = (query, position) => {
+    const dims = query.length;
+    const rows = matrix;
+    const offset = position * dims;
+    let sum = 0;
+    for (let i = 0; i < dims; i++) sum += query[i] * rows[offset + i];
+    return sum;
+  };
+
+  const index = {
+    model,
+    dimensions,
+
+    get size() {
+      return ids.length;
+    },
+
+    has(id) {
+      return positions.has(id);
+    },
+
+    /**
+     * Insert or replace the vector of an ID
+     * @returns {boolean} False when the vector has the wrong dimension
+     */
+    upsert(id, vector) {
+      if (index.dimensions === null) {
+        index.dimensions = vector.length;
+      }
+      if (vector.length !== index.dimensions) {
+        return false;
+      }
+
+      let position = positions.get(id);
+      if (position === undefined) {
+        position = ids.length;
+        ensureCapacity(position + 1);
+        ids.push(id);
+        positions.set(id, position);
+      }
+
+      matrix.set(normalize(vector), position * index.dimensions);
+      return true;
+    },
+
+    /**
+     * Remove the vector of an ID (swaps the last row into its place)
+     * @returns {boolean} True when the ID was present
+     */
+    remove(id) {
+      const position = positions.get(id);
+      if (position === undefined) return false;
+
+      const last = ids.length - 1;
+      if (position !== last) {
+        const lastId = ids[last];
+        matrix.copyWithin(position * index.dimensions, last * index.dimensions, (last + 1) * index.dimensions);
+        ids[position] = lastId;
+        positions.set(lastId, position);
+      }
+
+      ids.pop();
+      positions.delete(id);
+      return true;
+    },
+
+    /**
+     * Cosine similarity of the query with specific IDs
+     * @returns {Map<number, number>} Scores keyed by ID (IDs not in the index are omitted)
+     */
+    score(queryVector, candidateIds) {
+      const scores = new Map();
+      if (queryVector.length !== index.dimensions) return scores;
+
+      const query = normalize(queryVector);
+      for (const id of candidateIds) {
+        const position = positions.get(id);
+        if (position !== undefined) scores.set(id, dot(query, position));
+      }
+      return scores;
+    },
+
+    /**
+     * Top-k most similar IDs
+     * @returns {Array<{id: number, score: number}>} Results sorted by score descending
+     */
+    search(queryVector, k = 10) {
+      if (queryVector.length !== index.dimensions || ids.length === 0) return [];
+
+      const query = normalize(queryVector);
+      const top = [];
+
+      for (let position = 0; position < ids.length; position++) {
+        const score = dot(query, position);
+        if (top.length < k) {
+          top.push({ id: ids[position], score });
+          if (top.length === k) top.sort((a, b) => b.score - a.score);
+        } else if (score > top[k - 1].score) {
+          let i = k - 1;
+          while (i > 0 && top[i - 1].score < score) {
+            top[i] = top[i - 1];
+            i--;
+          }
+          top[i] = { id: ids[position], score };
+        }
+      }
+
+      return top.length < k ? top.sort((a, b) => b.score - a.score) : top;
+    }
+  };
+
+  return index;
+}
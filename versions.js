@@ -0,0 +1,174 @@
+// versions.js
+// Check Point release parsing and version-range matching for the version field
+//
+// Releases are written R<major>[.<minor>] with an optional Jumbo Hotfix take:
+// "R77.30", "R81.20", "R82", "R81.20 JHF Take 54", "R81.20_JHF_T54".
+// The version field of a command may hold a single release or a range:
+// "R80+", ">=R80.40", "R80.10-R81", "<R81", or a comma-separated list of these.
+
+const VERSION_REGEX = /^R(\d+)(?:\.(\d{1,2}))?(?:[\s_]*(?:(?:JHF|Jumbo(?:[\s_]*Hotfix)?)[\s_]*(?:Take|T)?|Take|T)[\s_]*(\d+))?$/i;
+const RANGE_REGEX = /^(R.+?)\s*(?:-|–|\bto\b)\s*(R.+)$/i;
+const OPEN_RANGE_REGEX = /^(R.+?)\s*(?:\+|\band (?:above|higher|later)\b|\bor (?:above|higher|later)\b)$/i;
+const COMPARISON_REGEX = /^(>=|<=|>|<|=)\s*(R.+)$/i;
+
+/**
+ * Parse a single Check Point release
+ *
+ * A one-digit minor is read as tenths ("R80.1" is R80.10), matching how
+ * Check Point numbers its releases.
+ *
+ * @param {string} text - Release (e.g., "R81.20", "R81.20 JHF Take 54")
+ * @returns {Object|null} { major, minor, take, precision } (precision = number of components given) or null
+ */
+export function parseVersion(text) {
+  if (typeof text !== 'string') return null;
+
+  const match = text.trim().match(VERSION_REGEX);
+  if (!match) return null;
+
+  const take = match[3] === undefined ? null : parseInt(match[3], 10);
+  let minor = match[2] === undefined ? null : parseInt(match[2].length === 1 ? `${match[2]}0` : match[2], 10);
+
+  // "R81 JHF Take 3" is a take of R81.00
+  if (minor === null && take !== null) minor = 0;
+
+  return {
+    major: parseInt(match[1], 10),
+    minor,
+    take,
+    precision: take !== null ? 3 : minor !== null ? 2 : 1
+  };
+}
+
+/**
+ * Format a parsed release in Check Point style
+ * @param {Object} version - Parsed release
+ * @returns {string} e.g. "R81.20 JHF Take 54"
+ */
+export function formatVersion(version) {
+  let text = `R${version.major}`;
+  if (version.minor !== null) text += `.${String(version.minor).padStart(2, '0')}`;
+  if (version.take !== null) text += ` JHF Take ${version.take}`;
+  return text;
+}
+
+/**
+ * Comparable key of a release, truncated to a precision (missing components count as 0)
+ * @param {Object} version - Parsed release
+ * @param {number} precision - Components to keep (1-3)
+ * @returns {number[]} Key
+ */
+function versionKey(version, precision = 3) {
+  return [version.major, version.minor ?? 0, version.take ?? 0].slice(0, precision);
+}
+
+/**
+ * Compare two keys of the same length
+ * @returns {number} Negative, zero or positive
+ */
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Compare two releases
+ * @param {string|Object} a - Release text or parsed release
+ * @param {string|Object} b - Release text or parsed release
+ * @returns {number|null} Negative, zero or positive; null when either cannot be parsed
+ */
+export function compareVersions(a, b) {
+  const left = typeof a === 'string' ? parseVersion(a) : a;
+  const right = typeof b === 'string' ? parseVersion(b) : b;
+  if (!left || !right) return null;
+  return compareKeys(versionKey(left), versionKey(right));
+}
+
+/**
+ * Parse one term of a version specification into bounds
+ *
+ * A release written without a take includes all of its takes: "R81.20" and
+ * "R80.40-R81.20" both cover R81.20 JHF Take 54, while "R80.10-R81" stops at
+ * R81 and its takes (R81.10 is a different release).
+ *
+ * @param {string} term - Single term (e.g., "R80+", "R80.10-R81", "<R81", "R81.20")
+ * @returns {Object|null} { min, max } with { version, inclusive } bounds (null when open)
+ */
+function parseTerm(term) {
+  const bound = (text, inclusive) => {
+    const version = parseVersion(text);
+    return version ? { version, inclusive } : undefined;
+  };
+
+  let min = null;
+  let max = null;
+  let match;
+
+  if ((match = term.match(OPEN_RANGE_REGEX))) {
+    min = bound(match[1], true);
+  } else if ((match = term.match(RANGE_REGEX))) {
+    min = bound(match[1], true);
+    max = bound(match[2], true);
+  } else if ((match = term.match(COMPARISON_REGEX))) {
+    const operator = match[1];
+    if (operator === '>=' || operator === '>') min = bound(match[2], operator === '>=');
+    if (operator === '<=' || operator === '<') max = bound(match[2], operator === '<=');
+    if (operator === '=') min = max = bound(match[2], true);
+  } else {
+    min = max = bound(term, true);
+  }
+
+  if (min === undefined || max === undefined) return null;
+  return { min, max };
+}
+
+/**
+ * Parse the version field of a command
+ * @param {string} text - Version specification
+ * @returns {Array|null} Terms ({ min, max }); the command applies when any term matches. Null when unparseable.
+ */
+export function parseVersionSpec(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const terms = text.split(/\s*[,;]\s*/).filter(Boolean).map(term => parseTerm(term.trim()));
+  return terms.every(Boolean) ? terms : null;
+}
+
+/**
+ * Check whether a release falls within one term
+ * @param {Object} term - { min, max }
+ * @param {Object} target - Parsed release
+ * @returns {boolean}
+ */
+function termApplies(term, target) {
+  if (term.min) {
+    // Exclusive lower bounds exclude the release's takes too unless the bound names one
+    const precision = term.min.inclusive ? 3 : Math.max(term.min.version.precision, 2);
+    const comparison = compareKeys(versionKey(target, precision), versionKey(term.min.version, precision));
+    if (term.min.inclusive ? comparison < 0 : comparison <= 0) return false;
+  }
+
+  if (term.max) {
+    // Inclusive upper bounds ignore the take unless the bound names one
+    const precision = term.max.inclusive ? Math.max(term.max.version.precision, 2) : 3;
+    const comparison = compareKeys(versionKey(target, precision), versionKey(term.max.version, precision));
+    if (term.max.inclusive ? comparison > 0 : comparison >= 0) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Check whether a version specification applies to a release
+ * @param {string} spec - Version field of a command (e.g., "R80+")
+ * @param {string|Object} target - Release text or parsed release (e.g., "R81.20")
+ * @returns {boolean|null} Null when either side cannot be parsed
+ */
+export function versionApplies(spec, target) {
+  const terms = parseVersionSpec(spec);
+  const release = typeof target === 'string' ? parseVersion(target) : target;
+  if (!terms || !release) return null;
+  return terms.some(term => termApplies(term, release));
+}